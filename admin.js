@@ -6,6 +6,12 @@ class AdminManager {
         this.database = null;
         this.users = {};
         this.systemStats = {};
+        this.selectedUsers = new Set();
+        this.importer = new UserImporter(this);
+        this.backup = new BackupManager(this);
+        this.firmware = new FirmwareManager(this);
+        this.fleet = new FleetManager(this);
+        this.listeners = [];
     }
 
     async initialize() {
@@ -14,30 +20,58 @@ class AdminManager {
             return;
         }
 
-        this.database = firebase.database();
+        this.database = this.auth.database;
         console.log('✅ Admin manager initialized');
         
         await this.loadSystemData();
+        await this.loadAuditLog();
+        this.firmware.initialize();
+        this.fleet.initialize();
         this.setupAdminListeners();
     }
 
+    renderHeartbeatSettings() {
+        const form = document.getElementById('heartbeatForm');
+        if (!form) return;
+
+        const thresholds = this.dashboard.heartbeat.globalThresholds;
+        form.stale_after.value = thresholds.staleAfter;
+        form.offline_after.value = thresholds.offlineAfter;
+    }
+
+    async saveHeartbeatSettings(form) {
+        const thresholds = { staleAfter: Number(form.stale_after.value), offlineAfter: Number(form.offline_after.value) };
+        const error = this.dashboard.heartbeat.validateThresholds(thresholds);
+        if (error) {
+            this.dashboard.showNotification(error, 'error');
+            return;
+        }
+
+        const before = { ...this.dashboard.heartbeat.globalThresholds };
+        try {
+            await this.dashboard.heartbeat.setGlobalThresholds(thresholds);
+            await this.auth.audit.record('system.heartbeat', 'settings/heartbeat', {
+                targetType: 'system',
+                before: before,
+                after: thresholds
+            });
+            this.dashboard.showNotification('Heartbeat thresholds saved', 'success');
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to save heartbeat thresholds: ${error.message}`, 'error');
+        }
+    }
+
     async loadSystemData() {
         try {
             // Load users
-            const usersRef = this.database.ref('users');
-            const adminsRef = this.database.ref('admins');
-            
-            const [usersSnapshot, adminsSnapshot] = await Promise.all([
-                usersRef.once('value'),
-                adminsRef.once('value')
-            ]);
-            
-            const usersData = usersSnapshot.val() || {};
-            const adminsData = adminsSnapshot.val() || {};
+            const { users: usersData, admins: adminsData } = await this.auth.backend.listUsers();
             
             // Combine user data
             this.users = {};
             for (const uid in usersData) {
+                // Deleted accounts keep a tombstone record so they can't sign back in
+                if (usersData[uid].deleted) continue;
+                
                 this.users[uid] = {
                     ...usersData[uid],
                     uid: uid,
@@ -66,19 +100,21 @@ class AdminManager {
     }
 
     updateSystemStats() {
-        const deviceCount = Object.keys(this.dashboard.devicesData).length;
-        const onlineDevices = Object.values(this.dashboard.devicesData)
-            .filter(device => this.dashboard.isDeviceOnline(device)).length;
+        const deviceIds = Object.keys(this.dashboard.devicesData);
+        const deviceCount = deviceIds.length;
+        const heartbeatCounts = this.dashboard.heartbeat.getCounts(deviceIds);
         const userCount = Object.keys(this.users).length;
         const adminCount = Object.values(this.users).filter(user => user.isAdmin).length;
         
         this.systemStats = {
             totalDevices: deviceCount,
-            onlineDevices: onlineDevices,
-            offlineDevices: deviceCount - onlineDevices,
+            onlineDevices: heartbeatCounts.online,
+            staleDevices: heartbeatCounts.stale,
+            offlineDevices: heartbeatCounts.offline,
             totalUsers: userCount,
             adminUsers: adminCount,
-            regularUsers: userCount - adminCount
+            regularUsers: userCount - adminCount,
+            firmwareVersions: this.firmware.getVersionDistribution()
         };
         
         this.renderSystemStats();
@@ -98,6 +134,10 @@ class AdminManager {
                 <div class="stat-label">Online Devices</div>
             </div>
             <div class="stat-card warning">
+                <div class="stat-number">${this.systemStats.staleDevices}</div>
+                <div class="stat-label">Stale Devices</div>
+            </div>
+            <div class="stat-card error">
                 <div class="stat-number">${this.systemStats.offlineDevices}</div>
                 <div class="stat-label">Offline Devices</div>
             </div>
@@ -105,6 +145,18 @@ class AdminManager {
                 <div class="stat-number">${this.systemStats.totalUsers}</div>
                 <div class="stat-label">Total Users</div>
             </div>
+            ${this.systemStats.totalDevices ? `
+                <div class="stat-card firmware-distribution">
+                    <div class="stat-label">Firmware Versions</div>
+                    ${this.systemStats.firmwareVersions.map(({ version, count }) => `
+                        <div class="version-row">
+                            <span class="version-name">${this.dashboard.escapeHtml(version)}</span>
+                            <span class="version-bar"><span style="width: ${(count / this.systemStats.totalDevices) * 100}%"></span></span>
+                            <span class="version-count">${count}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
         `;
     }
 
@@ -130,12 +182,24 @@ class AdminManager {
                 </div>
             </div>
             
+            <div class="bulk-actions ${this.selectedUsers.size ? '' : 'hidden'}">
+                <span><strong>${this.selectedUsers.size}</strong> selected</span>
+                <button onclick="adminManager.bulkUserAction('enable')" class="export-btn">▶️ Enable</button>
+                <button onclick="adminManager.bulkUserAction('disable')" class="export-btn">⏸️ Disable</button>
+                <button onclick="adminManager.bulkUserAction('reset')" class="export-btn">🔑 Reset Password</button>
+                <button onclick="adminManager.bulkUserAction('delete')" class="export-btn danger">🗑️ Delete</button>
+                <button onclick="adminManager.clearUserSelection()" class="export-btn">✖ Clear</button>
+            </div>
+            
             <div class="users-table-container">
                 <table class="users-table">
                     <thead>
                         <tr>
+                            <th><input type="checkbox" onchange="adminManager.selectAllUsers(this.checked)" title="Select all"></th>
                             <th>User</th>
                             <th>Role</th>
+                            <th>Status</th>
+                            <th>Devices</th>
                             <th>Created</th>
                             <th>Actions</th>
                         </tr>
@@ -143,15 +207,25 @@ class AdminManager {
                     <tbody>
         `;
         
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        
         userList.forEach(user => {
             const createdDate = user.created ? new Date(user.created).toLocaleDateString() : 'Unknown';
             const isCurrentUser = user.uid === this.auth.currentUser.uid;
+            const deviceCount = this.getUserDeviceIds(user).length;
             
             html += `
-                <tr class="user-row ${user.isAdmin ? 'admin-user' : ''}">
+                <tr class="user-row ${user.isAdmin ? 'admin-user' : ''} ${user.disabled ? 'disabled-user' : ''}">
+                    <td>
+                        ${!isCurrentUser ? `
+                            <input type="checkbox" ${this.selectedUsers.has(user.uid) ? 'checked' : ''}
+                                onchange="adminManager.toggleUserSelection('${user.uid}', this.checked)">
+                        ` : ''}
+                    </td>
                     <td>
                         <div class="user-info">
-                            <div class="user-email">${user.email}</div>
+                            ${user.display_name ? `<div class="user-name">${escape(user.display_name)}</div>` : ''}
+                            <div class="user-email">${escape(user.email)}</div>
                             <div class="user-uid">${user.uid}</div>
                         </div>
                     </td>
@@ -160,16 +234,33 @@ class AdminManager {
                             ${user.isAdmin ? '👑 Admin' : '👤 User'}
                         </span>
                     </td>
+                    <td>
+                        <span class="status-badge ${user.disabled ? 'disabled' : 'active'}">
+                            ${user.disabled ? '⏸️ Disabled' : '✅ Active'}
+                        </span>
+                        ${user.mfa_enabled ? '<span class="status-badge mfa" title="Two-factor authentication on">🔐 2FA</span>' : ''}
+                    </td>
+                    <td>${deviceCount}</td>
                     <td>${createdDate}</td>
                     <td>
-                        ${!isCurrentUser ? `
-                            <select onchange="adminManager.updateUserRole('${user.uid}', this.value)">
-                                <option value="user" ${!user.isAdmin ? 'selected' : ''}>User</option>
-                                <option value="admin" ${user.isAdmin ? 'selected' : ''}>Admin</option>
-                            </select>
-                        ` : `
-                            <span class="current-user">Current User</span>
-                        `}
+                        <div class="user-row-actions">
+                            ${!isCurrentUser ? `
+                                <select onchange="adminManager.updateUserRole('${user.uid}', this.value)">
+                                    <option value="user" ${!user.isAdmin ? 'selected' : ''}>User</option>
+                                    <option value="admin" ${user.isAdmin ? 'selected' : ''}>Admin</option>
+                                </select>
+                            ` : `
+                                <span class="current-user">Current User</span>
+                            `}
+                            <button onclick="adminManager.renameUser('${user.uid}')" title="Edit display name">✏️</button>
+                            <button onclick="adminManager.sendPasswordReset(['${user.uid}'])" title="Send password reset email">🔑</button>
+                            ${!isCurrentUser ? `
+                                <button onclick="adminManager.setUsersDisabled(['${user.uid}'], ${!user.disabled})"
+                                    title="${user.disabled ? 'Re-enable account' : 'Disable account'}">${user.disabled ? '▶️' : '⏸️'}</button>
+                                <button onclick="adminManager.showDeleteUsersModal(['${user.uid}'])" title="Delete user">🗑️</button>
+                                ${user.mfa_enabled ? `<button onclick="adminManager.resetMfa('${user.uid}')" title="Reset two-factor authentication">🔐</button>` : ''}
+                            ` : ''}
+                        </div>
                     </td>
                 </tr>
             `;
@@ -184,6 +275,255 @@ class AdminManager {
         userTableContainer.innerHTML = html;
     }
 
+    getUserDeviceIds(user) {
+        const email = (user.email || '').toLowerCase();
+        return Object.keys(this.dashboard.devicesData).filter(deviceId => {
+            const device = this.dashboard.devicesData[deviceId];
+            if (device.owner_uid) return device.owner_uid === user.uid;
+            return !!device.owner_email && device.owner_email.toLowerCase() === email;
+        });
+    }
+
+    toggleUserSelection(uid, selected) {
+        if (selected) {
+            this.selectedUsers.add(uid);
+        } else {
+            this.selectedUsers.delete(uid);
+        }
+        this.renderAdminPanel();
+    }
+
+    selectAllUsers(selected) {
+        this.selectedUsers.clear();
+        if (selected) {
+            Object.keys(this.users)
+                .filter(uid => uid !== this.auth.currentUser.uid)
+                .forEach(uid => this.selectedUsers.add(uid));
+        }
+        this.renderAdminPanel();
+    }
+
+    clearUserSelection() {
+        this.selectAllUsers(false);
+    }
+
+    async bulkUserAction(action) {
+        const uids = [...this.selectedUsers].filter(uid => this.users[uid]);
+        if (uids.length === 0) return;
+
+        switch (action) {
+            case 'enable':
+                await this.setUsersDisabled(uids, false);
+                break;
+            case 'disable':
+                await this.setUsersDisabled(uids, true);
+                break;
+            case 'reset':
+                await this.sendPasswordReset(uids);
+                break;
+            case 'delete':
+                this.showDeleteUsersModal(uids);
+                return;
+        }
+
+        this.selectedUsers.clear();
+        this.renderAdminPanel();
+    }
+
+    async setUsersDisabled(uids, disabled) {
+        const updates = {};
+        uids.forEach(uid => {
+            updates[`users/${uid}/disabled`] = disabled;
+            if (!this.users[uid].isAdmin || !disabled) return;
+            // Disabled accounts lose admin rights so they can't be used through the raw SDK
+            updates[`admins/${uid}`] = null;
+            updates[`users/${uid}/role`] = 'user';
+        });
+
+        try {
+            await this.database.ref().update(updates);
+            await Promise.all(uids.map(uid => this.auth.audit.record(disabled ? 'user.disable' : 'user.enable', uid, {
+                before: { disabled: !!this.users[uid].disabled },
+                after: { disabled: disabled }
+            })));
+
+            this.dashboard.showNotification(`${uids.length} account(s) ${disabled ? 'disabled' : 're-enabled'}`, 'success');
+            await this.loadSystemData();
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to update accounts: ${error.message}`, 'error');
+        }
+    }
+
+    async sendPasswordReset(uids) {
+        let sent = 0;
+        for (const uid of uids) {
+            const user = this.users[uid];
+            try {
+                await this.auth.sendPasswordReset(user.email);
+                await this.auth.audit.record('user.password_reset', uid, { after: { email: user.email } });
+                sent++;
+            } catch (error) {
+                this.dashboard.showNotification(`Password reset failed for ${user.email}: ${this.auth.getErrorMessage(error)}`, 'error');
+            }
+        }
+
+        if (sent) {
+            this.dashboard.showNotification(`Password reset email sent to ${sent} user(s)`, 'success');
+        }
+    }
+
+    // For users who lost their authenticator; admins are asked to enroll again at their next sign-in
+    async resetMfa(uid) {
+        const user = this.users[uid];
+        if (!confirm(`Reset two-factor authentication for ${user.email}? They can sign in with just their password until they enroll again.`)) return;
+
+        try {
+            await this.auth.backend.resetMfa(uid);
+            await this.auth.audit.record('user.mfa_reset', uid, {
+                before: { mfa_enabled: true },
+                after: { mfa_enabled: false }
+            });
+            this.dashboard.showNotification(`Two-factor authentication reset for ${user.email}`, 'success');
+            await this.loadSystemData();
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to reset two-factor authentication: ${error.message}`, 'error');
+        }
+    }
+
+    async renameUser(uid) {
+        const user = this.users[uid];
+        const displayName = prompt(`Display name for ${user.email}:`, user.display_name || '');
+        if (displayName === null) return;
+
+        try {
+            await this.database.ref(`users/${uid}/display_name`).set(displayName.trim() || null);
+            await this.auth.audit.record('user.rename', uid, {
+                before: user.display_name || null,
+                after: displayName.trim() || null
+            });
+            this.dashboard.showNotification('Display name updated', 'success');
+            await this.loadSystemData();
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to update display name: ${error.message}`, 'error');
+        }
+    }
+
+    showDeleteUsersModal(uids) {
+        const users = uids.map(uid => this.users[uid]).filter(Boolean);
+        const deviceIds = [].concat(...users.map(user => this.getUserDeviceIds(user)));
+        const candidates = Object.values(this.users).filter(user => !uids.includes(user.uid) && !user.disabled);
+        const escape = value => this.dashboard.escapeHtml(value || '');
+
+        const modal = document.createElement('div');
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <button class="close-btn">✖</button>
+                    <h2>🗑️ Delete ${users.length} User(s)</h2>
+                    <ul class="delete-user-list">
+                        ${users.map(user => `<li>${escape(user.email)}</li>`).join('')}
+                    </ul>
+                    
+                    ${deviceIds.length ? `
+                        <div class="form-group">
+                            <label>📱 They own ${deviceIds.length} device(s). What should happen to them?</label>
+                            <select class="device-disposition">
+                                <option value="">Release (unassign owner)</option>
+                                ${candidates.map(user => `
+                                    <option value="${escape(user.email)}">Reassign to ${escape(user.email)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    ` : ''}
+                    
+                    <div class="admin-warning">
+                        ⚠️ Their data and admin rights are removed and they can no longer sign in to the dashboard.
+                        The Firebase Authentication account itself must be removed from the Firebase Console.
+                    </div>
+                    
+                    <div class="form-actions">
+                        <button class="save-btn danger-btn">🗑️ Delete</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        modal.querySelector('.danger-btn').onclick = async () => {
+            const disposition = modal.querySelector('.device-disposition');
+            modal.remove();
+            await this.deleteUsers(uids, disposition ? disposition.value || null : null);
+        };
+        document.body.appendChild(modal);
+    }
+
+    async deleteUsers(uids, reassignTo) {
+        const updates = {};
+        const releasedDevices = [];
+        const revokedShares = [];
+        const newOwnerUid = reassignTo
+            ? Object.keys(this.users).find(uid => (this.users[uid].email || '').toLowerCase() === reassignTo.toLowerCase()) || null
+            : null;
+
+        uids.forEach(uid => {
+            const user = this.users[uid];
+            updates[`admins/${uid}`] = null;
+            updates[`users/${uid}`] = {
+                email: user.email,
+                deleted: true,
+                disabled: true,
+                deleted_at: this.auth.backend.serverTimestamp(),
+                deleted_by: this.auth.currentUser.uid
+            };
+
+            this.getUserDeviceIds(user).forEach(deviceId => {
+                updates[`devices/${deviceId}/owner_email`] = reassignTo;
+                updates[`devices/${deviceId}/owner_uid`] = newOwnerUid;
+                releasedDevices.push({ deviceId: deviceId, from: user.email });
+            });
+
+            // Shares are keyed by email, so an account registered later with the same address would inherit them
+            const emailKey = this.dashboard.sharing.getEmailKey(user.email);
+            updates[`invitations/${emailKey}`] = null;
+            Object.keys(this.dashboard.devicesData).forEach(deviceId => {
+                if (this.dashboard.sharing.getAclEntry(this.dashboard.devicesData[deviceId], user.email)) {
+                    updates[`devices/${deviceId}/acl/${emailKey}`] = null;
+                    revokedShares.push({ deviceId: deviceId, email: user.email });
+                }
+            });
+        });
+
+        try {
+            await this.database.ref().update(updates);
+
+            await Promise.all([
+                ...uids.map(uid => this.auth.audit.record('user.delete', uid, {
+                    before: { email: this.users[uid].email, role: this.users[uid].isAdmin ? 'admin' : 'user' },
+                    after: null
+                })),
+                ...releasedDevices.map(({ deviceId, from }) => this.auth.audit.record('device.reassign', deviceId, {
+                    targetType: 'device',
+                    before: { owner_email: from },
+                    after: { owner_email: reassignTo }
+                })),
+                ...revokedShares.map(({ deviceId, email }) => this.auth.audit.record('device.access_change', deviceId, {
+                    targetType: 'device',
+                    before: { email: email, status: 'active' },
+                    after: null
+                }))
+            ]);
+
+            uids.forEach(uid => this.selectedUsers.delete(uid));
+            this.dashboard.showNotification(
+                `Deleted ${uids.length} user(s); ${releasedDevices.length} device(s) ${reassignTo ? `reassigned to ${reassignTo}` : 'released'}`,
+                'success'
+            );
+            await this.loadSystemData();
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to delete users: ${error.message}`, 'error');
+        }
+    }
+
     async handleAddUser() {
         const email = document.getElementById('newUserEmail').value.trim();
         const password = document.getElementById('newUserPassword').value.trim();
@@ -216,6 +556,8 @@ class AdminManager {
     }
 
     async updateUserRole(uid, newRole) {
+        const previousRole = this.users[uid] && this.users[uid].isAdmin ? 'admin' : 'user';
+
         try {
             // Update user role
             await this.database.ref(`users/${uid}/role`).set(newRole);
@@ -233,6 +575,11 @@ class AdminManager {
                 await this.database.ref(`admins/${uid}`).remove();
             }
             
+            await this.auth.audit.record('user.role_change', uid, {
+                before: previousRole,
+                after: newRole
+            });
+            
             this.dashboard.showNotification(`User role updated to ${newRole}`, 'success');
             await this.loadSystemData();
             
@@ -243,8 +590,169 @@ class AdminManager {
 
     setupAdminListeners() {
         // Listen for real-time updates
-        this.database.ref('users').on('value', () => this.loadSystemData());
-        this.database.ref('devices').on('value', () => this.updateSystemStats());
+        this.listen('users', () => this.loadSystemData());
+        this.listen('settings/heartbeat', () => this.renderHeartbeatSettings());
+        this.listen('devices', () => {
+            this.updateSystemStats();
+            this.firmware.render();
+            this.fleet.render();
+        });
+        this.dashboard.heartbeat.onTransition(() => {
+            this.updateSystemStats();
+            this.fleet.render();
+        });
+    }
+
+    // Keeps the callback so detach() leaves the dashboard's own listeners on the same path alone
+    listen(path, callback) {
+        const ref = this.database.ref(path);
+        this.listeners.push({ ref: ref, callback: ref.on('value', callback) });
+    }
+
+    detach() {
+        this.listeners.forEach(({ ref, callback }) => ref.off('value', callback));
+        this.listeners = [];
+        this.firmware.detach();
+        this.fleet.detach();
+    }
+
+    async checkSecurityRules() {
+        const container = document.getElementById('securityRulesResults');
+        if (!container) return;
+
+        // Other backends enforce access in their own server (broker ACLs, account server)
+        if (this.auth.backend.name !== 'firebase') {
+            container.innerHTML = `<p class="history-empty">Security rules apply to the Firebase backend only; this dashboard uses ${this.dashboard.escapeHtml(this.auth.backend.name)}.</p>`;
+            return;
+        }
+
+        container.innerHTML = '<div class="loading-spinner"></div>';
+
+        const findings = await window.securityRules.checkDeployment(this.auth.config.databaseURL);
+        const exposed = findings.filter(finding => finding.level === 'error');
+
+        container.innerHTML = `
+            <ul class="rules-check-list">
+                ${findings.map(finding => `
+                    <li class="rules-check-item ${finding.level}">${this.dashboard.escapeHtml(finding.message)}</li>
+                `).join('')}
+            </ul>
+        `;
+
+        if (exposed.length) {
+            this.dashboard.showNotification(`Deployed security rules look too permissive: ${exposed.map(f => f.path).join(', ')}`, 'warning', { duration: 0 });
+        } else {
+            this.dashboard.showNotification('Deployed security rules reject anonymous access', 'success');
+        }
+    }
+
+    downloadSecurityRules() {
+        this.downloadFile(window.securityRules.toJSON(), 'database.rules.json', 'application/json');
+    }
+
+    async loadAuditLog() {
+        const from = document.getElementById('auditFrom');
+        const to = document.getElementById('auditTo');
+
+        try {
+            await this.auth.audit.prune();
+            const result = await this.auth.audit.query({
+                from: from && from.value ? new Date(from.value).getTime() : null,
+                // Include the whole end day
+                to: to && to.value ? new Date(to.value).getTime() + 86399999 : null
+            });
+            this.auditEntries = result.entries;
+            this.auditTruncated = result.truncated;
+            this.renderAuditLog();
+        } catch (error) {
+            console.error('❌ Failed to load audit log:', error);
+            this.dashboard.showNotification(`Failed to load audit log: ${error.message}`, 'error');
+        }
+    }
+
+    getFilteredAuditEntries() {
+        return this.auth.audit.filter(this.auditEntries || [], {
+            user: document.getElementById('auditUser').value,
+            device: document.getElementById('auditDevice').value,
+            action: document.getElementById('auditAction').value
+        });
+    }
+
+    renderAuditLog() {
+        const container = document.getElementById('auditLogTable');
+        if (!container) return;
+
+        const actionSelect = document.getElementById('auditAction');
+        if (actionSelect.options.length <= 1) {
+            for (const action in this.auth.audit.actions) {
+                actionSelect.add(new Option(this.auth.audit.actions[action], action));
+            }
+        }
+
+        const entries = this.getFilteredAuditEntries();
+        const escape = value => this.dashboard.escapeHtml(this.auth.audit.formatValue(value));
+        // Filters only see the entries that were loaded
+        const truncated = this.auditTruncated
+            ? `<p class="admin-warning">⚠️ Only the newest ${this.auditEntries.length.toLocaleString()} entries in this date range were loaded. Narrow the dates to search older ones.</p>`
+            : '';
+
+        if (entries.length === 0) {
+            container.innerHTML = `${truncated}<div class="history-empty">No audit entries match these filters.</div>`;
+            return;
+        }
+
+        container.innerHTML = `
+            ${truncated}
+            <div class="users-table-container">
+                <table class="users-table audit-table">
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>Actor</th>
+                            <th>Action</th>
+                            <th>Target</th>
+                            <th>Before</th>
+                            <th>After</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr>
+                                <td>${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : ''}</td>
+                                <td>${escape(entry.actor_email)}</td>
+                                <td>${this.auth.audit.actions[entry.action] || escape(entry.action)}</td>
+                                <td><code>${escape(entry.target)}</code></td>
+                                <td><code>${escape(entry.before)}</code></td>
+                                <td><code>${escape(entry.after)}</code></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    exportAuditLog(format) {
+        const entries = this.getFilteredAuditEntries();
+        const filename = `audit-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        if (format === 'json') {
+            this.downloadFile(JSON.stringify(entries, null, 2), filename, 'application/json');
+        } else {
+            const rows = entries.map(entry => ({
+                timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+                actor_uid: entry.actor_uid,
+                actor_email: entry.actor_email,
+                action: entry.action,
+                target_type: entry.target_type,
+                target: entry.target,
+                before: this.auth.audit.formatValue(entry.before),
+                after: this.auth.audit.formatValue(entry.after)
+            }));
+            this.downloadFile(this.convertToCSV(rows), filename, 'text/csv');
+        }
+
+        this.dashboard.showNotification(`Exported ${entries.length} audit entries`, 'success');
     }
 
     exportUsers() {
@@ -260,16 +768,59 @@ class AdminManager {
         this.dashboard.showNotification('Users exported successfully', 'success');
     }
 
-    convertToCSV(data) {
-        if (!data.length) return '';
-        
-        const headers = Object.keys(data[0]);
-        const csvContent = [
-            headers.join(','),
-            ...data.map(row => headers.map(header => `"${row[header] || ''}"`).join(','))
-        ].join('\n');
+    exportDevices() {
+        const devices = this.dashboard.devicesData;
+        const deviceData = Object.keys(devices).map(deviceId => {
+            const device = devices[deviceId];
+            const sharedWith = Object.values(device.acl || {})
+                .filter(entry => entry.status === 'accepted')
+                .map(entry => `${entry.email} (${entry.role})`);
+
+            return {
+                id: deviceId,
+                name: device.name || '',
+                location: device.location || '',
+                owner_email: device.owner_email || '',
+                owner_uid: device.owner_uid || '',
+                status: this.dashboard.heartbeat.getState(deviceId),
+                last_seen: device.data && device.data.timestamp ? new Date(device.data.timestamp * 1000).toISOString() : null,
+                relays: this.dashboard.getRelayChannels(device.data || {}).length,
+                shared_with: sharedWith.join('; ')
+            };
+        });
+
+        const csv = this.convertToCSV(deviceData);
+        this.downloadFile(csv, 'devices-export.csv', 'text/csv');
         
-        return csvContent;
+        this.dashboard.showNotification(`Exported ${deviceData.length} devices`, 'success');
+    }
+
+    async handleRestoreFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        await this.backup.loadArchive(file);
+        input.value = '';
+    }
+
+    convertToCSV(data) {
+        return window.csvCodec.stringify(data);
+    }
+
+    async handleImportFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        try {
+            await this.importer.loadFile(file);
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    async runImport() {
+        const dryRun = document.getElementById('importDryRun').checked;
+        await this.importer.run(dryRun);
     }
 
     downloadFile(content, filename, contentType) {
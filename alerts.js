@@ -0,0 +1,610 @@
+// alerts.js - Alert Subscriptions & Notification Channels
+//
+// alerts/{uid}/subscriptions/{id} = { type: 'offline' | 'sensor' | 'relay', deviceId ('*' for all), field, min, max,
+//                                     channels: { browser, webhook }, enabled }
+// alerts/{uid}/settings = { quiet_hours: { enabled, start, end }, webhook: { url, secret, enabled } }
+// alerts/{uid}/sent/{key} = time the alert was first delivered, so several open dashboards send a webhook once
+//
+// Alerts are worked out from the live device stream, so they are only raised while a dashboard is open.
+// Within one browser only the leading tab (see tab-leader.js) delivers them; the others just show the toast.
+class AlertManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.subscriptions = {};
+        this.settings = {};
+        this.alertsRef = null;
+        this.previous = {}; // deviceId -> { timestamp, relays }
+        this.sensorStates = {}; // 'subId:deviceId' -> 'in' | 'out'
+        this.ownCommands = {}; // Command key -> when this dashboard last sent it
+        this.issuers = {}; // Command key -> email of the last other user seen commanding it
+        this.ownCommandWindow = 30000; // A relay change this soon after our own command is ours
+        this.sentRetention = 86400000;
+        this.webhookTimeout = 5000;
+        this.channels = {};
+        this.types = {
+            offline: { label: '🔴 Device goes offline', summary: 'goes offline', event: 'device.offline' },
+            sensor: { label: '🌡️ Sensor out of range', summary: 'sensor out of range', event: 'sensor.out_of_range' },
+            relay: { label: '🔌 Relay switched by someone else', summary: 'relay switched by someone else', event: 'relay.changed' }
+        };
+
+        this.registerChannel('browser', {
+            label: '🖥️ Browser notification',
+            quietHours: true, // Silenced during quiet hours
+            once: false, // Every open browser shows it (one tab each); the notification tag collapses repeats
+            send: alert => this.sendBrowserNotification(alert)
+        });
+        this.registerChannel('webhook', {
+            label: '🌐 Webhook',
+            quietHours: false, // Still sent, flagged with quiet_hours so the receiver can decide
+            once: true,
+            send: alert => this.sendWebhook(alert)
+        });
+    }
+
+    get auth() {
+        return this.dashboard.auth;
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    // Channels receive { key, type, event, title, message, deviceId, deviceName, value, timestamp, quiet }
+    registerChannel(name, channel) {
+        this.channels[name] = channel;
+    }
+
+    initialize() {
+        if (this.alertsRef) this.alertsRef.off();
+
+        this.alertsRef = this.database.ref(`alerts/${this.auth.currentUser.uid}`);
+        this.alertsRef.child('subscriptions').on('value', (snapshot) => {
+            this.subscriptions = snapshot.val() || {};
+            this.renderSubscriptionList();
+        }, (error) => {
+            console.warn('Failed to load alert subscriptions:', error);
+        });
+        this.alertsRef.child('settings').on('value', (snapshot) => {
+            this.settings = snapshot.val() || {};
+        });
+
+        this.pruneSent();
+    }
+
+    detach() {
+        if (!this.alertsRef) return;
+        this.alertsRef.child('subscriptions').off();
+        this.alertsRef.child('settings').off();
+        this.alertsRef = null;
+    }
+
+    async pruneSent() {
+        try {
+            const snapshot = await this.alertsRef.child('sent').once('value');
+            const cutoff = Date.now() - this.sentRetention;
+            const updates = {};
+            snapshot.forEach(child => {
+                if (child.val() < cutoff) updates[child.key] = null;
+            });
+            if (Object.keys(updates).length) {
+                await this.alertsRef.child('sent').update(updates);
+            }
+        } catch (error) {
+            console.warn('Failed to prune sent alerts:', error);
+        }
+    }
+
+    // Called by DashboardManager.sendCommand for every command this dashboard issues
+    noteOwnCommand(deviceId, type, channel) {
+        this.ownCommands[this.dashboard.getCommandKey(deviceId, type, channel)] = Date.now();
+    }
+
+    getSubscriptions(type, deviceId) {
+        return Object.keys(this.subscriptions)
+            .map(id => ({ id: id, ...this.subscriptions[id] }))
+            .filter(sub => sub.enabled !== false && sub.type === type && (sub.deviceId === '*' || sub.deviceId === deviceId));
+    }
+
+    // Called with the same device set the dashboard renders, for every live (non-cached) update
+    evaluate(devices) {
+        const previous = this.previous;
+        this.previous = {};
+
+        for (const deviceId in devices) {
+            const device = devices[deviceId];
+            const data = device.data || {};
+            const relays = this.dashboard.getRelayChannels(data, device.config);
+            this.previous[deviceId] = { timestamp: data.timestamp, relays: relays.map(relay => relay.state) };
+            this.rememberIssuers(deviceId, device);
+
+            // The first sighting only sets the baseline
+            const before = previous[deviceId];
+            if (!before) {
+                this.getSubscriptions('sensor', deviceId).forEach(sub => this.checkSensor(sub, deviceId, device, true));
+                continue;
+            }
+            if (before.timestamp === data.timestamp) continue;
+
+            relays.forEach(relay => {
+                const was = before.relays[relay.index];
+                if (was !== undefined && was !== relay.state) {
+                    this.handleRelayChange(deviceId, device, relay);
+                }
+            });
+            this.getSubscriptions('sensor', deviceId).forEach(sub => this.checkSensor(sub, deviceId, device, false));
+        }
+    }
+
+    rememberIssuers(deviceId, device) {
+        const commands = device.commands || {};
+        for (const commandId in commands) {
+            const command = commands[commandId];
+            if (!command || !command.issuedBy) continue;
+
+            // Our own commands from another tab or device count as ours too
+            const key = this.dashboard.getCommandKey(deviceId, command.type, Number(command.channel));
+            if (command.issuedBy === this.auth.currentUser.uid) {
+                this.ownCommands[key] = Date.now();
+            } else {
+                this.issuers[key] = command.issuedByEmail || 'another user';
+            }
+        }
+    }
+
+    handleRelayChange(deviceId, device, relay) {
+        const key = this.dashboard.getCommandKey(deviceId, 'relay', relay.index);
+        if (Date.now() - (this.ownCommands[key] || 0) < this.ownCommandWindow) return;
+
+        const issuer = this.issuers[key];
+        delete this.issuers[key];
+
+        this.getSubscriptions('relay', deviceId).forEach(sub => {
+            this.dispatch(sub, deviceId, device, {
+                title: `${device.name || deviceId}: ${relay.name} ${relay.state ? 'ON' : 'OFF'}`,
+                message: `${relay.name} on ${device.name || deviceId} was switched ${relay.state ? 'ON' : 'OFF'} ${issuer ? `by ${issuer}` : 'by someone else'}`,
+                value: relay.state
+            });
+        });
+    }
+
+    checkSensor(sub, deviceId, device, baseline) {
+        const value = (device.data || {})[sub.field];
+        if (typeof value !== 'number') return;
+
+        const stateKey = `${sub.id}:${deviceId}`;
+        const outside = (sub.min !== undefined && value < sub.min) || (sub.max !== undefined && value > sub.max);
+        const was = this.sensorStates[stateKey];
+        this.sensorStates[stateKey] = outside ? 'out' : 'in';
+
+        if (!outside || baseline || was === 'out') return;
+
+        const range = [sub.min !== undefined ? `min ${sub.min}` : null, sub.max !== undefined ? `max ${sub.max}` : null].filter(Boolean).join(', ');
+        this.dispatch(sub, deviceId, device, {
+            title: `${device.name || deviceId}: ${sub.field} out of range`,
+            message: `${sub.field} on ${device.name || deviceId} is ${value} (${range})`,
+            value: value
+        });
+    }
+
+    handleTransitions(transitions) {
+        if (this.dashboard.offline.isOffline()) return;
+
+        transitions.forEach(({ deviceId, from, to, device }) => {
+            if (from === null || to !== 'offline' || !this.dashboard.userDevices[deviceId]) return;
+
+            // The dashboard already shows its own "went offline" toast
+            this.getSubscriptions('offline', deviceId).forEach(sub => {
+                this.dispatch(sub, deviceId, device, {
+                    title: `${device.name || deviceId} is offline`,
+                    message: `${device.name || deviceId} stopped reporting`,
+                    value: null
+                }, { toast: false });
+            });
+        });
+    }
+
+    parseTime(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    }
+
+    isQuietTime(date = new Date()) {
+        const quiet = this.settings.quiet_hours;
+        if (!quiet || !quiet.enabled) return false;
+
+        const start = this.parseTime(quiet.start);
+        const end = this.parseTime(quiet.end);
+        if (start === null || end === null || start === end) return false;
+
+        const minute = date.getHours() * 60 + date.getMinutes();
+        return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+    }
+
+    async dispatch(sub, deviceId, device, details, { toast = true } = {}) {
+        const timestamp = (device.data && device.data.timestamp) || Math.floor(Date.now() / 1000);
+        const alert = {
+            key: `${sub.id}_${deviceId}_${timestamp}`,
+            type: sub.type,
+            event: this.types[sub.type].event,
+            deviceId: deviceId,
+            deviceName: device.name || deviceId,
+            timestamp: timestamp,
+            quiet: this.isQuietTime(),
+            ...details
+        };
+
+        if (toast) {
+            this.dashboard.showNotification(alert.message, 'warning');
+        }
+        if (!this.dashboard.leader.isLeader) return;
+
+        for (const name in sub.channels || {}) {
+            const channel = this.channels[name];
+            if (!sub.channels[name] || !channel) continue;
+            if (alert.quiet && channel.quietHours) continue;
+
+            try {
+                if (channel.once && !(await this.claim(`${name}_${alert.key}`))) continue;
+                await channel.send(alert);
+            } catch (error) {
+                console.warn(`Alert channel ${name} failed:`, error);
+                this.dashboard.showNotification(`Alert via ${name} failed: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    // Only the first dashboard to claim an alert delivers it
+    async claim(key) {
+        const result = await this.alertsRef.child(`sent/${key}`).transaction(current => current ? undefined : Date.now());
+        return result.committed;
+    }
+
+    async requestBrowserPermission() {
+        if (!('Notification' in window)) {
+            throw new Error('This browser does not support notifications');
+        }
+        return Notification.requestPermission();
+    }
+
+    async sendBrowserNotification(alert) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const options = { body: alert.message, tag: alert.key, icon: 'icon.svg', data: { deviceId: alert.deviceId } };
+
+        // Through the service worker where possible, which also works while the tab is in the background on mobile
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+            await registration.showNotification(alert.title, options);
+        } else {
+            new Notification(alert.title, options);
+        }
+    }
+
+    getWebhookPayload(alert) {
+        return {
+            event: alert.event,
+            title: alert.title,
+            message: alert.message,
+            device_id: alert.deviceId,
+            device_name: alert.deviceName,
+            value: alert.value,
+            timestamp: new Date(alert.timestamp * 1000).toISOString(),
+            quiet_hours: alert.quiet,
+            user: this.auth.currentUser.email
+        };
+    }
+
+    async sign(secret, body) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+        return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async sendWebhook(alert, webhook = this.settings.webhook) {
+        if (!webhook || !webhook.enabled || !webhook.url) return;
+
+        const body = JSON.stringify(this.getWebhookPayload(alert));
+        const headers = { 'Content-Type': 'application/json' };
+        if (webhook.secret) {
+            headers['X-Signature-256'] = `sha256=${await this.sign(webhook.secret, body)}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.webhookTimeout);
+        try {
+            const response = await fetch(webhook.url, { method: 'POST', headers: headers, body: body, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Webhook answered HTTP ${response.status}`);
+            }
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? 'Webhook timed out' : error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async saveSettings(settings) {
+        const webhook = settings.webhook;
+        if (webhook.enabled && !/^https?:\/\//.test(webhook.url)) {
+            throw new Error('Webhook URL must start with http:// or https://');
+        }
+        await this.alertsRef.child('settings').set(settings);
+    }
+
+    async saveSubscription(subscription) {
+        if (subscription.type === 'sensor' && subscription.min === undefined && subscription.max === undefined) {
+            throw new Error('Set a minimum, a maximum or both');
+        }
+        if (subscription.min !== undefined && subscription.max !== undefined && subscription.min >= subscription.max) {
+            throw new Error('Minimum must be below maximum');
+        }
+        await this.alertsRef.child('subscriptions').push({ ...subscription, enabled: true });
+    }
+
+    async setSubscriptionEnabled(subId, enabled) {
+        await this.alertsRef.child(`subscriptions/${subId}/enabled`).set(enabled);
+    }
+
+    async deleteSubscription(subId) {
+        await this.alertsRef.child(`subscriptions/${subId}`).remove();
+    }
+
+    describeSubscription(sub) {
+        const device = sub.deviceId === '*'
+            ? 'any device'
+            : (this.dashboard.userDevices[sub.deviceId] && this.dashboard.userDevices[sub.deviceId].name) || sub.deviceId;
+        const channels = Object.keys(sub.channels || {}).filter(name => sub.channels[name] && this.channels[name])
+            .map(name => this.channels[name].label).join(', ') || 'in-app only';
+
+        const what = sub.type === 'sensor'
+            ? `${sub.field} on ${device} outside ${sub.min !== undefined ? sub.min : '−∞'} … ${sub.max !== undefined ? sub.max : '∞'}`
+            : `${device} ${this.types[sub.type].summary}`;
+        return `${what} → ${channels}`;
+    }
+
+    getPermissionLabel() {
+        if (!('Notification' in window)) return 'Not supported by this browser';
+        return { granted: '✅ Allowed', denied: '🚫 Blocked in browser settings', default: 'Not yet allowed' }[Notification.permission];
+    }
+
+    readSettingsForm(form) {
+        return {
+            quiet_hours: {
+                enabled: form.quiet_enabled.checked,
+                start: form.quiet_start.value,
+                end: form.quiet_end.value
+            },
+            webhook: {
+                enabled: form.webhook_enabled.checked,
+                url: form.webhook_url.value.trim(),
+                secret: form.webhook_secret.value || null
+            }
+        };
+    }
+
+    showAlertsModal() {
+        let modal = document.getElementById('alertsModal');
+        if (modal) modal.remove();
+
+        const escape = value => this.dashboard.escapeHtml(value === undefined || value === null ? '' : value);
+        const quiet = this.settings.quiet_hours || {};
+        const webhook = this.settings.webhook || {};
+        const deviceOptions = Object.keys(this.dashboard.userDevices).map(id => `
+            <option value="${escape(id)}">${escape(this.dashboard.userDevices[id].name || id)}</option>
+        `).join('');
+
+        modal = document.createElement('div');
+        modal.id = 'alertsModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content alerts-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>🚨 Alerts</h2>
+                    <p class="rule-meta">Alerts are raised while at least one of your dashboards is open.</p>
+
+                    <div id="alertSubscriptionList" class="rules-list"></div>
+
+                    <h3>➕ New Alert</h3>
+                    <form class="subscription-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>When:</label>
+                                <select name="type">
+                                    ${Object.keys(this.types).map(type => `<option value="${type}">${this.types[type].label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Device:</label>
+                                <select name="deviceId">
+                                    <option value="*">All devices</option>
+                                    ${deviceOptions}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-row hidden" data-type="sensor">
+                            <div class="form-group">
+                                <label>Sensor:</label>
+                                <select name="field">
+                                    <option value="temperature">Temperature</option>
+                                    <option value="humidity">Humidity</option>
+                                    <option value="light">Light</option>
+                                    <option value="pressure">Pressure</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Minimum:</label>
+                                <input type="number" name="min" step="any">
+                            </div>
+                            <div class="form-group">
+                                <label>Maximum:</label>
+                                <input type="number" name="max" step="any">
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            ${Object.keys(this.channels).map(name => `
+                                <label class="rollout-device">
+                                    <input type="checkbox" name="channel_${name}" ${name === 'browser' ? 'checked' : ''}>
+                                    ${this.channels[name].label}
+                                </label>
+                            `).join('')}
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="save-btn">💾 Add Alert</button>
+                        </div>
+                    </form>
+
+                    <h3>⚙️ Delivery</h3>
+                    <form class="alert-settings-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Browser notifications:</label>
+                                <span class="rule-meta permission-status">${this.getPermissionLabel()}</span>
+                            </div>
+                            <div class="form-group">
+                                <button type="button" class="device-action-btn permission-btn">🔔 Allow notifications</button>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <label class="rollout-device">
+                                <input type="checkbox" name="quiet_enabled" ${quiet.enabled ? 'checked' : ''}>
+                                🌙 Quiet hours (no browser notifications)
+                            </label>
+                            <div class="form-group">
+                                <label>From:</label>
+                                <input type="time" name="quiet_start" value="${escape(quiet.start || '22:00')}">
+                            </div>
+                            <div class="form-group">
+                                <label>To:</label>
+                                <input type="time" name="quiet_end" value="${escape(quiet.end || '07:00')}">
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <label class="rollout-device">
+                                <input type="checkbox" name="webhook_enabled" ${webhook.enabled ? 'checked' : ''}>
+                                🌐 Webhook
+                            </label>
+                            <div class="form-group">
+                                <label>URL:</label>
+                                <input type="url" name="webhook_url" placeholder="https://example.com/hooks/home" value="${escape(webhook.url)}">
+                            </div>
+                            <div class="form-group">
+                                <label>Signing secret (optional):</label>
+                                <input type="password" name="webhook_secret" autocomplete="off" value="${escape(webhook.secret)}">
+                            </div>
+                        </div>
+                        <p class="rule-meta">The webhook receives a JSON POST. It must allow CORS from this site. With a secret, the body's HMAC-SHA256 is sent in <code>X-Signature-256</code>.</p>
+                        <div class="form-actions">
+                            <button type="button" class="device-action-btn test-webhook-btn">🧪 Send test</button>
+                            <button type="submit" class="save-btn">💾 Save Delivery Settings</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const subscriptionForm = modal.querySelector('.subscription-form');
+        const toggleSensor = () => {
+            modal.querySelector('[data-type="sensor"]').classList.toggle('hidden', subscriptionForm.type.value !== 'sensor');
+        };
+        subscriptionForm.type.onchange = toggleSensor;
+        subscriptionForm.onsubmit = async (e) => {
+            e.preventDefault();
+            const number = input => input.value === '' ? undefined : Number(input.value);
+            const channels = {};
+            Object.keys(this.channels).forEach(name => {
+                channels[name] = subscriptionForm[`channel_${name}`].checked;
+            });
+            const subscription = { type: subscriptionForm.type.value, deviceId: subscriptionForm.deviceId.value, channels: channels };
+            if (subscription.type === 'sensor') {
+                subscription.field = subscriptionForm.field.value;
+                if (number(subscriptionForm.min) !== undefined) subscription.min = number(subscriptionForm.min);
+                if (number(subscriptionForm.max) !== undefined) subscription.max = number(subscriptionForm.max);
+            }
+
+            try {
+                await this.saveSubscription(subscription);
+                subscriptionForm.reset();
+                toggleSensor();
+                this.dashboard.showNotification('Alert added', 'success');
+            } catch (error) {
+                this.dashboard.showNotification(`Failed to add alert: ${error.message}`, 'error');
+            }
+        };
+
+        const settingsForm = modal.querySelector('.alert-settings-form');
+        modal.querySelector('.permission-btn').onclick = async () => {
+            try {
+                await this.requestBrowserPermission();
+            } catch (error) {
+                this.dashboard.showNotification(error.message, 'error');
+            }
+            modal.querySelector('.permission-status').textContent = this.getPermissionLabel();
+        };
+        modal.querySelector('.test-webhook-btn').onclick = async () => {
+            const settings = this.readSettingsForm(settingsForm);
+            try {
+                await this.sendWebhook({
+                    key: 'test',
+                    event: 'test',
+                    title: 'Test alert',
+                    message: 'This is a test alert from the ESP32 dashboard',
+                    deviceId: null,
+                    deviceName: null,
+                    value: null,
+                    timestamp: Math.floor(Date.now() / 1000),
+                    quiet: this.isQuietTime()
+                }, { ...settings.webhook, enabled: true });
+                this.dashboard.showNotification('Test webhook delivered', 'success');
+            } catch (error) {
+                this.dashboard.showNotification(`Test webhook failed: ${error.message}`, 'error');
+            }
+        };
+        settingsForm.onsubmit = async (e) => {
+            e.preventDefault();
+            try {
+                await this.saveSettings(this.readSettingsForm(settingsForm));
+                this.dashboard.showNotification('Alert delivery settings saved', 'success');
+            } catch (error) {
+                this.dashboard.showNotification(`Failed to save settings: ${error.message}`, 'error');
+            }
+        };
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        document.body.appendChild(modal);
+        toggleSensor();
+        this.renderSubscriptionList();
+    }
+
+    renderSubscriptionList() {
+        const list = document.getElementById('alertSubscriptionList');
+        if (!list) return;
+
+        const subIds = Object.keys(this.subscriptions);
+        if (subIds.length === 0) {
+            list.innerHTML = '<div class="history-empty">No alerts yet.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        subIds.forEach(subId => {
+            const sub = { id: subId, ...this.subscriptions[subId] };
+            const enabled = sub.enabled !== false;
+            const row = document.createElement('div');
+            row.className = `rule-item ${enabled ? '' : 'disabled'}`;
+            row.innerHTML = `
+                <div class="rule-summary">
+                    <strong>${this.types[sub.type] ? this.types[sub.type].label : this.dashboard.escapeHtml(sub.type)}</strong>
+                    <div class="rule-meta">${this.dashboard.escapeHtml(this.describeSubscription(sub))}</div>
+                </div>
+                <div class="rule-actions">
+                    <button class="device-action-btn" data-action="toggle">${enabled ? '⏸️ Pause' : '▶️ Resume'}</button>
+                    <button class="device-action-btn" data-action="delete">🗑️</button>
+                </div>
+            `;
+            row.querySelector('[data-action="toggle"]').onclick = () => this.setSubscriptionEnabled(subId, !enabled);
+            row.querySelector('[data-action="delete"]').onclick = () => this.deleteSubscription(subId);
+            list.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,140 @@
+// audit.js - Append-only Audit Log
+class AuditLogger {
+    constructor(authManager) {
+        this.auth = authManager;
+        this.actions = {
+            'user.create': '➕ User created',
+            'user.role_change': '👑 Role changed',
+            'user.disable': '⏸️ User disabled',
+            'user.enable': '▶️ User re-enabled',
+            'user.delete': '🗑️ User deleted',
+            'user.rename': '✏️ Display name changed',
+            'user.password_reset': '🔑 Password reset sent',
+            'user.mfa_enroll': '🔐 Two-factor enabled',
+            'user.mfa_disable': '🔓 Two-factor disabled',
+            'user.mfa_reset': '🔓 Two-factor reset',
+            'device.reassign': '🔁 Device reassigned',
+            'device.claim': '➕ Device claimed',
+            'device.config': '✏️ Device configured',
+            'firmware.publish': '📦 Firmware published',
+            'firmware.rollout': '🚀 Firmware rollout',
+            'firmware.cancel': '⛔ Firmware rollout cancelled',
+            'system.backup': '📦 Backup created',
+            'system.restore': '♻️ Backup restored',
+            'system.heartbeat': '⏱️ Heartbeat thresholds changed',
+            'device.command': '🎛️ Device command',
+            'device.restart': '🔄 Device restarted',
+            'device.delete': '🗑️ Device deleted',
+            'device.share': '👥 Device shared',
+            'device.access_change': '🔑 Device access changed'
+        };
+        // Entries older than this are removed when an admin opens the log. Keep in step with
+        // SecurityRulesGenerator.auditRetention, which allows only these removals.
+        this.retention = 365 * 86400000;
+        this.pruned = false;
+    }
+
+    get database() {
+        return this.auth.database;
+    }
+
+    async record(action, target, details = {}) {
+        const user = this.auth.currentUser;
+        if (!user || !this.database) return;
+
+        const entry = {
+            actor_uid: user.uid,
+            actor_email: user.email,
+            action: action,
+            target_type: details.targetType || action.split('.')[0],
+            target: target,
+            before: details.before !== undefined ? details.before : null,
+            after: details.after !== undefined ? details.after : null,
+            timestamp: this.auth.backend.serverTimestamp()
+        };
+
+        try {
+            await this.database.ref('audit').push(entry);
+        } catch (error) {
+            // Auditing must never block the action being audited
+            console.error('❌ Failed to write audit entry:', error, entry);
+        }
+    }
+
+    // Removes entries past retention, a page at a time. Allows a day of slack for this browser's clock,
+    // since the rules compare against the server's.
+    async prune(pageSize = 500) {
+        if (this.pruned) return;
+        this.pruned = true;
+
+        const cutoff = Date.now() - this.retention - 86400000;
+        try {
+            let removed;
+            do {
+                const snapshot = await this.database.ref('audit').orderByChild('timestamp')
+                    .endAt(cutoff)
+                    .limitToFirst(pageSize)
+                    .once('value');
+                const updates = {};
+                snapshot.forEach(child => {
+                    updates[child.key] = null;
+                });
+                removed = Object.keys(updates).length;
+                if (removed) await this.database.ref('audit').update(updates);
+            } while (removed === pageSize);
+        } catch (error) {
+            console.warn('Failed to prune the audit log:', error);
+        }
+    }
+
+    // Pages backwards from the newest entry in the range, so filters see all of it up to maxEntries.
+    // Resolves with { entries (newest first), truncated }.
+    async query({ from, to, pageSize = 500, maxEntries = 10000 } = {}) {
+        const entries = [];
+        const seen = new Set();
+        let end = to || null;
+
+        while (entries.length < maxEntries) {
+            let query = this.database.ref('audit').orderByChild('timestamp');
+            if (from) query = query.startAt(from);
+            if (end) query = query.endAt(end);
+
+            const snapshot = await query.limitToLast(pageSize).once('value');
+            const page = [];
+            snapshot.forEach(child => {
+                // Entries sharing the boundary timestamp come back on the next page as well
+                if (!seen.has(child.key)) page.push({ id: child.key, ...child.val() });
+            });
+            page.reverse().forEach(entry => {
+                seen.add(entry.id);
+                entries.push(entry);
+            });
+
+            if (snapshot.numChildren() < pageSize) {
+                return { entries: entries, truncated: false };
+            }
+            // A full page of one timestamp can't be paged past
+            if (page.length === 0) break;
+            end = page[page.length - 1].timestamp;
+        }
+
+        return { entries: entries.slice(0, maxEntries), truncated: true };
+    }
+
+    filter(entries, { user, device, action } = {}) {
+        const userTerm = (user || '').trim().toLowerCase();
+        const deviceTerm = (device || '').trim().toLowerCase();
+
+        return entries.filter(entry => {
+            if (action && entry.action !== action) return false;
+            if (userTerm && !`${entry.actor_email} ${entry.actor_uid}`.toLowerCase().includes(userTerm)) return false;
+            if (deviceTerm && (entry.target_type !== 'device' || !String(entry.target).toLowerCase().includes(deviceTerm))) return false;
+            return true;
+        });
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
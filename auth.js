@@ -1,13 +1,21 @@
 // auth.js - Authentication Management
 class AuthManager {
-    constructor(config) {
+    // backend is the site's already initialized Backend; without one, initialize() connects its own
+    constructor(config, backend = null, siteId = 'default') {
         this.config = config;
-        this.auth = null;
+        this.siteId = siteId;
+        this.backend = backend;
         this.database = null;
+        this.stopAuthListener = null;
         this.currentUser = null;
         this.userRole = 'user';
         this.isAdmin = false;
         this.authStateCallbacks = [];
+        this.audit = new AuditLogger(this);
+        this.guard = new LoginGuard(this);
+        this.mfa = new MfaManager(this);
+        this.signInError = null;
+        this.interactiveSignIn = false;
     }
 
     async initialize() {
@@ -16,53 +24,101 @@ class AuthManager {
         }
 
         try {
-            // Initialize Firebase
-            firebase.initializeApp(this.config);
-            this.auth = firebase.auth();
-            this.database = firebase.database();
-
-            // Set authentication persistence
-            await this.auth.setPersistence(firebase.auth.Auth.Persistence.LOCAL);
+            // Connect the configured backend (Firebase unless config.backend says otherwise)
+            if (!this.backend) {
+                this.backend = Backend.create(this.config, this.siteId);
+                await this.backend.initialize();
+            }
+            this.database = this.backend.database;
 
             // Set up auth state listener
-            this.auth.onAuthStateChanged(async (user) => {
+            this.stopAuthListener = this.backend.onAuthStateChanged(async (user) => {
                 if (user) {
                     await this.handleUserSignIn(user);
                 } else {
                     this.handleUserSignOut();
                 }
                 
-                // Call registered callbacks
-                this.authStateCallbacks.forEach(callback => callback(user));
+                // Call registered callbacks (currentUser stays null if the sign-in was rejected)
+                this.authStateCallbacks.forEach(callback => callback(this.currentUser));
             });
 
-            console.log('✅ Authentication system initialized');
+            console.log(`✅ Authentication system initialized (${this.backend.name})`);
         } catch (error) {
             console.error('❌ Failed to initialize authentication:', error);
             throw error;
         }
     }
 
+    // Stops following the backend's session when another site is selected; the session itself stays
+    detach() {
+        if (this.stopAuthListener) {
+            this.stopAuthListener();
+            this.stopAuthListener = null;
+        }
+        this.authStateCallbacks = [];
+    }
+
     async handleUserSignIn(user) {
         try {
             this.currentUser = user;
             
             // Check if user is admin
-            const adminRef = this.database.ref(`admins/${user.uid}`);
-            const adminSnapshot = await adminRef.once('value');
-            this.isAdmin = adminSnapshot.exists();
+            // Disabled or deleted accounts are signed straight back out
+            const access = await this.loadAccess(user);
+            if (access.profile.disabled || access.profile.deleted) {
+                this.currentUser = null;
+                this.signInError = 'This account has been disabled. Please contact your administrator.';
+                await this.signOut();
+                return;
+            }
+
+            // Second factor before anything else is shown
+            const passed = await this.mfa.challenge(user, access);
+            if (!passed) {
+                this.currentUser = null;
+                this.interactiveSignIn = false;
+                await this.signOut();
+                return;
+            }
+
+            // Restored sessions aren't new sign-ins
+            if (this.interactiveSignIn) {
+                this.interactiveSignIn = false;
+                this.guard.recordSignIn(user, this.mfa.isEnrolled(access) ? 'totp' : 'password');
+            }
+            
+            this.isAdmin = access.isAdmin;
             this.userRole = this.isAdmin ? 'admin' : 'user';
             
             this.showDashboard();
             console.log(`✅ User signed in: ${user.email} (${this.userRole})`);
         } catch (error) {
+            // Fail closed: without the disabled check and second factor nobody gets in
             console.error('❌ Error during sign in:', error);
+            this.currentUser = null;
             this.userRole = 'user';
             this.isAdmin = false;
-            this.showDashboard();
+            this.interactiveSignIn = false;
+            this.signInError = 'Sign-in could not be completed. Please check your connection and try again.';
+            await this.signOut();
+            // The backend may not confirm the sign-out while it is unreachable
+            this.showLogin();
         }
     }
 
+    // Reads never resolve while disconnected, so an offline launch falls back to the last known profile
+    async loadAccess(user) {
+        if (!navigator.onLine) {
+            const cached = await window.offlineStore.get('profiles', user.uid);
+            if (cached) return cached;
+        }
+
+        const access = await this.backend.getUserAccess(user.uid);
+        await window.offlineStore.put('profiles', user.uid, access);
+        return access;
+    }
+
     handleUserSignOut() {
         this.currentUser = null;
         this.userRole = 'user';
@@ -72,34 +128,47 @@ class AuthManager {
     }
 
     async signIn(email, password) {
+        if (this.guard.getRemainingLockout('password') > 0) {
+            return { success: false, locked: true };
+        }
+
         try {
-            const userCredential = await this.auth.signInWithEmailAndPassword(email, password);
-            return { success: true, user: userCredential.user };
+            this.interactiveSignIn = true;
+            const user = await this.backend.signIn(email, password);
+            this.guard.reset('password');
+            return { success: true, user: user };
         } catch (error) {
             console.error('❌ Sign in failed:', error);
-            return { success: false, error: this.getErrorMessage(error) };
+            this.interactiveSignIn = false;
+            const locked = this.guard.recordFailure('password') > 0;
+            return { success: false, error: this.getSignInErrorMessage(error), locked: locked };
         }
     }
 
     async signOut() {
         try {
-            await this.auth.signOut();
+            if (window.app && window.app.dashboard) {
+                window.app.dashboard.lan.disconnectAll();
+            }
+            await window.offlineStore.clear();
+            await this.backend.signOut();
         } catch (error) {
             console.error('❌ Sign out failed:', error);
         }
     }
 
-    async createUser(email, password, role = 'user') {
+    async createUser(email, password, role = 'user', profile = {}) {
         if (!this.isAdmin) {
             throw new Error('Admin access required');
         }
 
         try {
-            const userCredential = await this.auth.createUserWithEmailAndPassword(email, password);
-            const user = userCredential.user;
+            // The backend creates the account without touching the admin's own session
+            const user = await this.backend.createUser(email, password);
 
             // Add user to database
             await this.database.ref(`users/${user.uid}`).set({
+                ...profile,
                 email: email,
                 role: role,
                 created: Date.now(),
@@ -115,6 +184,10 @@ class AuthManager {
                 });
             }
 
+            await this.audit.record('user.create', user.uid, {
+                after: { email: email, role: role }
+            });
+
             return { success: true, user: user };
         } catch (error) {
             console.error('❌ User creation failed:', error);
@@ -122,6 +195,14 @@ class AuthManager {
         }
     }
 
+    async sendPasswordReset(email) {
+        await this.backend.sendPasswordReset(email);
+    }
+
+    async sendEmailVerification() {
+        await this.backend.sendEmailVerification();
+    }
+
     onAuthStateChanged(callback) {
         this.authStateCallbacks.push(callback);
     }
@@ -130,6 +211,13 @@ class AuthManager {
         document.getElementById('loginContainer').classList.remove('hidden');
         document.getElementById('dashboardContainer').classList.add('hidden');
         document.getElementById('loadingContainer').classList.add('hidden');
+        
+        if (this.signInError) {
+            const errorDiv = document.getElementById('errorMessage');
+            errorDiv.textContent = this.signInError;
+            errorDiv.classList.remove('hidden');
+            this.signInError = null;
+        }
     }
 
     showDashboard() {
@@ -140,6 +228,7 @@ class AuthManager {
         // Update user info
         document.getElementById('userEmail').textContent = this.currentUser.email;
         document.getElementById('userRole').textContent = this.isAdmin ? 'ADMIN' : 'USER';
+        document.getElementById('verifyEmailBtn').classList.toggle('hidden', this.currentUser.emailVerified !== false);
         
         // Show admin panel if user is admin
         if (this.isAdmin) {
@@ -163,4 +252,21 @@ class AuthManager {
         
         return errorMap[error.code] || error.message;
     }
+
+    // Sign-in failures share one message so the form doesn't reveal which emails have accounts
+    getSignInErrorMessage(error) {
+        const credentialErrors = [
+            'auth/user-not-found',
+            'auth/wrong-password',
+            'auth/invalid-email',
+            'auth/invalid-credential',
+            'auth/invalid-login-credentials',
+            'auth/user-disabled'
+        ];
+
+        if (credentialErrors.includes(error.code)) {
+            return 'Incorrect email or password.';
+        }
+        return this.getErrorMessage(error);
+    }
 }
@@ -0,0 +1,128 @@
+// backend-firebase.js - Firebase Backend (Authentication + Realtime Database)
+//
+// Second-factor codes are checked by the Cloud Functions in functions/, which keep the TOTP secrets.
+// The default site uses Firebase's default app; other sites get a named app each, so every
+// site keeps its own persisted session.
+class FirebaseBackend extends Backend {
+    constructor(config, siteId) {
+        super(config, siteId);
+        this.name = 'firebase';
+        this.app = null;
+        this.auth = null;
+        this.functions = null;
+        this.provisioningApp = null;
+    }
+
+    // '[DEFAULT]' is the name Firebase gives the app when none is passed
+    getAppName(purpose) {
+        if (this.siteId === 'default') {
+            return purpose || '[DEFAULT]';
+        }
+        return purpose ? `${purpose}-${this.siteId}` : `site-${this.siteId}`;
+    }
+
+    async initialize() {
+        this.app = firebase.initializeApp(this.config, this.getAppName());
+        this.auth = this.app.auth();
+        this.database = this.app.database();
+        this.functions = this.app.functions();
+        this.useEmulators(this.auth, this.database, this.functions);
+
+        // Set authentication persistence
+        await this.auth.setPersistence(firebase.auth.Auth.Persistence.LOCAL);
+    }
+
+    // Points the SDK at the local emulator suite when the page was opened with ?emulators on localhost
+    useEmulators(auth, database, functions) {
+        const emulators = window.configManager.getEmulators();
+        if (!emulators) return;
+
+        auth.useEmulator(emulators.auth);
+        if (database) {
+            database.useEmulator(emulators.database.host, emulators.database.port);
+        }
+        if (functions) {
+            functions.useEmulator(emulators.functions.host, emulators.functions.port);
+        }
+        console.log('🧪 Using the Firebase emulators');
+    }
+
+    onAuthStateChanged(callback) {
+        return this.auth.onAuthStateChanged(callback);
+    }
+
+    async signIn(email, password) {
+        const userCredential = await this.auth.signInWithEmailAndPassword(email, password);
+        return userCredential.user;
+    }
+
+    async signOut() {
+        await this.auth.signOut();
+    }
+
+    // Accounts are created on a secondary app so the admin's own session is left untouched
+    async createUser(email, password) {
+        const provisioningAuth = this.getProvisioningAuth();
+        const userCredential = await provisioningAuth.createUserWithEmailAndPassword(email, password);
+        await provisioningAuth.signOut();
+        return userCredential.user;
+    }
+
+    getProvisioningAuth() {
+        if (!this.provisioningApp) {
+            this.provisioningApp = firebase.initializeApp(this.config, this.getAppName('user-provisioning'));
+            this.useEmulators(this.provisioningApp.auth(), null);
+        }
+        return this.provisioningApp.auth();
+    }
+
+    async sendPasswordReset(email) {
+        await this.auth.sendPasswordResetEmail(email);
+    }
+
+    async sendEmailVerification() {
+        await this.auth.currentUser.sendEmailVerification();
+    }
+
+    async callFunction(name, data = {}) {
+        const result = await this.functions.httpsCallable(name)(data);
+        return result.data;
+    }
+
+    getDeploymentId() {
+        return this.config.projectId;
+    }
+
+    serverTimestamp() {
+        return firebase.database.ServerValue.TIMESTAMP;
+    }
+
+    // The functions record each verified sign-in under its auth_time, which a new password sign-in changes
+    async isMfaVerified() {
+        const user = this.auth.currentUser;
+        const { claims } = await user.getIdTokenResult();
+        return (await this.database.ref(`mfa_sessions/${user.uid}/${claims.auth_time}`).once('value')).exists();
+    }
+
+    startMfaEnrollment() {
+        return this.callFunction('mfaStartEnrollment');
+    }
+
+    async confirmMfaEnrollment(code) {
+        await this.callFunction('mfaConfirmEnrollment', { code: code });
+    }
+
+    async verifyMfa(code) {
+        return (await this.callFunction('mfaVerify', { code: code })).verified;
+    }
+
+    async disableMfa(code) {
+        await this.callFunction('mfaDisable', { code: code });
+    }
+
+    async resetMfa(uid) {
+        await this.callFunction('mfaReset', { uid: uid });
+    }
+}
+
+Backend.register('firebase', FirebaseBackend);
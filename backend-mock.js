@@ -0,0 +1,243 @@
+// backend-mock.js - In-Memory Backend for tests and demos
+//
+// config = { backend: 'mock', mock: { accounts, data, demo, autoAcknowledge } }
+//   accounts         { email: { password, uid } }
+//   demo             also create the demo admin admin@example.com / admin123 and a demo device; only
+//                    honoured on localhost, since anyone who reads this file knows the password
+//   data             initial database tree (devices, users, admins, …)
+//   autoAcknowledge  devices apply commands by themselves (default true), so pending commands confirm
+// Nothing is persisted: a reload starts from the same seed. Tests drive it through setDevice(),
+// reportState(), setConnected() and the sentCommands / passwordResets logs. Second-factor secrets are
+// kept on the instance, out of the database, the way the real servers keep them.
+class MockBackend extends Backend {
+    constructor(config, siteId) {
+        super(config, siteId);
+        this.name = 'mock';
+
+        const options = config.mock || {};
+        this.accounts = { ...(options.accounts || {}) };
+        this.database = new MemoryDatabase(options.data || null);
+        this.autoAcknowledge = options.autoAcknowledge !== false;
+        this.acknowledgeDelay = 300;
+        this.currentUser = null;
+        this.authCallbacks = [];
+        this.sentCommands = [];
+        this.passwordResets = [];
+        this.totp = new Totp();
+        this.mfaSecrets = {}; // uid → { secret, lastCounter } or { pendingSecret }
+        this.mfaVerified = false;
+
+        if (options.demo) {
+            this.seedDemo();
+        }
+    }
+
+    seedDemo() {
+        if (typeof window !== 'undefined' && !['localhost', '127.0.0.1'].includes(window.location.hostname)) {
+            console.warn('⚠️ Mock demo accounts are only created on localhost');
+            return;
+        }
+
+        const uid = 'mock-admin';
+        const email = 'admin@example.com';
+        this.accounts[email] = { password: 'admin123', uid: uid };
+        this.database.write([], {
+            [`users/${uid}`]: { email: email, role: 'admin', created: Date.now() },
+            [`admins/${uid}`]: { email: email, role: 'admin', created: Date.now() },
+            'devices/mock-esp32': {
+                name: 'Demo ESP32',
+                location: 'Living Room',
+                owner_uid: uid,
+                owner_email: email,
+                data: {
+                    timestamp: Math.floor(Date.now() / 1000),
+                    rssi: -58,
+                    temperature: 21.5,
+                    humidity: 48,
+                    relays: [false, true],
+                    pwm: [40]
+                }
+            }
+        }, { silent: true });
+    }
+
+    getDeploymentId() {
+        return 'mock';
+    }
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    onAuthStateChanged(callback) {
+        this.authCallbacks.push(callback);
+        Promise.resolve().then(() => {
+            if (this.authCallbacks.includes(callback)) callback(this.currentUser);
+        });
+        return () => {
+            this.authCallbacks = this.authCallbacks.filter(other => other !== callback);
+        };
+    }
+
+    setCurrentUser(user) {
+        this.currentUser = user;
+        this.mfaVerified = false;
+        this.authCallbacks.forEach(callback => callback(user));
+    }
+
+    async signIn(email, password) {
+        const account = this.accounts[email];
+        if (!account || account.password !== password) {
+            throw this.createError('auth/invalid-credential', 'The supplied credentials are incorrect.');
+        }
+
+        const user = { uid: account.uid, email: email };
+        this.setCurrentUser(user);
+        return user;
+    }
+
+    async signOut() {
+        this.setCurrentUser(null);
+    }
+
+    async createUser(email, password) {
+        if (this.accounts[email]) {
+            throw this.createError('auth/email-already-in-use', 'The email address is already in use.');
+        }
+        if (!password || password.length < 6) {
+            throw this.createError('auth/weak-password', 'Password should be at least 6 characters.');
+        }
+
+        const uid = `mock-${this.database.generatePushId()}`;
+        this.accounts[email] = { password: password, uid: uid };
+        return { uid: uid, email: email };
+    }
+
+    async sendPasswordReset(email) {
+        if (!this.accounts[email]) {
+            throw this.createError('auth/user-not-found', 'There is no user record for this email.');
+        }
+        this.passwordResets.push({ email: email, timestamp: Date.now() });
+    }
+
+    async isMfaVerified() {
+        return this.mfaVerified;
+    }
+
+    async startMfaEnrollment() {
+        const { uid, email } = this.currentUser;
+        if (this.database.get(['users', uid, 'mfa_enabled'])) {
+            throw this.createError('already-exists', 'Two-factor authentication is already on');
+        }
+
+        const secret = this.totp.generateSecret();
+        this.mfaSecrets[uid] = { pendingSecret: secret };
+        return { secret: secret, uri: this.totp.getOtpauthUri(secret, email) };
+    }
+
+    async confirmMfaEnrollment(code) {
+        const uid = this.currentUser.uid;
+        const entry = this.mfaSecrets[uid];
+        if (!entry || !entry.pendingSecret) {
+            throw this.createError('failed-precondition', 'Start the setup again');
+        }
+
+        const step = await this.totp.verify(entry.pendingSecret, code);
+        if (step === null) {
+            throw this.createError('invalid-argument', 'That code does not match');
+        }
+        this.mfaSecrets[uid] = { secret: entry.pendingSecret, lastCounter: step };
+        await this.database.ref(`users/${uid}/mfa_enabled`).set(true);
+        this.mfaVerified = true;
+    }
+
+    async verifyMfa(code) {
+        const entry = this.mfaSecrets[this.currentUser.uid];
+        if (!entry || !entry.secret) {
+            throw this.createError('failed-precondition', 'Two-factor authentication is not set up for this account. Ask an administrator to reset it.');
+        }
+
+        const step = await this.totp.verify(entry.secret, code, entry.lastCounter);
+        if (step === null) return false;
+        entry.lastCounter = step;
+        this.mfaVerified = true;
+        return true;
+    }
+
+    async disableMfa(code) {
+        const uid = this.currentUser.uid;
+        if (this.database.get(['admins', uid])) {
+            throw this.createError('permission-denied', 'Two-factor authentication is required for administrators');
+        }
+        if (!(await this.verifyMfa(code))) {
+            throw this.createError('invalid-argument', 'That code is not valid');
+        }
+        delete this.mfaSecrets[uid];
+        await this.database.ref(`users/${uid}/mfa_enabled`).remove();
+    }
+
+    async resetMfa(uid) {
+        if (!this.database.get(['admins', this.currentUser.uid]) || !this.mfaVerified) {
+            throw this.createError('permission-denied', 'Admin access required');
+        }
+        if (uid === this.currentUser.uid) {
+            throw this.createError('invalid-argument', 'Choose another account to reset');
+        }
+        delete this.mfaSecrets[uid];
+        await this.database.ref(`users/${uid}/mfa_enabled`).remove();
+    }
+
+    async sendCommand(deviceId, command) {
+        const sent = await super.sendCommand(deviceId, command);
+        this.sentCommands.push({ deviceId: deviceId, id: sent.id, ...command });
+
+        if (this.autoAcknowledge) {
+            setTimeout(() => this.acknowledge(deviceId, sent.id), this.acknowledgeDelay);
+        }
+        return sent;
+    }
+
+    // Does what firmware does with a queued command: applies it, reports the new state and removes it
+    acknowledge(deviceId, commandId) {
+        const commandRef = this.database.ref(`devices/${deviceId}/commands/${commandId}`);
+        const command = this.database.export(this.database.get(commandRef.segments));
+        if (!command) return;
+
+        // A restart has no state to report; the device simply comes back
+        if (command.type === 'restart') {
+            this.database.ref(`devices/${deviceId}`).update({
+                'data/timestamp': Math.floor(Date.now() / 1000),
+                [`commands/${commandId}`]: null
+            });
+            return;
+        }
+
+        const field = command.type === 'relay' ? 'relays' : 'pwm';
+        const current = this.database.get(['devices', deviceId, 'data', field, String(command.channel)]);
+        const isObject = current !== null && typeof current === 'object';
+        const valuePath = `data/${field}/${command.channel}${isObject ? (command.type === 'relay' ? '/state' : '/value') : ''}`;
+
+        this.database.ref(`devices/${deviceId}`).update({
+            [valuePath]: command.value,
+            'data/timestamp': Math.floor(Date.now() / 1000),
+            [`commands/${commandId}`]: null
+        });
+    }
+
+    setDevice(deviceId, device) {
+        return this.database.ref(`devices/${deviceId}`).set(device);
+    }
+
+    // Simulates a device publishing readings; the timestamp (in seconds, like firmware) keeps it online
+    reportState(deviceId, data) {
+        return this.database.ref(`devices/${deviceId}/data`).update({ ...data, timestamp: Math.floor(Date.now() / 1000) });
+    }
+
+    setConnected(connected) {
+        this.database.setInfo('connected', connected);
+    }
+}
+
+Backend.register('mock', MockBackend);
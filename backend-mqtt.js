@@ -0,0 +1,440 @@
+// backend-mqtt.js - Self-Hosted Backend (MQTT over WebSocket + REST auth)
+//
+// config = { backend: 'mqtt', mqttUrl: 'wss://broker:8884/mqtt', authUrl: 'https://host/api', topicPrefix: 'smarthome' }
+//
+// REST (authUrl, JSON, Bearer token after login):
+//   POST /login {email, password} → {token, user: {uid, email}}    POST /logout
+//   GET  /me → {user, profile, is_admin}                           POST /password-reset {email}
+//   GET  /users → {users, admins}                                   POST /users {email, password} → {user}
+//   POST /mfa/enroll → {secret, uri}   POST /mfa/confirm {code}     POST /mfa/verify {code} → {verified}
+//   POST /mfa/disable {code}           POST /mfa/reset {uid}        (/me adds mfa_required and mfa_verified)
+//   PATCH /users {'users/{uid}/field': value, 'admins/{uid}': …}   (same multi-path form as the database)
+// MQTT (username = uid, password = token; the broker checks both and applies per-user ACLs, and turns the
+// token away until it has passed the second factor where one is required):
+//   {prefix}/devices/{id}/state      retained device record, published by the device
+//   {prefix}/devices/{id}/commands   commands for the device (QoS 1, not retained)
+//   {prefix}/devices/{id}/set/{path} retained settings the dashboard writes under the device (config, schedules, …)
+//   {prefix}/data/{path}             retained dashboard data (rules, scenes, alerts, audit, …)
+// `database` is a MemoryDatabase filled from those topics; local writes are published back, so
+// every manager keeps working unchanged. Transactions are only atomic within one browser.
+class MqttBackend extends Backend {
+    constructor(config, siteId) {
+        super(config, siteId);
+        this.name = 'mqtt';
+        this.libraryUrl = 'https://unpkg.com/mqtt@5.10.1/dist/mqtt.min.js';
+        // Subresource Integrity hash of dist/mqtt.min.js in the mqtt 5.10.1 npm package; update both together
+        this.libraryIntegrity = 'sha384-u4uqeACkFcoKl57rBQJHVGDd1pqhW4w8X3WjTu1ZksPdxoLqdt34jpoNkJisE25W';
+        this.sessionKey = window.configManager.getSiteKey('smart_home_mqtt_session_v1', this.siteId);
+        this.prefix = (config.topicPrefix || 'smarthome').replace(/\/+$/, '');
+        this.authUrl = (config.authUrl || '').replace(/\/+$/, '');
+        this.syncQuietTime = 500; // Retained messages have stopped arriving after this long without one
+        this.syncTimeout = 5000;
+        this.localDeviceFields = ['data', 'commands']; // Owned by the device or sent as commands, never retained
+
+        this.database = new MemoryDatabase();
+        this.database.setInfo('connected', false);
+        this.database.onWrite((path, value) => this.forwardWrite(path, value));
+
+        this.client = null;
+        this.session = null;
+        this.currentUser = null;
+        this.authCallbacks = [];
+        this.retainedTopics = new Set();
+        this.pendingUserUpdates = null;
+        this.lastMessageAt = 0;
+    }
+
+    async initialize() {
+        try {
+            this.session = JSON.parse(localStorage.getItem(this.sessionKey));
+        } catch (error) {
+            this.session = null;
+        }
+        if (!this.session) return;
+
+        try {
+            // Check the saved token is still accepted before reusing it
+            const me = await this.request('GET', '/me');
+            await this.startSession(me.user, me);
+        } catch (error) {
+            console.warn('Saved session is no longer valid:', error);
+            this.clearSession();
+        }
+    }
+
+    // The broker's auth host and topic prefix, since one broker can carry several installations
+    getDeploymentId() {
+        return `${new URL(this.authUrl).host}/${this.prefix}`;
+    }
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    async request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.session) {
+            headers.Authorization = `Bearer ${this.session.token}`;
+        }
+
+        const response = await fetch(`${this.authUrl}${path}`, {
+            method: method,
+            headers: headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        const result = text ? JSON.parse(text) : {};
+
+        if (!response.ok) {
+            const codes = {
+                400: 'auth/invalid-email',
+                401: 'auth/invalid-credential',
+                404: 'auth/user-not-found',
+                409: 'auth/email-already-in-use',
+                429: 'auth/too-many-requests'
+            };
+            throw this.createError(result.code || codes[response.status] || `http/${response.status}`, result.error || response.statusText);
+        }
+        return result;
+    }
+
+    onAuthStateChanged(callback) {
+        this.authCallbacks.push(callback);
+        Promise.resolve().then(() => {
+            if (this.authCallbacks.includes(callback)) callback(this.currentUser);
+        });
+        return () => {
+            this.authCallbacks = this.authCallbacks.filter(other => other !== callback);
+        };
+    }
+
+    setCurrentUser(user) {
+        this.currentUser = user;
+        this.authCallbacks.forEach(callback => callback(user));
+    }
+
+    async signIn(email, password) {
+        this.session = null;
+        const result = await this.request('POST', '/login', { email: email, password: password });
+        this.session = { token: result.token, user: result.user };
+        localStorage.setItem(this.sessionKey, JSON.stringify(this.session));
+
+        const me = await this.request('GET', '/me');
+        await this.startSession(result.user, me);
+        const user = this.currentUser;
+        this.setCurrentUser(user);
+        return user;
+    }
+
+    // Connects to the broker and waits for the retained state, so the first reads after sign-in see real data.
+    // A session that still owes its second factor connects once the code has been accepted.
+    async startSession(user, me) {
+        this.currentUser = { uid: user.uid, email: user.email };
+        this.applyAccess(user.uid, me);
+        if (!me.mfa_required || me.mfa_verified) {
+            await this.connect();
+        }
+    }
+
+    async signOut() {
+        try {
+            await this.request('POST', '/logout');
+        } catch (error) {
+            console.warn('Logout request failed:', error);
+        }
+        this.clearSession();
+        this.setCurrentUser(null);
+    }
+
+    clearSession() {
+        if (this.client) {
+            this.client.end(true);
+            this.client = null;
+        }
+        localStorage.removeItem(this.sessionKey);
+        this.session = null;
+        this.currentUser = null;
+        this.retainedTopics.clear();
+        this.database.write([], { '': null }, { silent: true });
+        this.database.setInfo('connected', false);
+    }
+
+    async createUser(email, password) {
+        const result = await this.request('POST', '/users', { email: email, password: password });
+        return result.user;
+    }
+
+    async sendPasswordReset(email) {
+        await this.request('POST', '/password-reset', { email: email });
+    }
+
+    // The account server owns profiles; copies are kept in the database so other managers can read them
+    applyAccess(uid, me) {
+        this.database.write([], {
+            [`users/${uid}`]: me.profile || null,
+            [`admins/${uid}`]: me.is_admin ? { email: me.user.email, role: 'admin' } : null
+        }, { silent: true });
+    }
+
+    async isMfaVerified() {
+        const me = await this.request('GET', '/me');
+        return !!me.mfa_verified;
+    }
+
+    startMfaEnrollment() {
+        return this.request('POST', '/mfa/enroll');
+    }
+
+    async confirmMfaEnrollment(code) {
+        await this.request('POST', '/mfa/confirm', { code: code });
+        if (!this.client) await this.connect();
+    }
+
+    async verifyMfa(code) {
+        const result = await this.request('POST', '/mfa/verify', { code: code });
+        if (result.verified && !this.client) await this.connect();
+        return !!result.verified;
+    }
+
+    async disableMfa(code) {
+        await this.request('POST', '/mfa/disable', { code: code });
+    }
+
+    async resetMfa(uid) {
+        await this.request('POST', '/mfa/reset', { uid: uid });
+    }
+
+    async getUserAccess(uid) {
+        const me = await this.request('GET', '/me');
+        this.applyAccess(uid, me);
+        return { profile: me.profile || {}, isAdmin: !!me.is_admin };
+    }
+
+    async listUsers() {
+        const result = await this.request('GET', '/users');
+        this.database.write([], { users: result.users || null, admins: result.admins || null }, { silent: true });
+        return { users: result.users || {}, admins: result.admins || {} };
+    }
+
+    loadLibrary() {
+        if (window.mqtt) return Promise.resolve(window.mqtt);
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.libraryUrl;
+            script.integrity = this.libraryIntegrity;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve(window.mqtt);
+            script.onerror = () => reject(new Error('Failed to load the MQTT client library'));
+            document.head.appendChild(script);
+        });
+    }
+
+    async connect() {
+        const mqtt = await this.loadLibrary();
+        const topics = [`${this.prefix}/devices/+/state`, `${this.prefix}/devices/+/set/#`, `${this.prefix}/data/#`];
+
+        this.client = mqtt.connect(this.config.mqttUrl, {
+            protocolVersion: 5,
+            clientId: `dashboard-${this.currentUser.uid}-${Math.random().toString(16).slice(2, 10)}`,
+            username: this.currentUser.uid,
+            password: this.session.token,
+            reconnectPeriod: 5000
+        });
+
+        this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+        this.client.on('connect', () => this.database.setInfo('connected', true));
+        this.client.on('close', () => this.database.setInfo('connected', false));
+        this.client.on('error', (error) => console.warn('MQTT error:', error));
+
+        await new Promise((resolve, reject) => {
+            this.client.once('connect', resolve);
+            this.client.once('error', reject);
+        });
+
+        // No Local: our own publishes aren't echoed back over the newer local state
+        await new Promise((resolve, reject) => {
+            this.client.subscribe(topics, { qos: 1, nl: true }, (error) => error ? reject(error) : resolve());
+        });
+        await this.waitForSync();
+    }
+
+    waitForSync() {
+        const started = Date.now();
+        this.lastMessageAt = started;
+
+        return new Promise(resolve => {
+            const check = () => {
+                const now = Date.now();
+                if (now - this.lastMessageAt >= this.syncQuietTime || now - started >= this.syncTimeout) {
+                    resolve();
+                } else {
+                    setTimeout(check, 100);
+                }
+            };
+            setTimeout(check, this.syncQuietTime);
+        });
+    }
+
+    handleMessage(topic, payload) {
+        this.lastMessageAt = Date.now();
+
+        let value = null;
+        if (payload.length) {
+            try {
+                value = JSON.parse(payload.toString());
+            } catch (error) {
+                console.warn(`Ignoring non-JSON message on ${topic}`);
+                return;
+            }
+        }
+
+        const parts = topic.slice(this.prefix.length + 1).split('/');
+        if (parts[0] === 'devices' && parts[2] === 'state') {
+            // Device records are merged field by field so settings synced through set/ survive
+            const deviceId = parts[1];
+            const updates = {};
+            if (value === null) {
+                updates[`devices/${deviceId}`] = null;
+            } else {
+                Object.keys(value).forEach(field => { updates[`devices/${deviceId}/${field}`] = value[field]; });
+            }
+            this.database.write([], updates, { silent: true });
+            return;
+        }
+
+        let path;
+        if (parts[0] === 'devices' && parts[2] === 'set') {
+            path = ['devices', parts[1], ...parts.slice(3)].join('/');
+        } else if (parts[0] === 'data') {
+            path = parts.slice(1).join('/');
+        } else {
+            return;
+        }
+
+        if (value === null) {
+            this.retainedTopics.delete(topic);
+        } else {
+            this.retainedTopics.add(topic);
+        }
+        this.database.write([], { [path]: value }, { silent: true });
+    }
+
+    // Maps a database path to its retained topic, or null for paths that are never published
+    getTopic(segments) {
+        if (segments[0] === 'devices' && segments.length >= 3) {
+            if (this.localDeviceFields.includes(segments[2])) return null;
+            return `${this.prefix}/devices/${segments[1]}/set/${segments.slice(2).join('/')}`;
+        }
+        return `${this.prefix}/data/${segments.join('/')}`;
+    }
+
+    // Resolves once the account server or broker has taken the write, and rejects if it didn't
+    forwardWrite(path, value) {
+        const segments = path.split('/').filter(Boolean);
+        if (segments[0] === 'users' || segments[0] === 'admins') {
+            return this.queueUserUpdate(path, value);
+        }
+        if (!this.client) {
+            return Promise.reject(new Error('Not connected to the broker'));
+        }
+
+        // A whole device record: publish each dashboard-owned field, or clear everything when it's removed
+        if (segments[0] === 'devices' && segments.length === 2) {
+            if (value === null) {
+                return Promise.all([
+                    this.publish(`${this.prefix}/devices/${segments[1]}/state`, null),
+                    this.publish(`${this.prefix}/devices/${segments[1]}/set`, null)
+                ]);
+            }
+            return Promise.all(Object.keys(value).map(field => {
+                const topic = this.getTopic([...segments, field]);
+                return topic ? this.publishRetained([...segments, field], topic) : null;
+            }));
+        }
+
+        const topic = this.getTopic(segments);
+        return topic ? this.publishRetained(segments, topic) : Promise.resolve();
+    }
+
+    // Keeps one retained message per node: a write below a retained topic republishes that topic,
+    // and a write above retained topics clears them, so subscribers can't replay stale pieces
+    publishRetained(segments, topic) {
+        for (let length = 1; length < segments.length; length++) {
+            const ancestor = this.getTopic(segments.slice(0, length));
+            if (ancestor && this.retainedTopics.has(ancestor)) {
+                segments = segments.slice(0, length);
+                topic = ancestor;
+                break;
+            }
+        }
+
+        const value = this.database.export(this.database.get(segments));
+        return this.publish(topic, value);
+    }
+
+    publish(topic, value) {
+        const sent = [];
+        this.retainedTopics.forEach(known => {
+            if (known.startsWith(`${topic}/`)) {
+                sent.push(this.publishMessage(known, ''));
+                this.retainedTopics.delete(known);
+            }
+        });
+
+        if (value === null) {
+            this.retainedTopics.delete(topic);
+            sent.push(this.publishMessage(topic, ''));
+        } else {
+            this.retainedTopics.add(topic);
+            sent.push(this.publishMessage(topic, JSON.stringify(value)));
+        }
+        return Promise.all(sent);
+    }
+
+    // Resolves when the broker acknowledges the retained message (QoS 1)
+    publishMessage(topic, message) {
+        return new Promise((resolve, reject) => {
+            this.client.publish(topic, message, { qos: 1, retain: true }, (error) => error ? reject(error) : resolve());
+        });
+    }
+
+    // Profile writes made in the same tick go to the account server as one request; each of them gets
+    // that request's result
+    queueUserUpdate(path, value) {
+        if (!this.pendingUserUpdates) {
+            const batch = this.pendingUserUpdates = { updates: {} };
+            batch.sent = Promise.resolve().then(() => {
+                this.pendingUserUpdates = null;
+                return this.request('PATCH', '/users', batch.updates);
+            });
+        }
+        this.pendingUserUpdates.updates[path] = value;
+        return this.pendingUserUpdates.sent;
+    }
+
+    // Commands aren't retained, so a device that is offline when one is sent never receives it
+    async sendCommand(deviceId, command) {
+        if (!this.client || !this.client.connected) {
+            throw new Error('Not connected to the broker');
+        }
+
+        const id = this.database.generatePushId();
+        await new Promise((resolve, reject) => {
+            this.client.publish(`${this.prefix}/devices/${deviceId}/commands`,
+                JSON.stringify({ ...command, id: id, timestamp: Date.now() }),
+                { qos: 1 },
+                (error) => error ? reject(error) : resolve());
+        });
+
+        return {
+            id: id,
+            // A published message can't be recalled; its timestamp lets firmware ignore it if it arrives late
+            withdraw: () => Promise.resolve()
+        };
+    }
+}
+
+Backend.register('mqtt', MqttBackend);
@@ -0,0 +1,166 @@
+// backend.js - Backend Adapter Contract
+//
+// Everything the dashboard needs from a server goes through one Backend:
+//   auth          initialize, onAuthStateChanged, signIn, signOut, createUser, sendPasswordReset
+//   device stream watchDevices(query, onChange, onError)
+//   commands      sendCommand(deviceId, command)
+//   user store    getUserAccess(uid), listUsers()
+//   second factor isMfaVerified, startMfaEnrollment, confirmMfaEnrollment, verifyMfa, disableMfa, resetMfa;
+//                 the server keeps the TOTP secret and checks the codes, the dashboard only asks for them
+//   timestamps    serverTimestamp() for fields the server should stamp
+//   identity      getDeploymentId(), naming the server the same way in every browser
+//   database      a store with the Realtime Database reference API, which the feature managers
+//                 (rules, scenes, history, energy, …) read and write directly
+// The defaults below keep devices, commands and users in `database`, as the Firebase and mock
+// backends do. Other adapters override them. Adapters are chosen by config.backend ('firebase' if unset).
+// Each site gets its own Backend; siteId keeps their sessions and stored state apart.
+class Backend {
+    static register(name, adapter) {
+        Backend.adapters[name] = adapter;
+    }
+
+    static create(config, siteId = 'default') {
+        const name = config.backend || 'firebase';
+        const Adapter = Backend.adapters[name];
+        if (!Adapter) {
+            throw new Error(`Unknown backend: ${name}`);
+        }
+        return new Adapter(config, siteId);
+    }
+
+    constructor(config, siteId = 'default') {
+        this.config = config;
+        this.siteId = siteId;
+        this.name = null;
+        this.database = null;
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+
+    async initialize() {}
+
+    // Calls back with { uid, email } or null whenever the session changes, starting with the current one.
+    // Returns a function that stops listening.
+    onAuthStateChanged(callback) {
+        throw this.notImplemented('onAuthStateChanged');
+    }
+
+    // Resolves with the signed-in user; failures reject with an Error carrying an 'auth/…' code
+    async signIn(email, password) {
+        throw this.notImplemented('signIn');
+    }
+
+    async signOut() {
+        throw this.notImplemented('signOut');
+    }
+
+    // Creates an account without touching the current session and resolves with { uid, email }
+    async createUser(email, password) {
+        throw this.notImplemented('createUser');
+    }
+
+    async sendPasswordReset(email) {
+        throw this.notImplemented('sendPasswordReset');
+    }
+
+    // Emails the signed-in user a link proving they hold their address. Users carry emailVerified only
+    // where the backend tracks it; ownership by email needs it to be true there.
+    async sendEmailVerification() {
+        throw this.notImplemented('sendEmailVerification');
+    }
+
+    // Whether the current sign-in has passed the second factor
+    async isMfaVerified() {
+        throw this.notImplemented('isMfaVerified');
+    }
+
+    // Resolves with { secret, uri } for the authenticator app; confirmMfaEnrollment() turns it on
+    async startMfaEnrollment() {
+        throw this.notImplemented('startMfaEnrollment');
+    }
+
+    // Rejects if the code doesn't match; on success the current sign-in counts as verified
+    async confirmMfaEnrollment(code) {
+        throw this.notImplemented('confirmMfaEnrollment');
+    }
+
+    // Resolves true and marks the current sign-in verified, or false for a wrong or reused code
+    async verifyMfa(code) {
+        throw this.notImplemented('verifyMfa');
+    }
+
+    // Turns the caller's own second factor off; refused for administrators
+    async disableMfa(code) {
+        throw this.notImplemented('disableMfa');
+    }
+
+    // Removes another account's enrollment (administrators only)
+    async resetMfa(uid) {
+        throw this.notImplemented('resetMfa');
+    }
+
+    // Names the deployment behind this backend, e.g. for backups made from it
+    getDeploymentId() {
+        throw this.notImplemented('getDeploymentId');
+    }
+
+    // A value the database replaces with its own clock (milliseconds) when the write lands; this is the
+    // Realtime Database placeholder, which MemoryDatabase and the MQTT backend's store also understand
+    serverTimestamp() {
+        return { '.sv': 'timestamp' };
+    }
+
+    // query is { ownerUid }, { ownerEmail }, { deviceId }, or {} for every device (admins only).
+    // onChange gets { deviceId: device }, or the device itself (null if missing) for a deviceId query.
+    // Returns a function that stops watching.
+    watchDevices(query, onChange, onError) {
+        let ref = this.database.ref('devices');
+        if (query.deviceId) {
+            ref = ref.child(query.deviceId);
+        } else if (query.ownerUid) {
+            ref = ref.orderByChild('owner_uid').equalTo(query.ownerUid);
+        } else if (query.ownerEmail) {
+            ref = ref.orderByChild('owner_email').equalTo(query.ownerEmail);
+        }
+
+        const callback = ref.on('value', (snapshot) => onChange(snapshot.val()), onError);
+        return () => ref.off('value', callback);
+    }
+
+    // command is { type, channel, value, issuedBy, issuedByEmail }. Resolves once the command has been
+    // handed over, with withdraw() to take it back if the device never acts on it.
+    async sendCommand(deviceId, command) {
+        const ref = this.database.ref(`devices/${deviceId}/commands`).push();
+        await ref.set({ ...command, timestamp: this.serverTimestamp() });
+        return {
+            id: ref.key,
+            withdraw: () => ref.remove()
+        };
+    }
+
+    async getUserAccess(uid) {
+        const [profileSnapshot, adminSnapshot] = await Promise.all([
+            this.database.ref(`users/${uid}`).once('value'),
+            this.database.ref(`admins/${uid}`).once('value')
+        ]);
+        return {
+            profile: profileSnapshot.val() || {},
+            isAdmin: adminSnapshot.exists()
+        };
+    }
+
+    async listUsers() {
+        const [usersSnapshot, adminsSnapshot] = await Promise.all([
+            this.database.ref('users').once('value'),
+            this.database.ref('admins').once('value')
+        ]);
+        return {
+            users: usersSnapshot.val() || {},
+            admins: adminsSnapshot.val() || {}
+        };
+    }
+}
+
+Backend.adapters = {};
@@ -0,0 +1,279 @@
+// backup.js - System Backup & Restore
+class BackupManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.format = 'esp32-dashboard-backup';
+        this.version = 1;
+        this.sections = {
+            devices: '📱 Devices',
+            users: '👥 Users',
+            admins: '👑 Admins',
+            invitations: '📨 Invitations',
+            rules: '🤖 Automation Rules',
+            groups: '🏘️ Rooms & Groups',
+            scenes: '🎬 Scenes',
+            energy: '⚡ Energy Tariffs',
+            alerts: '🚨 Alerts',
+            firmware: '📦 Firmware Catalog',
+            rollouts: '🚀 Firmware Rollouts',
+            fleet_views: '🗂️ Saved Fleet Views',
+            settings: '⚙️ Settings'
+        };
+        // Device metadata worth restoring; live telemetry, history and commands are left alone
+        this.deviceFields = ['name', 'location', 'owner_uid', 'owner_email', 'device_uid', 'config', 'acl', 'schedules', 'heartbeat'];
+        this.archive = null;
+        this.diff = null;
+    }
+
+    get database() {
+        return this.admin.database;
+    }
+
+    get dashboard() {
+        return this.admin.dashboard;
+    }
+
+    pickDeviceFields(device) {
+        const picked = {};
+        this.deviceFields.forEach(field => {
+            if (device[field] !== undefined) picked[field] = device[field];
+        });
+        return picked;
+    }
+
+    async readLiveData() {
+        const names = Object.keys(this.sections);
+        const snapshots = await Promise.all(names.map(name => this.database.ref(name).once('value')));
+        const data = {};
+
+        names.forEach((name, index) => {
+            data[name] = snapshots[index].val() || {};
+        });
+
+        for (const deviceId in data.devices) {
+            data.devices[deviceId] = this.pickDeviceFields(data.devices[deviceId]);
+        }
+
+        return data;
+    }
+
+    async createBackup() {
+        try {
+            const archive = {
+                format: this.format,
+                version: this.version,
+                created_at: new Date().toISOString(),
+                created_by: this.admin.auth.currentUser.email,
+                backend: this.admin.auth.backend.name,
+                deployment_id: this.admin.auth.backend.getDeploymentId(),
+                data: await this.readLiveData()
+            };
+
+            const filename = `smart-home-backup-${archive.created_at.slice(0, 10)}.json`;
+            this.admin.downloadFile(JSON.stringify(archive, null, 2), filename, 'application/json');
+
+            await this.admin.auth.audit.record('system.backup', archive.deployment_id, {
+                targetType: 'system',
+                after: Object.keys(archive.data).reduce((counts, name) => {
+                    counts[name] = Object.keys(archive.data[name]).length;
+                    return counts;
+                }, {})
+            });
+
+            this.dashboard.showNotification('System backup downloaded', 'success');
+        } catch (error) {
+            console.error('❌ Backup failed:', error);
+            this.dashboard.showNotification(`Backup failed: ${error.message}`, 'error');
+        }
+    }
+
+    parseArchive(text) {
+        const archive = JSON.parse(text);
+        if (!archive || archive.format !== this.format) {
+            throw new Error('Not a Smart Home backup file');
+        }
+        if (archive.version > this.version) {
+            throw new Error(`Backup version ${archive.version} is newer than this dashboard supports`);
+        }
+        if (!archive.data || typeof archive.data !== 'object') {
+            throw new Error('Backup contains no data');
+        }
+        return archive;
+    }
+
+    // Backups made before other backends existed name their Firebase project instead
+    getDeploymentId(archive) {
+        return archive.deployment_id || archive.project_id || 'backup';
+    }
+
+    // JSON with sorted keys so equal objects compare equal regardless of key order
+    stableStringify(value) {
+        if (value === null || typeof value !== 'object') return JSON.stringify(value);
+        if (Array.isArray(value)) return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    computeDiff(archiveData, liveData) {
+        const diff = {};
+
+        for (const section in this.sections) {
+            const archived = archiveData[section] || {};
+            const live = liveData[section] || {};
+            const keys = new Set([...Object.keys(archived), ...Object.keys(live)]);
+
+            diff[section] = [...keys].sort().map(key => {
+                let status;
+                if (!(key in live)) status = 'added';
+                else if (!(key in archived)) status = 'live_only';
+                else if (this.stableStringify(archived[key]) === this.stableStringify(live[key])) status = 'unchanged';
+                else status = 'changed';
+
+                return { key: key, status: status, archived: archived[key], live: live[key] };
+            });
+        }
+
+        return diff;
+    }
+
+    async loadArchive(file) {
+        try {
+            this.archive = this.parseArchive(await file.text());
+            this.diff = this.computeDiff(this.archive.data, await this.readLiveData());
+            this.renderRestorePreview();
+        } catch (error) {
+            this.archive = null;
+            this.diff = null;
+            this.dashboard.showNotification(`Cannot restore ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    buildRestoreUpdates(selection) {
+        const updates = {};
+
+        selection.forEach(({ section, key }) => {
+            const entry = this.diff[section].find(item => item.key === key);
+            if (!entry || entry.archived === undefined) return;
+
+            if (section === 'devices') {
+                // Only overwrite metadata fields so live telemetry keeps flowing
+                this.deviceFields.forEach(field => {
+                    updates[`devices/${key}/${field}`] = entry.archived[field] !== undefined ? entry.archived[field] : null;
+                });
+            } else {
+                updates[`${section}/${key}`] = entry.archived;
+            }
+        });
+
+        return updates;
+    }
+
+    async applyRestore(selection) {
+        const updates = this.buildRestoreUpdates(selection);
+        const count = selection.length;
+
+        if (count === 0) {
+            this.dashboard.showNotification('Select at least one entry to restore', 'warning');
+            return;
+        }
+
+        if (!confirm(`Restore ${count} entr${count === 1 ? 'y' : 'ies'} from the backup of ${this.archive.created_at}? This overwrites the live values.`)) {
+            return;
+        }
+
+        try {
+            // A single multi-path update applies everything or nothing
+            await this.database.ref().update(updates);
+
+            await this.admin.auth.audit.record('system.restore', this.getDeploymentId(this.archive), {
+                targetType: 'system',
+                before: { backup_created_at: this.archive.created_at },
+                after: selection.map(item => `${item.section}/${item.key}`)
+            });
+
+            this.dashboard.showNotification(`Restored ${count} entries from backup`, 'success');
+            this.diff = this.computeDiff(this.archive.data, await this.readLiveData());
+            this.renderRestorePreview();
+            await this.admin.loadSystemData();
+        } catch (error) {
+            console.error('❌ Restore failed:', error);
+            this.dashboard.showNotification(`Restore failed, nothing was changed: ${error.message}`, 'error');
+        }
+    }
+
+    describeEntry(section, entry) {
+        const value = entry.archived || entry.live || {};
+        if (section === 'devices') return value.name ? `${value.name} (${entry.key})` : entry.key;
+        if (section === 'users' || section === 'admins') return value.email ? `${value.email} (${entry.key})` : entry.key;
+        return entry.key;
+    }
+
+    renderRestorePreview() {
+        const container = document.getElementById('restorePreview');
+        if (!container) return;
+
+        if (!this.diff) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const statusLabels = {
+            added: '➕ Missing from live',
+            changed: '✏️ Differs from live',
+            unchanged: '✅ Same as live',
+            live_only: '➖ Only in live (kept)'
+        };
+
+        container.innerHTML = `
+            <div class="restore-summary">
+                Backup of <strong>${escape(this.getDeploymentId(this.archive))}</strong> from
+                ${escape(new Date(this.archive.created_at).toLocaleString())} by ${escape(this.archive.created_by)}
+            </div>
+            ${Object.keys(this.sections).map(section => {
+                const restorable = this.diff[section].filter(item => item.status === 'added' || item.status === 'changed');
+                return `
+                    <details class="restore-section" ${restorable.length ? 'open' : ''}>
+                        <summary>
+                            <label>
+                                <input type="checkbox" class="restore-section-toggle" data-section="${section}" ${restorable.length ? '' : 'disabled'}>
+                                ${this.sections[section]}
+                            </label>
+                            <span class="rule-meta">${restorable.length} to restore · ${this.diff[section].length} total</span>
+                        </summary>
+                        ${this.diff[section].map(entry => `
+                            <label class="restore-entry ${entry.status}">
+                                <input type="checkbox" data-section="${section}" data-key="${escape(entry.key)}"
+                                    ${entry.status === 'added' || entry.status === 'changed' ? '' : 'disabled'}>
+                                <span>${escape(this.describeEntry(section, entry))}</span>
+                                <span class="rule-meta">${statusLabels[entry.status]}</span>
+                            </label>
+                        `).join('')}
+                    </details>
+                `;
+            }).join('')}
+            <div class="form-actions">
+                <button class="save-btn restore-apply-btn">♻️ Restore Selected</button>
+                <button class="device-action-btn restore-cancel-btn">Cancel</button>
+            </div>
+        `;
+
+        container.querySelectorAll('.restore-section-toggle').forEach(toggle => {
+            toggle.onchange = () => {
+                container.querySelectorAll(`input[data-key][data-section="${toggle.dataset.section}"]:not(:disabled)`)
+                    .forEach(input => { input.checked = toggle.checked; });
+            };
+        });
+
+        container.querySelector('.restore-apply-btn').onclick = () => {
+            const selection = [...container.querySelectorAll('input[data-key]:checked')]
+                .map(input => ({ section: input.dataset.section, key: input.dataset.key }));
+            this.applyRestore(selection);
+        };
+
+        container.querySelector('.restore-cancel-btn').onclick = () => {
+            this.archive = null;
+            this.diff = null;
+            this.renderRestorePreview();
+        };
+    }
+}
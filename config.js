@@ -1,26 +1,61 @@
-// config.js - Admin-Only Firebase Configuration
+// config.js - Admin-Only Backend Configuration
+//
+// The deployed site reads config.json, which the Pages workflow generates with `node config.js`
+// from its inputs and repository variables. Its checksum is verified before the dashboard connects, and
+// `--pin` also writes it into index.html, so replacing config.json alone is refused. Anyone who can change
+// the deployed site can change both; this is a consistency check, not a signature.
+// A configuration saved through ?admin_setup=true is only used where no config.json is deployed.
+//
+// config.json holds either one configuration or a list of sites, each { id, name, config } with its
+// own backend. `config` is always the selected site's configuration.
 class ConfigManager {
     constructor() {
         this.storageKey = 'smart_home_admin_config_v1';
+        this.activeSiteKey = 'smart_home_active_site_v1';
+        this.deployedConfigUrl = 'config.json';
+        this.sitePattern = /^[a-z0-9][a-z0-9-]*$/;
+        this.sites = [];
+        this.activeSiteId = null;
         this.config = null;
+        this.source = null; // 'deployed', 'browser' or 'development'
+        this.checksum = null;
+        this.deployment = null;
         this.isConfigured = false;
         this.isAdminConfigMode = false;
     }
 
     async initialize() {
         console.log('🔧 Initializing configuration manager');
-        
-        // Try to load existing global configuration
-        this.config = this.loadGlobalConfig();
-        
-        if (this.config && this.validateConfig(this.config)) {
-            this.isConfigured = true;
-            console.log('✅ Global configuration loaded');
-            return this.config;
+
+        // ?backend=mock on localhost runs the dashboard against the in-memory backend and its demo data
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.get('backend') === 'mock' && this.isLocalhost()) {
+            console.log('🧪 Using the mock backend');
+            return this.useSites([this.createSite({ backend: 'mock', mock: { demo: true } })], 'development');
+        }
+
+        // A deployed config.json always wins; one that fails its checks stops the dashboard
+        // rather than silently falling back to whatever this browser has stored
+        let deployed;
+        try {
+            deployed = await this.loadDeployedConfig();
+        } catch (error) {
+            console.error('❌ Deployed configuration rejected:', error);
+            this.showIntegrityError(error);
+            return null;
+        }
+
+        if (deployed) {
+            this.deployment = { generatedAt: deployed.generated_at, source: deployed.source };
+            return this.useSites(deployed.sites || [this.createSite(deployed.config)], 'deployed', deployed.checksum);
+        }
+
+        const stored = this.loadBrowserConfig();
+        if (stored && this.validateConfig(stored)) {
+            return this.useSites([this.createSite(stored)], 'browser');
         }
         
         // Check if this is admin setup mode
-        const urlParams = new URLSearchParams(window.location.search);
         if (urlParams.get('admin_setup') === 'true') {
             this.isAdminConfigMode = true;
             this.showAdminConfigModal();
@@ -32,34 +67,151 @@ class ConfigManager {
         return null;
     }
 
-    loadGlobalConfig() {
+    // A single configuration is the 'default' site, which keeps the storage keys and Firebase app
+    // it had before sites existed
+    createSite(config) {
+        return { id: 'default', name: this.getProjectLabel(config), config: config };
+    }
+
+    useSites(sites, source, checksum = null) {
+        this.sites = sites;
+        this.source = source;
+        this.checksum = checksum;
+        this.isConfigured = true;
+
+        const stored = localStorage.getItem(this.activeSiteKey);
+        const site = this.getSite(stored) || sites[0];
+        this.activeSiteId = site.id;
+        this.config = site.config;
+
+        console.log(`✅ Configuration loaded (${source}): ${sites.length} site(s), using ${site.name}`);
+        this.renderProjectIndicator();
+        return this.config;
+    }
+
+    getSite(siteId) {
+        return this.sites.find(site => site.id === siteId) || null;
+    }
+
+    getActiveSite() {
+        return this.getSite(this.activeSiteId);
+    }
+
+    setActiveSite(siteId) {
+        const site = this.getSite(siteId);
+        if (!site) {
+            throw new Error(`Unknown site: ${siteId}`);
+        }
+
+        this.activeSiteId = site.id;
+        this.config = site.config;
+        localStorage.setItem(this.activeSiteKey, site.id);
+        this.renderProjectIndicator();
+        return site;
+    }
+
+    // Browser storage that belongs to one site; the default site keeps the original key
+    getSiteKey(key, siteId) {
+        return !siteId || siteId === 'default' ? key : `${key}:${siteId}`;
+    }
+
+    validateSites(sites) {
+        if (!Array.isArray(sites) || sites.length === 0) {
+            console.log('❌ Config validation failed: sites must be a non-empty list');
+            return false;
+        }
+
+        const ids = new Set();
+        return sites.every(site => {
+            if (!site || !this.sitePattern.test(site.id || '') || ids.has(site.id)) {
+                console.log('❌ Config validation failed: site ids must be unique, lowercase letters, digits and dashes:', site && site.id);
+                return false;
+            }
+            if (typeof site.name !== 'string' || !site.name.trim()) {
+                console.log('❌ Config validation failed: site has no name:', site.id);
+                return false;
+            }
+            ids.add(site.id);
+            return this.validateConfig(site.config);
+        });
+    }
+
+    // Resolves null when no config.json is deployed; throws when one is deployed but can't be trusted
+    async loadDeployedConfig() {
+        let response;
+        try {
+            response = await fetch(this.deployedConfigUrl, { cache: 'no-cache' });
+        } catch (error) {
+            // Offline with no cached copy
+            return null;
+        }
+
+        const pinned = this.getPinnedChecksum();
+        if (response.status === 404 && pinned) {
+            throw new Error('config.json is missing, but this page was deployed with one');
+        }
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`config.json could not be loaded (HTTP ${response.status})`);
+        }
+
+        const file = await response.json();
+        const payload = file && (file.sites || file.config);
+        if (!payload || !file.checksum) {
+            throw new Error('config.json has no configuration or checksum');
+        }
+        if (pinned && file.checksum !== pinned) {
+            throw new Error(`config.json is not the one this page was deployed with (expected ${pinned}, got ${file.checksum})`);
+        }
+
+        const checksum = await this.computeChecksum(payload);
+        if (checksum !== file.checksum) {
+            throw new Error(`config.json does not match its checksum (expected ${file.checksum}, got ${checksum})`);
+        }
+        if (file.sites ? !this.validateSites(file.sites) : !this.validateConfig(file.config)) {
+            throw new Error('config.json contains an invalid configuration');
+        }
+        return file;
+    }
+
+    // Written into index.html by `node config.js --pin`; empty where the page wasn't pinned
+    getPinnedChecksum() {
+        const meta = document.querySelector('meta[name="config-checksum"]');
+        return (meta && meta.content) || null;
+    }
+
+    // Keys are sorted so the checksum doesn't depend on how the file was formatted
+    canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    async computeChecksum(config) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(this.canonicalize(config)));
+        return 'sha256-' + Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    loadBrowserConfig() {
         try {
-            // Try to load from a global config file or URL parameter
             const stored = localStorage.getItem(this.storageKey);
             if (stored) {
                 return JSON.parse(stored);
             }
-            
-            // Check if config is embedded in URL (admin setup)
-            const urlParams = new URLSearchParams(window.location.search);
-            if (urlParams.get('firebase_config')) {
-                const configData = JSON.parse(decodeURIComponent(urlParams.get('firebase_config')));
-                this.saveGlobalConfig(configData);
-                return configData;
-            }
         } catch (error) {
-            console.warn('Failed to load global configuration:', error);
+            console.warn('Failed to load browser configuration:', error);
         }
         return null;
     }
 
-    saveGlobalConfig(config) {
+    saveBrowserConfig(config) {
         try {
             const fullConfig = {
                 ...config,
-                storageBucket: `${config.projectId}.appspot.com`,
-                messagingSenderId: '123456789',
-                appId: '1:123456789:web:abcdef123456',
                 configuredAt: Date.now(),
                 configuredBy: 'admin'
             };
@@ -68,52 +220,200 @@ class ConfigManager {
             this.config = fullConfig;
             this.isConfigured = true;
             
-            console.log('✅ Global configuration saved by admin');
+            console.log('✅ Browser configuration saved by admin');
             return fullConfig;
         } catch (error) {
-            console.error('Failed to save global configuration:', error);
+            console.error('Failed to save browser configuration:', error);
             throw error;
         }
     }
 
+    forgetBrowserConfig() {
+        localStorage.removeItem(this.storageKey);
+        window.location.reload();
+    }
+
+    getProjectLabel(config = this.config) {
+        if (!config) return null;
+        if (config.backend === 'mock') return 'mock backend';
+        if (config.backend === 'mqtt') return new URL(config.authUrl).host;
+        return this.getEmulators() ? `${config.projectId} (emulators)` : config.projectId;
+    }
+
+    // "Cottage (cottage-project)" for named sites, just the project otherwise
+    getSiteLabel(site = this.getActiveSite()) {
+        const project = this.getProjectLabel(site.config);
+        return site.name === project ? project : `${site.name} (${project})`;
+    }
+
+    getSourceDescription() {
+        return {
+            deployed: 'Deployed config.json',
+            browser: 'Saved in this browser only',
+            development: 'Local development'
+        }[this.source];
+    }
+
+    // Fills every .project-indicator (login card and dashboard header) with the project in use
+    renderProjectIndicator() {
+        const label = this.getSiteLabel();
+        const icon = { deployed: '🔗', browser: '⚠️', development: '🧪' }[this.source];
+        const title = this.source === 'deployed'
+            ? `${this.getSourceDescription()}, checksum ${this.checksum}`
+            : this.getSourceDescription();
+
+        document.querySelectorAll('.project-indicator').forEach(element => {
+            element.textContent = `${icon} Connected to ${label}`;
+            element.title = title;
+            element.classList.toggle('untrusted', this.source !== 'deployed');
+            element.classList.remove('hidden');
+        });
+    }
+
+    showSettingsModal() {
+        if (!this.config) {
+            this.showUserWaitingMessage();
+            return;
+        }
+
+        const site = this.getActiveSite();
+        const rows = [
+            ...(this.sites.length > 1 ? [['Site', `${site.name} (${site.id}), 1 of ${this.sites.length}`]] : []),
+            ['Backend', this.config.backend || 'firebase'],
+            [this.config.backend === 'mqtt' ? 'Server' : 'Project', this.getProjectLabel()],
+            ['Source', this.getSourceDescription()]
+        ];
+        if (this.source === 'deployed') {
+            rows.push(['Checksum', this.checksum]);
+            if (this.deployment.generatedAt) rows.push(['Generated', new Date(this.deployment.generatedAt).toLocaleString()]);
+            if (this.deployment.source) rows.push(['Deployed from', this.deployment.source]);
+        }
+
+        let modal = document.getElementById('configModal');
+        if (modal) modal.remove();
+
+        modal = document.createElement('div');
+        modal.id = 'configModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content config-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>⚙️ Connection</h2>
+                    <dl class="config-details">
+                        ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+                    </dl>
+                    ${this.source === 'browser' ? `
+                        <div class="admin-warning">
+                            ⚠️ This configuration was entered in this browser and is not shared with other users.
+                            Deploy a config.json from the Pages workflow to configure every browser.
+                        </div>
+                        <div class="form-actions">
+                            <button class="forget-config-btn">🗑️ Forget this configuration</button>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        const forgetButton = modal.querySelector('.forget-config-btn');
+        if (forgetButton) {
+            forgetButton.onclick = () => {
+                if (confirm('Forget the configuration saved in this browser? The dashboard will reload.')) {
+                    this.forgetBrowserConfig();
+                }
+            };
+        }
+        document.body.appendChild(modal);
+    }
+
+    showIntegrityError(error) {
+        const message = document.createElement('div');
+        message.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content user-waiting">
+                    <h2>🏠 Smart Home Dashboard</h2>
+                    <div class="waiting-content">
+                        <h3>⛔ Configuration Check Failed</h3>
+                        <p>The deployed configuration could not be verified, so the dashboard will not connect.</p>
+                        <p><code class="integrity-error"></code></p>
+                        <p>Please contact your system administrator to redeploy the site.</p>
+                        
+                        <button onclick="window.location.reload()" class="retry-btn">
+                            🔄 Retry
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        message.querySelector('.integrity-error').textContent = error.message;
+        
+        document.body.appendChild(message);
+    }
+
     showAdminConfigModal() {
         const modal = document.createElement('div');
         modal.innerHTML = `
             <div class="modal-overlay">
                 <div class="modal-content admin-config-modal">
-                    <h2>👑 Admin Firebase Setup</h2>
-                    <p><strong>One-time configuration for all users</strong></p>
+                    <h2>👑 Admin Backend Setup</h2>
+                    <p><strong>Configuration for this browser only</strong></p>
                     
                     <div class="admin-warning">
-                        ⚠️ This configuration will be used by all users of the system.
-                        Only configure this if you are the system administrator.
+                        ⚠️ This is saved in this browser and is not shared with other users.
+                        To configure everyone, run the Pages deploy workflow with these values instead.
                     </div>
                     
                     <div class="config-form">
                         <div class="form-group">
-                            <label>🔑 Firebase API Key:</label>
-                            <input type="text" id="adminApiKey" placeholder="AIzaSy...">
-                            <small>From Firebase Console → Project Settings → Web API Key</small>
+                            <label>🖧 Backend:</label>
+                            <select id="adminBackend">
+                                <option value="firebase">Firebase</option>
+                                <option value="mqtt">Self-hosted (MQTT + REST)</option>
+                            </select>
                         </div>
-                        
-                        <div class="form-group">
-                            <label>🏢 Auth Domain:</label>
-                            <input type="text" id="adminAuthDomain" placeholder="your-project.firebaseapp.com">
+
+                        <div class="backend-fields" data-backend="mqtt" hidden>
+                            <div class="form-group">
+                                <label>📡 MQTT WebSocket URL:</label>
+                                <input type="url" id="adminMqttUrl" placeholder="wss://broker.example.com:8884/mqtt">
+                            </div>
+                            <div class="form-group">
+                                <label>🔐 Account Server URL:</label>
+                                <input type="url" id="adminAuthUrl" placeholder="https://home.example.com/api">
+                            </div>
+                            <div class="form-group">
+                                <label>🏷️ Topic Prefix:</label>
+                                <input type="text" id="adminTopicPrefix" placeholder="smarthome">
+                            </div>
                         </div>
+
+                        <div class="backend-fields" data-backend="firebase">
+                            <div class="form-group">
+                                <label>🔑 Firebase API Key:</label>
+                                <input type="text" id="adminApiKey" placeholder="AIzaSy...">
+                                <small>From Firebase Console → Project Settings → Web API Key</small>
+                            </div>
                         
-                        <div class="form-group">
-                            <label>🌐 Database URL:</label>
-                            <input type="url" id="adminDatabaseURL" placeholder="https://your-project-default-rtdb.firebaseio.com">
-                        </div>
+                            <div class="form-group">
+                                <label>🏢 Auth Domain:</label>
+                                <input type="text" id="adminAuthDomain" placeholder="your-project.firebaseapp.com">
+                            </div>
                         
-                        <div class="form-group">
-                            <label>📋 Project ID:</label>
-                            <input type="text" id="adminProjectId" placeholder="your-project-id">
+                            <div class="form-group">
+                                <label>🌐 Database URL:</label>
+                                <input type="url" id="adminDatabaseURL" placeholder="https://your-project-default-rtdb.firebaseio.com">
+                            </div>
+                        
+                            <div class="form-group">
+                                <label>📋 Project ID:</label>
+                                <input type="text" id="adminProjectId" placeholder="your-project-id">
+                            </div>
                         </div>
                         
                         <div class="form-actions">
                             <button onclick="this.saveAdminConfiguration()" class="admin-save-btn">
-                                👑 Save Global Configuration
+                                👑 Save Configuration
                             </button>
                         </div>
                     </div>
@@ -121,16 +421,21 @@ class ConfigManager {
                     <div class="admin-help">
                         <h4>📋 Admin Setup Instructions:</h4>
                         <ol>
-                            <li>Configure Firebase credentials above</li>
+                            <li>Choose the backend and enter its connection details above</li>
                             <li>Create admin user in Firebase Authentication</li>
                             <li>Add admin entry to Realtime Database</li>
-                            <li>Share regular dashboard URL with users</li>
+                            <li>Set the same values as repository variables and redeploy so every user gets them</li>
                         </ol>
                     </div>
                 </div>
             </div>
         `;
         
+        modal.querySelector('#adminBackend').onchange = (e) => {
+            modal.querySelectorAll('.backend-fields').forEach(fields => {
+                fields.hidden = fields.dataset.backend !== e.target.value;
+            });
+        };
         modal.querySelector('.admin-save-btn').onclick = () => this.handleAdminConfigSave(modal);
         document.body.appendChild(modal);
     }
@@ -144,13 +449,14 @@ class ConfigManager {
                     <div class="waiting-content">
                         <div class="loading-spinner"></div>
                         <h3>⚙️ System Not Configured</h3>
-                        <p>The Firebase backend hasn't been configured yet.</p>
+                        <p>The backend hasn't been configured yet.</p>
                         <p>Please contact your system administrator to complete the initial setup.</p>
                         
                         <div class="admin-contact">
                             <h4>For Administrators:</h4>
-                            <p>Add <code>?admin_setup=true</code> to the URL to configure Firebase credentials.</p>
-                            <p>Example: <code>https://yourusername.github.io/repo/?admin_setup=true</code></p>
+                            <p>Run the <strong>Deploy to GitHub Pages</strong> workflow with the backend settings
+                               (or set them as repository variables) to publish a <code>config.json</code>.</p>
+                            <p>To try a backend from this browser only, add <code>?admin_setup=true</code> to the URL.</p>
                         </div>
                         
                         <button onclick="window.location.reload()" class="retry-btn">
@@ -165,7 +471,12 @@ class ConfigManager {
     }
 
     handleAdminConfigSave(modal) {
-        const config = {
+        const config = modal.querySelector('#adminBackend').value === 'mqtt' ? {
+            backend: 'mqtt',
+            mqttUrl: modal.querySelector('#adminMqttUrl').value.trim(),
+            authUrl: modal.querySelector('#adminAuthUrl').value.trim(),
+            topicPrefix: modal.querySelector('#adminTopicPrefix').value.trim() || 'smarthome'
+        } : {
             apiKey: modal.querySelector('#adminApiKey').value.trim(),
             authDomain: modal.querySelector('#adminAuthDomain').value.trim(),
             databaseURL: modal.querySelector('#adminDatabaseURL').value.trim(),
@@ -178,10 +489,10 @@ class ConfigManager {
         }
 
         try {
-            const fullConfig = this.saveGlobalConfig(config);
+            this.saveBrowserConfig(config);
             modal.remove();
             
-            alert('✅ Global Firebase configuration saved! All users can now access the system.');
+            alert('✅ Configuration saved for this browser.');
             
             // Redirect to regular dashboard
             window.location.href = window.location.href.split('?')[0];
@@ -190,11 +501,45 @@ class ConfigManager {
         }
     }
 
+    // Development switches are only honoured on localhost so a shared link can't point a deployed site elsewhere
+    isLocalhost() {
+        return ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    }
+
+    getEmulators() {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (!urlParams.has('emulators') || !this.isLocalhost()) return null;
+
+        return {
+            auth: 'http://localhost:9099',
+            database: { host: 'localhost', port: 9000 },
+            functions: { host: 'localhost', port: 5001 }
+        };
+    }
+
     validateConfig(config) {
         if (!config) {
             console.log('❌ Config validation failed: null config');
             return false;
         }
+
+        if (config.backend === 'mqtt') {
+            if (!/^wss?:\/\//.test(config.mqttUrl || '') || !/^https?:\/\//.test(config.authUrl || '')) {
+                console.log('❌ Config validation failed: MQTT backend needs a ws(s):// broker URL and an http(s):// account server URL');
+                return false;
+            }
+            console.log('✅ Configuration validation passed');
+            return true;
+        }
+
+        // The mock backend only ever runs on localhost (the generator accepts it for local config.json files)
+        if (config.backend === 'mock') {
+            if (typeof window !== 'undefined' && !this.isLocalhost()) {
+                console.log('❌ Config validation failed: the mock backend is only available on localhost');
+                return false;
+            }
+            return true;
+        }
         
         const required = ['apiKey', 'authDomain', 'databaseURL', 'projectId'];
         const missing = required.filter(key => !config[key] || config[key].trim().length === 0);
@@ -224,5 +569,91 @@ class ConfigManager {
     }
 }
 
-// Initialize global configuration manager
-window.configManager = new ConfigManager();
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfigManager;
+
+    // Deploy step: `node config.js` writes config.json from the workflow's environment
+    if (require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+        const env = process.env;
+        const manager = new ConfigManager();
+
+        const readConfig = () => {
+            const config = env.BACKEND === 'mqtt' ? {
+                backend: 'mqtt',
+                mqttUrl: env.MQTT_URL,
+                authUrl: env.AUTH_URL,
+                topicPrefix: env.TOPIC_PREFIX || 'smarthome'
+            } : {
+                apiKey: env.FIREBASE_API_KEY,
+                authDomain: env.FIREBASE_AUTH_DOMAIN,
+                databaseURL: env.FIREBASE_DATABASE_URL,
+                projectId: env.FIREBASE_PROJECT_ID,
+                storageBucket: env.FIREBASE_STORAGE_BUCKET,
+                messagingSenderId: env.FIREBASE_MESSAGING_SENDER_ID,
+                appId: env.FIREBASE_APP_ID
+            };
+            // Optional values that weren't provided are left out rather than written empty
+            Object.keys(config).forEach(key => {
+                if (!config[key]) delete config[key];
+            });
+            return config;
+        };
+
+        // SITES (a JSON list of { id, name, config }) replaces the single-site variables
+        const write = (key, payload, description) => manager.computeChecksum(payload).then(checksum => {
+            const file = {
+                [key]: payload,
+                checksum: checksum,
+                generated_at: new Date().toISOString(),
+                source: env.CONFIG_SOURCE || 'local'
+            };
+            fs.writeFileSync(path.join(__dirname, 'config.json'), JSON.stringify(file, null, 2) + '\n');
+            console.log(`✅ Wrote config.json for ${description} (${checksum})`);
+
+            if (process.argv.includes('--pin')) {
+                const page = path.join(__dirname, 'index.html');
+                const html = fs.readFileSync(page, 'utf8');
+                const pinned = html.replace(/<meta name="config-checksum" content="[^"]*">/, `<meta name="config-checksum" content="${checksum}">`);
+                if (pinned === html && !html.includes(checksum)) {
+                    console.error('::error::index.html has no config-checksum meta tag to pin.');
+                    process.exitCode = 1;
+                    return;
+                }
+                fs.writeFileSync(page, pinned);
+                console.log('✅ Pinned the checksum in index.html');
+            }
+        });
+
+        if (env.SITES) {
+            let sites = null;
+            try {
+                sites = JSON.parse(env.SITES);
+            } catch (error) {
+                console.error('::error::SITES is not valid JSON:', error.message);
+            }
+
+            if (!sites || !manager.validateSites(sites)) {
+                console.error('::error::The site list is invalid; config.json not written.');
+                process.exitCode = 1;
+            } else {
+                write('sites', sites, sites.map(site => site.id).join(', '));
+            }
+        } else {
+            const config = readConfig();
+            const provided = Object.keys(config).filter(key => !['backend', 'topicPrefix'].includes(key));
+            if (provided.length === 0) {
+                console.log('::warning::No backend configuration provided; config.json not written. Browsers fall back to ?admin_setup=true.');
+            } else if (!manager.validateConfig(config)) {
+                console.error('::error::The backend configuration is invalid; config.json not written.');
+                process.exitCode = 1;
+            } else {
+                write('config', config, config.projectId || config.authUrl);
+            }
+        }
+    }
+} else {
+    // Initialize global configuration manager
+    window.configManager = new ConfigManager();
+}
@@ -0,0 +1,119 @@
+// csv.js - RFC 4180 CSV Reader & Writer
+class CsvCodec {
+    constructor() {
+        this.delimiter = ',';
+        this.lineBreak = '\r\n';
+    }
+
+    escapeField(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        // A spreadsheet would run text starting with these as a formula, so it is kept as text with a leading
+        // apostrophe. Numbers are left alone; a negative number is not a formula.
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            return `"'${text.replace(/"/g, '""')}"`;
+        }
+        // Quote fields containing delimiters, quotes, line breaks or edge whitespace; double embedded quotes
+        if (/[",\r\n]/.test(text) || text.trim() !== text) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    stringify(rows, headers = rows.length ? Object.keys(rows[0]) : []) {
+        if (!headers.length) return '';
+
+        return [
+            headers.map(header => this.escapeField(header)).join(this.delimiter),
+            ...rows.map(row => headers.map(header => this.escapeField(row[header])).join(this.delimiter))
+        ].join(this.lineBreak) + this.lineBreak;
+    }
+
+    // Returns an array of records (arrays of field strings); each record's .line is the line it starts on,
+    // which differs from its index once a quoted field spans several lines
+    parseRecords(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+        let i = 0;
+
+        // Ignore a UTF-8 byte order mark left by spreadsheet exports
+        if (text.charCodeAt(0) === 0xFEFF) i = 1;
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === this.delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                record.line = recordLine;
+                records.push(record);
+                record = [];
+                field = '';
+                recordLine = ++line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('Unterminated quoted field');
+        }
+
+        if (field !== '' || record.length) {
+            record.push(field);
+            record.line = recordLine;
+            records.push(record);
+        }
+
+        // Drop blank lines
+        return records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+    }
+
+    // Parses CSV with a header row into objects keyed by the (trimmed, lower-cased) header names
+    parse(text) {
+        return this.parseWithLines(text).map(entry => entry.row);
+    }
+
+    // Same as parse(), as [{ line, row }] with the line each row starts on, for error reports
+    parseWithLines(text) {
+        const [headerRecord, ...records] = this.parseRecords(text);
+        if (!headerRecord) return [];
+
+        const headers = headerRecord.map(header => header.trim().toLowerCase());
+        return records.map(record => {
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = record[index] !== undefined ? record[index] : '';
+            });
+            return { line: record.line, row: row };
+        });
+    }
+}
+
+// Initialize shared CSV codec
+window.csvCodec = new CsvCodec();
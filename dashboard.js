@@ -4,8 +4,35 @@ class DashboardManager {
         this.auth = authManager;
         this.database = null;
         this.devicesData = {};
+        this.cloudDevicesData = {}; // As received from Firebase, before newer LAN readings are merged in
         this.userDevices = {};
         this.onlineDevicesCount = 0;
+        this.pendingCommands = {};
+        this.commandTimeout = 10000; // Roll back if the ESP32 hasn't confirmed within 10 seconds
+        this.pwmTimers = {};
+        this.pwmDelay = 400; // Wait for a PWM slider to settle before sending
+        this.history = new HistoryManager(this);
+        this.heartbeat = new HeartbeatMonitor();
+        this.heartbeat.onTransition((transitions) => this.handleHeartbeatTransitions(transitions));
+        this.rules = new RulesEngine(this);
+        this.schedules = new ScheduleManager(this);
+        this.sharing = new SharingManager(this);
+        this.pendingInvitations = [];
+        this.ownedDevices = {};
+        this.sharedDevices = {};
+        this.sharedDeviceWatchers = {};
+        this.deviceWatchers = [];
+        this.invitationsRef = null;
+        this.offline = new OfflineManager(this);
+        this.lan = new LanTransport(this);
+        this.pairing = new PairingManager(this);
+        this.deviceConfig = new DeviceConfigManager(this);
+        this.rooms = new RoomManager(this);
+        this.scenes = new SceneManager(this);
+        this.energy = new EnergyManager(this);
+        this.alerts = new AlertManager(this);
+        this.leader = new TabLeader('automation'); // The tab that runs rules and delivers alerts
+        this.legacyOwnedDevices = {};
     }
 
     async initialize() {
@@ -14,10 +41,21 @@ class DashboardManager {
             return;
         }
 
-        this.database = firebase.database();
+        this.database = this.auth.database;
+        this.heartbeat.attach(this.database);
         console.log('✅ Dashboard manager initialized');
         
+        // Show the last-known state straight away; live listeners replace it once connected
+        await this.offline.initialize(this.database);
+        await this.lan.initialize();
         await this.loadDevices();
+        this.leader.acquire(this.auth.currentUser.uid);
+        this.rules.initialize();
+        this.schedules.initialize();
+        this.rooms.initialize();
+        this.scenes.initialize();
+        this.energy.initialize();
+        this.alerts.initialize();
         this.setupRealtimeListeners();
     }
 
@@ -25,28 +63,43 @@ class DashboardManager {
         try {
             console.log('📡 Loading devices for user:', this.auth.currentUser.email);
             
-            const devicesRef = this.database.ref('devices');
-            
-            devicesRef.on('value', (snapshot) => {
-                const allDevices = snapshot.val() || {};
-                console.log('📊 Raw devices data:', Object.keys(allDevices).length, 'total devices');
-                
-                this.devicesData = allDevices;
-                
-                // Filter devices based on user permissions
-                this.userDevices = this.filterUserDevices(allDevices);
-                
-                console.log('👤 User devices:', Object.keys(this.userDevices).length, 'devices for', this.auth.currentUser.email);
-                
-                this.renderDashboard();
-                this.updateStats();
-            }, (error) => {
+            const handleError = (error) => {
                 console.error('❌ Error loading devices:', error);
                 this.showNotification('Failed to load devices: ' + error.message, 'error');
                 
                 // Show debug info for troubleshooting
                 this.showDebugInfo(error);
-            });
+            };
+            
+            const backend = this.auth.backend;
+            if (this.auth.isAdmin) {
+                this.deviceWatchers.push(backend.watchDevices({}, (devices) => {
+                    this.handleDevicesUpdate(devices || {});
+                }, handleError));
+                return;
+            }
+            
+            // Security rules only let regular users query their own devices and read shared ones individually
+            this.deviceWatchers.push(backend.watchDevices({ ownerUid: this.auth.currentUser.uid }, (devices) => {
+                this.ownedDevices = devices || {};
+                this.handleDevicesUpdate(this.getAccessibleDevices());
+            }, handleError));
+            
+            // Devices registered before claiming existed are owned by email until migrated, once it is verified
+            if (this.sharing.hasVerifiedEmail()) {
+                this.deviceWatchers.push(backend.watchDevices({ ownerEmail: this.auth.currentUser.email }, (devices) => {
+                    this.legacyOwnedDevices = devices || {};
+                    this.migrateLegacyOwnership();
+                    this.handleDevicesUpdate(this.getAccessibleDevices());
+                }, (error) => console.warn('Failed to load email-owned devices:', error)));
+            }
+            
+            this.invitationsRef = this.database.ref(`invitations/${this.sharing.getEmailKey(this.auth.currentUser.email)}`);
+            this.invitationsRef.on('value', (snapshot) => {
+                this.sharing.invitations = snapshot.val() || {};
+                this.syncSharedDeviceListeners();
+                this.handleDevicesUpdate(this.getAccessibleDevices());
+            }, (error) => console.warn('Failed to load device invitations:', error));
 
         } catch (error) {
             console.error('❌ Error setting up device listener:', error);
@@ -54,6 +107,96 @@ class DashboardManager {
         }
     }
 
+    getAccessibleDevices() {
+        return { ...this.sharedDevices, ...this.legacyOwnedDevices, ...this.ownedDevices };
+    }
+
+    // Moves email-owned devices to the signed-in uid so a later email change can't orphan them
+    migrateLegacyOwnership() {
+        const updates = {};
+        for (const deviceId in this.legacyOwnedDevices) {
+            if (!this.legacyOwnedDevices[deviceId].owner_uid) {
+                updates[`devices/${deviceId}/owner_uid`] = this.auth.currentUser.uid;
+            }
+        }
+
+        if (Object.keys(updates).length) {
+            console.log('🔁 Migrating device ownership to uid:', Object.keys(updates));
+            this.database.ref().update(updates)
+                .catch(error => console.warn('Failed to migrate device ownership:', error));
+        }
+    }
+
+    syncSharedDeviceListeners() {
+        const accepted = Object.keys(this.sharing.invitations)
+            .filter(deviceId => this.sharing.invitations[deviceId].status === 'accepted');
+
+        for (const deviceId in this.sharedDeviceWatchers) {
+            if (!accepted.includes(deviceId)) {
+                this.sharedDeviceWatchers[deviceId]();
+                delete this.sharedDeviceWatchers[deviceId];
+                delete this.sharedDevices[deviceId];
+            }
+        }
+
+        accepted.forEach(deviceId => {
+            if (this.sharedDeviceWatchers[deviceId]) return;
+
+            this.sharedDeviceWatchers[deviceId] = this.auth.backend.watchDevices({ deviceId: deviceId }, (device) => {
+                if (device) {
+                    this.sharedDevices[deviceId] = device;
+                } else {
+                    delete this.sharedDevices[deviceId];
+                }
+                this.handleDevicesUpdate(this.getAccessibleDevices());
+            }, (error) => {
+                // Access was revoked while we were listening
+                console.warn(`Lost access to shared device ${deviceId}:`, error);
+                delete this.sharedDevices[deviceId];
+                delete this.sharedDeviceWatchers[deviceId];
+                this.handleDevicesUpdate(this.getAccessibleDevices());
+            });
+        });
+    }
+
+    handleDevicesUpdate(allDevices, { fromCache = false } = {}) {
+        console.log('📊 Raw devices data:', Object.keys(allDevices).length, 'total devices', fromCache ? '(cached)' : '');
+        
+        this.cloudDevicesData = allDevices;
+        this.devicesData = this.lan.merge(allDevices);
+        this.heartbeat.update(this.devicesData);
+        
+        // Filter devices based on user permissions
+        this.userDevices = this.filterUserDevices(this.devicesData);
+        this.pendingInvitations = this.sharing.getPendingInvitations();
+        this.resolvePendingCommands();
+        
+        // Cached state is only displayed; history, schedules and rules must not act on it
+        if (!fromCache) {
+            this.offline.persistSnapshot(this.devicesData);
+            this.recordHistory();
+            this.energy.recordChanges();
+            this.alerts.evaluate(this.userDevices);
+            this.schedules.refresh();
+        }
+        this.sharing.refresh();
+        this.pairing.refresh();
+        
+        console.log('👤 User devices:', Object.keys(this.userDevices).length, 'devices for', this.auth.currentUser.email);
+        
+        this.renderDashboard();
+        this.updateStats();
+        if (!fromCache) {
+            this.rules.evaluate();
+        }
+    }
+
+    handleLanState(deviceId) {
+        if (this.cloudDevicesData[deviceId]) {
+            this.handleDevicesUpdate(this.cloudDevicesData);
+        }
+    }
+
     filterUserDevices(allDevices) {
         const userEmail = this.auth.currentUser.email;
         const filteredDevices = {};
@@ -68,13 +211,13 @@ class DashboardManager {
             totalCount++;
             
             console.log(`📱 Device ${deviceId}:`, {
-                owner: device.owner_email,
+                owner: device.owner_uid || device.owner_email,
                 name: device.name,
                 hasData: !!device.data
             });
             
-            // Admin can see all devices, users can only see their own
-            if (this.auth.isAdmin || device.owner_email === userEmail) {
+            // Admins see all devices, users see devices they own or that were shared with them
+            if (this.sharing.canView(device)) {
                 filteredDevices[deviceId] = device;
                 userCount++;
                 console.log(`✅ Device ${deviceId} accessible to user`);
@@ -88,42 +231,74 @@ class DashboardManager {
     }
 
     isDeviceOnline(device) {
-        if (!device || !device.data || !device.data.timestamp) {
-            console.log('❌ Device missing timestamp data');
-            return false;
-        }
-        
-        const now = Date.now() / 1000;
-        const deviceTime = device.data.timestamp;
-        const timeDiff = now - deviceTime;
-        const isOnline = timeDiff < 120; // Online if updated within 2 minutes
-        
-        console.log(`🔍 Device online check: ${timeDiff.toFixed(0)}s ago, online: ${isOnline}`);
-        return isOnline;
+        return this.heartbeat.getStatus(device) === 'online';
+    }
+
+    handleHeartbeatTransitions(transitions) {
+        transitions.forEach(({ deviceId, from, to, device }) => {
+            if (!this.userDevices[deviceId]) return;
+
+            this.updateDeviceStatusBadge(deviceId);
+            this.updateTransportBadge(deviceId);
+
+            // First sighting of a device is not a transition worth announcing, and
+            // while we are offline ourselves every device merely looks like it went quiet
+            if (from === null || this.offline.isOffline()) return;
+
+            const name = device.name || deviceId;
+            if (to === 'offline') {
+                this.showNotification(`${name} went offline`, 'warning');
+            } else if (to === 'online' && from === 'offline') {
+                this.showNotification(`${name} is back online`, 'success');
+            }
+        });
+
+        this.alerts.handleTransitions(transitions);
+        this.updateStats();
+    }
+
+    getStatusBadge(state) {
+        const badges = {
+            online: { className: 'status-online', label: '🟢 Online' },
+            stale: { className: 'status-stale', label: '🟡 Stale' },
+            offline: { className: 'status-offline', label: '🔴 Offline' }
+        };
+        return badges[state] || badges.offline;
+    }
+
+    updateDeviceStatusBadge(deviceId) {
+        const statusElement = document.querySelector(`.device-card[data-device-id="${CSS.escape(deviceId)}"] .device-status`);
+        if (!statusElement) return;
+
+        const badge = this.getStatusBadge(this.heartbeat.getState(deviceId));
+        statusElement.className = `device-status ${badge.className}`;
+        statusElement.textContent = badge.label;
+    }
+
+    updateTransportBadge(deviceId) {
+        const pathElement = document.querySelector(`.device-card[data-device-id="${CSS.escape(deviceId)}"] .transport-path`);
+        if (!pathElement) return;
+
+        const badge = this.lan.getPathBadge(deviceId);
+        pathElement.className = `transport-path ${badge.className}`;
+        pathElement.textContent = badge.label;
     }
 
     updateStats() {
         const deviceCount = Object.keys(this.userDevices).length;
-        let onlineCount = 0;
-        
-        // Calculate online devices
-        for (const deviceId in this.userDevices) {
-            const device = this.userDevices[deviceId];
-            if (this.isDeviceOnline(device)) {
-                onlineCount++;
-            }
-        }
+        const counts = this.heartbeat.getCounts(Object.keys(this.userDevices));
+        const onlineCount = counts.online;
         
         this.onlineDevicesCount = onlineCount;
         
-        console.log('📊 Stats update:', { deviceCount, onlineCount });
-        
         // Update UI
         const deviceCountElement = document.getElementById('deviceCount');
         const onlineCountElement = document.getElementById('onlineCount');
+        const staleCountElement = document.getElementById('staleCount');
         
         if (deviceCountElement) deviceCountElement.textContent = deviceCount;
         if (onlineCountElement) onlineCountElement.textContent = onlineCount;
+        if (staleCountElement) staleCountElement.textContent = counts.stale;
         
         document.getElementById('lastUpdate').textContent = new Date().toLocaleString();
         
@@ -160,7 +335,7 @@ class DashboardManager {
                         <ol>
                             <li>Check Firebase Security Rules allow device access</li>
                             <li>Verify at least one ESP32 device is configured</li>
-                            <li>Ensure device owner_email matches user email</li>
+                            <li>Ensure device owner_uid matches the user's UID (or, for older devices, owner_email their email)</li>
                             <li>Check Firebase Console → Realtime Database → Data</li>
                         </ol>
                         
@@ -169,6 +344,7 @@ class DashboardManager {
 devices/
   ESP32_XXXXXX/
     name: "Living Room"
+    owner_uid: "${this.auth.currentUser.uid}"
     owner_email: "${this.auth.currentUser.email}"
     location: "Living Room"
     data/
@@ -190,17 +366,415 @@ devices/
 
         grid.innerHTML = '';
 
+        if (this.pendingInvitations.length) {
+            grid.appendChild(this.sharing.getInvitationsElement(this.pendingInvitations));
+        }
+
         if (deviceCount === 0) {
             grid.appendChild(this.getEmptyStateElement());
             return;
         }
 
-        // Render device cards
+        // Relay groups first, then device cards sectioned by room (or reported location)
+        this.rooms.getSortedGroups('group').forEach(group => {
+            const section = this.rooms.createGroupSection(group);
+            if (section) grid.appendChild(section);
+        });
+
+        this.rooms.getSections(this.userDevices).forEach(section => {
+            grid.appendChild(this.rooms.createRoomSection(section));
+        });
+    }
+
+    createDeviceCard(deviceId, device) {
+        const data = device.data || {};
+        const statusBadge = this.getStatusBadge(this.heartbeat.getState(deviceId));
+        const pathBadge = this.lan.getPathBadge(deviceId);
+        const relays = this.getRelayChannels(data, device.config);
+        const pwmChannels = this.getPwmChannels(data);
+        const sensors = this.getSensorReadings(data);
+        const lastSeen = data.timestamp ? new Date(data.timestamp * 1000).toLocaleString() : 'Never';
+        const nextAction = this.schedules.getNextAction(deviceId);
+        const role = this.sharing.getRole(device);
+        const canControl = this.sharing.canControl(device);
+
+        const card = document.createElement('div');
+        card.className = 'device-card';
+        card.dataset.deviceId = deviceId;
+
+        card.innerHTML = `
+            <div class="device-header">
+                <div>
+                    <div class="device-title">${this.escapeHtml(device.name || deviceId)}</div>
+                    <div class="device-meta">
+                        <span>📍 ${this.escapeHtml(device.location || 'Unknown location')}</span>
+                        <span>🆔 ${this.escapeHtml(deviceId)}</span>
+                        ${this.auth.isAdmin ? `<span>👤 ${this.escapeHtml(device.owner_email || 'Unassigned')}</span>` : ''}
+                        ${role !== 'owner' ? `<span>🔗 Shared with you · ${this.sharing.roles[role].label}</span>` : ''}
+                    </div>
+                </div>
+                <div class="device-status-container">
+                    <div class="device-status ${statusBadge.className}">${statusBadge.label}</div>
+                    <div class="transport-path ${pathBadge.className}" title="Connection used for commands">${pathBadge.label}</div>
+                    <div class="last-seen">Last seen: ${lastSeen}</div>
+                    ${this.deviceConfig.getStatusHtml(device)}
+                </div>
+            </div>
+            
+            ${relays.length ? `
+                <div class="control-section">
+                    <div class="section-title">🔌 Relays</div>
+                    <div class="relays-grid ${canControl ? '' : 'readonly'}">
+                        ${relays.map(relay => this.getRelayControlHtml(deviceId, relay)).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${pwmChannels.length ? `
+                <div class="control-section ${canControl ? '' : 'readonly'}">
+                    <div class="section-title">💡 Dimming</div>
+                    ${pwmChannels.map(channel => this.getPwmControlHtml(deviceId, channel)).join('')}
+                </div>
+            ` : ''}
+            
+            ${sensors.length ? `
+                <div class="control-section">
+                    <div class="section-title">🌡️ Sensors</div>
+                    <div class="sensors-grid">
+                        ${sensors.map(sensor => `
+                            <div class="sensor-card ${sensor.type}">
+                                <div class="sensor-icon">${sensor.icon}</div>
+                                <div class="sensor-value">${sensor.value}</div>
+                                <div class="sensor-unit">${sensor.unit}</div>
+                                <div class="sensor-label">${sensor.label}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${nextAction ? `
+                <div class="next-action">
+                    ⏰ Next: Relay ${Number(nextAction.schedule.channel) + 1} ${nextAction.schedule.state ? 'ON' : 'OFF'}
+                    at ${new Date(nextAction.at).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}
+                </div>
+            ` : ''}
+            
+            <div class="device-actions">
+                <button class="device-action-btn" data-action="history">📈 History</button>
+                ${relays.length ? '<button class="device-action-btn" data-action="energy">⚡ Energy</button>' : ''}
+                ${canControl ? '<button class="device-action-btn" data-action="schedule">⏰ Schedule</button>' : ''}
+                ${canControl ? '<button class="device-action-btn" data-action="lan">🏠 Local</button>' : ''}
+                ${this.sharing.canManage(device) ? '<button class="device-action-btn" data-action="share">👥 Share</button>' : ''}
+                ${this.deviceConfig.canEdit(device) ? '<button class="device-action-btn" data-action="config">✏️ Edit</button>' : ''}
+            </div>
+        `;
+
+        card.querySelector('[data-action="history"]').onclick = () => this.history.showHistoryModal(deviceId);
+        if (relays.length) {
+            card.querySelector('[data-action="energy"]').onclick = () => this.energy.showEnergyModal(deviceId);
+        }
+        if (canControl) {
+            card.querySelector('[data-action="schedule"]').onclick = () => this.schedules.showDeviceSchedules(deviceId);
+            card.querySelector('[data-action="lan"]').onclick = () => this.lan.showLanModal(deviceId);
+        }
+        if (this.sharing.canManage(device)) {
+            card.querySelector('[data-action="share"]').onclick = () => this.sharing.showShareModal(deviceId);
+        }
+        if (this.deviceConfig.canEdit(device)) {
+            card.querySelector('[data-action="config"]').onclick = () => this.deviceConfig.showConfigModal(deviceId);
+        }
+
+        card.querySelectorAll('.pwm-slider').forEach(slider => {
+            slider.disabled = !canControl;
+        });
+
+        if (!canControl) return card;
+
+        card.querySelectorAll('.relay-control').forEach(control => {
+            control.onclick = () => {
+                if (control.classList.contains('pending')) return;
+                const index = parseInt(control.dataset.channel, 10);
+                const relay = relays.find(r => r.index === index);
+                const queued = this.offline.getQueued(deviceId, 'relay', index);
+                this.toggleRelay(deviceId, index, !(queued ? queued.value : relay.state));
+            };
+        });
+
+        card.querySelectorAll('.pwm-slider').forEach(slider => {
+            const valueLabel = slider.closest('.pwm-control').querySelector('.pwm-value');
+            slider.oninput = () => {
+                valueLabel.textContent = `${slider.value}%`;
+            };
+            slider.onchange = () => {
+                this.setPwm(deviceId, parseInt(slider.dataset.channel, 10), parseInt(slider.value, 10));
+            };
+        });
+
+        return card;
+    }
+
+    recordHistory() {
         for (const deviceId in this.userDevices) {
-            const device = this.userDevices[deviceId];
-            const deviceCard = this.createDeviceCard(deviceId, device);
-            grid.appendChild(deviceCard);
+            // Only users who may write to a device can record its history
+            if (this.sharing.canControl(this.userDevices[deviceId])) {
+                this.history.recordSnapshot(deviceId, this.userDevices[deviceId]);
+            }
+        }
+    }
+
+    getRelayChannels(data, config) {
+        const relays = data.relays || [];
+        const list = Array.isArray(relays) ? relays : Object.values(relays);
+        const labels = (config && config.relays) || {};
+
+        // Relays may be reported as plain booleans or as { state, name, power } objects (power in W, if metered);
+        // labels set in the dashboard's device config take precedence
+        return list.map((relay, index) => {
+            const isObject = relay !== null && typeof relay === 'object';
+            const configured = labels[index] || {};
+            return {
+                index: index,
+                name: configured.label || (isObject && relay.name ? relay.name : `Relay ${index + 1}`),
+                icon: configured.icon || null,
+                state: !!(isObject ? relay.state : relay),
+                power: isObject && typeof relay.power === 'number' ? relay.power : null
+            };
+        });
+    }
+
+    getPwmChannels(data) {
+        const pwm = data.pwm;
+        if (pwm === undefined || pwm === null) return [];
+        const list = Array.isArray(pwm) ? pwm : (typeof pwm === 'object' ? Object.values(pwm) : [pwm]);
+
+        // PWM channels may be plain percentages or { value, relay } objects
+        return list.map((channel, index) => {
+            const isObject = channel !== null && typeof channel === 'object';
+            const value = Number(isObject ? channel.value : channel) || 0;
+            return {
+                index: index,
+                value: Math.max(0, Math.min(100, Math.round(value))),
+                relay: isObject && channel.relay !== undefined ? channel.relay : null
+            };
+        });
+    }
+
+    getSensorReadings(data) {
+        const sensorTypes = [
+            { key: 'temperature', type: 'temperature', icon: '🌡️', unit: '°C', label: 'Temperature' },
+            { key: 'humidity', type: 'humidity', icon: '💧', unit: '%', label: 'Humidity' },
+            { key: 'light', type: 'light', icon: '☀️', unit: 'lux', label: 'Light' },
+            { key: 'pressure', type: 'pressure', icon: '🌀', unit: 'hPa', label: 'Pressure' }
+        ];
+
+        return sensorTypes
+            .filter(sensor => typeof data[sensor.key] === 'number')
+            .map(sensor => ({
+                ...sensor,
+                value: Number.isInteger(data[sensor.key]) ? data[sensor.key] : data[sensor.key].toFixed(1)
+            }));
+    }
+
+    getRelayControlHtml(deviceId, relay) {
+        const pending = this.pendingCommands[this.getCommandKey(deviceId, 'relay', relay.index)];
+        const queued = this.offline.getQueued(deviceId, 'relay', relay.index);
+        const state = pending ? pending.expected : (queued ? queued.value : relay.state);
+        const label = state ? 'ON' : 'OFF';
+
+        return `
+            <div class="relay-control ${state ? 'active' : ''} ${pending ? 'pending' : ''} ${queued ? 'queued' : ''}" data-channel="${relay.index}">
+                <div class="relay-name">${relay.icon ? `${this.escapeHtml(relay.icon)} ` : ''}${this.escapeHtml(relay.name)}</div>
+                <div class="relay-state">${pending ? '⏳ Sending...' : (queued ? `📥 ${label} queued` : label)}</div>
+            </div>
+        `;
+    }
+
+    getPwmControlHtml(deviceId, channel) {
+        const pending = this.pendingCommands[this.getCommandKey(deviceId, 'pwm', channel.index)];
+        const queued = this.offline.getQueued(deviceId, 'pwm', channel.index);
+        const value = pending ? pending.expected : (queued ? queued.value : channel.value);
+
+        return `
+            <div class="pwm-control ${pending ? 'pending' : ''} ${queued ? 'queued' : ''}">
+                <div class="pwm-info">
+                    <span class="pwm-value">${value}%</span>
+                    <span class="pwm-relay">
+                        ${pending ? '⏳ Sending...' : queued ? '📥 Queued' : (channel.relay !== null ? `Relay ${Number(channel.relay) + 1}` : `Channel ${channel.index + 1}`)}
+                    </span>
+                </div>
+                <input type="range" class="pwm-slider" min="0" max="100" value="${value}" data-channel="${channel.index}">
+            </div>
+        `;
+    }
+
+    getCommandKey(deviceId, type, channel) {
+        return `${deviceId}:${type}:${channel}`;
+    }
+
+    // Value a device currently reports for a relay or PWM channel, or undefined if it has no such channel
+    getReportedValue(data, type, channel) {
+        const channels = type === 'relay' ? this.getRelayChannels(data) : this.getPwmChannels(data);
+        const current = channels.find(c => c.index === channel);
+        if (!current) return undefined;
+        return type === 'relay' ? current.state : current.value;
+    }
+
+    async toggleRelay(deviceId, channel, state) {
+        await this.sendCommand(deviceId, 'relay', channel, state);
+    }
+
+    // Keyboard steps fire a change each, so only the value the slider settles on is sent
+    setPwm(deviceId, channel, value) {
+        const key = this.getCommandKey(deviceId, 'pwm', channel);
+        clearTimeout(this.pwmTimers[key]);
+        this.pwmTimers[key] = setTimeout(() => {
+            delete this.pwmTimers[key];
+            this.sendCommand(deviceId, 'pwm', channel, value);
+        }, this.pwmDelay);
+    }
+
+    async sendCommand(deviceId, type, channel, value) {
+        const device = this.devicesData[deviceId];
+        if (!this.sharing.canControl(device)) {
+            this.showNotification(`You have view-only access to ${(device && device.name) || deviceId}`, 'error');
+            return;
+        }
+        this.alerts.noteOwnCommand(deviceId, type, channel);
+
+        if (this.lan.getPath(deviceId) === 'lan' && await this.sendLanCommand(deviceId, type, channel, value)) {
+            return;
         }
+
+        // Writes made while disconnected would reach the device late and blind, so queue them for a checked replay
+        if (this.offline.isOffline()) {
+            await this.offline.enqueue(deviceId, type, channel, value);
+            return;
+        }
+
+        const key = this.getCommandKey(deviceId, type, channel);
+        this.clearPendingCommand(key);
+
+        const before = this.getReportedValue((device && device.data) || {}, type, channel);
+        const pending = {
+            deviceId: deviceId,
+            type: type,
+            channel: channel,
+            expected: value,
+            before: before,
+            path: 'cloud',
+            command: null,
+            timer: setTimeout(() => this.rollbackCommand(key), this.commandTimeout)
+        };
+        this.pendingCommands[key] = pending;
+        this.renderDashboard();
+
+        try {
+            pending.command = await this.auth.backend.sendCommand(deviceId, {
+                type: type,
+                channel: channel,
+                value: value,
+                issuedBy: this.auth.currentUser.uid,
+                issuedByEmail: this.auth.currentUser.email
+            });
+            console.log(`📤 Command sent to ${deviceId}:`, { type, channel, value });
+        } catch (error) {
+            console.error('❌ Failed to send command:', error);
+            this.clearPendingCommand(key);
+            this.renderDashboard();
+            this.showNotification(`Failed to send command to ${deviceId}: ${error.message}`, 'error');
+        }
+    }
+
+    // Returns false when the device could not be reached, so the caller falls back to the cloud path
+    async sendLanCommand(deviceId, type, channel, value) {
+        const device = this.devicesData[deviceId];
+        const key = this.getCommandKey(deviceId, type, channel);
+        const before = this.getReportedValue((device && device.data) || {}, type, channel);
+        this.clearPendingCommand(key);
+
+        this.pendingCommands[key] = {
+            deviceId: deviceId,
+            type: type,
+            channel: channel,
+            expected: value,
+            before: before,
+            path: 'lan',
+            command: null,
+            timer: setTimeout(() => this.rollbackCommand(key), this.commandTimeout)
+        };
+        this.renderDashboard();
+
+        try {
+            await this.lan.sendCommand(deviceId, type, channel, value);
+            console.log(`🏠 Command sent to ${deviceId} over LAN:`, { type, channel, value });
+        } catch (error) {
+            console.warn(`LAN command to ${deviceId} failed, falling back to cloud:`, error);
+            this.clearPendingCommand(key);
+            this.renderDashboard();
+            return false;
+        }
+
+        return true;
+    }
+
+    resolvePendingCommands() {
+        for (const key in this.pendingCommands) {
+            const pending = this.pendingCommands[key];
+            const device = this.devicesData[pending.deviceId];
+            const reported = this.getReportedValue((device && device.data) || {}, pending.type, pending.channel);
+
+            if (reported === pending.expected) {
+                console.log(`✅ Command confirmed by ${pending.deviceId}:`, key);
+                this.clearPendingCommand(key);
+                this.auditCommand(pending);
+            }
+        }
+    }
+
+    // Only commands the device confirmed are audited; superseded, failed and timed-out ones never took effect
+    auditCommand(pending) {
+        const { type, channel } = pending;
+        this.auth.audit.record('device.command', pending.deviceId, {
+            before: { type: type, channel: channel, value: pending.before === undefined ? null : pending.before },
+            after: { type: type, channel: channel, value: pending.expected, path: pending.path }
+        });
+    }
+
+    rollbackCommand(key) {
+        const pending = this.pendingCommands[key];
+        if (!pending) return;
+
+        console.warn(`⏱️ Command not confirmed in time, rolling back:`, key);
+
+        // Withdraw the command so the device doesn't apply it late
+        if (pending.command) {
+            pending.command.withdraw().catch(error => console.warn('Failed to withdraw command:', error));
+        }
+
+        this.clearPendingCommand(key);
+        this.renderDashboard();
+
+        const device = this.devicesData[pending.deviceId] || {};
+        const target = pending.type === 'relay' ? `Relay ${pending.channel + 1}` : `PWM channel ${pending.channel + 1}`;
+        this.showNotification(`${device.name || pending.deviceId}: ${target} did not respond`, 'error');
+    }
+
+    clearPendingCommand(key) {
+        const pending = this.pendingCommands[key];
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        delete this.pendingCommands[key];
+    }
+
+    showNotification(message, type = 'info', options = {}) {
+        return window.notificationManager.show(message, type, options);
+    }
+
+    // The managers escape through the dashboard; the helper itself lives in html.js
+    escapeHtml(value) {
+        return escapeHtml(value);
     }
 
     getEmptyStateElement() {
@@ -235,22 +809,11 @@ devices/
                 <p>You don't have any ESP32 devices registered yet.</p>
                 <div class="help-box">
                     <h3>🔧 To add your first device:</h3>
-                    <ol>
-                        <li>Power on your ESP32 home automation device</li>
-                        <li>Connect to WiFi: <strong>ESP32_HomeAutomation_Setup</strong></li>
-                        <li>Password: <strong>homesetup123</strong></li>
-                        <li>Open browser: <strong>http://192.168.4.1</strong></li>
-                        <li>Use your email: <strong>${this.auth.currentUser.email}</strong></li>
-                        <li>Complete all 3 setup tabs</li>
-                    </ol>
-                    
-                    <div class="setup-status">
-                        <h4>📱 Setup Status Check:</h4>
-                        <p>User Email: <code>${this.auth.currentUser.email}</code></p>
-                        <p>Make sure to use this exact email when setting up your ESP32 device.</p>
-                    </div>
+                    <p>Get a pairing code, then enter it on the device's setup page. The device is linked to your account automatically.</p>
+                    <button class="save-btn add-device-btn">➕ Add Device</button>
                 </div>
             `;
+            emptyDiv.querySelector('.add-device-btn').onclick = () => this.pairing.showPairingModal();
         }
         
         return emptyDiv;
@@ -258,9 +821,28 @@ devices/
 
     // Rest of your existing methods remain the same...
     setupRealtimeListeners() {
-        // Auto-refresh every 30 seconds
-        setInterval(() => {
-            this.updateStats();
-        }, 30000);
+        // Heartbeat ticks re-evaluate device states and report transitions
+        this.heartbeat.start();
+    }
+
+    // Stops every listener and timer, on sign-out or when another site is selected
+    detach() {
+        this.deviceWatchers.forEach(unsubscribe => unsubscribe());
+        this.deviceWatchers = [];
+        Object.keys(this.sharedDeviceWatchers).forEach(deviceId => this.sharedDeviceWatchers[deviceId]());
+        this.sharedDeviceWatchers = {};
+        if (this.invitationsRef) {
+            this.invitationsRef.off();
+            this.invitationsRef = null;
+        }
+        Object.keys(this.pendingCommands).forEach(key => this.clearPendingCommand(key));
+        Object.values(this.pwmTimers).forEach(timer => clearTimeout(timer));
+        this.pwmTimers = {};
+
+        this.heartbeat.detach();
+        this.offline.detach();
+        this.lan.disconnectAll();
+        this.leader.resign();
+        [this.rules, this.schedules, this.rooms, this.scenes, this.energy, this.alerts].forEach(manager => manager.detach());
     }
 }
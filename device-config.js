@@ -0,0 +1,310 @@
+// device-config.js - Remote Device Configuration Editor
+//
+// Edits are written to devices/{id}/config with a version counter that increases by one per save.
+// The device applies the config (including calibration offsets, so the dashboard shows readings
+// as reported) and acknowledges with devices/{id}/config_applied = { version, applied_at }.
+class DeviceConfigManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.icons = ['💡', '🔌', '🌀', '🔥', '❄️', '🚰', '📺', '🚪', '🪴', '🔔'];
+        this.calibrationFields = [
+            { key: 'temperature', label: '🌡️ Temperature', unit: '°C' },
+            { key: 'humidity', label: '💧 Humidity', unit: '%' },
+            { key: 'light', label: '☀️ Light', unit: 'lux' },
+            { key: 'pressure', label: '🌀 Pressure', unit: 'hPa' }
+        ];
+        this.reportInterval = { min: 5, max: 3600 }; // Seconds
+        this.maxLabelLength = 40;
+        this.maxWatts = 10000;
+    }
+
+    get auth() {
+        return this.dashboard.auth;
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    canEdit(device) {
+        return this.dashboard.sharing.canManage(device);
+    }
+
+    // Calibration and reporting affect readings everyone relies on, so only admins change them
+    canEditAdvanced() {
+        return this.auth.isAdmin;
+    }
+
+    getStatus(device) {
+        const config = device && device.config;
+        if (!config || !config.version) return null;
+
+        const applied = device.config_applied || {};
+        return {
+            version: config.version,
+            applied: (applied.version || 0) >= config.version,
+            appliedAt: applied.applied_at || null
+        };
+    }
+
+    getStatusHtml(device) {
+        const status = this.getStatus(device);
+        if (!status) return '';
+
+        return status.applied
+            ? `<span class="config-status applied" title="Applied ${status.appliedAt ? new Date(status.appliedAt).toLocaleString() : ''}">⚙️ Config v${status.version} applied by device</span>`
+            : `<span class="config-status awaiting">⚙️ Config v${status.version} awaiting device</span>`;
+    }
+
+    validate(changes, device) {
+        if (!changes.name) {
+            throw new Error('Name is required');
+        }
+
+        for (const index in changes.relays || {}) {
+            if (changes.relays[index].label.length > this.maxLabelLength) {
+                throw new Error(`Relay labels must be at most ${this.maxLabelLength} characters`);
+            }
+            const icon = changes.relays[index].icon;
+            if (icon && !this.icons.includes(icon)) {
+                throw new Error('Choose a relay icon from the list');
+            }
+            const watts = changes.relays[index].watts;
+            if (watts !== null && (!isFinite(watts) || watts < 0 || watts > this.maxWatts)) {
+                throw new Error(`Rated power must be 0-${this.maxWatts} W`);
+            }
+        }
+
+        if (changes.heartbeat) {
+            const error = this.dashboard.heartbeat.validateThresholds(changes.heartbeat);
+            if (error) throw new Error(error);
+        }
+
+        if (changes.report_interval !== undefined) {
+            const interval = changes.report_interval;
+            if (!Number.isInteger(interval) || interval < this.reportInterval.min || interval > this.reportInterval.max) {
+                throw new Error(`Report interval must be ${this.reportInterval.min}-${this.reportInterval.max} seconds`);
+            }
+
+            // A device reporting less often than the stale threshold would flap between online and stale
+            const heartbeat = changes.heartbeat !== undefined ? { heartbeat: changes.heartbeat } : device;
+            const thresholds = this.dashboard.heartbeat.getThresholds(heartbeat);
+            if (interval >= thresholds.staleAfter) {
+                throw new Error(`Report interval must be shorter than the ${thresholds.staleAfter}s stale threshold`);
+            }
+        }
+
+        for (const key in changes.calibration || {}) {
+            if (!isFinite(changes.calibration[key])) {
+                throw new Error(`Calibration offset for ${key} must be a number`);
+            }
+        }
+    }
+
+    async save(deviceId, changes) {
+        const device = this.dashboard.devicesData[deviceId];
+        if (!this.canEdit(device)) {
+            throw new Error('Only device owners can change its configuration');
+        }
+        if (!this.canEditAdvanced()) {
+            delete changes.calibration;
+            delete changes.report_interval;
+            delete changes.heartbeat;
+        }
+
+        this.validate(changes, device);
+
+        // Heartbeat thresholds are for the dashboard, so they stay out of the config sent to the device
+        const heartbeat = changes.heartbeat;
+        delete changes.heartbeat;
+
+        const before = device.config || {};
+        const user = this.auth.currentUser;
+
+        // A transaction keeps the version counter strictly increasing when two people save at once
+        const result = await this.database.ref(`devices/${deviceId}/config`).transaction(current => {
+            const config = current || {};
+            return {
+                ...config,
+                ...changes,
+                version: (config.version || 0) + 1,
+                updated_at: this.auth.backend.serverTimestamp(),
+                updated_by: user.email
+            };
+        });
+
+        if (!result.committed) {
+            throw new Error('Configuration was not saved');
+        }
+
+        // The dashboard reads name and location from the device record itself
+        await this.database.ref(`devices/${deviceId}`).update({
+            name: changes.name,
+            location: changes.location || null
+        });
+        if (heartbeat !== undefined) {
+            await this.dashboard.heartbeat.setDeviceThresholds(deviceId, heartbeat);
+        }
+
+        const after = result.snapshot.val();
+        await this.auth.audit.record('device.config', deviceId, {
+            targetType: 'device',
+            before: { version: before.version || 0, name: device.name || null, location: device.location || null },
+            after: { version: after.version, ...changes, ...(heartbeat !== undefined ? { heartbeat: heartbeat } : {}) }
+        });
+
+        return after.version;
+    }
+
+    readForm(form, relays) {
+        const changes = {
+            name: form.name.value.trim(),
+            location: form.location.value.trim(),
+            relays: {}
+        };
+
+        relays.forEach(relay => {
+            changes.relays[relay.index] = {
+                label: form[`relay_label_${relay.index}`].value.trim(),
+                icon: form[`relay_icon_${relay.index}`].value,
+                watts: form[`relay_watts_${relay.index}`].value === '' ? null : Number(form[`relay_watts_${relay.index}`].value)
+            };
+        });
+
+        if (this.canEditAdvanced()) {
+            changes.calibration = {};
+            this.calibrationFields.forEach(field => {
+                changes.calibration[field.key] = Number(form[`calibration_${field.key}`].value) || 0;
+            });
+            changes.report_interval = Number(form.report_interval.value);
+            // Both empty: the device follows the global heartbeat thresholds
+            changes.heartbeat = form.stale_after.value === '' && form.offline_after.value === ''
+                ? null
+                : { staleAfter: Number(form.stale_after.value), offlineAfter: Number(form.offline_after.value) };
+        }
+
+        return changes;
+    }
+
+    showConfigModal(deviceId) {
+        let modal = document.getElementById('deviceConfigModal');
+        if (modal) modal.remove();
+
+        const device = this.dashboard.devicesData[deviceId] || {};
+        const config = device.config || {};
+        const relayConfig = config.relays || {};
+        const calibration = config.calibration || {};
+        const heartbeat = device.heartbeat || {};
+        const globalThresholds = this.dashboard.heartbeat.globalThresholds;
+        const relays = this.dashboard.getRelayChannels(device.data || {});
+        const escape = value => this.dashboard.escapeHtml(value === undefined || value === null ? '' : value);
+        const status = this.getStatus(device);
+
+        modal = document.createElement('div');
+        modal.id = 'deviceConfigModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content config-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>✏️ Configure ${escape(device.name || deviceId)}</h2>
+                    <p class="rule-meta">
+                        ${status ? `Version ${status.version} · ${status.applied ? '✅ applied by device' : '⏳ awaiting device'}` : 'Not configured from the dashboard yet'}
+                    </p>
+                    <form class="config-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Name:</label>
+                                <input type="text" name="name" required maxlength="60" value="${escape(device.name || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label>Location:</label>
+                                <input type="text" name="location" maxlength="60" value="${escape(device.location || '')}">
+                            </div>
+                        </div>
+
+                        ${relays.length ? `
+                            <h3>🔌 Relays</h3>
+                            ${relays.map(relay => {
+                                const entry = relayConfig[relay.index] || {};
+                                return `
+                                    <div class="form-row">
+                                        <div class="form-group">
+                                            <label>Relay ${relay.index + 1} label:</label>
+                                            <input type="text" name="relay_label_${relay.index}" maxlength="${this.maxLabelLength}"
+                                                placeholder="Relay ${relay.index + 1}" value="${escape(entry.label || '')}">
+                                        </div>
+                                        <div class="form-group">
+                                            <label>Icon:</label>
+                                            <select name="relay_icon_${relay.index}">
+                                                <option value="">None</option>
+                                                ${this.icons.map(icon => `<option value="${icon}" ${entry.icon === icon ? 'selected' : ''}>${icon}</option>`).join('')}
+                                            </select>
+                                        </div>
+                                        <div class="form-group">
+                                            <label>Rated power (W):</label>
+                                            <input type="number" name="relay_watts_${relay.index}" min="0" max="${this.maxWatts}" step="any"
+                                                placeholder="${relay.power !== null ? `Metered: ${relay.power} W` : 'Unknown'}" value="${escape(entry.watts)}">
+                                        </div>
+                                    </div>
+                                `;
+                            }).join('')}
+                        ` : ''}
+
+                        ${this.canEditAdvanced() ? `
+                            <h3>🎚️ Sensor Calibration Offsets</h3>
+                            <div class="form-row">
+                                ${this.calibrationFields.map(field => `
+                                    <div class="form-group">
+                                        <label>${field.label} (${field.unit}):</label>
+                                        <input type="number" step="0.1" name="calibration_${field.key}" value="${escape(calibration[field.key] || 0)}">
+                                    </div>
+                                `).join('')}
+                            </div>
+                            <h3>⏱️ Reporting</h3>
+                            <div class="form-group">
+                                <label>Report interval (seconds):</label>
+                                <input type="number" name="report_interval" required
+                                    min="${this.reportInterval.min}" max="${this.reportInterval.max}"
+                                    value="${escape(config.report_interval || 30)}">
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label>Stale after (seconds):</label>
+                                    <input type="number" name="stale_after" min="1" step="1"
+                                        placeholder="Global: ${globalThresholds.staleAfter}" value="${escape(heartbeat.stale_after)}">
+                                </div>
+                                <div class="form-group">
+                                    <label>Offline after (seconds):</label>
+                                    <input type="number" name="offline_after" min="1" step="1"
+                                        placeholder="Global: ${globalThresholds.offlineAfter}" value="${escape(heartbeat.offline_after)}">
+                                </div>
+                            </div>
+                            <p class="rule-meta">Leave both empty to use the global heartbeat thresholds.</p>
+                        ` : `
+                            <p class="rule-meta">Sensor calibration, the report interval and heartbeat thresholds can only be changed by an administrator.</p>
+                        `}
+
+                        <div class="form-actions">
+                            <button type="submit" class="save-btn">💾 Save &amp; Send to Device</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const form = modal.querySelector('.config-form');
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            try {
+                const version = await this.save(deviceId, this.readForm(form, relays));
+                this.dashboard.showNotification(`Configuration v${version} sent to ${form.name.value.trim()}`, 'success');
+                modal.remove();
+            } catch (error) {
+                this.dashboard.showNotification(`Failed to save configuration: ${error.message}`, 'error');
+            }
+        };
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+
+        document.body.appendChild(modal);
+    }
+}
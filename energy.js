@@ -0,0 +1,594 @@
+// energy.js - Energy Usage Tracking & Cost Estimation
+//
+// energy_log/{deviceId}/{timestamp} = { timestamp, relays: [on, ...], power: { index: watts }, source }
+// An entry is written whenever a relay switches (or its measured power moves noticeably), and every relay is
+// taken to stay as logged until the next entry. Firmware may write the log itself; otherwise any open
+// dashboard that can control the device records the changes it sees. The log sits beside devices/ so the
+// live device listeners don't download it.
+// energy/{uid}/tariff = { currency, base_rate, bands: [{ name, start: 'HH:MM', end: 'HH:MM', rate }] }
+class EnergyManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.defaultTariff = { currency: '$', base_rate: 0.15, bands: [] };
+        this.tariff = this.defaultTariff;
+        this.tariffRef = null;
+        this.lastLogged = {}; // deviceId -> Promise of the newest log entry
+        this.pruned = {};
+        this.retention = 400 * 86400; // A little over a year, enough for monthly totals
+        this.powerChangeThreshold = 0.1; // Log measured power once it moves by more than 10%...
+        this.minPowerChange = 5; // ...and by at least 5 W
+        this.ranges = {
+            '30d': { label: 'Last 30 days', period: 'day', count: 30 },
+            '12m': { label: 'Last 12 months', period: 'month', count: 12 }
+        };
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    initialize() {
+        if (this.tariffRef) this.tariffRef.off();
+
+        this.tariffRef = this.database.ref(`energy/${this.dashboard.auth.currentUser.uid}/tariff`);
+        this.tariffRef.on('value', (snapshot) => {
+            this.tariff = snapshot.val() || this.defaultTariff;
+        }, (error) => {
+            console.warn('Failed to load energy tariff:', error);
+        });
+    }
+
+    detach() {
+        if (this.tariffRef) this.tariffRef.off();
+        this.tariffRef = null;
+    }
+
+    // Called on every live devices update
+    recordChanges() {
+        for (const deviceId in this.dashboard.userDevices) {
+            const device = this.dashboard.userDevices[deviceId];
+            if (this.dashboard.sharing.canControl(device)) {
+                this.record(deviceId, device);
+            }
+        }
+    }
+
+    createEntry(data) {
+        const relays = this.dashboard.getRelayChannels(data);
+        const power = {};
+        relays.forEach(relay => {
+            if (relay.power !== null) power[relay.index] = relay.power;
+        });
+
+        return {
+            timestamp: data.timestamp,
+            relays: relays.map(relay => relay.state),
+            power: power,
+            source: 'dashboard'
+        };
+    }
+
+    hasChanged(last, entry) {
+        if (!last) return true;
+
+        const states = this.getStates(last);
+        if (states.length !== entry.relays.length || entry.relays.some((on, index) => on !== states[index])) {
+            return true;
+        }
+
+        return entry.relays.some((on, index) => {
+            const before = last.power ? last.power[index] : undefined;
+            const after = entry.power[index];
+            if ((typeof before === 'number') !== (typeof after === 'number')) return true;
+            if (typeof after !== 'number') return false;
+            return Math.abs(after - before) > Math.max(this.minPowerChange, before * this.powerChangeThreshold);
+        });
+    }
+
+    async record(deviceId, device) {
+        const data = device && device.data;
+        if (!data || typeof data.timestamp !== 'number' || !this.dashboard.getRelayChannels(data).length) return;
+
+        const ref = this.database.ref(`energy_log/${deviceId}`);
+        try {
+            if (!this.lastLogged[deviceId]) {
+                this.lastLogged[deviceId] = this.loadLatest(deviceId);
+            }
+            const last = await this.lastLogged[deviceId];
+            if (last && last.timestamp >= data.timestamp) return;
+
+            const entry = this.createEntry(data);
+            if (!this.hasChanged(last, entry)) return;
+            this.lastLogged[deviceId] = Promise.resolve(entry);
+
+            // Keyed by device timestamp so several open dashboards write the same entry
+            await ref.child(String(data.timestamp)).set(entry);
+
+            if (!this.pruned[deviceId]) {
+                this.pruned[deviceId] = true;
+                await this.prune(deviceId, data.timestamp - this.retention);
+            }
+        } catch (error) {
+            delete this.lastLogged[deviceId];
+            console.warn(`Failed to record energy log for ${deviceId}:`, error);
+        }
+    }
+
+    async loadLatest(deviceId) {
+        const snapshot = await this.database.ref(`energy_log/${deviceId}`)
+            .orderByChild('timestamp')
+            .limitToLast(1)
+            .once('value');
+
+        let latest = null;
+        snapshot.forEach(child => {
+            latest = child.val();
+        });
+        return latest;
+    }
+
+    async prune(deviceId, before) {
+        const snapshot = await this.database.ref(`energy_log/${deviceId}`)
+            .orderByChild('timestamp')
+            .endAt(before)
+            .once('value');
+
+        const updates = {};
+        snapshot.forEach(child => {
+            if ((child.val() || {}).source === 'dashboard') {
+                updates[child.key] = null;
+            }
+        });
+
+        if (Object.keys(updates).length) {
+            await this.database.ref(`energy_log/${deviceId}`).update(updates);
+        }
+    }
+
+    // Entries from the range plus the last one before it, which holds the state the range starts in
+    async loadLog(deviceId, since) {
+        const query = this.database.ref(`energy_log/${deviceId}`).orderByChild('timestamp');
+        const [before, during] = await Promise.all([
+            query.endAt(since).limitToLast(1).once('value'),
+            query.startAt(since).once('value')
+        ]);
+
+        const entries = {};
+        [before, during].forEach(snapshot => snapshot.forEach(child => {
+            const entry = child.val();
+            if (entry && typeof entry.timestamp === 'number') {
+                entries[entry.timestamp] = entry;
+            }
+        }));
+
+        return Object.values(entries).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    getStates(entry) {
+        const relays = entry.relays || [];
+        return Array.isArray(relays) ? relays : Object.values(relays);
+    }
+
+    getRatedWatts(device, index) {
+        const relays = (device && device.config && device.config.relays) || {};
+        const watts = relays[index] && relays[index].watts;
+        return typeof watts === 'number' ? watts : null;
+    }
+
+    // A measured value reported by the firmware beats the configured rating
+    getWatts(device, entry, index) {
+        const measured = entry.power ? entry.power[index] : undefined;
+        if (typeof measured === 'number') return measured;
+        return this.getRatedWatts(device, index) || 0;
+    }
+
+    parseTime(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    // Bands may wrap past midnight (22:00-06:00); the first matching band wins
+    getBand(minuteOfDay) {
+        const band = (this.tariff.bands || []).find(band => {
+            const start = this.parseTime(band.start);
+            const end = this.parseTime(band.end);
+            return start <= end
+                ? minuteOfDay >= start && minuteOfDay < end
+                : minuteOfDay >= start || minuteOfDay < end;
+        });
+        return band || { name: 'Standard', rate: this.tariff.base_rate };
+    }
+
+    getBoundaries() {
+        const minutes = new Set([24 * 60]);
+        (this.tariff.bands || []).forEach(band => {
+            minutes.add(this.parseTime(band.start));
+            minutes.add(this.parseTime(band.end));
+        });
+        return [...minutes].sort((a, b) => a - b);
+    }
+
+    formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Splits [start, end) (Unix seconds) at local midnights and tariff band edges
+    splitByTariff(start, end, callback) {
+        const boundaries = this.getBoundaries();
+        let t = start;
+
+        while (t < end) {
+            const date = new Date(t * 1000);
+            const minute = date.getHours() * 60 + date.getMinutes();
+            const next = boundaries.find(boundary => boundary > minute);
+            const boundaryTime = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, next).getTime() / 1000;
+            // Always advance, even where a DST change makes the wall-clock boundary ambiguous
+            const segmentEnd = Math.min(end, Math.max(boundaryTime, t + 60));
+
+            callback(this.formatDate(date), this.getBand(minute), segmentEnd - t);
+            t = segmentEnd;
+        }
+    }
+
+    // The last logged state only lasts until the device's last report, unless it is still reporting;
+    // a device that dropped off with a relay on doesn't keep using energy in the totals
+    getLogEnd(device, until) {
+        const reported = device && device.data && device.data.timestamp;
+        if (typeof reported !== 'number' || this.dashboard.heartbeat.getStatus(device) === 'online') return until;
+        return Math.min(reported, until);
+    }
+
+    // Returns one row per day, relay and tariff band
+    computeUsage(deviceId, device, entries, since, until) {
+        const totals = {};
+        const logEnd = this.getLogEnd(device, until);
+
+        entries.forEach((entry, i) => {
+            const start = Math.max(entry.timestamp, since);
+            const end = Math.min(i + 1 < entries.length ? entries[i + 1].timestamp : logEnd, until);
+            if (end <= start) return;
+
+            this.getStates(entry).forEach((on, index) => {
+                if (!on) return;
+                const watts = this.getWatts(device, entry, index);
+
+                this.splitByTariff(start, end, (date, band, seconds) => {
+                    const key = `${date}|${index}|${band.name}`;
+                    if (!totals[key]) {
+                        totals[key] = { date: date, deviceId: deviceId, channel: index, band: band.name, rate: Number(band.rate) || 0, seconds: 0, wh: 0 };
+                    }
+                    totals[key].seconds += seconds;
+                    totals[key].wh += watts * seconds / 3600;
+                });
+            });
+        });
+
+        return Object.values(totals).map(row => ({
+            ...row,
+            kwh: row.wh / 1000,
+            cost: (row.wh / 1000) * row.rate
+        }));
+    }
+
+    getRangeStart(rangeKey) {
+        const range = this.ranges[rangeKey];
+        const now = new Date();
+        const start = range.period === 'day'
+            ? new Date(now.getFullYear(), now.getMonth(), now.getDate() - (range.count - 1))
+            : new Date(now.getFullYear(), now.getMonth() - (range.count - 1), 1);
+        return Math.floor(start.getTime() / 1000);
+    }
+
+    getPeriods(rangeKey) {
+        const range = this.ranges[rangeKey];
+        const now = new Date();
+        const periods = [];
+
+        for (let i = range.count - 1; i >= 0; i--) {
+            periods.push(range.period === 'day'
+                ? this.formatDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i))
+                : this.formatDate(new Date(now.getFullYear(), now.getMonth() - i, 1)).slice(0, 7));
+        }
+        return periods;
+    }
+
+    async loadUsage(deviceIds, rangeKey) {
+        const since = this.getRangeStart(rangeKey);
+        const until = Math.floor(Date.now() / 1000);
+        const devices = this.dashboard.userDevices;
+
+        const perDevice = await Promise.all(deviceIds.map(async deviceId => {
+            const entries = await this.loadLog(deviceId, since);
+            return this.computeUsage(deviceId, devices[deviceId], entries, since, until);
+        }));
+        return [].concat(...perDevice);
+    }
+
+    sum(rows) {
+        return rows.reduce((total, row) => ({
+            seconds: total.seconds + row.seconds,
+            kwh: total.kwh + row.kwh,
+            cost: total.cost + row.cost
+        }), { seconds: 0, kwh: 0, cost: 0 });
+    }
+
+    formatCost(cost) {
+        return `${this.tariff.currency || ''}${cost.toFixed(2)}`;
+    }
+
+    // Relays that are switched on in the range count as 0 W until they have a rating or a measurement
+    getUnratedRelays(deviceIds) {
+        const unrated = [];
+        deviceIds.forEach(deviceId => {
+            const device = this.dashboard.userDevices[deviceId];
+            this.dashboard.getRelayChannels((device && device.data) || {}, device && device.config).forEach(relay => {
+                if (relay.power === null && this.getRatedWatts(device, relay.index) === null) {
+                    unrated.push(`${device.name || deviceId} · ${relay.name}`);
+                }
+            });
+        });
+        return unrated;
+    }
+
+    toCsvRows(rows) {
+        const devices = this.dashboard.userDevices;
+        return rows
+            .sort((a, b) => a.date.localeCompare(b.date) || a.deviceId.localeCompare(b.deviceId) || a.channel - b.channel)
+            .map(row => {
+                const device = devices[row.deviceId] || {};
+                const relay = this.dashboard.getRelayChannels(device.data || {}, device.config).find(r => r.index === row.channel);
+                return {
+                    date: row.date,
+                    device_id: row.deviceId,
+                    device: device.name || row.deviceId,
+                    relay: relay ? relay.name : `Relay ${row.channel + 1}`,
+                    band: row.band,
+                    rate: row.rate,
+                    on_hours: (row.seconds / 3600).toFixed(2),
+                    kwh: row.kwh.toFixed(3),
+                    cost: row.cost.toFixed(2)
+                };
+            });
+    }
+
+    exportCsv(rows, deviceId) {
+        const csv = window.csvCodec.stringify(
+            this.toCsvRows(rows),
+            ['date', 'device_id', 'device', 'relay', 'band', 'rate', 'on_hours', 'kwh', 'cost']
+        );
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `energy-${deviceId || 'household'}-${new Date().toISOString().slice(0, 10)}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    validateTariff(tariff) {
+        if (!isFinite(tariff.base_rate) || tariff.base_rate < 0) {
+            throw new Error('Standard rate must be zero or more');
+        }
+        tariff.bands.forEach(band => {
+            if (!band.name) throw new Error('Every tariff band needs a name');
+            if (this.parseTime(band.start) === null || this.parseTime(band.end) === null) {
+                throw new Error(`Band "${band.name}" needs start and end times as HH:MM`);
+            }
+            if (band.start === band.end) throw new Error(`Band "${band.name}" starts and ends at the same time`);
+            if (!isFinite(band.rate) || band.rate < 0) throw new Error(`Band "${band.name}" needs a rate of zero or more`);
+        });
+    }
+
+    async saveTariff(tariff) {
+        this.validateTariff(tariff);
+        await this.tariffRef.set(tariff);
+    }
+
+    renderBandRow(band = {}) {
+        const escape = value => this.dashboard.escapeHtml(value === undefined || value === null ? '' : value);
+        return `
+            <div class="form-row tariff-band">
+                <div class="form-group">
+                    <label>Band:</label>
+                    <input type="text" name="band_name" maxlength="30" placeholder="Off-peak" value="${escape(band.name)}">
+                </div>
+                <div class="form-group">
+                    <label>From:</label>
+                    <input type="time" name="band_start" value="${escape(band.start || '22:00')}">
+                </div>
+                <div class="form-group">
+                    <label>To:</label>
+                    <input type="time" name="band_end" value="${escape(band.end || '06:00')}">
+                </div>
+                <div class="form-group">
+                    <label>Rate per kWh:</label>
+                    <input type="number" name="band_rate" step="0.0001" min="0" value="${escape(band.rate)}">
+                </div>
+                <button type="button" class="device-action-btn" data-action="remove-band">🗑️</button>
+            </div>
+        `;
+    }
+
+    async showEnergyModal(deviceId = null, rangeKey = '30d') {
+        let modal = document.getElementById('energyModal');
+        if (modal) modal.remove();
+
+        const devices = this.dashboard.userDevices;
+        const deviceIds = deviceId ? [deviceId] : Object.keys(devices);
+        const escape = value => this.dashboard.escapeHtml(value === undefined || value === null ? '' : value);
+        const title = deviceId ? (devices[deviceId] && devices[deviceId].name) || deviceId : 'Household';
+        const unrated = this.getUnratedRelays(deviceIds);
+        const tariff = this.tariff;
+
+        modal = document.createElement('div');
+        modal.id = 'energyModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content energy-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>⚡ ${escape(title)} Energy</h2>
+                    <div class="history-ranges">
+                        ${Object.keys(this.ranges).map(key => `
+                            <button class="history-range-btn ${key === rangeKey ? 'active' : ''}" data-range="${key}">${this.ranges[key].label}</button>
+                        `).join('')}
+                        <button class="device-action-btn export-energy-btn" disabled>📥 Export CSV</button>
+                    </div>
+                    ${unrated.length ? `
+                        <div class="admin-warning">
+                            ⚠️ No rated wattage or measured power for ${unrated.map(escape).join(', ')}.
+                            Their on-time counts as 0 kWh until a rating is set under ✏️ Edit.
+                        </div>
+                    ` : ''}
+                    <div class="energy-report"><div class="loading-spinner"></div></div>
+
+                    ${deviceId ? '' : `
+                        <h3>💰 Tariff</h3>
+                        <form class="tariff-form rule-form">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label>Currency symbol:</label>
+                                    <input type="text" name="currency" maxlength="4" value="${escape(tariff.currency)}">
+                                </div>
+                                <div class="form-group">
+                                    <label>Standard rate per kWh:</label>
+                                    <input type="number" name="base_rate" step="0.0001" min="0" required value="${escape(tariff.base_rate)}">
+                                </div>
+                            </div>
+                            <p class="rule-meta">Time-of-use bands override the standard rate between their times and may cross midnight.</p>
+                            <div class="tariff-bands">
+                                ${(tariff.bands || []).map(band => this.renderBandRow(band)).join('')}
+                            </div>
+                            <div class="form-actions">
+                                <button type="button" class="device-action-btn add-band-btn">➕ Add band</button>
+                                <button type="submit" class="save-btn">💾 Save Tariff</button>
+                            </div>
+                        </form>
+                    `}
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        modal.querySelectorAll('.history-range-btn').forEach(button => {
+            button.onclick = () => this.showEnergyModal(deviceId, button.dataset.range);
+        });
+
+        const tariffForm = modal.querySelector('.tariff-form');
+        if (tariffForm) this.bindTariffForm(tariffForm, deviceId, rangeKey);
+
+        document.body.appendChild(modal);
+
+        const report = modal.querySelector('.energy-report');
+        try {
+            const rows = await this.loadUsage(deviceIds, rangeKey);
+            report.innerHTML = this.renderReport(rows, deviceId, rangeKey);
+
+            const exportButton = modal.querySelector('.export-energy-btn');
+            exportButton.disabled = rows.length === 0;
+            exportButton.onclick = () => this.exportCsv(rows, deviceId);
+        } catch (error) {
+            console.error('❌ Failed to load energy usage:', error);
+            report.innerHTML = '<div class="history-empty">Failed to load energy usage.</div>';
+            this.dashboard.showNotification(`Failed to load energy usage: ${error.message}`, 'error');
+        }
+    }
+
+    bindTariffForm(form, deviceId, rangeKey) {
+        const bands = form.querySelector('.tariff-bands');
+        const bindRemove = () => {
+            bands.querySelectorAll('[data-action="remove-band"]').forEach(button => {
+                button.onclick = () => button.closest('.tariff-band').remove();
+            });
+        };
+        bindRemove();
+
+        form.querySelector('.add-band-btn').onclick = () => {
+            bands.insertAdjacentHTML('beforeend', this.renderBandRow());
+            bindRemove();
+        };
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const tariff = {
+                currency: form.currency.value.trim(),
+                base_rate: Number(form.base_rate.value),
+                bands: [...bands.querySelectorAll('.tariff-band')].map(row => ({
+                    name: row.querySelector('[name="band_name"]').value.trim(),
+                    start: row.querySelector('[name="band_start"]').value,
+                    end: row.querySelector('[name="band_end"]').value,
+                    rate: Number(row.querySelector('[name="band_rate"]').value)
+                }))
+            };
+
+            try {
+                await this.saveTariff(tariff);
+                this.tariff = tariff;
+                this.dashboard.showNotification('Tariff saved', 'success');
+                this.showEnergyModal(deviceId, rangeKey);
+            } catch (error) {
+                this.dashboard.showNotification(`Failed to save tariff: ${error.message}`, 'error');
+            }
+        };
+    }
+
+    renderReport(rows, deviceId, rangeKey) {
+        const devices = this.dashboard.userDevices;
+        const range = this.ranges[rangeKey];
+        const total = this.sum(rows);
+        const periodKey = row => range.period === 'day' ? row.date : row.date.slice(0, 7);
+
+        // Single device: break down by relay; household: by device
+        const breakdown = {};
+        rows.forEach(row => {
+            const key = deviceId ? row.channel : row.deviceId;
+            (breakdown[key] = breakdown[key] || []).push(row);
+        });
+        const breakdownLabel = key => {
+            if (!deviceId) return (devices[key] && devices[key].name) || key;
+            const device = devices[deviceId] || {};
+            const relay = this.dashboard.getRelayChannels(device.data || {}, device.config).find(r => r.index === Number(key));
+            return relay ? `${relay.icon || '🔌'} ${relay.name}` : `Relay ${Number(key) + 1}`;
+        };
+
+        const escape = value => this.dashboard.escapeHtml(value);
+        const formatRow = (label, totals) => `
+            <tr>
+                <td>${escape(label)}</td>
+                <td>${(totals.seconds / 3600).toFixed(1)} h</td>
+                <td>${totals.kwh.toFixed(2)}</td>
+                <td>${this.formatCost(totals.cost)}</td>
+            </tr>
+        `;
+        const header = first => `<tr><th>${first}</th><th>On-time</th><th>kWh</th><th>Cost</th></tr>`;
+
+        return `
+            <div class="energy-totals">
+                <div><strong>${total.kwh.toFixed(2)} kWh</strong><span>${range.label}</span></div>
+                <div><strong>${this.formatCost(total.cost)}</strong><span>Estimated cost</span></div>
+                <div><strong>${(total.seconds / 3600).toFixed(1)} h</strong><span>Relay on-time</span></div>
+            </div>
+
+            ${rows.length ? `
+                <h3>${deviceId ? 'By relay' : 'By device'}</h3>
+                <table class="users-table energy-table">
+                    <thead>${header(deviceId ? 'Relay' : 'Device')}</thead>
+                    <tbody>
+                        ${Object.keys(breakdown)
+                            .sort((a, b) => this.sum(breakdown[b]).kwh - this.sum(breakdown[a]).kwh)
+                            .map(key => formatRow(breakdownLabel(key), this.sum(breakdown[key]))).join('')}
+                    </tbody>
+                </table>
+            ` : '<div class="history-empty">No relay on-time recorded for this period yet.</div>'}
+
+            <h3>${range.period === 'day' ? 'Daily' : 'Monthly'} totals</h3>
+            <table class="users-table energy-table">
+                <thead>${header(range.period === 'day' ? 'Day' : 'Month')}</thead>
+                <tbody>
+                    ${this.getPeriods(rangeKey).reverse()
+                        .map(period => formatRow(period, this.sum(rows.filter(row => periodKey(row) === period)))).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
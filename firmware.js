@@ -0,0 +1,467 @@
+// firmware.js - Over-the-Air Firmware Catalog & Staged Rollouts
+//
+// Devices report data.firmware_version and watch devices/{id}/ota for an assignment
+// { version, url, sha256, rollout_id, status }. They move status through
+// downloading -> applied, or to failed / rolled_back when the new image doesn't boot.
+class FirmwareManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.catalog = {};
+        this.rollouts = {};
+        this.activeRolloutId = null;
+        this.catalogRef = null;
+        this.rolloutsRef = null;
+        this.statuses = {
+            pending: '⏳ Pending',
+            downloading: '⬇️ Downloading',
+            applied: '✅ Applied',
+            failed: '❌ Failed',
+            rolled_back: '↩️ Rolled back'
+        };
+        this.hashPattern = /^[0-9a-f]{64}$/i;
+    }
+
+    get database() {
+        return this.admin.database;
+    }
+
+    get dashboard() {
+        return this.admin.dashboard;
+    }
+
+    initialize() {
+        this.catalogRef = this.database.ref('firmware');
+        this.catalogRef.on('value', (snapshot) => {
+            this.catalog = snapshot.val() || {};
+            this.render();
+        }, (error) => console.warn('Failed to load firmware catalog:', error));
+
+        this.rolloutsRef = this.database.ref('rollouts');
+        this.rolloutsRef.on('value', (snapshot) => {
+            this.rollouts = snapshot.val() || {};
+            this.render();
+        }, (error) => console.warn('Failed to load firmware rollouts:', error));
+    }
+
+    detach() {
+        if (this.catalogRef) this.catalogRef.off();
+        if (this.rolloutsRef) this.rolloutsRef.off();
+        this.catalogRef = null;
+        this.rolloutsRef = null;
+    }
+
+    // Firebase keys can't contain '.', so versions are stored with dots swapped for underscores
+    getVersionKey(version) {
+        return String(version).trim().replace(/\./g, '_');
+    }
+
+    getDeviceVersion(device) {
+        const data = (device && device.data) || {};
+        return data.firmware_version || (device && device.firmware_version) || null;
+    }
+
+    // Numeric-aware comparison so 1.10.0 sorts after 1.9.2
+    compareVersions(a, b) {
+        const left = String(a).replace(/^v/, '').split(/[.-]/);
+        const right = String(b).replace(/^v/, '').split(/[.-]/);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const x = left[i] || '0';
+            const y = right[i] || '0';
+            const diff = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    getCatalogVersions() {
+        return Object.values(this.catalog).sort((a, b) => this.compareVersions(b.version, a.version));
+    }
+
+    getVersionDistribution() {
+        const devices = this.dashboard.devicesData;
+        const counts = {};
+        for (const deviceId in devices) {
+            const version = this.getDeviceVersion(devices[deviceId]) || 'unknown';
+            counts[version] = (counts[version] || 0) + 1;
+        }
+
+        return Object.keys(counts)
+            .sort((a, b) => a === 'unknown' ? 1 : b === 'unknown' ? -1 : this.compareVersions(b, a))
+            .map(version => ({ version: version, count: counts[version] }));
+    }
+
+    async publishVersion({ version, notes, url, sha256 }) {
+        version = String(version || '').trim();
+        if (!/^v?\d+(\.\d+)*([-.][0-9A-Za-z]+)*$/.test(version)) {
+            throw new Error('Version must look like 1.4.2');
+        }
+        if (!/^https:\/\//.test(url)) {
+            throw new Error('Binary URL must use https://');
+        }
+        if (!this.hashPattern.test(sha256)) {
+            throw new Error('SHA-256 must be 64 hexadecimal characters');
+        }
+
+        const key = this.getVersionKey(version);
+        if (this.catalog[key]) {
+            throw new Error(`Version ${version} is already in the catalog`);
+        }
+
+        const entry = {
+            version: version,
+            notes: notes || '',
+            url: url,
+            sha256: sha256.toLowerCase(),
+            created_at: this.admin.auth.backend.serverTimestamp(),
+            created_by: this.admin.auth.currentUser.email
+        };
+
+        await this.database.ref(`firmware/${key}`).set(entry);
+        await this.admin.auth.audit.record('firmware.publish', version, {
+            targetType: 'firmware',
+            after: { url: url, sha256: entry.sha256 }
+        });
+    }
+
+    // Stable 0-99 bucket per device and rollout, so raising the percentage only ever adds devices
+    getBucket(deviceId, rolloutId) {
+        let hash = 2166136261;
+        const text = `${rolloutId}:${deviceId}`;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0) % 100;
+    }
+
+    selectDevices(rolloutId, version, target) {
+        const devices = this.dashboard.devicesData;
+        const eligible = Object.keys(devices).filter(deviceId => this.getDeviceVersion(devices[deviceId]) !== version);
+
+        if (target.type === 'devices') {
+            return eligible.filter(deviceId => target.deviceIds.includes(deviceId));
+        }
+        return eligible.filter(deviceId => this.getBucket(deviceId, rolloutId) < target.percentage);
+    }
+
+    getAssignmentUpdates(rolloutId, firmware, deviceIds) {
+        const updates = {};
+        deviceIds.forEach(deviceId => {
+            updates[`devices/${deviceId}/ota`] = {
+                version: firmware.version,
+                url: firmware.url,
+                sha256: firmware.sha256,
+                rollout_id: rolloutId,
+                status: 'pending',
+                assigned_at: this.admin.auth.backend.serverTimestamp()
+            };
+            updates[`rollouts/${rolloutId}/devices/${deviceId}`] = true;
+        });
+        return updates;
+    }
+
+    async startRollout(versionKey, target) {
+        const firmware = this.catalog[versionKey];
+        if (!firmware) {
+            throw new Error('Choose a version from the catalog');
+        }
+        if (target.type === 'percentage' && !(target.percentage > 0 && target.percentage <= 100)) {
+            throw new Error('Percentage must be between 1 and 100');
+        }
+        if (target.type === 'devices' && target.deviceIds.length === 0) {
+            throw new Error('Select at least one device');
+        }
+
+        const rolloutRef = this.database.ref('rollouts').push();
+        const deviceIds = this.selectDevices(rolloutRef.key, firmware.version, target);
+        if (deviceIds.length === 0) {
+            throw new Error(`No selected device needs ${firmware.version}`);
+        }
+
+        await this.database.ref().update({
+            ...this.getAssignmentUpdates(rolloutRef.key, firmware, deviceIds),
+            [`rollouts/${rolloutRef.key}/version`]: firmware.version,
+            [`rollouts/${rolloutRef.key}/version_key`]: versionKey,
+            [`rollouts/${rolloutRef.key}/target`]: target.type === 'devices'
+                ? { type: 'devices' }
+                : { type: 'percentage', percentage: target.percentage },
+            [`rollouts/${rolloutRef.key}/status`]: 'active',
+            [`rollouts/${rolloutRef.key}/created_at`]: this.admin.auth.backend.serverTimestamp(),
+            [`rollouts/${rolloutRef.key}/created_by`]: this.admin.auth.currentUser.email
+        });
+
+        await this.admin.auth.audit.record('firmware.rollout', rolloutRef.key, {
+            targetType: 'firmware',
+            after: { version: firmware.version, devices: deviceIds.length, ...(target.type === 'percentage' ? { percentage: target.percentage } : {}) }
+        });
+
+        this.activeRolloutId = rolloutRef.key;
+        return deviceIds.length;
+    }
+
+    async expandRollout(rolloutId, percentage) {
+        const rollout = this.rollouts[rolloutId];
+        const firmware = rollout && this.catalog[rollout.version_key];
+        if (!rollout || !firmware || rollout.target.type !== 'percentage') return;
+        if (!(percentage > rollout.target.percentage && percentage <= 100)) {
+            throw new Error(`New percentage must be above ${rollout.target.percentage}%`);
+        }
+
+        const assigned = rollout.devices || {};
+        const added = this.selectDevices(rolloutId, firmware.version, { type: 'percentage', percentage: percentage })
+            .filter(deviceId => !assigned[deviceId]);
+
+        await this.database.ref().update({
+            ...this.getAssignmentUpdates(rolloutId, firmware, added),
+            [`rollouts/${rolloutId}/target/percentage`]: percentage
+        });
+
+        await this.admin.auth.audit.record('firmware.rollout', rolloutId, {
+            targetType: 'firmware',
+            before: { percentage: rollout.target.percentage },
+            after: { percentage: percentage, added_devices: added.length }
+        });
+
+        return added.length;
+    }
+
+    // Withdraws assignments devices haven't started on; updates already in flight are left to finish
+    async cancelRollout(rolloutId) {
+        const rollout = this.rollouts[rolloutId];
+        if (!rollout || !confirm(`Cancel the rollout of ${rollout.version}? Devices that haven't started downloading keep their current firmware.`)) {
+            return;
+        }
+
+        const updates = { [`rollouts/${rolloutId}/status`]: 'cancelled' };
+        Object.keys(rollout.devices || {}).forEach(deviceId => {
+            const ota = this.getAssignment(deviceId, rolloutId);
+            if (ota && ota.status === 'pending') {
+                updates[`devices/${deviceId}/ota`] = null;
+            }
+        });
+
+        await this.database.ref().update(updates);
+        await this.admin.auth.audit.record('firmware.cancel', rolloutId, {
+            targetType: 'firmware',
+            before: { version: rollout.version, status: rollout.status },
+            after: { status: 'cancelled' }
+        });
+    }
+
+    getAssignment(deviceId, rolloutId) {
+        const device = this.dashboard.devicesData[deviceId];
+        const ota = device && device.ota;
+        return ota && ota.rollout_id === rolloutId ? ota : null;
+    }
+
+    getRolloutProgress(rolloutId) {
+        const rollout = this.rollouts[rolloutId];
+        const counts = { pending: 0, downloading: 0, applied: 0, failed: 0, rolled_back: 0, superseded: 0 };
+
+        Object.keys((rollout && rollout.devices) || {}).forEach(deviceId => {
+            const ota = this.getAssignment(deviceId, rolloutId);
+            if (!ota) {
+                counts.superseded++;
+            } else if (counts[ota.status] !== undefined) {
+                counts[ota.status]++;
+            }
+        });
+
+        counts.total = Object.keys((rollout && rollout.devices) || {}).length;
+        return counts;
+    }
+
+    render() {
+        this.renderCatalog();
+        this.renderRollouts();
+        this.renderRolloutTargets();
+    }
+
+    renderCatalog() {
+        const container = document.getElementById('firmwareCatalog');
+        if (!container) return;
+
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const versions = this.getCatalogVersions();
+
+        container.innerHTML = versions.length ? `
+            <table class="users-table">
+                <thead>
+                    <tr><th>Version</th><th>Release notes</th><th>Binary</th><th>Published</th></tr>
+                </thead>
+                <tbody>
+                    ${versions.map(entry => `
+                        <tr>
+                            <td><strong>${escape(entry.version)}</strong></td>
+                            <td class="firmware-notes">${escape(entry.notes)}</td>
+                            <td>
+                                <a href="${escape(entry.url)}" target="_blank" rel="noopener">Download</a>
+                                <div class="rule-meta" title="${escape(entry.sha256)}">sha256 ${escape(entry.sha256.slice(0, 12))}…</div>
+                            </td>
+                            <td>${entry.created_at ? new Date(entry.created_at).toLocaleDateString() : ''}<div class="rule-meta">${escape(entry.created_by)}</div></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<div class="history-empty">No firmware versions published yet.</div>';
+
+        const select = document.getElementById('rolloutVersion');
+        if (select) {
+            const selected = select.value;
+            select.innerHTML = versions.map(entry => `
+                <option value="${escape(this.getVersionKey(entry.version))}">${escape(entry.version)}</option>
+            `).join('');
+            if (selected) select.value = selected;
+        }
+    }
+
+    renderRolloutTargets() {
+        const container = document.getElementById('rolloutDevices');
+        if (!container) return;
+
+        const checked = new Set([...container.querySelectorAll('input:checked')].map(input => input.value));
+        const devices = this.dashboard.devicesData;
+        const escape = value => this.dashboard.escapeHtml(value || '');
+
+        container.innerHTML = Object.keys(devices).map(deviceId => `
+            <label class="rollout-device">
+                <input type="checkbox" value="${escape(deviceId)}" ${checked.has(deviceId) ? 'checked' : ''}>
+                ${escape(devices[deviceId].name || deviceId)}
+                <span class="rule-meta">${escape(this.getDeviceVersion(devices[deviceId]) || 'unknown')}</span>
+            </label>
+        `).join('') || '<div class="rule-meta">No devices registered.</div>';
+    }
+
+    renderRollouts() {
+        const container = document.getElementById('firmwareRollouts');
+        if (!container) return;
+
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const ids = Object.keys(this.rollouts).sort((a, b) => (this.rollouts[b].created_at || 0) - (this.rollouts[a].created_at || 0));
+
+        if (ids.length === 0) {
+            container.innerHTML = '<div class="history-empty">No rollouts yet.</div>';
+            return;
+        }
+
+        container.innerHTML = ids.map(rolloutId => {
+            const rollout = this.rollouts[rolloutId];
+            const progress = this.getRolloutProgress(rolloutId);
+            const percent = value => progress.total ? `${(value / progress.total) * 100}%` : '0%';
+            const target = rollout.target && rollout.target.type === 'percentage'
+                ? `${rollout.target.percentage}% of fleet`
+                : 'Selected devices';
+            const isOpen = this.activeRolloutId === rolloutId;
+
+            return `
+                <div class="rollout-card ${rollout.status}">
+                    <div class="rollout-header">
+                        <div>
+                            <strong>${escape(rollout.version)}</strong> · ${target} · ${progress.total} device(s)
+                            <div class="rule-meta">
+                                ${rollout.status === 'cancelled' ? '⛔ Cancelled' : '🚀 Active'} ·
+                                ${rollout.created_at ? new Date(rollout.created_at).toLocaleString() : ''} by ${escape(rollout.created_by)}
+                            </div>
+                        </div>
+                        <div class="rollout-actions">
+                            <button class="device-action-btn" onclick="adminManager.firmware.toggleRollout('${rolloutId}')">${isOpen ? '🔼 Hide' : '🔽 Devices'}</button>
+                            ${rollout.status === 'active' && rollout.target && rollout.target.type === 'percentage' && rollout.target.percentage < 100 ? `
+                                <button class="device-action-btn" onclick="adminManager.firmware.promptExpand('${rolloutId}')">📈 Expand</button>
+                            ` : ''}
+                            ${rollout.status === 'active' ? `
+                                <button class="device-action-btn" onclick="adminManager.firmware.cancelRollout('${rolloutId}')">⛔ Cancel</button>
+                            ` : ''}
+                        </div>
+                    </div>
+                    <div class="rollout-bar" title="${progress.applied} applied, ${progress.failed + progress.rolled_back} failed or rolled back">
+                        <span class="applied" style="width: ${percent(progress.applied)}"></span>
+                        <span class="downloading" style="width: ${percent(progress.downloading)}"></span>
+                        <span class="failed" style="width: ${percent(progress.failed + progress.rolled_back)}"></span>
+                    </div>
+                    <div class="rule-meta">
+                        ${Object.keys(this.statuses).map(status => `${this.statuses[status]} ${progress[status]}`).join(' · ')}
+                        ${progress.superseded ? ` · 🔀 Superseded ${progress.superseded}` : ''}
+                    </div>
+                    ${isOpen ? this.getRolloutDevicesHtml(rolloutId) : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    getRolloutDevicesHtml(rolloutId) {
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const rollout = this.rollouts[rolloutId];
+
+        return `
+            <table class="users-table rollout-devices-table">
+                <thead>
+                    <tr><th>Device</th><th>Running</th><th>Status</th><th>Updated</th></tr>
+                </thead>
+                <tbody>
+                    ${Object.keys(rollout.devices || {}).map(deviceId => {
+                        const device = this.dashboard.devicesData[deviceId] || {};
+                        const ota = this.getAssignment(deviceId, rolloutId);
+                        return `
+                            <tr>
+                                <td>${escape(device.name || deviceId)}</td>
+                                <td>${escape(this.getDeviceVersion(device) || 'unknown')}</td>
+                                <td>
+                                    <span class="ota-status ${ota ? ota.status : 'superseded'}">${ota ? (this.statuses[ota.status] || escape(ota.status)) : '🔀 Superseded'}</span>
+                                    ${ota && ota.error ? `<div class="rule-meta">${escape(ota.error)}</div>` : ''}
+                                </td>
+                                <td>${ota && ota.updated_at ? new Date(ota.updated_at).toLocaleString() : ''}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    toggleRollout(rolloutId) {
+        this.activeRolloutId = this.activeRolloutId === rolloutId ? null : rolloutId;
+        this.renderRollouts();
+    }
+
+    async promptExpand(rolloutId) {
+        const rollout = this.rollouts[rolloutId];
+        const input = prompt(`Expand ${rollout.version} from ${rollout.target.percentage}% to what percentage of the fleet?`, '100');
+        if (input === null) return;
+
+        try {
+            const added = await this.expandRollout(rolloutId, Number(input));
+            this.dashboard.showNotification(`Rollout expanded to ${Number(input)}%, ${added} more device(s) assigned`, 'success');
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to expand rollout: ${error.message}`, 'error');
+        }
+    }
+
+    async handlePublish(form) {
+        try {
+            await this.publishVersion({
+                version: form.version.value,
+                notes: form.notes.value.trim(),
+                url: form.url.value.trim(),
+                sha256: form.sha256.value.trim()
+            });
+            this.dashboard.showNotification(`Firmware ${form.version.value.trim()} added to the catalog`, 'success');
+            form.reset();
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to publish firmware: ${error.message}`, 'error');
+        }
+    }
+
+    async handleStartRollout(form) {
+        const type = form.targetType.value;
+        const target = type === 'devices'
+            ? { type: 'devices', deviceIds: [...document.querySelectorAll('#rolloutDevices input:checked')].map(input => input.value) }
+            : { type: 'percentage', percentage: Number(form.percentage.value) };
+
+        try {
+            const count = await this.startRollout(form.version.value, target);
+            this.dashboard.showNotification(`Rollout started for ${count} device(s)`, 'success');
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to start rollout: ${error.message}`, 'error');
+        }
+    }
+}
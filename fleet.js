@@ -0,0 +1,583 @@
+// fleet.js - Admin Device Fleet: search, filters, bulk operations and saved views
+//
+// Lists every device in dashboard.devicesData. Devices may report data.rssi (Wi-Fi signal, dBm)
+// alongside their readings. Restarts are queued as { type: 'restart', channel: 0, value: true }
+// commands, which firmware removes once it reboots like any other command.
+class FleetManager {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.columns = [
+            { key: 'id', label: 'ID' },
+            { key: 'name', label: 'Name' },
+            { key: 'owner', label: 'Owner' },
+            { key: 'location', label: 'Location' },
+            { key: 'state', label: 'State' },
+            { key: 'lastSeen', label: 'Last seen' },
+            { key: 'firmware', label: 'Firmware' },
+            { key: 'rssi', label: 'RSSI' }
+        ];
+        this.states = ['online', 'stale', 'offline'];
+        this.defaultView = { search: '', state: '', owner: '', location: '', sort: 'id', direction: 'asc', pageSize: 25 };
+        this.view = { ...this.defaultView };
+        this.viewId = '';
+        this.views = {};
+        this.viewsRef = null;
+        this.page = 0;
+        this.pageSizes = [10, 25, 50, 100];
+        this.selected = new Set();
+        this.staleAfter = 24 * 60 * 60; // Seconds offline before a device counts as stale for clean-up
+        this.toolbarKey = null;
+    }
+
+    get database() {
+        return this.admin.database;
+    }
+
+    get dashboard() {
+        return this.admin.dashboard;
+    }
+
+    initialize() {
+        this.viewsRef = this.database.ref(`fleet_views/${this.admin.auth.currentUser.uid}`);
+        this.viewsRef.on('value', (snapshot) => {
+            this.views = snapshot.val() || {};
+            this.render();
+        }, (error) => console.warn('Failed to load saved fleet views:', error));
+    }
+
+    detach() {
+        if (this.viewsRef) this.viewsRef.off();
+        this.viewsRef = null;
+    }
+
+    getOwnerKey(device) {
+        return device.owner_uid || (device.owner_email || '').toLowerCase();
+    }
+
+    getOwnerLabel(device) {
+        const user = device.owner_uid && this.admin.users[device.owner_uid];
+        return (user && user.email) || device.owner_email || '';
+    }
+
+    // Devices that haven't reported for a day (or ever) may be deleted in bulk
+    isStale(row) {
+        return row.state === 'offline' && (row.lastSeen === null || this.dashboard.heartbeat.now() - row.lastSeen > this.staleAfter);
+    }
+
+    getRows() {
+        const devices = this.dashboard.devicesData;
+        return Object.keys(devices).map(deviceId => {
+            const device = devices[deviceId];
+            const data = device.data || {};
+            return {
+                id: deviceId,
+                device: device,
+                name: device.name || '',
+                owner: this.getOwnerLabel(device),
+                ownerKey: this.getOwnerKey(device),
+                location: device.location || '',
+                state: this.dashboard.heartbeat.getState(deviceId),
+                lastSeen: typeof data.timestamp === 'number' ? data.timestamp : null,
+                firmware: this.admin.firmware.getDeviceVersion(device),
+                rssi: typeof data.rssi === 'number' ? data.rssi : null
+            };
+        });
+    }
+
+    matches(row) {
+        const { search, state, owner, location } = this.view;
+        if (state === 'stale-24h' ? !this.isStale(row) : state && row.state !== state) return false;
+        if (owner && row.ownerKey !== (owner === '-' ? '' : owner)) return false;
+        if (location && row.location !== (location === '-' ? '' : location)) return false;
+
+        const text = search.trim().toLowerCase();
+        return !text || [row.id, row.name, row.owner, row.location, row.firmware]
+            .some(value => String(value || '').toLowerCase().includes(text));
+    }
+
+    // Missing values sort last whichever way the column is ordered
+    compare(a, b) {
+        const key = this.view.sort;
+        const left = a[key];
+        const right = b[key];
+        const empty = value => value === null || value === '';
+        if (empty(left) || empty(right)) return empty(left) - empty(right);
+
+        let diff;
+        if (key === 'firmware') diff = this.admin.firmware.compareVersions(left, right);
+        else if (key === 'state') diff = this.states.indexOf(left) - this.states.indexOf(right);
+        else if (typeof left === 'number') diff = left - right;
+        else diff = String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' });
+
+        return this.view.direction === 'desc' ? -diff : diff;
+    }
+
+    getFilteredRows() {
+        return this.getRows()
+            .filter(row => this.matches(row))
+            .sort((a, b) => this.compare(a, b) || a.id.localeCompare(b.id));
+    }
+
+    getPageCount(total) {
+        return Math.max(1, Math.ceil(total / this.view.pageSize));
+    }
+
+    render() {
+        if (!document.getElementById('fleetTable')) return;
+
+        // Devices report constantly, so the toolbar is only rebuilt when its choices change;
+        // otherwise an open drop-down or the search box would lose focus on every update
+        const rows = this.getRows();
+        const owners = {};
+        const locations = new Set();
+        rows.forEach(row => {
+            if (row.ownerKey) owners[row.ownerKey] = row.owner || row.ownerKey;
+            if (row.location) locations.add(row.location);
+        });
+        const toolbarKey = JSON.stringify([owners, [...locations].sort(), this.views, this.viewId]);
+        if (toolbarKey !== this.toolbarKey) {
+            this.toolbarKey = toolbarKey;
+            this.renderToolbar(owners, [...locations].sort());
+        }
+        this.renderResults();
+    }
+
+    renderToolbar(owners, locations) {
+        const container = document.getElementById('fleetToolbar');
+        if (!container) return;
+
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const option = (value, label, selected) => `<option value="${escape(value)}" ${value === selected ? 'selected' : ''}>${escape(label)}</option>`;
+        const viewIds = Object.keys(this.views).sort((a, b) => (this.views[a].name || '').localeCompare(this.views[b].name || ''));
+
+        container.innerHTML = `
+            <div class="fleet-filters">
+                <input type="search" class="fleet-search" placeholder="🔍 Search ID, name, owner, location, firmware"
+                    value="${escape(this.view.search)}" oninput="adminManager.fleet.setFilter('search', this.value)">
+                <select onchange="adminManager.fleet.setFilter('state', this.value)" title="State">
+                    ${option('', 'Any state', this.view.state)}
+                    ${this.states.map(state => option(state, this.dashboard.getStatusBadge(state).label, this.view.state)).join('')}
+                    ${option('stale-24h', '💤 Offline > 24h', this.view.state)}
+                </select>
+                <select onchange="adminManager.fleet.setFilter('owner', this.value)" title="Owner">
+                    ${option('', 'Any owner', this.view.owner)}
+                    ${option('-', 'Unassigned', this.view.owner)}
+                    ${Object.keys(owners).sort((a, b) => owners[a].localeCompare(owners[b])).map(key => option(key, owners[key], this.view.owner)).join('')}
+                </select>
+                <select onchange="adminManager.fleet.setFilter('location', this.value)" title="Location">
+                    ${option('', 'Any location', this.view.location)}
+                    ${option('-', 'No location', this.view.location)}
+                    ${locations.map(location => option(location, location, this.view.location)).join('')}
+                </select>
+            </div>
+            <div class="fleet-views">
+                <select onchange="adminManager.fleet.applyView(this.value)" title="Saved views">
+                    ${option('', 'Saved views…', this.viewId)}
+                    ${viewIds.map(viewId => option(viewId, this.views[viewId].name, this.viewId)).join('')}
+                </select>
+                <button class="device-action-btn" onclick="adminManager.fleet.saveView()">💾 Save view</button>
+                ${this.viewId ? `<button class="device-action-btn" onclick="adminManager.fleet.deleteView('${escape(this.viewId)}')">🗑️ Delete view</button>` : ''}
+                <button class="device-action-btn" onclick="adminManager.fleet.resetView()">↺ Reset</button>
+            </div>
+        `;
+    }
+
+    renderResults() {
+        const container = document.getElementById('fleetResults');
+        if (!container) return;
+
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const rows = this.getFilteredRows();
+        const pageCount = this.getPageCount(rows.length);
+        this.page = Math.min(this.page, pageCount - 1);
+        const pageRows = rows.slice(this.page * this.view.pageSize, (this.page + 1) * this.view.pageSize);
+
+        // Devices deleted elsewhere drop out of the selection
+        this.selected.forEach(deviceId => {
+            if (!this.dashboard.devicesData[deviceId]) this.selected.delete(deviceId);
+        });
+        const allOnPage = pageRows.length > 0 && pageRows.every(row => this.selected.has(row.id));
+        const arrow = key => this.view.sort === key ? (this.view.direction === 'asc' ? ' ▲' : ' ▼') : '';
+
+        container.innerHTML = `
+            <div class="bulk-actions ${this.selected.size ? '' : 'hidden'}">
+                <span><strong>${this.selected.size}</strong> selected</span>
+                ${rows.length > pageRows.length ? `<button onclick="adminManager.fleet.selectAllMatching()" class="export-btn">☑️ Select all ${rows.length} matching</button>` : ''}
+                <button onclick="adminManager.fleet.showReassignModal()" class="export-btn">🔁 Reassign Owner</button>
+                <button onclick="adminManager.fleet.restartDevices()" class="export-btn">🔄 Restart</button>
+                <button onclick="adminManager.fleet.showConfigModal()" class="export-btn">⚙️ Send Config</button>
+                <button onclick="adminManager.fleet.deleteStaleDevices()" class="export-btn danger">🗑️ Delete Stale</button>
+                <button onclick="adminManager.fleet.clearSelection()" class="export-btn">✖ Clear</button>
+            </div>
+
+            ${rows.length ? `
+                <div class="users-table-container">
+                    <table class="users-table fleet-table">
+                        <thead>
+                            <tr>
+                                <th><input type="checkbox" ${allOnPage ? 'checked' : ''} onchange="adminManager.fleet.selectPage(this.checked)" title="Select this page"></th>
+                                ${this.columns.map(column => `
+                                    <th class="sortable" onclick="adminManager.fleet.sortBy('${column.key}')">${column.label}${arrow(column.key)}</th>
+                                `).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${pageRows.map(row => {
+                                const badge = this.dashboard.getStatusBadge(row.state);
+                                return `
+                                <tr class="${this.selected.has(row.id) ? 'selected-row' : ''}">
+                                    <td><input type="checkbox" ${this.selected.has(row.id) ? 'checked' : ''}
+                                        onchange="adminManager.fleet.toggleSelection('${escape(row.id)}', this.checked)"></td>
+                                    <td class="user-uid">${escape(row.id)}</td>
+                                    <td>${escape(row.name)}</td>
+                                    <td>${row.owner ? escape(row.owner) : '<span class="rule-meta">Unassigned</span>'}</td>
+                                    <td>${escape(row.location)}</td>
+                                    <td><span class="device-status ${badge.className}">${badge.label}</span></td>
+                                    <td>${row.lastSeen !== null ? new Date(row.lastSeen * 1000).toLocaleString() : 'Never'}</td>
+                                    <td>${escape(row.firmware || 'unknown')}</td>
+                                    <td>${row.rssi !== null ? `${row.rssi} dBm` : '—'}</td>
+                                </tr>
+                            `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '<div class="history-empty">No devices match these filters.</div>'}
+
+            <div class="fleet-pagination">
+                <button class="device-action-btn" ${this.page === 0 ? 'disabled' : ''} onclick="adminManager.fleet.goToPage(${this.page - 1})">◀ Prev</button>
+                <span>Page ${this.page + 1} of ${pageCount} · ${rows.length} of ${Object.keys(this.dashboard.devicesData).length} device(s)</span>
+                <button class="device-action-btn" ${this.page >= pageCount - 1 ? 'disabled' : ''} onclick="adminManager.fleet.goToPage(${this.page + 1})">Next ▶</button>
+                <select onchange="adminManager.fleet.setPageSize(this.value)" title="Devices per page">
+                    ${this.pageSizes.map(size => `<option value="${size}" ${size === this.view.pageSize ? 'selected' : ''}>${size} per page</option>`).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    setFilter(key, value) {
+        this.view[key] = value;
+        this.page = 0;
+        this.renderResults();
+    }
+
+    sortBy(key) {
+        if (this.view.sort === key) {
+            this.view.direction = this.view.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.view.sort = key;
+            this.view.direction = 'asc';
+        }
+        this.renderResults();
+    }
+
+    goToPage(page) {
+        this.page = Math.max(0, page);
+        this.renderResults();
+    }
+
+    setPageSize(size) {
+        this.view.pageSize = Number(size) || this.defaultView.pageSize;
+        this.page = 0;
+        this.renderResults();
+    }
+
+    toggleSelection(deviceId, selected) {
+        if (selected) {
+            this.selected.add(deviceId);
+        } else {
+            this.selected.delete(deviceId);
+        }
+        this.renderResults();
+    }
+
+    selectPage(selected) {
+        const pageRows = this.getFilteredRows().slice(this.page * this.view.pageSize, (this.page + 1) * this.view.pageSize);
+        pageRows.forEach(row => selected ? this.selected.add(row.id) : this.selected.delete(row.id));
+        this.renderResults();
+    }
+
+    selectAllMatching() {
+        this.getFilteredRows().forEach(row => this.selected.add(row.id));
+        this.renderResults();
+    }
+
+    clearSelection() {
+        this.selected.clear();
+        this.renderResults();
+    }
+
+    getSelectedIds() {
+        return [...this.selected].filter(deviceId => this.dashboard.devicesData[deviceId]);
+    }
+
+    applyView(viewId) {
+        const saved = this.views[viewId];
+        this.viewId = saved ? viewId : '';
+        this.view = { ...this.defaultView, ...(saved ? saved.view : {}) };
+        this.page = 0;
+        this.toolbarKey = null;
+        this.render();
+    }
+
+    resetView() {
+        this.applyView('');
+    }
+
+    async saveView() {
+        const current = this.views[this.viewId];
+        const name = prompt('Name this view:', current ? current.name : '');
+        if (!name || !name.trim()) return;
+
+        // Saving under the selected view's name updates it; any other name adds a view
+        const existing = Object.keys(this.views).find(viewId => this.views[viewId].name === name.trim());
+        const ref = existing ? this.viewsRef.child(existing) : this.viewsRef.push();
+        try {
+            await ref.set({
+                name: name.trim(),
+                view: { ...this.view, search: this.view.search.trim() },
+                saved_at: this.admin.auth.backend.serverTimestamp()
+            });
+            this.viewId = ref.key;
+            this.render();
+            this.dashboard.showNotification(`View "${name.trim()}" saved`, 'success');
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to save view: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteView(viewId) {
+        const saved = this.views[viewId];
+        if (!saved || !confirm(`Delete the saved view "${saved.name}"?`)) return;
+
+        try {
+            await this.viewsRef.child(viewId).remove();
+            this.resetView();
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to delete view: ${error.message}`, 'error');
+        }
+    }
+
+    showReassignModal() {
+        const deviceIds = this.getSelectedIds();
+        if (deviceIds.length === 0) return;
+
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const candidates = Object.values(this.admin.users)
+            .filter(user => !user.disabled)
+            .sort((a, b) => (a.email || '').localeCompare(b.email || ''));
+
+        let modal = document.getElementById('fleetReassignModal');
+        if (modal) modal.remove();
+
+        modal = document.createElement('div');
+        modal.id = 'fleetReassignModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <button class="close-btn">✖</button>
+                    <h2>🔁 Reassign ${deviceIds.length} Device(s)</h2>
+                    <div class="form-group">
+                        <label>👤 New owner:</label>
+                        <select class="fleet-owner">
+                            <option value="">Release (unassign owner)</option>
+                            ${candidates.map(user => `<option value="${escape(user.uid)}">${escape(user.email)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="admin-warning">
+                        ⚠️ People the devices are shared with keep their access; the new owner can revoke it.
+                    </div>
+                    <div class="form-actions">
+                        <button class="save-btn">🔁 Reassign</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        modal.querySelector('.save-btn').onclick = async () => {
+            const uid = modal.querySelector('.fleet-owner').value || null;
+            modal.remove();
+            await this.reassignDevices(deviceIds, uid);
+        };
+        document.body.appendChild(modal);
+    }
+
+    async reassignDevices(deviceIds, uid) {
+        const devices = this.dashboard.devicesData;
+        const email = uid ? this.admin.users[uid].email : null;
+        const updates = {};
+        deviceIds.forEach(deviceId => {
+            updates[`devices/${deviceId}/owner_uid`] = uid;
+            updates[`devices/${deviceId}/owner_email`] = email;
+        });
+        const before = {};
+        deviceIds.forEach(deviceId => {
+            before[deviceId] = this.getOwnerLabel(devices[deviceId]) || null;
+        });
+
+        try {
+            await this.database.ref().update(updates);
+            await Promise.all(deviceIds.map(deviceId => this.admin.auth.audit.record('device.reassign', deviceId, {
+                targetType: 'device',
+                before: { owner_email: before[deviceId] },
+                after: { owner_email: email }
+            })));
+
+            this.selected.clear();
+            this.dashboard.showNotification(`${deviceIds.length} device(s) ${email ? `reassigned to ${email}` : 'released'}`, 'success');
+            this.admin.renderAdminPanel();
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to reassign devices: ${error.message}`, 'error');
+        }
+    }
+
+    async restartDevices() {
+        const deviceIds = this.getSelectedIds();
+        if (deviceIds.length === 0 || !confirm(`Restart ${deviceIds.length} device(s)? They go offline briefly while they reboot.`)) {
+            return;
+        }
+
+        const user = this.admin.auth.currentUser;
+        const results = await Promise.allSettled(deviceIds.map(async deviceId => {
+            await this.admin.auth.backend.sendCommand(deviceId, {
+                type: 'restart',
+                channel: 0,
+                value: true,
+                issuedBy: user.uid,
+                issuedByEmail: user.email
+            });
+            await this.admin.auth.audit.record('device.restart', deviceId, { targetType: 'device' });
+        }));
+
+        this.reportResults(results, deviceIds, 'Restart sent to');
+    }
+
+    showConfigModal() {
+        const deviceIds = this.getSelectedIds();
+        if (deviceIds.length === 0) return;
+
+        const deviceConfig = this.dashboard.deviceConfig;
+        let modal = document.getElementById('fleetConfigModal');
+        if (modal) modal.remove();
+
+        modal = document.createElement('div');
+        modal.id = 'fleetConfigModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <button class="close-btn">✖</button>
+                    <h2>⚙️ Send Config to ${deviceIds.length} Device(s)</h2>
+                    <p class="rule-meta">Leave a field empty to keep each device's current value.</p>
+                    <form class="rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>📍 Location:</label>
+                                <input type="text" name="location" placeholder="Unchanged">
+                            </div>
+                            <div class="form-group">
+                                <label>⏱️ Report interval (s):</label>
+                                <input type="number" name="report_interval" min="${deviceConfig.reportInterval.min}" max="${deviceConfig.reportInterval.max}" step="1" placeholder="Unchanged">
+                            </div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="save-btn">⚙️ Send</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        modal.querySelector('form').onsubmit = async (event) => {
+            event.preventDefault();
+            const form = event.target;
+            const changes = {};
+            if (form.location.value.trim()) changes.location = form.location.value.trim();
+            if (form.report_interval.value !== '') changes.report_interval = Number(form.report_interval.value);
+            if (Object.keys(changes).length === 0) {
+                this.dashboard.showNotification('Enter a location or report interval to send', 'error');
+                return;
+            }
+
+            modal.remove();
+            await this.sendConfig(deviceIds, changes);
+        };
+        document.body.appendChild(modal);
+    }
+
+    // Goes through DeviceConfigManager so each device gets a new config version and an audit entry
+    async sendConfig(deviceIds, changes) {
+        const devices = this.dashboard.devicesData;
+        const results = await Promise.allSettled(deviceIds.map(deviceId => {
+            const device = devices[deviceId];
+            return this.dashboard.deviceConfig.save(deviceId, {
+                name: device.name || deviceId,
+                location: device.location || '',
+                ...changes
+            });
+        }));
+
+        this.reportResults(results, deviceIds, 'Config sent to');
+    }
+
+    async deleteStaleDevices() {
+        const rows = this.getRows().filter(row => this.selected.has(row.id));
+        const stale = rows.filter(row => this.isStale(row));
+        if (stale.length === 0) {
+            this.dashboard.showNotification('None of the selected devices has been offline for more than 24 hours', 'error');
+            return;
+        }
+
+        const skipped = rows.length - stale.length;
+        if (!confirm(`Delete ${stale.length} device(s) offline for more than 24 hours?`
+            + (skipped ? ` ${skipped} selected device(s) that reported recently are kept.` : '')
+            + ' Their history and sharing are removed too.')) {
+            return;
+        }
+
+        // Pending invitations are mirrored per invitee, and the device's time series live beside it,
+        // so they all go with the device
+        const updates = {};
+        stale.forEach(row => {
+            updates[`devices/${row.id}`] = null;
+            updates[`history/${row.id}`] = null;
+            updates[`energy_log/${row.id}`] = null;
+            Object.keys(row.device.acl || {}).forEach(emailKey => {
+                updates[`invitations/${emailKey}/${row.id}`] = null;
+            });
+        });
+
+        try {
+            await this.database.ref().update(updates);
+            await Promise.all(stale.map(row => this.admin.auth.audit.record('device.delete', row.id, {
+                targetType: 'device',
+                before: { name: row.name || null, owner_email: row.owner || null, last_seen: row.lastSeen },
+                after: null
+            })));
+
+            stale.forEach(row => this.selected.delete(row.id));
+            this.dashboard.showNotification(`Deleted ${stale.length} stale device(s)`, 'success');
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to delete devices: ${error.message}`, 'error');
+        }
+    }
+
+    reportResults(results, deviceIds, message) {
+        const failed = results
+            .map((result, index) => result.status === 'rejected' ? `${deviceIds[index]}: ${result.reason.message}` : null)
+            .filter(Boolean);
+
+        if (failed.length) {
+            console.warn('Fleet operation failed for some devices:', failed);
+            this.dashboard.showNotification(
+                `${message} ${deviceIds.length - failed.length} of ${deviceIds.length} device(s); ${failed[0]}${failed.length > 1 ? ` (+${failed.length - 1} more)` : ''}`,
+                'error'
+            );
+        } else {
+            this.selected.clear();
+            this.dashboard.showNotification(`${message} ${deviceIds.length} device(s)`, 'success');
+        }
+        this.renderResults();
+    }
+}
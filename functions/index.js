@@ -0,0 +1,160 @@
+// functions/index.js - Second-Factor Checks for the Firebase backend
+//
+// TOTP secrets live in mfa/{uid}, which the security rules close to every client, and codes are checked
+// here. A correct code marks the caller's sign-in as verified in mfa_sessions/{uid}/{auth_time}; the rules
+// require that entry for enrolled accounts and for every admin. A new password sign-in has a new
+// auth_time, so it has to be verified again.
+//   firebase deploy --only functions      (totp.js here is a copy of the dashboard's; npm test keeps them equal)
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const Totp = require('./totp');
+
+admin.initializeApp();
+const database = admin.database();
+const totp = new Totp();
+
+const enrollmentLifetime = 10 * 60 * 1000; // A started enrollment has to be confirmed within this time
+const sessionLifetime = 30 * 24 * 60 * 60; // Seconds a verified sign-in is kept before asking again
+const freeAttempts = 5; // Wrong codes allowed before each further attempt has to wait
+const maxLockout = 60 * 60 * 1000;
+
+function requireUser(request) {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in first');
+    }
+    return { uid: request.auth.uid, email: request.auth.token.email, authTime: request.auth.token.auth_time };
+}
+
+async function isAdmin(uid) {
+    return (await database.ref(`admins/${uid}`).once('value')).exists();
+}
+
+function sessionUpdates(user, mfa) {
+    const updates = { [`mfa_sessions/${user.uid}/${user.authTime}`]: { verified_at: admin.database.ServerValue.TIMESTAMP } };
+    // Sign-ins older than the session lifetime have to verify again
+    const oldest = Math.floor(Date.now() / 1000) - sessionLifetime;
+    Object.keys((mfa && mfa.sessions) || {}).filter(authTime => Number(authTime) < oldest).forEach(authTime => {
+        updates[`mfa_sessions/${user.uid}/${authTime}`] = null;
+    });
+    return updates;
+}
+
+// Checks a code against the enrolled secret and uses it up; wrong codes count towards a lockout
+async function checkCode(user, code) {
+    const [mfaSnapshot, sessionsSnapshot] = await Promise.all([
+        database.ref(`mfa/${user.uid}`).once('value'),
+        database.ref(`mfa_sessions/${user.uid}`).once('value')
+    ]);
+    const mfa = mfaSnapshot.val();
+    if (!mfa || !mfa.enabled) {
+        throw new HttpsError('failed-precondition', 'Two-factor authentication is not set up for this account. Ask an administrator to reset it.');
+    }
+    if (mfa.locked_until && mfa.locked_until > Date.now()) {
+        throw new HttpsError('resource-exhausted', 'Too many wrong codes. Try again later.');
+    }
+
+    const step = await totp.verify(mfa.secret, code, mfa.last_counter || 0);
+    if (step === null) {
+        const failures = (mfa.failures || 0) + 1;
+        const lockout = failures > freeAttempts ? Math.min(maxLockout, 30000 * Math.pow(2, failures - freeAttempts - 1)) : 0;
+        await database.ref(`mfa/${user.uid}`).update({ failures: failures, locked_until: lockout ? Date.now() + lockout : null });
+        return false;
+    }
+
+    // The transaction keeps two simultaneous requests from both using the same step
+    const result = await database.ref(`mfa/${user.uid}/last_counter`).transaction(current => (current || 0) < step ? step : undefined);
+    if (!result.committed) return false;
+
+    await database.ref().update({
+        [`mfa/${user.uid}/failures`]: null,
+        [`mfa/${user.uid}/locked_until`]: null,
+        ...sessionUpdates(user, { sessions: sessionsSnapshot.val() })
+    });
+    return true;
+}
+
+function clearEnrollment(uid) {
+    return database.ref().update({
+        [`mfa/${uid}`]: null,
+        [`mfa_sessions/${uid}`]: null,
+        [`users/${uid}/mfa_enabled`]: null
+    });
+}
+
+exports.mfaStartEnrollment = onCall(async (request) => {
+    const user = requireUser(request);
+    // A profile still flagged as enrolled (for example after a restore) needs an administrator's reset
+    const [enabled, flagged] = await Promise.all([
+        database.ref(`mfa/${user.uid}/enabled`).once('value'),
+        database.ref(`users/${user.uid}/mfa_enabled`).once('value')
+    ]);
+    if (enabled.val() || flagged.val()) {
+        throw new HttpsError('already-exists', 'Two-factor authentication is already on');
+    }
+
+    const secret = totp.generateSecret();
+    await database.ref(`mfa/${user.uid}`).set({
+        pending_secret: secret,
+        pending_at: admin.database.ServerValue.TIMESTAMP
+    });
+    return { secret: secret, uri: totp.getOtpauthUri(secret, user.email) };
+});
+
+exports.mfaConfirmEnrollment = onCall(async (request) => {
+    const user = requireUser(request);
+    const mfa = (await database.ref(`mfa/${user.uid}`).once('value')).val();
+    if (!mfa || mfa.enabled || !mfa.pending_secret || Date.now() - mfa.pending_at > enrollmentLifetime) {
+        throw new HttpsError('failed-precondition', 'Start the setup again');
+    }
+
+    const step = await totp.verify(mfa.pending_secret, request.data && request.data.code);
+    if (step === null) {
+        throw new HttpsError('invalid-argument', 'That code does not match');
+    }
+
+    await database.ref().update({
+        [`mfa/${user.uid}`]: {
+            secret: mfa.pending_secret,
+            enabled: true,
+            enrolled_at: admin.database.ServerValue.TIMESTAMP,
+            last_counter: step
+        },
+        [`users/${user.uid}/mfa_enabled`]: true,
+        ...sessionUpdates(user, null)
+    });
+    return { verified: true };
+});
+
+exports.mfaVerify = onCall(async (request) => {
+    const user = requireUser(request);
+    return { verified: await checkCode(user, request.data && request.data.code) };
+});
+
+// Administrators can't turn their own second factor off; another administrator can reset it
+exports.mfaDisable = onCall(async (request) => {
+    const user = requireUser(request);
+    if (await isAdmin(user.uid)) {
+        throw new HttpsError('permission-denied', 'Two-factor authentication is required for administrators');
+    }
+    if (!(await checkCode(user, request.data && request.data.code))) {
+        throw new HttpsError('invalid-argument', 'That code is not valid');
+    }
+
+    await clearEnrollment(user.uid);
+    return {};
+});
+
+exports.mfaReset = onCall(async (request) => {
+    const user = requireUser(request);
+    const uid = request.data && request.data.uid;
+    const verified = (await database.ref(`mfa_sessions/${user.uid}/${user.authTime}`).once('value')).exists();
+    if (!(await isAdmin(user.uid)) || !verified) {
+        throw new HttpsError('permission-denied', 'Admin access required');
+    }
+    if (!uid || uid === user.uid) {
+        throw new HttpsError('invalid-argument', 'Choose another account to reset');
+    }
+
+    await clearEnrollment(uid);
+    return {};
+});
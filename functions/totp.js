@@ -0,0 +1,98 @@
+// totp.js - TOTP Codes (RFC 6238)
+//
+// Shared by the servers that check second-factor codes (functions/, mqtt-auth-stub.js) and the mock
+// backend. The dashboard itself never sees a secret after enrollment. Cloud Functions only deploy their
+// own directory, so functions/totp.js is a committed copy of this file; npm test checks they match.
+class Totp {
+    constructor() {
+        this.issuer = 'ESP32 Smart Home';
+        this.alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'; // RFC 4648 base32
+        this.secretBytes = 20;
+        this.digits = 6;
+        this.period = 30; // Seconds per code
+        this.window = 1; // Accept one step either side for clock drift
+        this.crypto = typeof crypto !== 'undefined' ? crypto : require('crypto').webcrypto;
+    }
+
+    base32Encode(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        bytes.forEach(byte => {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += this.alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        });
+        if (bits > 0) {
+            output += this.alphabet[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    base32Decode(text) {
+        const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = this.alphabet.indexOf(char);
+            if (index === -1) throw new Error('Invalid secret');
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    generateSecret() {
+        return this.base32Encode(this.crypto.getRandomValues(new Uint8Array(this.secretBytes)));
+    }
+
+    getOtpauthUri(secret, email) {
+        const label = encodeURIComponent(`${this.issuer}:${email}`);
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(this.issuer)}&digits=${this.digits}&period=${this.period}`;
+    }
+
+    getCounter(time = Date.now()) {
+        return Math.floor(time / 1000 / this.period);
+    }
+
+    async generateCode(secret, counter) {
+        const subtle = this.crypto.subtle;
+        const key = await subtle.importKey('raw', this.base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+        const message = new DataView(new ArrayBuffer(8));
+        message.setUint32(0, Math.floor(counter / 0x100000000));
+        message.setUint32(4, counter >>> 0);
+
+        // Dynamic truncation (RFC 4226 section 5.3)
+        const hmac = new Uint8Array(await subtle.sign('HMAC', key, message.buffer));
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+        return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+    }
+
+    // Returns the matching time step, or null; steps at or before lastCounter were already used
+    async verify(secret, code, lastCounter = 0, time = Date.now()) {
+        const clean = String(code).replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${this.digits}}$`).test(clean)) return null;
+
+        const current = this.getCounter(time);
+        for (let step = current - this.window; step <= current + this.window; step++) {
+            if (step <= lastCounter) continue;
+            if (await this.generateCode(secret, step) === clean) return step;
+        }
+        return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Totp;
+}
@@ -0,0 +1,192 @@
+// heartbeat.js - Device Heartbeat Tracking
+class HeartbeatMonitor {
+    constructor() {
+        this.database = null;
+        this.states = {};
+        this.devices = {};
+        this.serverTimeOffset = 0; // Milliseconds between the browser clock and Firebase server time
+        this.globalThresholds = {
+            staleAfter: 120, // Seconds without a heartbeat before a device is considered stale
+            offlineAfter: 300 // Seconds without a heartbeat before a device is considered offline
+        };
+        this.tickInterval = 15000;
+        this.timer = null;
+        this.listeners = [];
+        this.settingsLoaded = false;
+        this.transitionCallbacks = [];
+    }
+
+    attach(database) {
+        this.database = database;
+
+        this.listen('.info/serverTimeOffset', (snapshot) => {
+            this.serverTimeOffset = snapshot.val() || 0;
+            this.evaluateAll();
+        });
+    }
+
+    // Follows the thresholds admins save under settings/heartbeat (Admin panel → Device Heartbeat)
+    loadSettings() {
+        if (this.settingsLoaded || !this.database) return;
+        this.settingsLoaded = true;
+
+        this.listen('settings/heartbeat', (snapshot) => {
+            const settings = snapshot.val();
+            if (settings) {
+                this.globalThresholds = this.normalizeThresholds(settings, this.globalThresholds);
+                this.evaluateAll();
+            }
+        }, (error) => {
+            console.warn('Failed to load heartbeat settings, using defaults:', error);
+        });
+    }
+
+    // Several monitors can watch one database (the dashboard and the all-sites summary), so each
+    // removes only its own callbacks
+    listen(path, callback, onError) {
+        const ref = this.database.ref(path);
+        this.listeners.push({ ref: ref, callback: ref.on('value', callback, onError) });
+    }
+
+    detach() {
+        this.stop();
+        this.listeners.forEach(({ ref, callback }) => ref.off('value', callback));
+        this.listeners = [];
+        this.settingsLoaded = false;
+    }
+
+    start() {
+        this.stop();
+        this.loadSettings();
+        this.timer = setInterval(() => this.evaluateAll(), this.tickInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    onTransition(callback) {
+        this.transitionCallbacks.push(callback);
+    }
+
+    // Current time in seconds on the Firebase server clock
+    now() {
+        return (Date.now() + this.serverTimeOffset) / 1000;
+    }
+
+    normalizeThresholds(source, fallback) {
+        const staleAfter = Number(source.stale_after !== undefined ? source.stale_after : source.staleAfter);
+        const offlineAfter = Number(source.offline_after !== undefined ? source.offline_after : source.offlineAfter);
+
+        const thresholds = {
+            staleAfter: staleAfter > 0 ? staleAfter : fallback.staleAfter,
+            offlineAfter: offlineAfter > 0 ? offlineAfter : fallback.offlineAfter
+        };
+        thresholds.offlineAfter = Math.max(thresholds.offlineAfter, thresholds.staleAfter);
+        return thresholds;
+    }
+
+    // Returns an error message for thresholds an admin entered, or null if they can be saved
+    validateThresholds({ staleAfter, offlineAfter }) {
+        if (!Number.isInteger(staleAfter) || !Number.isInteger(offlineAfter) || staleAfter <= 0 || offlineAfter <= 0) {
+            return 'Heartbeat thresholds must be whole numbers of seconds';
+        }
+        if (offlineAfter < staleAfter) {
+            return 'A device can\'t go offline before it goes stale';
+        }
+        return null;
+    }
+
+    getThresholds(device) {
+        if (device && device.heartbeat) {
+            return this.normalizeThresholds(device.heartbeat, this.globalThresholds);
+        }
+        return this.globalThresholds;
+    }
+
+    setGlobalThresholds(thresholds) {
+        this.globalThresholds = this.normalizeThresholds(thresholds, this.globalThresholds);
+        this.evaluateAll();
+
+        if (this.database) {
+            return this.database.ref('settings/heartbeat').set({
+                stale_after: this.globalThresholds.staleAfter,
+                offline_after: this.globalThresholds.offlineAfter
+            });
+        }
+    }
+
+    // null removes the device's own thresholds so the global ones apply again
+    setDeviceThresholds(deviceId, thresholds) {
+        if (!thresholds) {
+            return this.database.ref(`devices/${deviceId}/heartbeat`).remove();
+        }
+
+        const normalized = this.normalizeThresholds(thresholds, this.globalThresholds);
+        return this.database.ref(`devices/${deviceId}/heartbeat`).set({
+            stale_after: normalized.staleAfter,
+            offline_after: normalized.offlineAfter
+        });
+    }
+
+    getAge(device) {
+        if (!device || !device.data || typeof device.data.timestamp !== 'number') {
+            return Infinity;
+        }
+        // A device clock running ahead of the server still counts as a fresh heartbeat
+        return Math.max(0, this.now() - device.data.timestamp);
+    }
+
+    getStatus(device) {
+        const age = this.getAge(device);
+        const thresholds = this.getThresholds(device);
+
+        if (age < thresholds.staleAfter) return 'online';
+        if (age < thresholds.offlineAfter) return 'stale';
+        return 'offline';
+    }
+
+    getState(deviceId) {
+        return this.states[deviceId] || 'offline';
+    }
+
+    update(devices) {
+        this.devices = devices || {};
+
+        for (const deviceId in this.states) {
+            if (!this.devices[deviceId]) {
+                delete this.states[deviceId];
+            }
+        }
+
+        this.evaluateAll();
+    }
+
+    evaluateAll() {
+        const transitions = [];
+
+        for (const deviceId in this.devices) {
+            const device = this.devices[deviceId];
+            const previous = this.states[deviceId] || null;
+            const current = this.getStatus(device);
+
+            if (previous !== current) {
+                this.states[deviceId] = current;
+                transitions.push({ deviceId: deviceId, from: previous, to: current, device: device });
+            }
+        }
+
+        if (transitions.length) {
+            this.transitionCallbacks.forEach(callback => callback(transitions));
+        }
+    }
+
+    getCounts(deviceIds) {
+        const counts = { online: 0, stale: 0, offline: 0 };
+        (deviceIds || Object.keys(this.devices)).forEach(deviceId => {
+            counts[this.getState(deviceId)]++;
+        });
+        return counts;
+    }
+}
@@ -0,0 +1,280 @@
+// history.js - Sensor Telemetry History & Charts
+//
+// history/{deviceId}/{timestamp} = { timestamp, source, <numeric readings> }, written by open dashboards.
+// It sits beside devices/ so the live device listeners don't download it. Firmware writes the same
+// samples to devices/{id}/history; charts read both, and a dashboard that can control the device moves
+// firmware samples across as it sees them, so that node only ever holds the latest few.
+class HistoryManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.ranges = {
+            '1h': { label: '1 Hour', seconds: 3600 },
+            '24h': { label: '24 Hours', seconds: 86400 },
+            '7d': { label: '7 Days', seconds: 604800 }
+        };
+        this.maxPoints = 120;
+        this.recordInterval = 300; // Record at most one dashboard sample per device every 5 minutes
+        this.retention = 604800; // Keep dashboard-recorded samples for 7 days
+        this.lastRecorded = {};
+        this.firmwareHistory = {};
+        this.moving = {}; // deviceId -> true while firmware samples are being moved
+        this.fieldMeta = {
+            temperature: { label: 'Temperature', unit: '°C', color: '#ff5722' },
+            humidity: { label: 'Humidity', unit: '%', color: '#2196F3' },
+            light: { label: 'Light', unit: 'lux', color: '#ff9800' },
+            pressure: { label: 'Pressure', unit: 'hPa', color: '#9c27b0' }
+        };
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    async loadHistory(deviceId, rangeKey) {
+        const range = this.ranges[rangeKey] || this.ranges['24h'];
+        const since = Math.floor(Date.now() / 1000) - range.seconds;
+
+        const snapshots = await Promise.all([`history/${deviceId}`, `devices/${deviceId}/history`].map(path =>
+            this.database.ref(path).orderByChild('timestamp').startAt(since).once('value')
+        ));
+
+        // A firmware sample may already have been moved; keep one per timestamp
+        const samples = {};
+        snapshots.forEach(snapshot => snapshot.forEach(child => {
+            const sample = child.val();
+            if (sample && typeof sample.timestamp === 'number') {
+                samples[sample.timestamp] = sample;
+            }
+        }));
+
+        return Object.values(samples).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Moves samples the firmware wrote to devices/{id}/history into history/{deviceId}, in one update
+    async moveFirmwareHistory(deviceId, device) {
+        const entries = (device && device.history) || {};
+        if (this.moving[deviceId] || !Object.keys(entries).length) return;
+
+        const updates = {};
+        for (const key in entries) {
+            const sample = entries[key];
+            if (sample && typeof sample.timestamp === 'number') {
+                updates[`history/${deviceId}/${sample.timestamp}`] = sample;
+            }
+            updates[`devices/${deviceId}/history/${key}`] = null;
+        }
+
+        this.moving[deviceId] = true;
+        this.firmwareHistory[deviceId] = true;
+        try {
+            await this.database.ref().update(updates);
+        } catch (error) {
+            console.warn(`Failed to move firmware history for ${deviceId}:`, error);
+        } finally {
+            delete this.moving[deviceId];
+        }
+    }
+
+    getNumericFields(samples) {
+        const fields = new Set();
+        samples.forEach(sample => {
+            for (const key in sample) {
+                if (key !== 'timestamp' && typeof sample[key] === 'number') {
+                    fields.add(key);
+                }
+            }
+        });
+        return [...fields];
+    }
+
+    downsample(points, maxPoints = this.maxPoints) {
+        if (points.length <= maxPoints) return points;
+
+        // Average points into equal-width time buckets
+        const start = points[0].t;
+        const span = points[points.length - 1].t - start || 1;
+        const buckets = [];
+
+        points.forEach(point => {
+            const index = Math.min(maxPoints - 1, Math.floor(((point.t - start) / span) * maxPoints));
+            if (!buckets[index]) buckets[index] = { t: 0, v: 0, n: 0 };
+            buckets[index].t += point.t;
+            buckets[index].v += point.v;
+            buckets[index].n++;
+        });
+
+        return buckets
+            .filter(Boolean)
+            .map(bucket => ({ t: bucket.t / bucket.n, v: bucket.v / bucket.n }));
+    }
+
+    renderChart(field, samples, rangeKey) {
+        // Unknown fields come straight from the device's samples
+        const meta = this.fieldMeta[field] || { label: this.dashboard.escapeHtml(field), unit: '', color: '#4CAF50' };
+        const points = this.downsample(
+            samples
+                .filter(sample => typeof sample[field] === 'number')
+                .map(sample => ({ t: sample.timestamp, v: sample[field] }))
+        );
+
+        if (points.length === 0) return '';
+
+        const width = 560;
+        const height = 180;
+        const pad = { top: 15, right: 15, bottom: 25, left: 50 };
+        const range = this.ranges[rangeKey] || this.ranges['24h'];
+        const tMax = Math.floor(Date.now() / 1000);
+        const tMin = tMax - range.seconds;
+
+        let vMin = Math.min(...points.map(p => p.v));
+        let vMax = Math.max(...points.map(p => p.v));
+        if (vMin === vMax) {
+            vMin -= 1;
+            vMax += 1;
+        }
+
+        const x = t => pad.left + ((t - tMin) / (tMax - tMin)) * (width - pad.left - pad.right);
+        const y = v => pad.top + (1 - (v - vMin) / (vMax - vMin)) * (height - pad.top - pad.bottom);
+        const path = points.map(p => `${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ');
+        const latest = points[points.length - 1].v;
+        const formatTime = t => rangeKey === '7d'
+            ? new Date(t * 1000).toLocaleDateString()
+            : new Date(t * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        return `
+            <div class="history-chart">
+                <div class="history-chart-header">
+                    <span class="history-chart-title">${meta.label}</span>
+                    <span class="history-chart-latest" style="color: ${meta.color}">${latest.toFixed(1)} ${meta.unit}</span>
+                </div>
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${meta.label} history">
+                    <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" class="history-axis"></line>
+                    <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" class="history-axis"></line>
+                    <text x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end" class="history-label">${vMax.toFixed(1)}</text>
+                    <text x="${pad.left - 6}" y="${height - pad.bottom}" text-anchor="end" class="history-label">${vMin.toFixed(1)}</text>
+                    <text x="${pad.left}" y="${height - 6}" class="history-label">${formatTime(tMin)}</text>
+                    <text x="${width - pad.right}" y="${height - 6}" text-anchor="end" class="history-label">${formatTime(tMax)}</text>
+                    <polyline points="${path}" fill="none" stroke="${meta.color}" stroke-width="2" vector-effect="non-scaling-stroke"></polyline>
+                </svg>
+            </div>
+        `;
+    }
+
+    async showHistoryModal(deviceId, rangeKey = '24h') {
+        const device = this.dashboard.devicesData[deviceId] || {};
+        const name = this.dashboard.escapeHtml(device.name || deviceId);
+
+        let modal = document.getElementById('historyModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'historyModal';
+            document.body.appendChild(modal);
+        }
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content history-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>📈 ${name} History</h2>
+                    <div class="history-ranges">
+                        ${Object.keys(this.ranges).map(key => `
+                            <button class="history-range-btn ${key === rangeKey ? 'active' : ''}" data-range="${key}">
+                                ${this.ranges[key].label}
+                            </button>
+                        `).join('')}
+                    </div>
+                    <div class="history-charts">
+                        <div class="loading-spinner"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        modal.querySelectorAll('.history-range-btn').forEach(button => {
+            button.onclick = () => this.showHistoryModal(deviceId, button.dataset.range);
+        });
+
+        const chartsContainer = modal.querySelector('.history-charts');
+
+        try {
+            const samples = await this.loadHistory(deviceId, rangeKey);
+            const fields = this.getNumericFields(samples);
+
+            chartsContainer.innerHTML = fields.length
+                ? fields.map(field => this.renderChart(field, samples, rangeKey)).join('')
+                : '<div class="history-empty">No history recorded for this period yet.</div>';
+        } catch (error) {
+            console.error('❌ Failed to load history:', error);
+            chartsContainer.innerHTML = '<div class="history-empty">Failed to load history.</div>';
+            this.dashboard.showNotification(`Failed to load history for ${device.name || deviceId}: ${error.message}`, 'error');
+        }
+    }
+
+    async recordSnapshot(deviceId, device) {
+        this.moveFirmwareHistory(deviceId, device);
+
+        const data = device && device.data;
+        if (!data || typeof data.timestamp !== 'number') return;
+
+        const last = this.lastRecorded[deviceId] || 0;
+        if (data.timestamp - last < this.recordInterval) return;
+        this.lastRecorded[deviceId] = data.timestamp;
+
+        try {
+            if (await this.hasFirmwareHistory(deviceId)) return;
+
+            const sample = { timestamp: data.timestamp, source: 'dashboard' };
+            for (const key in data) {
+                if (key !== 'timestamp' && typeof data[key] === 'number') {
+                    sample[key] = data[key];
+                }
+            }
+
+            // Keyed by device timestamp so several open dashboards write the same entry
+            await this.database.ref(`history/${deviceId}/${data.timestamp}`).set(sample);
+            await this.pruneHistory(deviceId, data.timestamp - this.retention);
+        } catch (error) {
+            console.warn(`Failed to record history for ${deviceId}:`, error);
+        }
+    }
+
+    async hasFirmwareHistory(deviceId) {
+        if (this.firmwareHistory[deviceId] !== undefined) {
+            return this.firmwareHistory[deviceId];
+        }
+
+        const snapshot = await this.database.ref(`history/${deviceId}`)
+            .orderByChild('timestamp')
+            .limitToLast(1)
+            .once('value');
+
+        let writesHistory = false;
+        snapshot.forEach(child => {
+            const sample = child.val() || {};
+            const age = Math.floor(Date.now() / 1000) - (sample.timestamp || 0);
+            writesHistory = sample.source !== 'dashboard' && age < this.recordInterval * 2;
+        });
+
+        this.firmwareHistory[deviceId] = writesHistory;
+        return writesHistory;
+    }
+
+    async pruneHistory(deviceId, before) {
+        const snapshot = await this.database.ref(`history/${deviceId}`)
+            .orderByChild('timestamp')
+            .endAt(before)
+            .once('value');
+
+        const updates = {};
+        snapshot.forEach(child => {
+            if ((child.val() || {}).source === 'dashboard') {
+                updates[child.key] = null;
+            }
+        });
+
+        if (Object.keys(updates).length) {
+            await this.database.ref(`history/${deviceId}`).update(updates);
+        }
+    }
+}
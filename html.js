@@ -0,0 +1,12 @@
+// html.js - Escaping for Text Built into HTML
+//
+// Every template that puts names, emails or other stored text into innerHTML escapes it with this, in text
+// and in quoted attribute values alike. Loaded first, so config.js can use it before the dashboard exists.
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
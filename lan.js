@@ -0,0 +1,327 @@
+// lan.js - Direct LAN Transport to the ESP32 Local HTTP/WebSocket API
+//
+// Firmware contract (all requests carry "Authorization: Bearer <token>"; the token is shown during setup):
+//   GET  /api/state    -> { relays, pwm, temperature, humidity, light, pressure, timestamp }
+//   POST /api/command  <- { type: 'relay'|'pwm', channel, value }  -> same body as /api/state
+//   WS   /ws?token=... -> pushes the /api/state body whenever it changes
+class LanTransport {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.store = window.offlineStore;
+        this.settings = {}; // deviceId -> { url, token, enabled }
+        this.sockets = {};
+        this.states = {}; // deviceId -> { data, received_at }
+        this.reachable = {};
+        this.reconnectTimers = {};
+        this.requestTimeout = 4000;
+        this.reconnectDelay = 15000;
+        this.paths = {
+            cloud: { className: 'path-cloud', label: '☁️ Cloud' },
+            lan: { className: 'path-lan', label: '🏠 LAN' },
+            none: { className: 'path-none', label: '⚠️ No path' }
+        };
+    }
+
+    get uid() {
+        return this.dashboard.auth.currentUser.uid;
+    }
+
+    async initialize() {
+        this.settings = (await this.store.get('lan', this.uid)) || {};
+        Object.keys(this.settings).forEach(deviceId => this.connect(deviceId));
+    }
+
+    getSettings(deviceId) {
+        return this.settings[deviceId] || null;
+    }
+
+    // Firmware reports its DHCP address so the URL can be pre-filled
+    getDefaultUrl(device) {
+        const ip = device && (device.local_ip || (device.data && device.data.local_ip));
+        return ip ? `http://${ip}` : '';
+    }
+
+    getBaseUrl(deviceId) {
+        const settings = this.getSettings(deviceId);
+        return settings ? settings.url.replace(/\/+$/, '') : '';
+    }
+
+    async saveSettings(deviceId, settings) {
+        this.disconnect(deviceId);
+
+        if (settings) {
+            this.settings[deviceId] = {
+                url: settings.url.trim(),
+                token: settings.token.trim(),
+                enabled: settings.enabled !== false
+            };
+        } else {
+            delete this.settings[deviceId];
+            delete this.states[deviceId];
+        }
+
+        await this.store.put('lan', this.uid, this.settings);
+        this.connect(deviceId);
+        this.dashboard.updateTransportBadge(deviceId);
+    }
+
+    connect(deviceId) {
+        const settings = this.getSettings(deviceId);
+        if (!settings || !settings.enabled || this.sockets[deviceId]) return;
+
+        clearTimeout(this.reconnectTimers[deviceId]);
+
+        let socket;
+        try {
+            const wsUrl = this.getBaseUrl(deviceId).replace(/^http/, 'ws');
+            socket = new WebSocket(`${wsUrl}/ws?token=${encodeURIComponent(settings.token)}`);
+        } catch (error) {
+            // e.g. ws:// from an https:// page is refused synchronously
+            console.warn(`LAN WebSocket for ${deviceId} could not be opened:`, error);
+            this.setReachable(deviceId, false);
+            return;
+        }
+
+        this.sockets[deviceId] = socket;
+
+        socket.onopen = () => {
+            console.log(`🏠 LAN connection to ${deviceId} open`);
+            this.setReachable(deviceId, true);
+            this.fetchState(deviceId).catch(error => console.warn(`Failed to read LAN state of ${deviceId}:`, error));
+        };
+        socket.onmessage = (event) => {
+            try {
+                this.handleState(deviceId, JSON.parse(event.data));
+            } catch (error) {
+                console.warn(`Ignoring malformed LAN message from ${deviceId}:`, error);
+            }
+        };
+        socket.onclose = () => {
+            if (this.sockets[deviceId] !== socket) return;
+            delete this.sockets[deviceId];
+            this.setReachable(deviceId, false);
+            this.reconnectTimers[deviceId] = setTimeout(() => this.connect(deviceId), this.reconnectDelay);
+        };
+    }
+
+    disconnect(deviceId) {
+        clearTimeout(this.reconnectTimers[deviceId]);
+        const socket = this.sockets[deviceId];
+        delete this.sockets[deviceId];
+        if (socket) socket.close();
+        this.reachable[deviceId] = false;
+    }
+
+    disconnectAll() {
+        Object.keys(this.sockets).forEach(deviceId => this.disconnect(deviceId));
+    }
+
+    setReachable(deviceId, reachable) {
+        if (this.reachable[deviceId] === reachable) return;
+        this.reachable[deviceId] = reachable;
+        this.dashboard.updateTransportBadge(deviceId);
+    }
+
+    isReachable(deviceId) {
+        return !!this.reachable[deviceId];
+    }
+
+    handleState(deviceId, data) {
+        // Without internet the device may have no NTP time, so fall back to the moment we heard from it
+        const timestamp = typeof data.timestamp === 'number' ? data.timestamp : Math.floor(this.dashboard.heartbeat.now());
+
+        this.states[deviceId] = {
+            data: { ...data, timestamp: timestamp },
+            received_at: Date.now()
+        };
+        this.setReachable(deviceId, true);
+        this.dashboard.handleLanState(deviceId);
+    }
+
+    async request(deviceId, path, options = {}) {
+        const settings = this.getSettings(deviceId);
+        if (!settings || !settings.enabled) {
+            throw new Error('LAN access is not configured for this device');
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+
+        try {
+            const response = await fetch(`${this.getBaseUrl(deviceId)}${path}`, {
+                ...options,
+                headers: {
+                    'Authorization': `Bearer ${settings.token}`,
+                    ...(options.body ? { 'Content-Type': 'application/json' } : {})
+                },
+                signal: controller.signal
+            });
+
+            if (response.status === 401 || response.status === 403) {
+                throw new Error('Device rejected the LAN token');
+            }
+            if (!response.ok) {
+                throw new Error(`Device answered HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`No answer within ${this.requestTimeout / 1000} seconds`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async fetchState(deviceId) {
+        try {
+            const data = await this.request(deviceId, '/api/state');
+            this.handleState(deviceId, data);
+            return data;
+        } catch (error) {
+            this.setReachable(deviceId, false);
+            throw error;
+        }
+    }
+
+    async sendCommand(deviceId, type, channel, value) {
+        try {
+            const data = await this.request(deviceId, '/api/command', {
+                method: 'POST',
+                body: JSON.stringify({ type: type, channel: channel, value: value })
+            });
+            this.handleState(deviceId, data);
+        } catch (error) {
+            this.setReachable(deviceId, false);
+            throw error;
+        }
+    }
+
+    // Overlays LAN readings that are newer than what Firebase has
+    merge(devices) {
+        const merged = {};
+
+        for (const deviceId in devices) {
+            const device = devices[deviceId];
+            const lanState = this.states[deviceId];
+            const cloudData = device.data || {};
+
+            merged[deviceId] = lanState && lanState.data.timestamp >= (cloudData.timestamp || 0)
+                ? { ...device, data: { ...cloudData, ...lanState.data } }
+                : device;
+        }
+
+        return merged;
+    }
+
+    // Judged on the Firebase copy alone; merged LAN readings would make a cloud outage look healthy
+    isCloudAvailable(deviceId) {
+        if (this.dashboard.offline.isOffline()) return false;
+        return this.dashboard.heartbeat.getStatus(this.dashboard.cloudDevicesData[deviceId]) !== 'offline';
+    }
+
+    // Cloud is preferred so commands stay audited and visible to everyone; LAN takes over when it is gone
+    getPath(deviceId) {
+        if (this.isCloudAvailable(deviceId)) return 'cloud';
+        if (this.isReachable(deviceId)) return 'lan';
+        return 'none';
+    }
+
+    getPathBadge(deviceId) {
+        return this.paths[this.getPath(deviceId)];
+    }
+
+    showLanModal(deviceId) {
+        let modal = document.getElementById('lanModal');
+        if (modal) modal.remove();
+
+        const device = this.dashboard.devicesData[deviceId] || {};
+        const settings = this.getSettings(deviceId) || { url: this.getDefaultUrl(device), token: '', enabled: true };
+        const escape = value => this.dashboard.escapeHtml(value || '');
+
+        modal = document.createElement('div');
+        modal.id = 'lanModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content lan-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>🏠 Local Access · ${escape(device.name || deviceId)}</h2>
+                    <p class="rule-meta">
+                        Talks to the device directly on your home network when Firebase or the internet is unavailable.
+                        The access token is shown on the device's setup page.
+                    </p>
+                    ${location.protocol === 'https:' ? `
+                        <div class="admin-warning">
+                            ⚠️ Browsers block plain <code>http://</code> and <code>ws://</code> requests from this HTTPS page.
+                            Use an HTTPS-enabled device URL or open the dashboard from a local copy.
+                        </div>
+                    ` : ''}
+                    <form class="lan-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Device URL:</label>
+                                <input type="url" name="url" required placeholder="http://192.168.1.50" value="${escape(settings.url)}">
+                            </div>
+                            <div class="form-group">
+                                <label>Access token:</label>
+                                <input type="password" name="token" required autocomplete="off" value="${escape(settings.token)}">
+                            </div>
+                        </div>
+                        <label><input type="checkbox" name="enabled" ${settings.enabled ? 'checked' : ''}> Use LAN when the cloud is unavailable</label>
+                        <div class="lan-test-result rule-meta"></div>
+                        <div class="form-actions">
+                            <button type="button" class="device-action-btn lan-test-btn">🔍 Test Connection</button>
+                            ${this.getSettings(deviceId) ? '<button type="button" class="device-action-btn lan-remove-btn">🗑️ Forget</button>' : ''}
+                            <button type="submit" class="save-btn">💾 Save</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const form = modal.querySelector('.lan-form');
+        const readForm = () => ({ url: form.url.value, token: form.token.value, enabled: form.enabled.checked });
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            await this.saveSettings(deviceId, readForm());
+            this.dashboard.showNotification(`Local access saved for ${device.name || deviceId}`, 'success');
+            modal.remove();
+        };
+
+        modal.querySelector('.lan-test-btn').onclick = async () => {
+            const result = modal.querySelector('.lan-test-result');
+            const previous = this.settings[deviceId];
+            result.textContent = '⏳ Contacting device...';
+
+            // Test the values in the form without saving them
+            this.settings[deviceId] = { ...readForm(), enabled: true };
+            try {
+                const data = await this.request(deviceId, '/api/state');
+                const relays = this.dashboard.getRelayChannels(data).length;
+                result.textContent = `✅ Connected · ${relays} relay${relays === 1 ? '' : 's'} reported`;
+            } catch (error) {
+                result.textContent = `❌ ${error.message}`;
+            } finally {
+                if (previous) {
+                    this.settings[deviceId] = previous;
+                } else {
+                    delete this.settings[deviceId];
+                }
+            }
+        };
+
+        const removeButton = modal.querySelector('.lan-remove-btn');
+        if (removeButton) {
+            removeButton.onclick = async () => {
+                await this.saveSettings(deviceId, null);
+                this.dashboard.handleLanState(deviceId);
+                modal.remove();
+            };
+        }
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        document.body.appendChild(modal);
+    }
+}
@@ -0,0 +1,170 @@
+// login-guard.js - Progressive Sign-In Lockout & Recent Sign-Ins
+//
+// The lockout is a per-browser courtesy on top of Firebase's own server-side throttling
+// ('auth/too-many-requests'); it slows down guessing from this page and tells people how long to wait.
+// users/{uid}/sign_ins/{id} = { timestamp, method, result, user_agent }
+class LoginGuard {
+    constructor(authManager) {
+        this.auth = authManager;
+        this.storageKey = 'smart_home_login_attempts_v1';
+        this.freeAttempts = 3;
+        this.baseLockout = 30; // Seconds after the free attempts, doubling with every further failure
+        this.maxLockout = 15 * 60;
+        this.historyLimit = 20;
+        this.countdowns = {};
+        this.methods = {
+            password: '🔐 Password',
+            totp: '🔐 Password + authenticator code'
+        };
+    }
+
+    // Attempts are counted per browser rather than per email, so they don't record who tried to sign in
+    loadAttempts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveAttempts(attempts) {
+        localStorage.setItem(this.storageKey, JSON.stringify(attempts));
+    }
+
+    // Seconds until the given kind of attempt ('password' or 'mfa') may be made again
+    getRemainingLockout(kind) {
+        const entry = this.loadAttempts()[kind];
+        if (!entry || !entry.lockedUntil) return 0;
+        return Math.max(0, Math.ceil((entry.lockedUntil - Date.now()) / 1000));
+    }
+
+    recordFailure(kind) {
+        const attempts = this.loadAttempts();
+        const entry = attempts[kind] || { failures: 0, lockedUntil: 0 };
+        entry.failures++;
+
+        const excess = entry.failures - this.freeAttempts;
+        if (excess >= 0) {
+            const seconds = Math.min(this.maxLockout, this.baseLockout * Math.pow(2, excess));
+            entry.lockedUntil = Date.now() + seconds * 1000;
+        }
+
+        attempts[kind] = entry;
+        this.saveAttempts(attempts);
+        return this.getRemainingLockout(kind);
+    }
+
+    reset(kind) {
+        const attempts = this.loadAttempts();
+        delete attempts[kind];
+        this.saveAttempts(attempts);
+    }
+
+    formatDuration(seconds) {
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // Disables the submit button and counts down in the message element until the lockout ends
+    showLockout(kind, button, messageElement) {
+        clearInterval(this.countdowns[kind]);
+
+        const update = () => {
+            const remaining = this.getRemainingLockout(kind);
+            button.disabled = remaining > 0;
+            if (remaining > 0) {
+                messageElement.textContent = `Too many failed attempts. Try again in ${this.formatDuration(remaining)}.`;
+                messageElement.classList.remove('hidden');
+            } else {
+                clearInterval(this.countdowns[kind]);
+                messageElement.classList.add('hidden');
+            }
+        };
+
+        update();
+        if (this.getRemainingLockout(kind) > 0) {
+            this.countdowns[kind] = setInterval(update, 1000);
+        }
+    }
+
+    getUserAgentSummary() {
+        const agent = navigator.userAgent;
+        const browser = (/(Edg|OPR|Firefox|Chrome|Safari)\/[\d.]+/.exec(agent) || ['Unknown browser'])[0].replace('OPR', 'Opera').replace('Edg', 'Edge');
+        const platform = (/(Android|iPhone|iPad|Windows|Mac OS X|Linux|CrOS)/.exec(agent) || ['Unknown OS'])[0];
+        return `${browser.split('/')[0]} on ${platform}`;
+    }
+
+    async recordSignIn(user, method, result = 'success') {
+        const ref = this.auth.database.ref(`users/${user.uid}/sign_ins`);
+        try {
+            await ref.push({
+                timestamp: this.auth.backend.serverTimestamp(),
+                method: method,
+                result: result,
+                user_agent: this.getUserAgentSummary()
+            });
+
+            // Keep only the newest entries
+            const snapshot = await ref.orderByChild('timestamp').once('value');
+            const updates = {};
+            const excess = snapshot.numChildren() - this.historyLimit;
+            let index = 0;
+            snapshot.forEach(child => {
+                if (index++ < excess) updates[child.key] = null;
+            });
+            if (Object.keys(updates).length) {
+                await ref.update(updates);
+            }
+        } catch (error) {
+            console.warn('Failed to record sign-in:', error);
+        }
+    }
+
+    async loadRecentSignIns(uid) {
+        const snapshot = await this.auth.database.ref(`users/${uid}/sign_ins`)
+            .orderByChild('timestamp')
+            .limitToLast(this.historyLimit)
+            .once('value');
+
+        const entries = [];
+        snapshot.forEach(child => {
+            entries.unshift(child.val());
+        });
+        return entries;
+    }
+
+    async renderRecentSignIns() {
+        const list = document.getElementById('recentSignInsList');
+        if (!list || !this.auth.currentUser) return;
+
+        list.innerHTML = '<div class="notification-history-empty">Loading…</div>';
+        try {
+            const entries = await this.loadRecentSignIns(this.auth.currentUser.uid);
+            if (entries.length === 0) {
+                list.innerHTML = '<div class="notification-history-empty">No sign-ins recorded yet</div>';
+                return;
+            }
+
+            list.innerHTML = '';
+            entries.forEach(entry => {
+                const failed = entry.result !== 'success';
+                const row = document.createElement('div');
+                row.className = `notification-history-item ${failed ? 'error' : 'success'}`;
+                row.innerHTML = `
+                    <span class="notification-icon">${failed ? '❌' : '✅'}</span>
+                    <div class="notification-history-body">
+                        <div class="notification-message"></div>
+                        <div class="notification-time"></div>
+                    </div>
+                `;
+                row.querySelector('.notification-message').textContent = failed
+                    ? 'Wrong authenticator code after a correct password'
+                    : this.methods[entry.method] || entry.method;
+                row.querySelector('.notification-time').textContent =
+                    `${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : ''} · ${entry.user_agent || ''}`;
+                list.appendChild(row);
+            });
+        } catch (error) {
+            list.innerHTML = '<div class="notification-history-empty">Failed to load sign-ins</div>';
+        }
+    }
+}
@@ -0,0 +1,428 @@
+// memory-database.js - In-Memory Realtime Database
+//
+// Implements the part of the firebase.database() reference API the managers use: ref/child/push/set/
+// update/remove/transaction, once/on/off for 'value', orderByChild/orderByKey with equalTo/startAt/
+// endAt/limitToFirst/limitToLast, server timestamps and the .info/connected and .info/serverTimeOffset
+// paths. Like the real database it drops nulls and empty objects and reads integer-keyed nodes back as
+// arrays. There are no security rules: whoever holds the object can read and write everything.
+class MemoryDatabase {
+    constructor(data = null) {
+        this.root = this.normalize(data);
+        this.info = { connected: true, serverTimeOffset: 0 };
+        this.listeners = [];
+        this.writeHooks = [];
+        this.pushChars = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+        this.lastPushTime = 0;
+        this.lastRandomChars = [];
+    }
+
+    ref(path = '') {
+        return new MemoryReference(this, this.splitPath(path));
+    }
+
+    splitPath(path) {
+        return String(path).split('/').filter(Boolean);
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    isServerTimestamp(value) {
+        return this.isObject(value) && value['.sv'] === 'timestamp';
+    }
+
+    // Stored form: plain objects only, server timestamps resolved, nulls and empty objects dropped
+    normalize(value) {
+        if (value === undefined) {
+            throw new Error('Value contains undefined');
+        }
+        if (value === null) return null;
+        if (this.isServerTimestamp(value)) return Date.now() + this.info.serverTimeOffset;
+        if (!this.isObject(value)) return value;
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            const child = this.normalize(value[key]);
+            if (child !== null) result[key] = child;
+        });
+        return Object.keys(result).length ? result : null;
+    }
+
+    // Read form: a copy, with nodes keyed 0..n read back as arrays the way the SDK returns them
+    export(value) {
+        if (!this.isObject(value)) return value === undefined ? null : value;
+
+        const keys = Object.keys(value);
+        const result = {};
+        keys.forEach(key => { result[key] = this.export(value[key]); });
+
+        const indexes = keys.map(key => /^(0|[1-9]\d*)$/.test(key) ? Number(key) : -1);
+        if (indexes.every(index => index >= 0) && Math.max(...indexes) < keys.length * 2) {
+            const array = [];
+            keys.forEach(key => { array[Number(key)] = result[key]; });
+            return array;
+        }
+        return result;
+    }
+
+    get(segments) {
+        if (segments[0] === '.info') {
+            return segments.length === 2 && segments[1] in this.info ? this.info[segments[1]] : null;
+        }
+
+        let node = this.root;
+        for (const key of segments) {
+            if (!this.isObject(node) || !(key in node)) return null;
+            node = node[key];
+        }
+        return node;
+    }
+
+    put(segments, value) {
+        if (segments.length === 0) {
+            this.root = value;
+            return;
+        }
+        if (!this.isObject(this.root)) this.root = {};
+
+        const parents = [];
+        let node = this.root;
+        segments.slice(0, -1).forEach(key => {
+            if (!this.isObject(node[key])) node[key] = {};
+            parents.push({ node: node, key: key });
+            node = node[key];
+        });
+
+        const last = segments[segments.length - 1];
+        if (value === null) {
+            delete node[last];
+        } else {
+            node[last] = value;
+        }
+
+        // Parents left empty disappear, as they do in the real database
+        for (let i = parents.length - 1; i >= 0; i--) {
+            const parent = parents[i];
+            if (Object.keys(parent.node[parent.key]).length) break;
+            delete parent.node[parent.key];
+        }
+        if (Object.keys(this.root).length === 0) this.root = null;
+    }
+
+    // Applies { relativePath: value } under base in one step, then notifies listeners once. The promise
+    // settles when every write hook has, so a write the server refuses rejects like it does in the SDK
+    // (the local copy keeps the change).
+    write(base, values, { silent = false } = {}) {
+        if (base[0] === '.info') {
+            return Promise.reject(new Error('PERMISSION_DENIED: .info is read-only'));
+        }
+
+        const changes = Object.keys(values).map(path => ({
+            segments: base.concat(this.splitPath(path)),
+            value: this.normalize(values[path])
+        }));
+        changes.forEach(change => this.put(change.segments, change.value));
+
+        const forwarded = [];
+        if (!silent) {
+            changes.forEach(change => {
+                this.writeHooks.forEach(hook => forwarded.push(hook(change.segments.join('/'), this.export(change.value))));
+            });
+        }
+        this.notify(changes.map(change => change.segments));
+        return Promise.all(forwarded).then(() => undefined);
+    }
+
+    // Called with (path, value) for every local write; backends use it to forward writes elsewhere and may
+    // return a promise that rejects when that fails
+    onWrite(hook) {
+        this.writeHooks.push(hook);
+    }
+
+    setInfo(name, value) {
+        this.info[name] = value;
+        this.notify([['.info', name]]);
+    }
+
+    toJSON() {
+        return this.export(this.root);
+    }
+
+    generatePushId() {
+        let now = Date.now();
+        const duplicate = now === this.lastPushTime;
+        this.lastPushTime = now;
+
+        let timeChars = '';
+        for (let i = 0; i < 8; i++) {
+            timeChars = this.pushChars.charAt(now % 64) + timeChars;
+            now = Math.floor(now / 64);
+        }
+
+        // Keys made in the same millisecond increment the random part so they still sort in order
+        if (!duplicate) {
+            this.lastRandomChars = Array.from({ length: 12 }, () => Math.floor(Math.random() * 64));
+        } else {
+            let i = 11;
+            while (i >= 0 && this.lastRandomChars[i] === 63) {
+                this.lastRandomChars[i] = 0;
+                i--;
+            }
+            this.lastRandomChars[i]++;
+        }
+        return timeChars + this.lastRandomChars.map(index => this.pushChars.charAt(index)).join('');
+    }
+
+    addListener(query, callback, onError) {
+        const listener = { query: query, callback: callback, onError: onError, last: undefined };
+        this.listeners.push(listener);
+        Promise.resolve().then(() => this.deliver(listener));
+        return callback;
+    }
+
+    removeListeners(query, callback) {
+        this.listeners = this.listeners.filter(listener =>
+            listener.query.getId() !== query.getId() || (callback && listener.callback !== callback));
+    }
+
+    deliver(listener) {
+        if (!this.listeners.includes(listener)) return;
+
+        const snapshot = listener.query.getSnapshot();
+        const serialized = JSON.stringify(snapshot.orderedValue());
+        if (serialized === listener.last) return;
+
+        listener.last = serialized;
+        listener.callback(snapshot);
+    }
+
+    notify(changedPaths) {
+        const related = (a, b) => a.slice(0, b.length).join('/') === b.slice(0, a.length).join('/');
+        this.listeners
+            .filter(listener => changedPaths.some(path => related(path, listener.query.segments)))
+            .forEach(listener => this.deliver(listener));
+    }
+
+    // Realtime Database ordering: null, false, true, numbers, strings, then objects
+    compareValues(a, b) {
+        const rank = value => {
+            if (value === null || value === undefined) return 0;
+            if (value === false) return 1;
+            if (value === true) return 2;
+            if (typeof value === 'number') return 3;
+            if (typeof value === 'string') return 4;
+            return 5;
+        };
+
+        const difference = rank(a) - rank(b);
+        if (difference !== 0) return difference;
+        if (rank(a) === 3) return a - b;
+        if (rank(a) === 4) return a < b ? -1 : a > b ? 1 : 0;
+        return 0;
+    }
+
+    // Integer keys sort numerically ahead of the others, which sort as strings
+    compareKeys(a, b) {
+        const isInteger = key => /^-?(0|[1-9]\d{0,9})$/.test(key);
+        if (isInteger(a) && isInteger(b)) return Number(a) - Number(b);
+        if (isInteger(a)) return -1;
+        if (isInteger(b)) return 1;
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+}
+
+class MemoryQuery {
+    constructor(database, segments, params = {}) {
+        this.database = database;
+        this.segments = segments;
+        this.params = params;
+    }
+
+    get ref() {
+        return new MemoryReference(this.database, this.segments);
+    }
+
+    getId() {
+        return `${this.segments.join('/')}|${JSON.stringify(this.params)}`;
+    }
+
+    withParams(params) {
+        return new MemoryQuery(this.database, this.segments, { ...this.params, ...params });
+    }
+
+    orderByChild(path) {
+        return this.withParams({ orderBy: path });
+    }
+
+    orderByKey() {
+        return this.withParams({ orderBy: '.key' });
+    }
+
+    startAt(value) {
+        return this.withParams({ startAt: value });
+    }
+
+    endAt(value) {
+        return this.withParams({ endAt: value });
+    }
+
+    equalTo(value) {
+        return this.withParams({ startAt: value, endAt: value });
+    }
+
+    limitToFirst(limit) {
+        return this.withParams({ limitToFirst: limit });
+    }
+
+    limitToLast(limit) {
+        return this.withParams({ limitToLast: limit });
+    }
+
+    getSnapshot() {
+        const database = this.database;
+        const value = database.get(this.segments);
+        const key = this.segments.length ? this.segments[this.segments.length - 1] : null;
+        if (!database.isObject(value)) {
+            return new MemorySnapshot(database, key, value, null);
+        }
+
+        const { orderBy, startAt, endAt, limitToFirst, limitToLast } = this.params;
+        const orderValue = childKey => {
+            if (orderBy === '.key') return childKey;
+            if (!orderBy) return null;
+            return database.get([...this.segments, childKey, ...database.splitPath(orderBy)]);
+        };
+
+        let keys = Object.keys(value).sort((a, b) =>
+            database.compareValues(orderValue(a), orderValue(b)) || database.compareKeys(a, b));
+
+        if (startAt !== undefined) keys = keys.filter(childKey => database.compareValues(orderValue(childKey), startAt) >= 0);
+        if (endAt !== undefined) keys = keys.filter(childKey => database.compareValues(orderValue(childKey), endAt) <= 0);
+        if (limitToFirst !== undefined) keys = keys.slice(0, limitToFirst);
+        if (limitToLast !== undefined) keys = keys.slice(Math.max(0, keys.length - limitToLast));
+
+        const filtered = {};
+        keys.forEach(childKey => { filtered[childKey] = value[childKey]; });
+        return new MemorySnapshot(database, key, keys.length ? filtered : null, keys);
+    }
+
+    once(eventType) {
+        if (eventType !== 'value') {
+            return Promise.reject(new Error(`Unsupported event type: ${eventType}`));
+        }
+        return Promise.resolve(this.getSnapshot());
+    }
+
+    on(eventType, callback, onError) {
+        if (eventType !== 'value') {
+            throw new Error(`Unsupported event type: ${eventType}`);
+        }
+        return this.database.addListener(this, callback, onError);
+    }
+
+    off(eventType, callback) {
+        this.database.removeListeners(this, callback);
+    }
+}
+
+class MemoryReference extends MemoryQuery {
+    constructor(database, segments) {
+        super(database, segments, {});
+    }
+
+    get key() {
+        return this.segments.length ? this.segments[this.segments.length - 1] : null;
+    }
+
+    get parent() {
+        return this.segments.length ? new MemoryReference(this.database, this.segments.slice(0, -1)) : null;
+    }
+
+    child(path) {
+        return new MemoryReference(this.database, this.segments.concat(this.database.splitPath(path)));
+    }
+
+    set(value) {
+        return this.database.write(this.segments, { '': value });
+    }
+
+    update(values) {
+        return this.database.write(this.segments, values);
+    }
+
+    remove() {
+        return this.set(null);
+    }
+
+    // Like the SDK: the new reference is also a promise when a value is given
+    push(value) {
+        const ref = this.child(this.database.generatePushId());
+        if (value !== undefined) {
+            const written = ref.set(value);
+            ref.then = written.then.bind(written);
+            ref.catch = written.catch.bind(written);
+        }
+        return ref;
+    }
+
+    // Runs synchronously, so there is never a conflicting writer to retry against
+    transaction(update) {
+        const current = this.database.export(this.database.get(this.segments));
+        const next = update(current);
+        if (next === undefined) {
+            return Promise.resolve({ committed: false, snapshot: this.getSnapshot() });
+        }
+        return this.set(next).then(() => ({ committed: true, snapshot: this.getSnapshot() }));
+    }
+}
+
+class MemorySnapshot {
+    constructor(database, key, value, orderedKeys) {
+        this.database = database;
+        this.key = key;
+        this.value = value === undefined ? null : value;
+        this.orderedKeys = orderedKeys;
+    }
+
+    val() {
+        return this.database.export(this.value);
+    }
+
+    // Children in query order, used to decide whether listeners need to hear about a change
+    orderedValue() {
+        if (!this.database.isObject(this.value)) return this.value;
+        return this.getKeys().map(key => [key, this.value[key]]);
+    }
+
+    exists() {
+        return this.value !== null;
+    }
+
+    getKeys() {
+        if (!this.database.isObject(this.value)) return [];
+        return this.orderedKeys || Object.keys(this.value).sort((a, b) => this.database.compareKeys(a, b));
+    }
+
+    child(path) {
+        const segments = this.database.splitPath(path);
+        let node = this.value;
+        for (const key of segments) {
+            node = this.database.isObject(node) && key in node ? node[key] : null;
+        }
+        return new MemorySnapshot(this.database, segments[segments.length - 1] || this.key, node, null);
+    }
+
+    hasChild(path) {
+        return this.child(path).exists();
+    }
+
+    numChildren() {
+        return this.getKeys().length;
+    }
+
+    // Stops early when the callback returns true, like DataSnapshot.forEach
+    forEach(callback) {
+        return this.getKeys().some(key => callback(new MemorySnapshot(this.database, key, this.value[key], null)) === true);
+    }
+}
@@ -0,0 +1,253 @@
+// mfa.js - TOTP Second Factor
+//
+// Secrets and code checks stay on the server (functions/ for Firebase, the account server for MQTT);
+// this file only asks for codes and passes them on. A correct code marks the current sign-in as
+// verified, and the security rules give enrolled users and every admin nothing until it is.
+// users/{uid}/mfa_enabled mirrors enrollment so the sign-in flow and admins can see it.
+class MfaManager {
+    constructor(authManager) {
+        this.auth = authManager;
+        this.digits = 6;
+        this.containerId = 'mfaChallenge';
+        this.pending = null;
+    }
+
+    get backend() {
+        return this.auth.backend;
+    }
+
+    isEnrolled(access) {
+        return !!(access && access.profile && access.profile.mfa_enabled);
+    }
+
+    async disable(user, code) {
+        if (this.auth.isAdmin) {
+            throw new Error('Two-factor authentication is required for administrators');
+        }
+        await this.backend.disableMfa(code);
+    }
+
+    // Resolves true once the second factor is satisfied (or not needed), false if the user gives up.
+    // Admins without an enrollment have to enroll before they get in.
+    async challenge(user, access) {
+        const enrolled = this.isEnrolled(access);
+        if (!enrolled && !access.isAdmin) return true;
+        // Reloads keep the sign-in, which the server has already verified
+        if (enrolled && await this.backend.isMfaVerified()) return true;
+
+        return new Promise(resolve => {
+            this.pending = resolve;
+            const container = this.showPanel();
+            if (enrolled) {
+                this.renderChallenge(container, user);
+            } else {
+                this.renderEnrollment(container, user, {
+                    intro: 'Administrator accounts must use two-factor authentication. Set it up to continue.',
+                    onComplete: () => this.finishChallenge(true),
+                    onCancel: () => this.finishChallenge(false)
+                });
+            }
+        });
+    }
+
+    finishChallenge(result) {
+        this.hidePanel();
+        const resolve = this.pending;
+        this.pending = null;
+        if (resolve) resolve(result);
+    }
+
+    showPanel() {
+        document.getElementById('loginContainer').classList.remove('hidden');
+        document.getElementById('dashboardContainer').classList.add('hidden');
+        document.getElementById('loadingContainer').classList.add('hidden');
+        document.getElementById('loginForm').classList.add('hidden');
+
+        const container = document.getElementById(this.containerId);
+        container.classList.remove('hidden');
+        return container;
+    }
+
+    hidePanel() {
+        const container = document.getElementById(this.containerId);
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        document.getElementById('loginForm').classList.remove('hidden');
+    }
+
+    renderChallenge(container, user) {
+        const guard = this.auth.guard;
+        container.innerHTML = `
+            <form class="mfa-form">
+                <p>Enter the ${this.digits}-digit code from your authenticator app for <strong></strong>.</p>
+                <div class="form-group">
+                    <label for="mfaCode">🔢 Authentication code:</label>
+                    <input type="text" id="mfaCode" name="code" inputmode="numeric" autocomplete="one-time-code"
+                        maxlength="${this.digits}" pattern="\\d{${this.digits}}" required>
+                </div>
+                <div class="error-message hidden"></div>
+                <button type="submit" class="login-btn">✅ Verify</button>
+                <button type="button" class="clear-btn mfa-cancel-btn">Use a different account</button>
+            </form>
+        `;
+        container.querySelector('strong').textContent = user.email;
+
+        const form = container.querySelector('.mfa-form');
+        const submit = form.querySelector('[type="submit"]');
+        const errorDiv = form.querySelector('.error-message');
+        guard.showLockout('mfa', submit, errorDiv);
+        form.code.focus();
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            if (guard.getRemainingLockout('mfa')) return;
+
+            submit.disabled = true;
+            try {
+                if (await this.backend.verifyMfa(form.code.value)) {
+                    guard.reset('mfa');
+                    this.finishChallenge(true);
+                    return;
+                }
+
+                guard.recordFailure('mfa');
+                guard.recordSignIn(user, 'totp', 'mfa_failed');
+                form.code.value = '';
+                errorDiv.textContent = 'That code is not valid. Codes change every 30 seconds and can only be used once.';
+                errorDiv.classList.remove('hidden');
+                submit.disabled = false;
+                guard.showLockout('mfa', submit, errorDiv);
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.remove('hidden');
+                submit.disabled = false;
+            }
+        };
+        form.querySelector('.mfa-cancel-btn').onclick = () => this.finishChallenge(false);
+    }
+
+    async renderEnrollment(container, user, { intro = '', onComplete, onCancel }) {
+        let secret;
+        let uri;
+        try {
+            ({ secret, uri } = await this.backend.startMfaEnrollment());
+        } catch (error) {
+            // A profile still marked as enrolled, e.g. after a restore, has no secret left to check against
+            container.innerHTML = `
+                <div class="mfa-form">
+                    <div class="error-message"></div>
+                    ${onCancel ? '<button type="button" class="clear-btn mfa-cancel-btn">Cancel</button>' : ''}
+                </div>
+            `;
+            container.querySelector('.error-message').textContent = `Failed to start two-factor setup: ${error.message}`;
+            const cancelButton = container.querySelector('.mfa-cancel-btn');
+            if (cancelButton) cancelButton.onclick = () => onCancel();
+            return;
+        }
+
+        const grouped = secret.match(/.{1,4}/g).join(' ');
+
+        container.innerHTML = `
+            <form class="mfa-form">
+                ${intro ? `<p class="admin-warning">🔐 ${intro}</p>` : ''}
+                <ol class="mfa-steps">
+                    <li>Add an account in an authenticator app (Google Authenticator, Authy, 1Password, …)
+                        using this key, or <a class="mfa-uri">open it in the app</a> on this device:
+                        <code class="mfa-secret">${grouped}</code>
+                    </li>
+                    <li>Enter the ${this.digits}-digit code the app shows.</li>
+                </ol>
+                <div class="form-group">
+                    <label for="mfaEnrollCode">🔢 Authentication code:</label>
+                    <input type="text" id="mfaEnrollCode" name="code" inputmode="numeric" autocomplete="one-time-code"
+                        maxlength="${this.digits}" pattern="\\d{${this.digits}}" required>
+                </div>
+                <div class="error-message hidden"></div>
+                <button type="submit" class="login-btn">🔐 Turn On Two-Factor</button>
+                ${onCancel ? '<button type="button" class="clear-btn mfa-cancel-btn">Cancel</button>' : ''}
+            </form>
+        `;
+
+        container.querySelector('.mfa-uri').href = uri;
+
+        const form = container.querySelector('.mfa-form');
+        const errorDiv = form.querySelector('.error-message');
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            try {
+                await this.backend.confirmMfaEnrollment(form.code.value);
+                this.auth.audit.record('user.mfa_enroll', user.uid, { after: { mfa_enabled: true } });
+                onComplete();
+            } catch (error) {
+                // The server says which: a wrong code, or a setup that has to be started again
+                errorDiv.textContent = `Failed to turn on two-factor authentication: ${error.message}`;
+                errorDiv.classList.remove('hidden');
+            }
+        };
+
+        const cancelButton = form.querySelector('.mfa-cancel-btn');
+        if (cancelButton) cancelButton.onclick = () => onCancel();
+    }
+
+    async showSettingsModal() {
+        let modal = document.getElementById('mfaModal');
+        if (modal) modal.remove();
+
+        const user = this.auth.currentUser;
+        const profile = (await this.auth.database.ref(`users/${user.uid}`).once('value')).val() || {};
+
+        modal = document.createElement('div');
+        modal.id = 'mfaModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content mfa-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>🔐 Two-Factor Authentication</h2>
+                    <div class="mfa-settings"></div>
+                </div>
+            </div>
+        `;
+
+        const settings = modal.querySelector('.mfa-settings');
+        const close = () => modal.remove();
+        const notify = (message, type) => window.notificationManager.show(message, type);
+
+        if (!profile.mfa_enabled) {
+            this.renderEnrollment(settings, user, {
+                onComplete: () => {
+                    notify('Two-factor authentication is on', 'success');
+                    close();
+                }
+            });
+        } else if (this.auth.isAdmin) {
+            settings.innerHTML = '<p>✅ On. Administrators can\'t turn it off. Another administrator can reset it if you lose your authenticator.</p>';
+        } else {
+            settings.innerHTML = `
+                <p>✅ On. You are asked for a code whenever you sign in.</p>
+                <form class="mfa-form rule-form">
+                    <div class="form-group">
+                        <label>Enter a current code to turn it off:</label>
+                        <input type="text" name="code" inputmode="numeric" autocomplete="one-time-code" maxlength="${this.digits}" required>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="save-btn danger-btn">Turn Off</button>
+                    </div>
+                </form>
+            `;
+            settings.querySelector('form').onsubmit = async (e) => {
+                e.preventDefault();
+                try {
+                    await this.disable(user, e.target.code.value);
+                    this.auth.audit.record('user.mfa_disable', user.uid, { before: { mfa_enabled: true } });
+                    notify('Two-factor authentication is off', 'success');
+                    close();
+                } catch (error) {
+                    notify(error.message, 'error');
+                }
+            };
+        }
+
+        modal.querySelector('.close-btn').onclick = close;
+        document.body.appendChild(modal);
+    }
+}
@@ -0,0 +1,144 @@
+// mock-esp32.js - Local mock of the ESP32 LAN API for trying the dashboard's LAN mode
+//   node mock-esp32.js [port] [token]     (defaults: 8080, "mock-token")
+// Then open a device's 🏠 Local settings and use http://localhost:<port> with the token.
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2]) || 8080;
+const token = process.argv[3] || 'mock-token';
+
+const state = {
+    relays: [false, false, false, false],
+    pwm: [0],
+    temperature: 21.5,
+    humidity: 48,
+    timestamp: Math.floor(Date.now() / 1000)
+};
+const sockets = new Set();
+
+function isAuthorized(header) {
+    return header === `Bearer ${token}`;
+}
+
+// Browsers send a preflight for the Authorization header; Chrome also asks before reaching private networks
+function sendCorsHeaders(response) {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Private-Network', 'true');
+}
+
+function sendJSON(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function applyCommand(command) {
+    const channel = Number(command.channel);
+    if (command.type === 'relay' && channel >= 0 && channel < state.relays.length) {
+        state.relays[channel] = !!command.value;
+    } else if (command.type === 'pwm' && channel >= 0 && channel < state.pwm.length) {
+        state.pwm[channel] = Math.max(0, Math.min(100, Number(command.value) || 0));
+    } else {
+        return false;
+    }
+    state.timestamp = Math.floor(Date.now() / 1000);
+    broadcast();
+    return true;
+}
+
+// Minimal RFC 6455 text frame (server frames are never masked)
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function broadcast() {
+    const frame = encodeFrame(JSON.stringify(state));
+    sockets.forEach(socket => socket.write(frame));
+}
+
+const server = http.createServer((request, response) => {
+    sendCorsHeaders(response);
+    const url = new URL(request.url, `http://localhost:${port}`);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (!isAuthorized(request.headers.authorization)) {
+        sendJSON(response, 401, { error: 'invalid token' });
+        return;
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/state') {
+        sendJSON(response, 200, state);
+    } else if (request.method === 'POST' && url.pathname === '/api/command') {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            try {
+                if (applyCommand(JSON.parse(body))) {
+                    console.log('📥 Command applied:', body);
+                    sendJSON(response, 200, state);
+                } else {
+                    sendJSON(response, 400, { error: 'unknown channel' });
+                }
+            } catch (error) {
+                sendJSON(response, 400, { error: error.message });
+            }
+        });
+    } else {
+        sendJSON(response, 404, { error: 'not found' });
+    }
+});
+
+server.on('upgrade', (request, socket) => {
+    const url = new URL(request.url, `http://localhost:${port}`);
+    if (url.pathname !== '/ws' || url.searchParams.get('token') !== token) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1')
+        .update(request.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    sockets.add(socket);
+    socket.write(encodeFrame(JSON.stringify(state)));
+
+    socket.on('data', data => {
+        // Opcode 0x8 is a close frame; the mock never expects other client messages
+        if ((data[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]));
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+});
+
+// Drift the sensors so heartbeats and readings visibly update
+setInterval(() => {
+    state.temperature = Math.round((state.temperature + (Math.random() - 0.5) * 0.4) * 10) / 10;
+    state.timestamp = Math.floor(Date.now() / 1000);
+    broadcast();
+}, 10000);
+
+server.listen(port, () => {
+    console.log(`🏠 Mock ESP32 listening on http://localhost:${port} (token "${token}")`);
+});
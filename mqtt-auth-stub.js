@@ -0,0 +1,309 @@
+// mqtt-auth-stub.js - Local account server for trying the dashboard's self-hosted MQTT backend
+//   node mqtt-auth-stub.js [port] [accounts.json]     (defaults: 8081, one admin admin@example.com / admin123)
+// accounts.json: { "users": { "email": { "password", "admin", "devices": [ids] } }, "devices": { "id": "secret" } }
+// Besides the dashboard's REST API it answers mosquitto-go-auth's HTTP backend (/mqtt/user,
+// /mqtt/superuser, /mqtt/acl), so a local Mosquitto can check the same tokens. Everything is in memory.
+// Second-factor secrets stay here; a token that owes a code is turned away by the broker until it is verified.
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const Totp = require('./totp');
+
+const port = Number(process.argv[2]) || 8081;
+const accountsFile = process.argv[3];
+const prefix = 'smarthome';
+
+const accounts = accountsFile
+    ? JSON.parse(fs.readFileSync(accountsFile, 'utf8'))
+    : { users: { 'admin@example.com': { password: 'admin123', admin: true } }, devices: {} };
+const tokens = new Map(); // token → { uid, mfaVerified }
+const store = { users: {}, admins: {} };
+const credentials = {}; // uid → { email, password, devices }
+const totp = new Totp();
+const secrets = {}; // uid → { secret, lastCounter } once enrolled, { pendingSecret } while setting up
+
+// Sections the dashboard keeps per user under {prefix}/data/{section}/{uid}
+const userSections = ['rules', 'groups', 'scenes', 'energy', 'alerts'];
+
+function getUid(email) {
+    return crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 28);
+}
+
+function addAccount(email, account) {
+    const uid = getUid(email);
+    credentials[uid] = { email: email, password: account.password, devices: account.devices || [] };
+    store.users[uid] = { email: email, role: account.admin ? 'admin' : 'user', created: Date.now() };
+    if (account.admin) {
+        store.admins[uid] = { email: email, role: 'admin', created: Date.now() };
+    }
+    return uid;
+}
+
+Object.keys(accounts.users).forEach(email => addAccount(email, accounts.users[email]));
+
+function sendCorsHeaders(response) {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+    response.setHeader('Access-Control-Allow-Private-Network', 'true');
+}
+
+function sendJSON(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function getSession(request) {
+    const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    const session = match && tokens.get(match[1]);
+    return session && store.users[session.uid] && !store.users[session.uid].disabled ? session : null;
+}
+
+// Administrators always need the second factor, other accounts once they have enrolled
+function isMfaRequired(uid) {
+    return !!(store.admins[uid] || (store.users[uid] && store.users[uid].mfa_enabled));
+}
+
+function isVerifiedAdmin(session) {
+    return !!store.admins[session.uid] && session.mfaVerified;
+}
+
+// Checks a code against the enrolled secret and uses it up
+async function checkCode(uid, code) {
+    const entry = secrets[uid];
+    if (!entry || !entry.secret) return null;
+
+    const step = await totp.verify(entry.secret, code, entry.lastCounter);
+    if (step === null) return false;
+    entry.lastCounter = step;
+    return true;
+}
+
+function clearEnrollment(uid) {
+    delete secrets[uid];
+    delete store.users[uid].mfa_enabled;
+    tokens.forEach(session => {
+        if (session.uid === uid) session.mfaVerified = false;
+    });
+}
+
+function setPath(path, value) {
+    const segments = path.split('/').filter(Boolean);
+    let node = store;
+    segments.slice(0, -1).forEach(key => {
+        if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+        node = node[key];
+    });
+    const last = segments[segments.length - 1];
+    if (value === null) {
+        delete node[last];
+    } else {
+        node[last] = value;
+    }
+}
+
+// Users may change their own profile apart from the fields only admins control, including by
+// replacing or removing the whole record
+function canWrite(session, path, value) {
+    if (isVerifiedAdmin(session)) return true;
+    const uid = session.uid;
+    const protectedFields = ['role', 'disabled', 'deleted', 'display_name', 'mfa_enabled'];
+    const segments = path.split('/');
+    if (segments[0] !== 'users' || segments[1] !== uid) return false;
+    if (segments.length > 2) return !protectedFields.includes(segments[2]);
+
+    const current = store.users[uid] || {};
+    return protectedFields.every(field => (value ? value[field] : undefined) === current[field]);
+}
+
+function matchesTopic(filter, topic) {
+    const filterParts = filter.split('/');
+    const topicParts = topic.split('/');
+    for (let i = 0; i < filterParts.length; i++) {
+        if (filterParts[i] === '#') return true;
+        if (filterParts[i] !== '+' && filterParts[i] !== topicParts[i]) return false;
+    }
+    return filterParts.length === topicParts.length;
+}
+
+// go-auth sends acc 1 (read), 2 (write), 3 (read/write) or 4 (subscribe)
+function isTopicAllowed(username, topic, acc) {
+    // History and energy logs are kept beside the device records, under data/
+    const deviceTopics = deviceId => [`${prefix}/devices/${deviceId}/#`, `${prefix}/data/history/${deviceId}/#`, `${prefix}/data/energy_log/${deviceId}/#`];
+    if (accounts.devices[username]) {
+        return deviceTopics(username).some(filter => matchesTopic(filter, topic));
+    }
+
+    const user = credentials[username];
+    if (!user) return false;
+    if (store.admins[username]) return true;
+
+    const reading = acc === 1 || acc === 4;
+    if (user.devices.some(deviceId => deviceTopics(deviceId).some(filter => matchesTopic(filter, topic)))) return true;
+    if (userSections.some(section => matchesTopic(`${prefix}/data/${section}/${username}/#`, topic))) return true;
+    if (matchesTopic(`${prefix}/data/users/${username}/#`, topic)) return true;
+    if (reading && ['settings', 'firmware'].some(section => matchesTopic(`${prefix}/data/${section}/#`, topic))) return true;
+    // Everyone appends to the audit log; only admins read it
+    if (acc === 2 && matchesTopic(`${prefix}/data/audit/+`, topic)) return true;
+    // Wildcard subscriptions are allowed; go-auth checks each delivered message against the rules above
+    return acc === 4 && /[+#]/.test(topic);
+}
+
+const routes = {
+    'POST /login': (request, body) => {
+        const uid = body.email ? getUid(body.email) : null;
+        const user = uid && credentials[uid];
+        if (!user || user.password !== body.password || store.users[uid].disabled) {
+            return [401, { error: 'Incorrect email or password', code: 'auth/invalid-credential' }];
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        tokens.set(token, { uid: uid, mfaVerified: false });
+        console.log(`🔐 ${user.email} signed in`);
+        return [200, { token: token, user: { uid: uid, email: user.email } }];
+    },
+    'POST /logout': (request) => {
+        const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+        if (match) tokens.delete(match[1]);
+        return [204, null];
+    },
+    'GET /me': (request, body, caller, session) => [200, {
+        user: { uid: caller, email: credentials[caller].email },
+        profile: store.users[caller],
+        is_admin: !!store.admins[caller],
+        mfa_required: isMfaRequired(caller),
+        mfa_verified: session.mfaVerified
+    }],
+    'GET /users': (request, body, caller, session) => isVerifiedAdmin(session)
+        ? [200, store]
+        : [403, { error: 'Admin access required' }],
+    'POST /users': (request, body, caller, session) => {
+        if (!isVerifiedAdmin(session)) return [403, { error: 'Admin access required' }];
+        if (!body.email || !/^[^@\s]+@[^@\s]+$/.test(body.email)) return [400, { error: 'Invalid email address', code: 'auth/invalid-email' }];
+        if (credentials[getUid(body.email)]) return [409, { error: 'Email address is already registered', code: 'auth/email-already-in-use' }];
+        if (!body.password || body.password.length < 6) return [400, { error: 'Password must be at least 6 characters', code: 'auth/weak-password' }];
+
+        const uid = addAccount(body.email, { password: body.password });
+        return [200, { user: { uid: uid, email: body.email } }];
+    },
+    'PATCH /users': (request, body, caller, session) => {
+        const paths = Object.keys(body);
+        if (!paths.every(path => /^(users|admins)\//.test(path) && canWrite(session, path, body[path]))) {
+            return [403, { error: 'Permission denied' }];
+        }
+        paths.forEach(path => setPath(path, body[path]));
+        return [204, null];
+    },
+    'POST /password-reset': (request, body) => {
+        // A real server would email a reset link; the stub only logs it
+        console.log(`📧 Password reset requested for ${body.email}`);
+        return [204, null];
+    },
+    'POST /mfa/enroll': (request, body, caller) => {
+        // A profile still flagged as enrolled (for example after a restore) needs an administrator's reset
+        if (store.users[caller].mfa_enabled) return [409, { error: 'Two-factor authentication is already on' }];
+
+        const secret = totp.generateSecret();
+        secrets[caller] = { pendingSecret: secret };
+        return [200, { secret: secret, uri: totp.getOtpauthUri(secret, credentials[caller].email) }];
+    },
+    'POST /mfa/confirm': async (request, body, caller, session) => {
+        const entry = secrets[caller];
+        if (!entry || !entry.pendingSecret) return [409, { error: 'Start the setup again' }];
+
+        const step = await totp.verify(entry.pendingSecret, body.code);
+        if (step === null) return [400, { error: 'That code does not match' }];
+
+        secrets[caller] = { secret: entry.pendingSecret, lastCounter: step };
+        store.users[caller].mfa_enabled = true;
+        session.mfaVerified = true;
+        return [200, { verified: true }];
+    },
+    'POST /mfa/verify': async (request, body, caller, session) => {
+        const verified = await checkCode(caller, body.code);
+        if (verified === null) return [409, { error: 'Two-factor authentication is not set up for this account. Ask an administrator to reset it.' }];
+        if (verified) session.mfaVerified = true;
+        return [200, { verified: verified }];
+    },
+    // Administrators can't turn their own second factor off; another administrator can reset it
+    'POST /mfa/disable': async (request, body, caller) => {
+        if (store.admins[caller]) return [403, { error: 'Two-factor authentication is required for administrators' }];
+        if (!(await checkCode(caller, body.code))) return [400, { error: 'That code is not valid' }];
+
+        clearEnrollment(caller);
+        return [204, null];
+    },
+    'POST /mfa/reset': (request, body, caller, session) => {
+        if (!isVerifiedAdmin(session)) return [403, { error: 'Admin access required' }];
+        if (!body.uid || body.uid === caller || !store.users[body.uid]) return [400, { error: 'Choose another account to reset' }];
+
+        clearEnrollment(body.uid);
+        return [204, null];
+    }
+};
+
+// mosquitto-go-auth HTTP backend (auth_opt_http_response_mode status)
+const brokerRoutes = {
+    '/mqtt/user': body => {
+        if (accounts.devices[body.username]) return accounts.devices[body.username] === body.password;
+        // Sessions that still owe a second factor can't reach the broker
+        const session = tokens.get(body.password);
+        return !!session && session.uid === body.username && (session.mfaVerified || !isMfaRequired(session.uid));
+    },
+    '/mqtt/superuser': body => !!store.admins[body.username],
+    '/mqtt/acl': body => isTopicAllowed(body.username, body.topic, Number(body.acc))
+};
+
+const server = http.createServer((request, response) => {
+    sendCorsHeaders(response);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    let raw = '';
+    request.on('data', chunk => { raw += chunk; });
+    request.on('end', async () => {
+        let body = {};
+        try {
+            body = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            sendJSON(response, 400, { error: 'Invalid JSON' });
+            return;
+        }
+
+        const path = request.url.split('?')[0];
+        if (brokerRoutes[path]) {
+            response.writeHead(brokerRoutes[path](body) ? 200 : 403);
+            response.end();
+            return;
+        }
+
+        const route = routes[`${request.method} ${path.replace(/\/+$/, '')}`];
+        if (!route) {
+            sendJSON(response, 404, { error: 'Not found' });
+            return;
+        }
+
+        const session = getSession(request);
+        const caller = session && session.uid;
+        if (!caller && !['POST /login', 'POST /logout', 'POST /password-reset'].includes(`${request.method} ${path}`)) {
+            sendJSON(response, 401, { error: 'Sign in required' });
+            return;
+        }
+
+        const [status, result] = await route(request, body, caller, session);
+        if (result === null) {
+            response.writeHead(status);
+            response.end();
+        } else {
+            sendJSON(response, status, result);
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🌐 Account server listening on http://localhost:${port}/ (${Object.keys(credentials).length} account(s))`);
+});
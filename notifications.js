@@ -0,0 +1,179 @@
+// notifications.js - Shared Notification Service
+class NotificationManager {
+    constructor() {
+        this.containerId = 'notificationContainer';
+        this.levels = ['success', 'error', 'warning', 'info'];
+        this.icons = { success: '✅', error: '❌', warning: '⚠️', info: 'ℹ️' };
+        this.durations = { success: 4000, info: 5000, warning: 7000, error: 8000 };
+        this.maxVisible = 5;
+        this.historyLimit = 50;
+        this.active = [];
+        this.history = [];
+        this.unreadCount = 0;
+    }
+
+    show(message, type = 'info', options = {}) {
+        const level = this.levels.includes(type) ? type : 'info';
+        const duration = options.duration !== undefined ? options.duration : this.durations[level];
+
+        this.addToHistory(message, level);
+
+        // Collapse repeats of a message that is still on screen into one toast
+        const existing = this.active.find(item => item.message === message && item.level === level);
+        if (existing) {
+            existing.count++;
+            existing.element.querySelector('.notification-count').textContent = `×${existing.count}`;
+            existing.element.querySelector('.notification-count').classList.remove('hidden');
+            this.scheduleDismiss(existing, duration);
+            return existing;
+        }
+
+        const container = this.getContainer();
+        if (!container) {
+            console.log(`[${level}] ${message}`);
+            return null;
+        }
+
+        const element = document.createElement('div');
+        element.className = `notification ${level}`;
+        element.setAttribute('role', level === 'error' ? 'alert' : 'status');
+        element.innerHTML = `
+            <span class="notification-icon">${this.icons[level]}</span>
+            <span class="notification-message"></span>
+            <span class="notification-count hidden"></span>
+            <button class="notification-close" title="Dismiss">✖</button>
+        `;
+        element.querySelector('.notification-message').textContent = message;
+
+        const item = { message: message, level: level, count: 1, element: element, timer: null };
+        element.querySelector('.notification-close').onclick = () => this.dismiss(item);
+
+        container.appendChild(element);
+        this.active.push(item);
+
+        // Drop the oldest toast once the stack is full
+        if (this.active.length > this.maxVisible) {
+            this.dismiss(this.active[0]);
+        }
+
+        requestAnimationFrame(() => element.classList.add('show'));
+        this.scheduleDismiss(item, duration);
+
+        return item;
+    }
+
+    success(message, options) {
+        return this.show(message, 'success', options);
+    }
+
+    error(message, options) {
+        return this.show(message, 'error', options);
+    }
+
+    warning(message, options) {
+        return this.show(message, 'warning', options);
+    }
+
+    info(message, options) {
+        return this.show(message, 'info', options);
+    }
+
+    scheduleDismiss(item, duration) {
+        clearTimeout(item.timer);
+        if (duration > 0) {
+            item.timer = setTimeout(() => this.dismiss(item), duration);
+        }
+    }
+
+    dismiss(item) {
+        const index = this.active.indexOf(item);
+        if (index === -1) return;
+
+        clearTimeout(item.timer);
+        this.active.splice(index, 1);
+
+        item.element.classList.remove('show');
+        setTimeout(() => item.element.remove(), 300);
+    }
+
+    dismissAll() {
+        [...this.active].forEach(item => this.dismiss(item));
+    }
+
+    getContainer() {
+        return document.getElementById(this.containerId);
+    }
+
+    addToHistory(message, level) {
+        const last = this.history[0];
+        if (last && last.message === message && last.level === level) {
+            last.count++;
+            last.timestamp = Date.now();
+        } else {
+            this.history.unshift({ message: message, level: level, count: 1, timestamp: Date.now() });
+            this.history.length = Math.min(this.history.length, this.historyLimit);
+        }
+
+        this.unreadCount++;
+        this.updateBell();
+        this.renderHistoryPanel();
+    }
+
+    updateBell() {
+        const badge = document.getElementById('notificationBadge');
+        if (!badge) return;
+
+        badge.textContent = this.unreadCount > 99 ? '99+' : this.unreadCount;
+        badge.classList.toggle('hidden', this.unreadCount === 0);
+    }
+
+    toggleHistoryPanel() {
+        const panel = document.getElementById('notificationPanel');
+        if (!panel) return;
+
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            this.unreadCount = 0;
+            this.updateBell();
+            this.renderHistoryPanel();
+        }
+    }
+
+    renderHistoryPanel() {
+        const list = document.getElementById('notificationHistoryList');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.history.length === 0) {
+            list.innerHTML = '<div class="notification-history-empty">No notifications this session</div>';
+            return;
+        }
+
+        this.history.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = `notification-history-item ${entry.level}`;
+            row.innerHTML = `
+                <span class="notification-icon">${this.icons[entry.level]}</span>
+                <div class="notification-history-body">
+                    <div class="notification-message"></div>
+                    <div class="notification-time">
+                        ${new Date(entry.timestamp).toLocaleTimeString()}${entry.count > 1 ? ` · ×${entry.count}` : ''}
+                    </div>
+                </div>
+            `;
+            row.querySelector('.notification-message').textContent = entry.message;
+            list.appendChild(row);
+        });
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.unreadCount = 0;
+        this.updateBell();
+        this.renderHistoryPanel();
+    }
+}
+
+// Initialize global notification service
+window.notificationManager = new NotificationManager();
@@ -0,0 +1,92 @@
+// offline-store.js - IndexedDB Storage for Last-Known State
+// Each site keeps its own database, named by ConfigManager.getSiteKey().
+class OfflineStore {
+    constructor(dbName = 'smart_home_offline_v1') {
+        this.dbName = dbName;
+        this.version = 2;
+        this.stores = ['snapshots', 'profiles', 'commands', 'lan'];
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    this.stores.forEach(name => {
+                        if (!request.result.objectStoreNames.contains(name)) {
+                            request.result.createObjectStore(name);
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Storage is best-effort: a failing read behaves like an empty cache
+    async get(storeName, key) {
+        try {
+            return await this.run(storeName, 'readonly', store => store.get(key));
+        } catch (error) {
+            console.warn(`Failed to read ${storeName}/${key} from offline storage:`, error);
+            return undefined;
+        }
+    }
+
+    async getAll(storeName) {
+        try {
+            return await this.run(storeName, 'readonly', store => store.getAll());
+        } catch (error) {
+            console.warn(`Failed to read ${storeName} from offline storage:`, error);
+            return [];
+        }
+    }
+
+    async put(storeName, key, value) {
+        try {
+            await this.run(storeName, 'readwrite', store => store.put(value, key));
+        } catch (error) {
+            console.warn(`Failed to write ${storeName}/${key} to offline storage:`, error);
+        }
+    }
+
+    async delete(storeName, key) {
+        try {
+            await this.run(storeName, 'readwrite', store => store.delete(key));
+        } catch (error) {
+            console.warn(`Failed to delete ${storeName}/${key} from offline storage:`, error);
+        }
+    }
+
+    // Called on sign-out so the next user of a shared phone sees nothing of the previous session
+    async clear() {
+        for (const name of this.stores) {
+            try {
+                await this.run(name, 'readwrite', store => store.clear());
+            } catch (error) {
+                console.warn(`Failed to clear ${name} from offline storage:`, error);
+            }
+        }
+    }
+}
+
+// Initialize shared offline store (replaced with the site's own when another site is selected)
+window.offlineStore = new OfflineStore();
@@ -0,0 +1,210 @@
+// offline.js - Connectivity Tracking, Cached Device State & Offline Command Queue
+class OfflineManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.store = window.offlineStore;
+        this.database = null;
+        this.connectedRef = null;
+        this.isConnected = null; // null until Firebase reports the first connection state
+        this.hasConnected = false;
+        this.showingCache = false;
+        this.lastLiveAt = null; // Milliseconds; when live device data was last received
+        this.queue = {};
+        this.isReplaying = false;
+        this.bannerDelay = 3000; // Grace period before a fresh page load is declared offline
+        this.bannerTimer = null;
+    }
+
+    get uid() {
+        return this.dashboard.auth.currentUser.uid;
+    }
+
+    async initialize(database) {
+        this.database = database;
+
+        const entries = await this.store.getAll('commands');
+        entries.filter(entry => entry.uid === this.uid).forEach(entry => {
+            this.queue[entry.key] = entry;
+        });
+
+        await this.restoreSnapshot();
+
+        this.connectedRef = this.database.ref('.info/connected');
+        this.connectedRef.on('value', (snapshot) => {
+            this.handleConnectionChange(snapshot.val() === true);
+        });
+    }
+
+    detach() {
+        if (this.connectedRef) {
+            this.connectedRef.off();
+            this.connectedRef = null;
+        }
+        clearTimeout(this.bannerTimer);
+    }
+
+    async restoreSnapshot() {
+        const snapshot = await this.store.get('snapshots', this.uid);
+
+        // Live data may have arrived while IndexedDB was being read
+        if (!snapshot || this.lastLiveAt) return;
+
+        console.log(`💾 Showing cached device state from ${new Date(snapshot.saved_at).toLocaleString()}`);
+        this.showingCache = true;
+        this.lastLiveAt = snapshot.saved_at;
+        this.dashboard.handleDevicesUpdate(snapshot.devices, { fromCache: true });
+        this.updateBanner();
+    }
+
+    persistSnapshot(devices) {
+        this.showingCache = false;
+        this.lastLiveAt = Date.now();
+        this.updateBanner();
+
+        this.store.put('snapshots', this.uid, {
+            devices: devices,
+            saved_at: this.lastLiveAt
+        });
+    }
+
+    isOffline() {
+        return this.isConnected === false;
+    }
+
+    handleConnectionChange(connected) {
+        const wasOffline = this.isConnected === false && this.hasConnected;
+        this.isConnected = connected;
+
+        if (connected) {
+            this.hasConnected = true;
+            if (wasOffline) {
+                this.dashboard.showNotification('Back online', 'success');
+            }
+            this.replayQueue();
+        }
+
+        Object.keys(this.dashboard.userDevices).forEach(deviceId => this.dashboard.updateTransportBadge(deviceId));
+        this.updateBanner();
+    }
+
+    updateBanner() {
+        const banner = document.getElementById('offlineBanner');
+        if (!banner) return;
+
+        clearTimeout(this.bannerTimer);
+
+        const staleAsOf = this.lastLiveAt
+            ? new Date(this.lastLiveAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : null;
+        const queuedCount = Object.keys(this.queue).length;
+        const queuedText = queuedCount ? ` · ${queuedCount} command${queuedCount === 1 ? '' : 's'} queued` : '';
+
+        const showOffline = () => {
+            banner.textContent = staleAsOf
+                ? `📴 Offline · stale as of ${staleAsOf}${queuedText}`
+                : `📴 Offline · no cached device state yet${queuedText}`;
+            banner.className = 'offline-banner';
+        };
+
+        if (this.isOffline() && this.hasConnected) {
+            showOffline();
+        } else if (this.showingCache && staleAsOf) {
+            banner.textContent = `⏳ Connecting · showing state as of ${staleAsOf}${queuedText}`;
+            banner.className = 'offline-banner stale';
+        } else {
+            banner.className = 'offline-banner hidden';
+        }
+
+        // Firebase reports "disconnected" before its first connection, so only declare a fresh load offline after a grace period
+        if (this.isOffline() && !this.hasConnected) {
+            this.bannerTimer = setTimeout(showOffline, this.bannerDelay);
+        }
+    }
+
+    getQueued(deviceId, type, channel) {
+        return this.queue[this.dashboard.getCommandKey(deviceId, type, channel)] || null;
+    }
+
+    async enqueue(deviceId, type, channel, value) {
+        const key = this.dashboard.getCommandKey(deviceId, type, channel);
+        const existing = this.queue[key];
+        const device = this.dashboard.devicesData[deviceId] || {};
+
+        // The value the device last reported is what replay checks for conflicting changes
+        const baseline = existing
+            ? existing.baseline
+            : this.dashboard.getReportedValue(device.data || {}, type, channel);
+
+        if (existing && value === baseline) {
+            // Toggling back to the reported state cancels the queued command
+            delete this.queue[key];
+            await this.store.delete('commands', key);
+        } else {
+            this.queue[key] = {
+                key: key,
+                uid: this.uid,
+                deviceId: deviceId,
+                type: type,
+                channel: channel,
+                value: value,
+                baseline: baseline === undefined ? null : baseline,
+                queued_at: Date.now()
+            };
+            await this.store.put('commands', key, this.queue[key]);
+        }
+
+        this.dashboard.renderDashboard();
+        this.updateBanner();
+    }
+
+    async replayQueue() {
+        const entries = Object.values(this.queue);
+        if (this.isReplaying || entries.length === 0) return;
+
+        this.isReplaying = true;
+        let sent = 0;
+        const conflicts = [];
+
+        for (const entry of entries) {
+            try {
+                // Read the device's current state from the server rather than the possibly stale cache
+                const snapshot = await this.database.ref(`devices/${entry.deviceId}/data`).once('value');
+                const reported = this.dashboard.getReportedValue(snapshot.val() || {}, entry.type, entry.channel);
+
+                if (reported === entry.value) {
+                    console.log('✅ Queued command already satisfied:', entry.key);
+                } else if (reported !== undefined && reported !== entry.baseline) {
+                    conflicts.push({ entry: entry, reported: reported });
+                } else {
+                    await this.dashboard.sendCommand(entry.deviceId, entry.type, entry.channel, entry.value);
+                    sent++;
+                }
+            } catch (error) {
+                console.warn('Failed to replay queued command, keeping it queued:', entry.key, error);
+                continue;
+            }
+
+            delete this.queue[entry.key];
+            await this.store.delete('commands', entry.key);
+        }
+
+        this.isReplaying = false;
+        this.dashboard.renderDashboard();
+        this.updateBanner();
+
+        if (sent) {
+            this.dashboard.showNotification(`Sent ${sent} command${sent === 1 ? '' : 's'} queued while offline`, 'success');
+        }
+
+        conflicts.forEach(({ entry, reported }) => {
+            const device = this.dashboard.devicesData[entry.deviceId] || {};
+            const target = entry.type === 'relay' ? `Relay ${entry.channel + 1}` : `PWM channel ${entry.channel + 1}`;
+            const format = value => entry.type === 'relay' ? (value ? 'ON' : 'OFF') : `${value}%`;
+            this.dashboard.showNotification(
+                `${device.name || entry.deviceId}: ${target} changed to ${format(reported)} while you were offline, so your queued ${format(entry.value)} was discarded`,
+                'warning',
+                { duration: 10000 }
+            );
+        });
+    }
+}
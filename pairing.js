@@ -0,0 +1,276 @@
+// pairing.js - Device Claiming with Short-Lived Pairing Codes
+//
+// Protocol:
+//   1. The dashboard writes pairing/{code} = { uid, email, name, location, status: 'waiting', expires_at }.
+//   2. The user enters the code on the device's setup page (http://192.168.4.1/?code=...).
+//   3. Once on WiFi the device signs in (anonymously) and writes
+//      pairing/{code}/device = { device_id, device_uid: <its auth uid>, firmware }.
+//   4. The dashboard claims the device: devices/{device_id} gets owner_uid, device_uid and
+//      the pairing code as proof, and pairing/{code}/status becomes 'claimed'.
+//   5. The device sees 'claimed' and starts reporting to devices/{device_id}/data.
+class PairingManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread
+        this.codeLength = 6;
+        this.lifetime = 10 * 60 * 1000; // Codes expire after 10 minutes
+        this.setupUrl = 'http://192.168.4.1/';
+        this.session = null; // { code, ref, pairing, deviceId, step }
+        this.countdownTimer = null;
+        this.steps = [
+            { key: 'waiting', label: '📶 Waiting for the device to connect' },
+            { key: 'connected', label: '🤝 Device connected, claiming it' },
+            { key: 'claimed', label: '✅ Claimed, waiting for the first report' },
+            { key: 'online', label: '🎉 Device online' }
+        ];
+    }
+
+    get auth() {
+        return this.dashboard.auth;
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    generateCode() {
+        const bytes = crypto.getRandomValues(new Uint8Array(this.codeLength));
+        return Array.from(bytes, byte => this.alphabet[byte % this.alphabet.length]).join('');
+    }
+
+    getSetupLink(code) {
+        return `${this.setupUrl}?code=${encodeURIComponent(code)}`;
+    }
+
+    async start(name, location) {
+        await this.cancel();
+
+        const code = this.generateCode();
+        const ref = this.database.ref(`pairing/${code}`);
+        const now = Date.now() + this.dashboard.heartbeat.serverTimeOffset;
+
+        await ref.set({
+            uid: this.auth.currentUser.uid,
+            email: this.auth.currentUser.email,
+            name: name || null,
+            location: location || null,
+            status: 'waiting',
+            created_at: this.auth.backend.serverTimestamp(),
+            expires_at: now + this.lifetime
+        });
+
+        this.session = { code: code, ref: ref, pairing: null, deviceId: null, step: 'waiting' };
+        ref.on('value', (snapshot) => this.handlePairingUpdate(snapshot.val()));
+
+        this.countdownTimer = setInterval(() => this.renderProgress(), 1000);
+        return code;
+    }
+
+    async handlePairingUpdate(pairing) {
+        const session = this.session;
+        if (!session) return;
+
+        session.pairing = pairing;
+        if (!pairing) {
+            this.renderProgress();
+            return;
+        }
+
+        if (pairing.device && session.step === 'waiting') {
+            session.step = 'connected';
+            session.deviceId = pairing.device.device_id;
+            this.renderProgress();
+            await this.claim(session);
+            return;
+        }
+
+        this.renderProgress();
+    }
+
+    async claim(session) {
+        const { code, pairing } = session;
+        const deviceId = pairing.device.device_id;
+        const existing = this.dashboard.devicesData[deviceId];
+
+        // Co-owners from the ACL manage the device but can't claim it; only the owner of record may re-pair it
+        if (existing && (existing.owner_uid || existing.owner_email) && !this.dashboard.sharing.isOwner(existing)) {
+            this.fail('This device already belongs to someone else. Ask them to remove it first.');
+            return;
+        }
+
+        const user = this.auth.currentUser;
+        const updates = {
+            [`devices/${deviceId}/owner_uid`]: user.uid,
+            [`devices/${deviceId}/owner_email`]: user.email,
+            [`devices/${deviceId}/device_uid`]: pairing.device.device_uid,
+            [`devices/${deviceId}/pairing_code`]: code,
+            [`devices/${deviceId}/claimed_at`]: this.auth.backend.serverTimestamp(),
+            [`pairing/${code}/status`]: 'claimed',
+            [`pairing/${code}/claimed_device_id`]: deviceId
+        };
+        if (pairing.name) updates[`devices/${deviceId}/name`] = pairing.name;
+        if (pairing.location) updates[`devices/${deviceId}/location`] = pairing.location;
+
+        try {
+            await this.database.ref().update(updates);
+            session.step = 'claimed';
+
+            await this.auth.audit.record('device.claim', deviceId, {
+                targetType: 'device',
+                before: existing ? { owner_email: existing.owner_email || null } : null,
+                after: { owner_uid: user.uid, owner_email: user.email }
+            });
+
+            // Owned devices are listened to by owner_uid, so the new card arrives through the normal listener
+            this.refresh();
+        } catch (error) {
+            console.error('❌ Failed to claim device:', error);
+            this.fail(`Claiming ${deviceId} failed: ${error.message}`);
+        }
+    }
+
+    // Called on every devices update to notice the claimed device's first report
+    refresh() {
+        const session = this.session;
+        if (!session || session.step !== 'claimed') return;
+
+        const device = this.dashboard.userDevices[session.deviceId];
+        if (device && device.data && device.data.timestamp) {
+            session.step = 'online';
+            this.renderProgress();
+            this.dashboard.showNotification(`${device.name || session.deviceId} was added to your devices`, 'success');
+            this.finish();
+        } else {
+            this.renderProgress();
+        }
+    }
+
+    fail(message) {
+        if (this.session) {
+            this.session.error = message;
+        }
+        this.renderProgress();
+        this.dashboard.showNotification(message, 'error');
+        this.finish();
+    }
+
+    // Stops listening and removes the code; a finished session stays visible until the modal closes
+    finish() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+
+        const session = this.session;
+        if (!session || !session.ref) return;
+
+        session.ref.off();
+        session.ref.remove().catch(error => console.warn('Failed to remove pairing code:', error));
+        session.ref = null;
+    }
+
+    async cancel() {
+        this.finish();
+        this.session = null;
+    }
+
+    getRemainingSeconds() {
+        const pairing = this.session && this.session.pairing;
+        if (!pairing || !pairing.expires_at) return null;
+        const now = Date.now() + this.dashboard.heartbeat.serverTimeOffset;
+        return Math.max(0, Math.round((pairing.expires_at - now) / 1000));
+    }
+
+    showPairingModal() {
+        let modal = document.getElementById('pairingModal');
+        if (modal) modal.remove();
+
+        modal = document.createElement('div');
+        modal.id = 'pairingModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content pairing-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>➕ Add a Device</h2>
+                    <form class="pairing-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Name:</label>
+                                <input type="text" name="name" maxlength="60" placeholder="Living Room">
+                            </div>
+                            <div class="form-group">
+                                <label>Location:</label>
+                                <input type="text" name="location" maxlength="60" placeholder="Ground floor">
+                            </div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="save-btn">🔑 Get Pairing Code</button>
+                        </div>
+                    </form>
+                    <div class="pairing-progress"></div>
+                </div>
+            </div>
+        `;
+
+        const form = modal.querySelector('.pairing-form');
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            try {
+                await this.start(form.name.value.trim(), form.location.value.trim());
+                form.classList.add('hidden');
+                this.renderProgress();
+            } catch (error) {
+                this.dashboard.showNotification(`Failed to create pairing code: ${error.message}`, 'error');
+            }
+        };
+
+        modal.querySelector('.close-btn').onclick = () => {
+            // Closing before the device connected withdraws the code
+            if (this.session && this.session.step === 'waiting') {
+                this.cancel();
+            }
+            modal.remove();
+        };
+
+        document.body.appendChild(modal);
+    }
+
+    renderProgress() {
+        const container = document.querySelector('#pairingModal .pairing-progress');
+        const session = this.session;
+        if (!container || !session) return;
+
+        const remaining = this.getRemainingSeconds();
+        const expired = session.step === 'waiting' && remaining === 0;
+        if (expired && session.ref) {
+            this.finish();
+        }
+
+        const currentIndex = this.steps.findIndex(step => step.key === session.step);
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const link = this.getSetupLink(session.code);
+
+        container.innerHTML = `
+            <div class="pairing-code">${escape(session.code)}</div>
+            <p class="rule-meta">
+                ${expired
+                    ? '⌛ This code has expired. Close this window and start again.'
+                    : session.step === 'waiting' && remaining !== null
+                        ? `Valid for ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`
+                        : ''}
+            </p>
+            <ol class="pairing-instructions">
+                <li>Power on the device and join the WiFi <strong>ESP32_HomeAutomation_Setup</strong> (password <strong>homesetup123</strong>).</li>
+                <li>Open <a href="${escape(link)}" target="_blank" rel="noopener">${escape(link)}</a>, enter the code above and your home WiFi details.</li>
+                <li>Keep this window open. The device card appears once it reports in.</li>
+            </ol>
+            <ul class="pairing-steps">
+                <li class="done">🔑 Code created</li>
+                ${this.steps.map((step, index) => `
+                    <li class="${index < currentIndex || session.step === 'online' ? 'done' : index === currentIndex ? 'active' : ''}">
+                        ${step.label}${index === currentIndex && session.deviceId ? ` · ${escape(session.deviceId)}` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ${session.error ? `<div class="admin-warning">❌ ${escape(session.error)}</div>` : ''}
+        `;
+    }
+}
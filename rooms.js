@@ -0,0 +1,358 @@
+// rooms.js - Rooms, Relay Groups & Grouped Device Grid
+//
+// groups/{uid}/{groupId} = { name, icon, type: 'room' | 'group', order, devices: { deviceId: true }, relays: { 'deviceId:index': true } }
+// Rooms partition device cards; groups collect individual relays from any device into one control strip.
+class RoomManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.groups = {};
+        this.groupsRef = null;
+        this.collapsedKey = 'smart_home_collapsed_sections_v1';
+        this.collapsed = this.loadCollapsed();
+        this.icons = ['🛋️', '🛏️', '🍳', '🛁', '🚗', '🌳', '💼', '🏠', '💡', '⭐'];
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    initialize() {
+        if (this.groupsRef) this.groupsRef.off();
+
+        this.groupsRef = this.database.ref(`groups/${this.dashboard.auth.currentUser.uid}`);
+        this.groupsRef.on('value', (snapshot) => {
+            this.groups = snapshot.val() || {};
+            this.dashboard.renderDashboard();
+            this.renderGroupList();
+        }, (error) => {
+            console.warn('Failed to load rooms and groups:', error);
+        });
+    }
+
+    detach() {
+        if (this.groupsRef) this.groupsRef.off();
+        this.groupsRef = null;
+    }
+
+    // Collapsed sections are a per-browser preference, not worth syncing
+    loadCollapsed() {
+        try {
+            return JSON.parse(localStorage.getItem(this.collapsedKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    toggleCollapsed(sectionKey) {
+        if (this.collapsed[sectionKey]) {
+            delete this.collapsed[sectionKey];
+        } else {
+            this.collapsed[sectionKey] = true;
+        }
+        localStorage.setItem(this.collapsedKey, JSON.stringify(this.collapsed));
+    }
+
+    getRelayKey(deviceId, index) {
+        return `${deviceId}:${index}`;
+    }
+
+    parseRelayKey(key) {
+        const separator = key.lastIndexOf(':');
+        return { deviceId: key.slice(0, separator), index: Number(key.slice(separator + 1)) };
+    }
+
+    getSortedGroups(type) {
+        return Object.keys(this.groups)
+            .filter(groupId => this.groups[groupId].type === type)
+            .sort((a, b) => (this.groups[a].order || 0) - (this.groups[b].order || 0) || this.groups[a].name.localeCompare(this.groups[b].name))
+            .map(groupId => ({ id: groupId, ...this.groups[groupId] }));
+    }
+
+    getDeviceRoomId(deviceId) {
+        const room = this.getSortedGroups('room').find(group => group.devices && group.devices[deviceId]);
+        return room ? room.id : null;
+    }
+
+    // Devices without a room fall back to a section per reported location
+    getSections(devices) {
+        const sections = this.getSortedGroups('room').map(room => ({
+            key: room.id,
+            name: room.name,
+            icon: room.icon || '🏠',
+            deviceIds: []
+        }));
+        const byKey = {};
+        sections.forEach(section => { byKey[section.key] = section; });
+
+        for (const deviceId in devices) {
+            const roomId = this.getDeviceRoomId(deviceId);
+            if (roomId) {
+                byKey[roomId].deviceIds.push(deviceId);
+                continue;
+            }
+
+            const location = (devices[deviceId].location || '').trim();
+            const key = location ? `location:${location.toLowerCase()}` : 'unassigned';
+            if (!byKey[key]) {
+                byKey[key] = { key: key, name: location || 'Other devices', icon: location ? '📍' : '📦', deviceIds: [] };
+                sections.push(byKey[key]);
+            }
+            byKey[key].deviceIds.push(deviceId);
+        }
+
+        return sections.filter(section => section.deviceIds.length);
+    }
+
+    getGroupRelays(group) {
+        return Object.keys(group.relays || {})
+            .map(key => this.parseRelayKey(key))
+            .map(({ deviceId, index }) => {
+                const device = this.dashboard.userDevices[deviceId];
+                if (!device) return null;
+                const relay = this.dashboard.getRelayChannels(device.data || {}, device.config).find(r => r.index === index);
+                return relay ? { deviceId: deviceId, device: device, relay: relay } : null;
+            })
+            .filter(Boolean);
+    }
+
+    createSectionElement(section, contentElements) {
+        const collapsed = !!this.collapsed[section.key];
+        const element = document.createElement('section');
+        element.className = `room-section ${collapsed ? 'collapsed' : ''}`;
+        element.innerHTML = `
+            <button class="room-header" aria-expanded="${!collapsed}">
+                <span class="room-toggle">${collapsed ? '▸' : '▾'}</span>
+                <span class="room-name">${section.icon} ${this.dashboard.escapeHtml(section.name)}</span>
+                <span class="room-count">${section.summary}</span>
+            </button>
+            <div class="room-content devices-grid"></div>
+        `;
+
+        const content = element.querySelector('.room-content');
+        contentElements.forEach(child => content.appendChild(child));
+
+        element.querySelector('.room-header').onclick = () => {
+            this.toggleCollapsed(section.key);
+            const isCollapsed = !!this.collapsed[section.key];
+            element.classList.toggle('collapsed', isCollapsed);
+            element.querySelector('.room-toggle').textContent = isCollapsed ? '▸' : '▾';
+            element.querySelector('.room-header').setAttribute('aria-expanded', !isCollapsed);
+        };
+
+        return element;
+    }
+
+    createRoomSection(section) {
+        const counts = this.dashboard.heartbeat.getCounts(section.deviceIds);
+        const cards = section.deviceIds.map(deviceId => this.dashboard.createDeviceCard(deviceId, this.dashboard.userDevices[deviceId]));
+        return this.createSectionElement(
+            { ...section, summary: `${section.deviceIds.length} device(s) · ${counts.online} online` },
+            cards
+        );
+    }
+
+    createGroupSection(group) {
+        const members = this.getGroupRelays(group);
+        if (members.length === 0) return null;
+
+        const strip = document.createElement('div');
+        strip.className = 'group-strip';
+        strip.innerHTML = `
+            ${members.map(({ deviceId, device, relay }) => {
+                const canControl = this.dashboard.sharing.canControl(device);
+                return `
+                    <button class="group-relay ${relay.state ? 'active' : ''}" ${canControl ? '' : 'disabled'}
+                        data-device-id="${this.dashboard.escapeHtml(deviceId)}" data-channel="${relay.index}">
+                        <span>${this.dashboard.escapeHtml(relay.icon || '🔌')} ${this.dashboard.escapeHtml(relay.name)}</span>
+                        <span class="rule-meta">${this.dashboard.escapeHtml(device.name || deviceId)} · ${relay.state ? 'ON' : 'OFF'}</span>
+                    </button>
+                `;
+            }).join('')}
+            <div class="group-actions">
+                <button class="device-action-btn" data-state="on">All on</button>
+                <button class="device-action-btn" data-state="off">All off</button>
+            </div>
+        `;
+
+        strip.querySelectorAll('.group-relay').forEach(button => {
+            button.onclick = () => {
+                const member = members.find(m => m.deviceId === button.dataset.deviceId && m.relay.index === Number(button.dataset.channel));
+                this.dashboard.toggleRelay(member.deviceId, member.relay.index, !member.relay.state);
+            };
+        });
+        strip.querySelectorAll('[data-state]').forEach(button => {
+            button.onclick = () => this.setGroupState(group, button.dataset.state === 'on');
+        });
+
+        const onCount = members.filter(m => m.relay.state).length;
+        return this.createSectionElement(
+            { key: group.id, name: group.name, icon: group.icon || '⭐', summary: `${onCount}/${members.length} on` },
+            [strip]
+        );
+    }
+
+    async setGroupState(group, state) {
+        const members = this.getGroupRelays(group)
+            .filter(({ device, relay }) => relay.state !== state && this.dashboard.sharing.canControl(device));
+        await Promise.all(members.map(({ deviceId, relay }) => this.dashboard.toggleRelay(deviceId, relay.index, state)));
+    }
+
+    async saveGroup(groupId, group) {
+        const ref = groupId ? this.groupsRef.child(groupId) : this.groupsRef.push();
+        await ref.set({
+            name: group.name,
+            icon: group.icon || null,
+            type: group.type,
+            order: group.order !== undefined ? group.order : Object.keys(this.groups).length,
+            devices: group.type === 'room' ? group.devices : null,
+            relays: group.type === 'group' ? group.relays : null
+        });
+    }
+
+    async deleteGroup(groupId) {
+        await this.groupsRef.child(groupId).remove();
+    }
+
+    showGroupsModal(editGroupId = null) {
+        let modal = document.getElementById('groupsModal');
+        if (modal) modal.remove();
+
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const editing = editGroupId ? this.groups[editGroupId] : null;
+        const devices = this.dashboard.userDevices;
+
+        modal = document.createElement('div');
+        modal.id = 'groupsModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content groups-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>🏘️ Rooms &amp; Groups</h2>
+                    <p class="rule-meta">Rooms organise device cards. Groups collect individual relays from any device into one control strip.</p>
+
+                    <div id="groupList" class="rules-list"></div>
+
+                    <h3>${editing ? `✏️ Edit ${escape(editing.name)}` : '➕ New Room or Group'}</h3>
+                    <form class="group-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Name:</label>
+                                <input type="text" name="name" required maxlength="40" placeholder="Living Room" value="${escape(editing && editing.name)}">
+                            </div>
+                            <div class="form-group">
+                                <label>Type:</label>
+                                <select name="type" ${editing ? 'disabled' : ''}>
+                                    <option value="room" ${editing && editing.type === 'room' ? 'selected' : ''}>Room (device cards)</option>
+                                    <option value="group" ${editing && editing.type === 'group' ? 'selected' : ''}>Group (individual relays)</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Icon:</label>
+                                <select name="icon">
+                                    ${this.icons.map(icon => `<option value="${icon}" ${editing && editing.icon === icon ? 'selected' : ''}>${icon}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="group-members rollout-device-list" data-type="room">
+                            ${Object.keys(devices).map(deviceId => `
+                                <label class="rollout-device">
+                                    <input type="checkbox" name="device" value="${escape(deviceId)}"
+                                        ${editing && editing.devices && editing.devices[deviceId] ? 'checked' : ''}>
+                                    ${escape(devices[deviceId].name || deviceId)}
+                                </label>
+                            `).join('')}
+                        </div>
+
+                        <div class="group-members rollout-device-list" data-type="group">
+                            ${Object.keys(devices).map(deviceId => this.dashboard.getRelayChannels(devices[deviceId].data || {}, devices[deviceId].config).map(relay => {
+                                const key = this.getRelayKey(deviceId, relay.index);
+                                return `
+                                    <label class="rollout-device">
+                                        <input type="checkbox" name="relay" value="${escape(key)}"
+                                            ${editing && editing.relays && editing.relays[key] ? 'checked' : ''}>
+                                        ${escape(devices[deviceId].name || deviceId)} · ${escape(relay.icon || '')} ${escape(relay.name)}
+                                    </label>
+                                `;
+                            }).join('')).join('')}
+                        </div>
+
+                        <div class="form-actions">
+                            ${editing ? '<button type="button" class="device-action-btn cancel-edit-btn">Cancel</button>' : ''}
+                            <button type="submit" class="save-btn">💾 Save</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const form = modal.querySelector('.group-form');
+        const type = () => editing ? editing.type : form.type.value;
+        const toggleMembers = () => {
+            modal.querySelectorAll('.group-members').forEach(el => el.classList.toggle('hidden', el.dataset.type !== type()));
+        };
+        form.type.onchange = toggleMembers;
+        toggleMembers();
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const checked = name => [...form.querySelectorAll(`input[name="${name}"]:checked`)]
+                .reduce((members, input) => ({ ...members, [input.value]: true }), {});
+
+            try {
+                await this.saveGroup(editGroupId, {
+                    name: form.name.value.trim(),
+                    icon: form.icon.value,
+                    type: type(),
+                    order: editing ? editing.order : undefined,
+                    devices: checked('device'),
+                    relays: checked('relay')
+                });
+                this.dashboard.showNotification(`${type() === 'room' ? 'Room' : 'Group'} "${form.name.value.trim()}" saved`, 'success');
+                this.showGroupsModal();
+            } catch (error) {
+                this.dashboard.showNotification(`Failed to save: ${error.message}`, 'error');
+            }
+        };
+
+        const cancelButton = modal.querySelector('.cancel-edit-btn');
+        if (cancelButton) cancelButton.onclick = () => this.showGroupsModal();
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+
+        document.body.appendChild(modal);
+        this.renderGroupList();
+    }
+
+    renderGroupList() {
+        const list = document.getElementById('groupList');
+        if (!list) return;
+
+        const groups = [...this.getSortedGroups('room'), ...this.getSortedGroups('group')];
+        if (groups.length === 0) {
+            list.innerHTML = '<div class="history-empty">No rooms or groups yet. Devices are grouped by location.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        groups.forEach(group => {
+            const count = group.type === 'room' ? Object.keys(group.devices || {}).length : Object.keys(group.relays || {}).length;
+            const row = document.createElement('div');
+            row.className = 'rule-item';
+            row.innerHTML = `
+                <div class="rule-summary">
+                    <strong>${group.icon || ''} ${this.dashboard.escapeHtml(group.name)}</strong>
+                    <div class="rule-meta">${group.type === 'room' ? `Room · ${count} device(s)` : `Group · ${count} relay(s)`}</div>
+                </div>
+                <div class="rule-actions">
+                    <button class="device-action-btn" data-action="edit">✏️</button>
+                    <button class="device-action-btn" data-action="delete">🗑️</button>
+                </div>
+            `;
+            row.querySelector('[data-action="edit"]').onclick = () => this.showGroupsModal(group.id);
+            row.querySelector('[data-action="delete"]').onclick = () => {
+                if (confirm(`Delete "${group.name}"? Its devices stay where they are.`)) this.deleteGroup(group.id);
+            };
+            list.appendChild(row);
+        });
+    }
+}
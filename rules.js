@@ -0,0 +1,499 @@
+// rules.js - Device Automation Rules Engine
+class RulesEngine {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.rules = {};
+        this.runtime = {};
+        this.rulesRef = null;
+        this.evaluateInterval = 30000;
+        this.timer = null;
+        this.defaultCooldown = 300; // Seconds before the same rule may fire again
+        this.operators = {
+            '>': (value, threshold) => value > threshold,
+            '>=': (value, threshold) => value >= threshold,
+            '<': (value, threshold) => value < threshold,
+            '<=': (value, threshold) => value <= threshold
+        };
+    }
+
+    get auth() {
+        return this.dashboard.auth;
+    }
+
+    initialize() {
+        if (this.rulesRef) this.rulesRef.off();
+
+        this.rulesRef = this.dashboard.database.ref(`rules/${this.auth.currentUser.uid}`);
+        this.rulesRef.on('value', (snapshot) => {
+            this.rules = snapshot.val() || {};
+            console.log('🤖 Automation rules loaded:', Object.keys(this.rules).length);
+            this.renderRulesList();
+            this.evaluate();
+        }, (error) => {
+            console.error('❌ Failed to load automation rules:', error);
+        });
+
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.evaluate(), this.evaluateInterval);
+    }
+
+    detach() {
+        if (this.rulesRef) this.rulesRef.off();
+        this.rulesRef = null;
+        clearInterval(this.timer);
+    }
+
+    async saveRule(rule) {
+        const ruleRef = this.rulesRef.push();
+        await ruleRef.set({
+            ...rule,
+            enabled: true,
+            created: this.auth.backend.serverTimestamp()
+        });
+        return ruleRef.key;
+    }
+
+    async setRuleEnabled(ruleId, enabled) {
+        await this.rulesRef.child(`${ruleId}/enabled`).set(enabled);
+    }
+
+    async deleteRule(ruleId) {
+        await this.rulesRef.child(ruleId).remove();
+        delete this.runtime[ruleId];
+    }
+
+    getRuntime(ruleId) {
+        if (!this.runtime[ruleId]) {
+            const rule = this.rules[ruleId] || {};
+            this.runtime[ruleId] = { armed: true, lastFired: rule.last_fired || 0 };
+        }
+        return this.runtime[ruleId];
+    }
+
+    // Returns true when the trigger condition holds, false when it has cleared
+    // past its hysteresis band, and null while the value sits inside that band.
+    checkTrigger(trigger, device) {
+        if (!device) return null;
+
+        if (trigger.type === 'offline') {
+            const age = this.dashboard.heartbeat.getAge(device);
+            if (age >= (Number(trigger.minutes) || 0) * 60) return true;
+            return this.dashboard.heartbeat.getStatus(device) === 'online' ? false : null;
+        }
+
+        const data = device.data || {};
+        return this.checkSensorValue(trigger, data[trigger.field]);
+    }
+
+    checkSensorValue(trigger, value) {
+        const compare = this.operators[trigger.operator];
+        if (typeof value !== 'number' || !compare) return null;
+
+        const threshold = Number(trigger.value);
+        const hysteresis = Math.abs(Number(trigger.hysteresis) || 0);
+
+        if (compare(value, threshold)) return true;
+
+        const releaseThreshold = trigger.operator.startsWith('>') ? threshold - hysteresis : threshold + hysteresis;
+        return compare(value, releaseThreshold) ? null : false;
+    }
+
+    // Advances a rule's armed/cooldown state for one observation and reports whether it fires
+    step(state, conditionResult, now, cooldown) {
+        if (conditionResult === false) {
+            state.armed = true;
+            return false;
+        }
+
+        if (conditionResult === true && state.armed && now - state.lastFired >= cooldown) {
+            state.armed = false;
+            state.lastFired = now;
+            return true;
+        }
+
+        return false;
+    }
+
+    // Only the leading tab evaluates; fireRule() then claims each firing across browsers
+    evaluate() {
+        if (!this.rulesRef || !this.dashboard.leader.isLeader) return;
+
+        const now = Math.floor(Date.now() / 1000);
+
+        for (const ruleId in this.rules) {
+            const rule = this.rules[ruleId];
+            if (!rule || !rule.enabled || !rule.trigger || !rule.action) continue;
+
+            const device = this.dashboard.userDevices[rule.trigger.deviceId];
+            const result = this.checkTrigger(rule.trigger, device);
+            const cooldown = rule.cooldown !== undefined ? Number(rule.cooldown) : this.defaultCooldown;
+
+            // Firings by other browsers (or a tab that led before this one) restart the cooldown here too
+            const state = this.getRuntime(ruleId);
+            state.lastFired = Math.max(state.lastFired, Number(rule.last_fired) || 0);
+
+            if (this.step(state, result, now, cooldown)) {
+                this.fireRule(ruleId, rule, now, cooldown);
+            }
+        }
+    }
+
+    async fireRule(ruleId, rule, now, cooldown) {
+        try {
+            // Only the client that moves last_fired into a new cooldown window acts on the crossing
+            const claim = await this.rulesRef.child(`${ruleId}/last_fired`)
+                .transaction(current => current && now - current < cooldown ? undefined : now);
+            if (!claim.committed) return;
+
+            console.log(`🤖 Rule fired: ${rule.name || ruleId}`);
+            await this.executeAction(rule.action, rule);
+        } catch (error) {
+            console.error('❌ Rule action failed:', error);
+            this.dashboard.showNotification(`Automation "${rule.name || ruleId}" failed: ${error.message}`, 'error');
+        }
+    }
+
+    async executeAction(action, rule) {
+        switch (action.type) {
+            case 'relay': {
+                const device = this.dashboard.userDevices[action.deviceId];
+                const relay = device && this.dashboard.getRelayChannels(device.data || {})
+                    .find(r => r.index === Number(action.channel));
+                const desired = !!action.state;
+
+                // Skip the command if the relay is already where the rule wants it
+                if (relay && relay.state === desired) return;
+
+                await this.dashboard.sendCommand(action.deviceId, 'relay', Number(action.channel), desired);
+                this.dashboard.showNotification(`Automation "${rule.name}" switched relay ${Number(action.channel) + 1} ${desired ? 'ON' : 'OFF'}`, 'info');
+                break;
+            }
+            case 'scene':
+                await this.dashboard.scenes.run(action.sceneId, { source: 'rule' });
+                break;
+            case 'notify':
+                this.dashboard.showNotification(action.message || `Automation "${rule.name}" triggered`, 'warning', { duration: 0 });
+                break;
+            default:
+                throw new Error(`Unknown action type: ${action.type}`);
+        }
+    }
+
+    async dryRun(ruleId) {
+        const rule = this.rules[ruleId];
+        const trigger = rule.trigger;
+        const samples = await this.dashboard.history.loadHistory(trigger.deviceId, '24h');
+        const cooldown = rule.cooldown !== undefined ? Number(rule.cooldown) : this.defaultCooldown;
+        const state = { armed: true, lastFired: 0 };
+        const firings = [];
+
+        samples.forEach((sample, index) => {
+            if (trigger.type === 'offline') {
+                // A gap between consecutive samples longer than the window counts as an outage
+                const previous = samples[index - 1];
+                const outageWindow = (Number(trigger.minutes) || 0) * 60;
+                if (previous && sample.timestamp - previous.timestamp >= outageWindow) {
+                    const firedAt = previous.timestamp + outageWindow;
+                    if (this.step(state, true, firedAt, cooldown)) {
+                        firings.push({ timestamp: firedAt, value: null });
+                    }
+                }
+                this.step(state, false, sample.timestamp, cooldown);
+                return;
+            }
+
+            const result = this.checkSensorValue(trigger, sample[trigger.field]);
+            if (this.step(state, result, sample.timestamp, cooldown)) {
+                firings.push({ timestamp: sample.timestamp, value: sample[trigger.field] });
+            }
+        });
+
+        return { samples: samples.length, firings: firings };
+    }
+
+    describeRule(rule) {
+        const devices = this.dashboard.devicesData;
+        const deviceName = id => (devices[id] && devices[id].name) || id;
+        const trigger = rule.trigger || {};
+        const action = rule.action || {};
+
+        const when = trigger.type === 'offline'
+            ? `${deviceName(trigger.deviceId)} offline for ${trigger.minutes} min`
+            : `${deviceName(trigger.deviceId)} ${trigger.field} ${trigger.operator} ${trigger.value}`;
+
+        const scenes = this.dashboard.scenes.scenes;
+        const then = action.type === 'relay'
+            ? `turn ${deviceName(action.deviceId)} relay ${Number(action.channel) + 1} ${action.state ? 'ON' : 'OFF'}`
+            : action.type === 'scene'
+                ? `activate scene "${scenes[action.sceneId] ? scenes[action.sceneId].name : 'deleted scene'}"`
+                : `notify "${action.message || rule.name}"`;
+
+        return `If ${when}, ${then}`;
+    }
+
+    showRulesModal() {
+        let modal = document.getElementById('rulesModal');
+        if (modal) modal.remove();
+
+        const deviceOptions = Object.keys(this.dashboard.userDevices).map(id => `
+            <option value="${this.dashboard.escapeHtml(id)}">${this.dashboard.escapeHtml(this.dashboard.userDevices[id].name || id)}</option>
+        `).join('');
+        const sceneOptions = this.dashboard.scenes.getSortedScenes().map(scene => `
+            <option value="${this.dashboard.escapeHtml(scene.id)}">${scene.icon || ''} ${this.dashboard.escapeHtml(scene.name)}</option>
+        `).join('');
+
+        modal = document.createElement('div');
+        modal.id = 'rulesModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content rules-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>🤖 Automation Rules</h2>
+
+                    <div id="rulesList" class="rules-list"></div>
+
+                    <h3>➕ New Rule</h3>
+                    <form class="rule-form">
+                        <div class="form-group">
+                            <label>Name:</label>
+                            <input type="text" name="name" required placeholder="Cool down living room">
+                        </div>
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>When:</label>
+                                <select name="triggerType">
+                                    <option value="sensor">Sensor reading</option>
+                                    <option value="offline">Device offline</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Device:</label>
+                                <select name="triggerDevice">${deviceOptions}</select>
+                            </div>
+                        </div>
+
+                        <div class="form-row" data-trigger="sensor">
+                            <div class="form-group">
+                                <label>Sensor:</label>
+                                <select name="field">
+                                    <option value="temperature">Temperature</option>
+                                    <option value="humidity">Humidity</option>
+                                    <option value="light">Light</option>
+                                    <option value="pressure">Pressure</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Condition:</label>
+                                <select name="operator">
+                                    <option value=">">&gt;</option>
+                                    <option value=">=">&ge;</option>
+                                    <option value="<">&lt;</option>
+                                    <option value="<=">&le;</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Value:</label>
+                                <input type="number" name="value" step="any" value="28">
+                            </div>
+                            <div class="form-group">
+                                <label>Hysteresis:</label>
+                                <input type="number" name="hysteresis" step="any" min="0" value="1">
+                            </div>
+                        </div>
+
+                        <div class="form-row hidden" data-trigger="offline">
+                            <div class="form-group">
+                                <label>Offline for (minutes):</label>
+                                <input type="number" name="minutes" min="1" value="10">
+                            </div>
+                        </div>
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Then:</label>
+                                <select name="actionType">
+                                    <option value="relay">Switch relay</option>
+                                    <option value="scene">Activate scene</option>
+                                    <option value="notify">Notify me</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Cooldown (minutes):</label>
+                                <input type="number" name="cooldown" min="0" value="5">
+                            </div>
+                        </div>
+
+                        <div class="form-row" data-action="relay">
+                            <div class="form-group">
+                                <label>Device:</label>
+                                <select name="actionDevice">${deviceOptions}</select>
+                            </div>
+                            <div class="form-group">
+                                <label>Relay:</label>
+                                <input type="number" name="channel" min="1" value="1">
+                            </div>
+                            <div class="form-group">
+                                <label>State:</label>
+                                <select name="state">
+                                    <option value="on">ON</option>
+                                    <option value="off">OFF</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="form-row hidden" data-action="scene">
+                            <div class="form-group">
+                                <label>Scene:</label>
+                                <select name="scene">${sceneOptions}</select>
+                            </div>
+                        </div>
+
+                        <div class="form-row hidden" data-action="notify">
+                            <div class="form-group">
+                                <label>Message:</label>
+                                <input type="text" name="message" placeholder="Living room sensor is offline">
+                            </div>
+                        </div>
+
+                        <div class="form-actions">
+                            <button type="submit" class="save-btn">💾 Save Rule</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const form = modal.querySelector('.rule-form');
+        const toggleSections = () => {
+            modal.querySelectorAll('[data-trigger]').forEach(el => {
+                el.classList.toggle('hidden', el.dataset.trigger !== form.triggerType.value);
+            });
+            modal.querySelectorAll('[data-action]').forEach(el => {
+                el.classList.toggle('hidden', el.dataset.action !== form.actionType.value);
+            });
+        };
+        form.triggerType.onchange = toggleSections;
+        form.actionType.onchange = toggleSections;
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            this.handleRuleSubmit(form);
+        };
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        document.body.appendChild(modal);
+        this.renderRulesList();
+    }
+
+    async handleRuleSubmit(form) {
+        const trigger = form.triggerType.value === 'offline'
+            ? { type: 'offline', deviceId: form.triggerDevice.value, minutes: Number(form.minutes.value) }
+            : {
+                type: 'sensor',
+                deviceId: form.triggerDevice.value,
+                field: form.field.value,
+                operator: form.operator.value,
+                value: Number(form.value.value),
+                hysteresis: Number(form.hysteresis.value) || 0
+            };
+
+        const actionType = form.actionType.value;
+        const action = actionType === 'notify'
+            ? { type: 'notify', message: form.message.value.trim() }
+            : actionType === 'scene'
+                ? { type: 'scene', sceneId: form.scene.value }
+                : {
+                    type: 'relay',
+                    deviceId: form.actionDevice.value,
+                    channel: Math.max(0, Number(form.channel.value) - 1),
+                    state: form.state.value === 'on'
+                };
+
+        if (!form.name.value.trim() || !trigger.deviceId || (action.type === 'relay' && !action.deviceId) || (action.type === 'scene' && !action.sceneId)) {
+            this.dashboard.showNotification('Please complete all rule fields', 'error');
+            return;
+        }
+
+        try {
+            await this.saveRule({
+                name: form.name.value.trim(),
+                trigger: trigger,
+                action: action,
+                cooldown: Math.max(0, Number(form.cooldown.value) || 0) * 60
+            });
+            form.reset();
+            this.dashboard.showNotification('Automation rule saved', 'success');
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to save rule: ${error.message}`, 'error');
+        }
+    }
+
+    renderRulesList() {
+        const list = document.getElementById('rulesList');
+        if (!list) return;
+
+        const ruleIds = Object.keys(this.rules);
+        if (ruleIds.length === 0) {
+            list.innerHTML = '<div class="history-empty">No automation rules yet.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        ruleIds.forEach(ruleId => {
+            const rule = this.rules[ruleId];
+            const row = document.createElement('div');
+            row.className = `rule-item ${rule.enabled ? '' : 'disabled'}`;
+            row.innerHTML = `
+                <div class="rule-summary">
+                    <strong class="rule-name"></strong>
+                    <div class="rule-description"></div>
+                    <div class="rule-meta">
+                        ${rule.last_fired ? `Last fired ${new Date(rule.last_fired * 1000).toLocaleString()}` : 'Never fired'}
+                    </div>
+                    <div class="rule-dry-run hidden"></div>
+                </div>
+                <div class="rule-actions">
+                    <label class="rule-toggle">
+                        <input type="checkbox" ${rule.enabled ? 'checked' : ''}> Enabled
+                    </label>
+                    <button class="device-action-btn" data-action="dry-run">🧪 Dry run</button>
+                    <button class="device-action-btn" data-action="delete">🗑️</button>
+                </div>
+            `;
+            row.querySelector('.rule-name').textContent = rule.name || ruleId;
+            row.querySelector('.rule-description').textContent = this.describeRule(rule);
+
+            row.querySelector('input[type="checkbox"]').onchange = (e) => this.setRuleEnabled(ruleId, e.target.checked);
+            row.querySelector('[data-action="delete"]').onclick = () => {
+                if (confirm(`Delete rule "${rule.name}"?`)) this.deleteRule(ruleId);
+            };
+            row.querySelector('[data-action="dry-run"]').onclick = () => this.showDryRun(ruleId, row.querySelector('.rule-dry-run'));
+
+            list.appendChild(row);
+        });
+    }
+
+    async showDryRun(ruleId, container) {
+        container.classList.remove('hidden');
+        container.textContent = '⏳ Replaying the last 24 hours...';
+
+        try {
+            const result = await this.dryRun(ruleId);
+            if (result.samples === 0) {
+                container.textContent = 'No history available for the last 24 hours.';
+                return;
+            }
+
+            container.innerHTML = `
+                <div>Replayed ${result.samples} samples: would have fired <strong>${result.firings.length}</strong> time(s).</div>
+                <ul>
+                    ${result.firings.slice(-10).map(f => `
+                        <li>${new Date(f.timestamp * 1000).toLocaleString()}${f.value !== null && f.value !== undefined ? ` (${f.value})` : ''}</li>
+                    `).join('')}
+                </ul>
+            `;
+        } catch (error) {
+            container.textContent = `Dry run failed: ${error.message}`;
+        }
+    }
+}
@@ -0,0 +1,290 @@
+// scenes.js - Scenes: named sets of relay and PWM targets across devices
+//
+// scenes/{uid}/{sceneId} = { name, icon, actions: [{ deviceId, type: 'relay' | 'pwm', channel, value }] }
+// Channels a scene doesn't list are left alone, so "Movie night" can dim the lights without touching the heater.
+class SceneManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.scenes = {};
+        this.scenesRef = null;
+        this.icons = ['🎬', '🌙', '☀️', '🍽️', '🎉', '📴', '🏠', '🚪', '📖', '⭐'];
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    initialize() {
+        if (this.scenesRef) this.scenesRef.off();
+
+        this.scenesRef = this.database.ref(`scenes/${this.dashboard.auth.currentUser.uid}`);
+        this.scenesRef.on('value', (snapshot) => {
+            this.scenes = snapshot.val() || {};
+            this.renderSceneList();
+        }, (error) => {
+            console.warn('Failed to load scenes:', error);
+        });
+    }
+
+    detach() {
+        if (this.scenesRef) this.scenesRef.off();
+        this.scenesRef = null;
+    }
+
+    getSortedScenes() {
+        return Object.keys(this.scenes)
+            .map(sceneId => ({ id: sceneId, ...this.scenes[sceneId] }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async saveScene(sceneId, scene) {
+        if (!scene.name) {
+            throw new Error('Name is required');
+        }
+        if (!scene.actions.length) {
+            throw new Error('Pick at least one relay or PWM channel for the scene');
+        }
+
+        const ref = sceneId ? this.scenesRef.child(sceneId) : this.scenesRef.push();
+        await ref.set({
+            name: scene.name,
+            icon: scene.icon || null,
+            actions: scene.actions,
+            updated_at: this.dashboard.auth.backend.serverTimestamp()
+        });
+        return ref.key;
+    }
+
+    async deleteScene(sceneId) {
+        await this.scenesRef.child(sceneId).remove();
+    }
+
+    // Sends only the channels that differ from their target; returns how many commands went out
+    async run(sceneId, { source = 'manual' } = {}) {
+        const scene = this.scenes[sceneId];
+        if (!scene) {
+            throw new Error(`Scene ${sceneId} no longer exists`);
+        }
+
+        const pending = (scene.actions || []).filter(action => {
+            const device = this.dashboard.userDevices[action.deviceId];
+            if (!device || !this.dashboard.sharing.canControl(device)) return false;
+
+            const current = this.dashboard.getReportedValue(device.data || {}, action.type, Number(action.channel));
+            return current !== undefined && current !== action.value;
+        });
+
+        await Promise.all(pending.map(action =>
+            this.dashboard.sendCommand(action.deviceId, action.type, Number(action.channel), action.value)
+        ));
+
+        const skipped = (scene.actions || []).length - pending.length;
+        this.dashboard.showNotification(
+            `${source === 'rule' ? 'Automation activated' : 'Activated'} ${scene.icon || '🎬'} ${scene.name}: ${pending.length} change(s)${skipped ? `, ${skipped} already set or unavailable` : ''}`,
+            'success'
+        );
+        return pending.length;
+    }
+
+    readForm(form) {
+        const actions = [];
+
+        form.querySelectorAll('[data-scene-channel]').forEach(input => {
+            const { deviceId, type } = input.dataset;
+            const channel = Number(input.dataset.channel);
+
+            if (type === 'relay') {
+                if (input.value === '') return;
+                actions.push({ deviceId: deviceId, type: type, channel: channel, value: input.value === 'on' });
+            } else {
+                const enabled = form.querySelector(`[data-scene-enable="${input.dataset.sceneChannel}"]`);
+                if (!enabled.checked) return;
+                actions.push({ deviceId: deviceId, type: type, channel: channel, value: Math.max(0, Math.min(100, Number(input.value) || 0)) });
+            }
+        });
+
+        return {
+            name: form.name.value.trim(),
+            icon: form.icon.value,
+            actions: actions
+        };
+    }
+
+    // Prefills the channel inputs, e.g. from the current device state or with everything off
+    fillForm(form, getValue) {
+        form.querySelectorAll('[data-scene-channel]').forEach(input => {
+            const device = this.dashboard.userDevices[input.dataset.deviceId];
+            const value = getValue(device, input.dataset.type, Number(input.dataset.channel));
+
+            if (input.dataset.type === 'relay') {
+                input.value = value === undefined ? '' : (value ? 'on' : 'off');
+            } else {
+                const enabled = form.querySelector(`[data-scene-enable="${input.dataset.sceneChannel}"]`);
+                enabled.checked = value !== undefined;
+                if (value !== undefined) input.value = value;
+            }
+        });
+    }
+
+    showScenesModal(editSceneId = null) {
+        let modal = document.getElementById('scenesModal');
+        if (modal) modal.remove();
+
+        const escape = value => this.dashboard.escapeHtml(value === undefined || value === null ? '' : value);
+        const editing = editSceneId ? this.scenes[editSceneId] : null;
+        const targets = {};
+        ((editing && editing.actions) || []).forEach(action => {
+            targets[`${action.deviceId}:${action.type}:${action.channel}`] = action.value;
+        });
+
+        const devices = this.dashboard.userDevices;
+        const controllable = Object.keys(devices).filter(deviceId => this.dashboard.sharing.canControl(devices[deviceId]));
+
+        modal = document.createElement('div');
+        modal.id = 'scenesModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content scenes-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>🎬 Scenes</h2>
+
+                    <div id="sceneList" class="rules-list"></div>
+
+                    <h3>${editing ? `✏️ Edit ${escape(editing.name)}` : '➕ New Scene'}</h3>
+                    <form class="scene-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Name:</label>
+                                <input type="text" name="name" required maxlength="40" placeholder="Movie night" value="${escape(editing && editing.name)}">
+                            </div>
+                            <div class="form-group">
+                                <label>Icon:</label>
+                                <select name="icon">
+                                    ${this.icons.map(icon => `<option value="${icon}" ${editing && editing.icon === icon ? 'selected' : ''}>${icon}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="scene-prefill">
+                            <button type="button" class="device-action-btn" data-prefill="current">📸 Use current state</button>
+                            <button type="button" class="device-action-btn" data-prefill="off">📴 Everything off</button>
+                            <button type="button" class="device-action-btn" data-prefill="clear">↺ Clear</button>
+                        </div>
+
+                        ${controllable.length ? controllable.map(deviceId => {
+                            const data = devices[deviceId].data || {};
+                            const relays = this.dashboard.getRelayChannels(data, devices[deviceId].config);
+                            const pwmChannels = this.dashboard.getPwmChannels(data);
+                            if (!relays.length && !pwmChannels.length) return '';
+
+                            return `
+                                <div class="scene-device">
+                                    <strong>${escape(devices[deviceId].name || deviceId)}</strong>
+                                    ${relays.map(relay => {
+                                        const key = `${deviceId}:relay:${relay.index}`;
+                                        const target = targets[key];
+                                        return `
+                                            <label class="scene-channel">
+                                                <span>${escape(relay.icon || '🔌')} ${escape(relay.name)}</span>
+                                                <select data-scene-channel="${escape(key)}" data-device-id="${escape(deviceId)}" data-type="relay" data-channel="${relay.index}">
+                                                    <option value="" ${target === undefined ? 'selected' : ''}>Unchanged</option>
+                                                    <option value="on" ${target === true ? 'selected' : ''}>ON</option>
+                                                    <option value="off" ${target === false ? 'selected' : ''}>OFF</option>
+                                                </select>
+                                            </label>
+                                        `;
+                                    }).join('')}
+                                    ${pwmChannels.map(channel => {
+                                        const key = `${deviceId}:pwm:${channel.index}`;
+                                        const target = targets[key];
+                                        return `
+                                            <label class="scene-channel">
+                                                <span>
+                                                    <input type="checkbox" data-scene-enable="${escape(key)}" ${target !== undefined ? 'checked' : ''}>
+                                                    🎚️ PWM ${channel.index + 1}
+                                                </span>
+                                                <input type="number" min="0" max="100" value="${target !== undefined ? target : channel.value}"
+                                                    data-scene-channel="${escape(key)}" data-device-id="${escape(deviceId)}" data-type="pwm" data-channel="${channel.index}"> %
+                                            </label>
+                                        `;
+                                    }).join('')}
+                                </div>
+                            `;
+                        }).join('') : '<div class="history-empty">You have no devices you can control.</div>'}
+
+                        <div class="form-actions">
+                            ${editing ? '<button type="button" class="device-action-btn cancel-edit-btn">Cancel</button>' : ''}
+                            <button type="submit" class="save-btn">💾 Save Scene</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const form = modal.querySelector('.scene-form');
+        const prefills = {
+            current: (device, type, channel) => this.dashboard.getReportedValue(device.data || {}, type, channel),
+            off: (device, type) => type === 'relay' ? false : 0,
+            clear: () => undefined
+        };
+        modal.querySelectorAll('[data-prefill]').forEach(button => {
+            button.onclick = () => this.fillForm(form, prefills[button.dataset.prefill]);
+        });
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            try {
+                const scene = this.readForm(form);
+                await this.saveScene(editSceneId, scene);
+                this.dashboard.showNotification(`Scene "${scene.name}" saved`, 'success');
+                this.showScenesModal();
+            } catch (error) {
+                this.dashboard.showNotification(`Failed to save scene: ${error.message}`, 'error');
+            }
+        };
+
+        const cancelButton = modal.querySelector('.cancel-edit-btn');
+        if (cancelButton) cancelButton.onclick = () => this.showScenesModal();
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+
+        document.body.appendChild(modal);
+        this.renderSceneList();
+    }
+
+    renderSceneList() {
+        const list = document.getElementById('sceneList');
+        if (!list) return;
+
+        const scenes = this.getSortedScenes();
+        if (scenes.length === 0) {
+            list.innerHTML = '<div class="history-empty">No scenes yet.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        scenes.forEach(scene => {
+            const deviceCount = new Set((scene.actions || []).map(action => action.deviceId)).size;
+            const row = document.createElement('div');
+            row.className = 'rule-item';
+            row.innerHTML = `
+                <div class="rule-summary">
+                    <strong>${scene.icon || '🎬'} ${this.dashboard.escapeHtml(scene.name)}</strong>
+                    <div class="rule-meta">${(scene.actions || []).length} channel(s) on ${deviceCount} device(s)</div>
+                </div>
+                <div class="rule-actions">
+                    <button class="device-action-btn" data-action="run">▶️ Activate</button>
+                    <button class="device-action-btn" data-action="edit">✏️</button>
+                    <button class="device-action-btn" data-action="delete">🗑️</button>
+                </div>
+            `;
+            row.querySelector('[data-action="run"]').onclick = () => {
+                this.run(scene.id).catch(error => this.dashboard.showNotification(`Scene failed: ${error.message}`, 'error'));
+            };
+            row.querySelector('[data-action="edit"]').onclick = () => this.showScenesModal(scene.id);
+            row.querySelector('[data-action="delete"]').onclick = () => {
+                if (confirm(`Delete scene "${scene.name}"? Automation rules using it will stop working.`)) this.deleteScene(scene.id);
+            };
+            list.appendChild(row);
+        });
+    }
+}
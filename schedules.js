@@ -0,0 +1,469 @@
+// schedules.js - Relay Scheduling
+//
+// Sunrise/sunset schedules carry their own location (lat, lng) with the event and offset, so every
+// dashboard that can control the device works out the same next_run.
+class ScheduleManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.activeDeviceId = null;
+        this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.overviewDays = 7;
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    initialize() {
+        this.refreshNextRuns();
+    }
+
+    detach() {
+        this.activeDeviceId = null;
+    }
+
+    refresh() {
+        this.refreshNextRuns();
+        if (this.activeDeviceId && document.getElementById('scheduleModal')) {
+            this.renderDeviceScheduleList(this.activeDeviceId);
+        }
+    }
+
+    validateGeo(lat, lng) {
+        if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            throw new Error('Invalid latitude/longitude');
+        }
+    }
+
+    hasGeo(schedule) {
+        return typeof schedule.lat === 'number' && typeof schedule.lng === 'number';
+    }
+
+    // The location of the device's existing sun schedules, to prefill new ones
+    getDeviceGeo(device) {
+        const schedules = Object.values(this.getSchedules(device));
+        const located = schedules.find(schedule => schedule.type === 'sun' && this.hasGeo(schedule));
+        return located ? { lat: located.lat, lng: located.lng } : null;
+    }
+
+    getSchedules(device) {
+        return (device && device.schedules) || {};
+    }
+
+    // Sunrise and sunset for the calendar day containing `date`, after the NOAA sunrise equation
+    getSunTimes(date, lat, lng) {
+        const rad = Math.PI / 180;
+        const dayMs = 86400000;
+        const J1970 = 2440588;
+        const J2000 = 2451545;
+
+        const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+        const d = noon.valueOf() / dayMs - 0.5 + J1970 - J2000;
+        const lw = rad * -lng;
+        const phi = rad * lat;
+
+        const n = Math.round(d - 0.0009 - lw / (2 * Math.PI));
+        const ds = 0.0009 + lw / (2 * Math.PI) + n;
+        const M = rad * (357.5291 + 0.98560028 * ds);
+        const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+        const L = M + C + rad * 102.9372 + Math.PI;
+        const dec = Math.asin(Math.sin(L) * Math.sin(rad * 23.4397));
+        const transit = J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+        const cosW = (Math.sin(rad * -0.833) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+        if (cosW < -1 || cosW > 1) {
+            return { sunrise: null, sunset: null }; // Polar day or night
+        }
+
+        const w = Math.acos(cosW);
+        const set = J2000 + 0.0009 + (w + lw) / (2 * Math.PI) + n + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+        const rise = transit - (set - transit);
+        const fromJulian = j => new Date((j + 0.5 - J1970) * dayMs);
+
+        return { sunrise: fromJulian(rise), sunset: fromJulian(set) };
+    }
+
+    // Next run of a schedule strictly after `from` (ms), or null if it never runs again
+    getNextOccurrence(schedule, from = Date.now()) {
+        if (!schedule || schedule.enabled === false) return null;
+
+        if (schedule.type === 'once') {
+            const at = schedule.at * 1000;
+            return at > from ? at : null;
+        }
+
+        const start = new Date(from);
+        for (let offset = 0; offset <= 8; offset++) {
+            const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+            if (Array.isArray(schedule.days) && schedule.days.length && !schedule.days.includes(day.getDay())) {
+                continue;
+            }
+
+            let at = null;
+            if (schedule.type === 'sun') {
+                if (!this.hasGeo(schedule)) return null;
+                const sunTimes = this.getSunTimes(day, schedule.lat, schedule.lng);
+                const base = sunTimes[schedule.event];
+                at = base ? base.getTime() + (Number(schedule.offset) || 0) * 60000 : null;
+            } else {
+                const [hours, minutes] = String(schedule.time || '00:00').split(':').map(Number);
+                at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes).getTime();
+            }
+
+            if (at !== null && at > from) return at;
+        }
+
+        return null;
+    }
+
+    getUpcoming(devices, until, from = Date.now()) {
+        const upcoming = [];
+
+        for (const deviceId in devices) {
+            const schedules = this.getSchedules(devices[deviceId]);
+            for (const scheduleId in schedules) {
+                const schedule = schedules[scheduleId];
+                let next = this.getNextOccurrence(schedule, from);
+                while (next !== null && next <= until) {
+                    upcoming.push({ deviceId, scheduleId, schedule, at: next });
+                    next = this.getNextOccurrence(schedule, next);
+                }
+            }
+        }
+
+        return upcoming.sort((a, b) => a.at - b.at);
+    }
+
+    getNextAction(deviceId) {
+        const device = this.dashboard.userDevices[deviceId];
+        const next = this.getUpcoming({ [deviceId]: device }, Date.now() + 8 * 86400000)[0];
+        return next || null;
+    }
+
+    describeSchedule(schedule) {
+        const relay = `Relay ${Number(schedule.channel) + 1} ${schedule.state ? 'ON' : 'OFF'}`;
+        const days = Array.isArray(schedule.days) && schedule.days.length && schedule.days.length < 7
+            ? ` on ${schedule.days.map(d => this.dayNames[d]).join(', ')}`
+            : '';
+
+        switch (schedule.type) {
+            case 'once':
+                return `${relay} at ${new Date(schedule.at * 1000).toLocaleString()}`;
+            case 'sun': {
+                const offset = Number(schedule.offset) || 0;
+                const offsetText = offset ? ` ${offset > 0 ? '+' : '−'}${Math.abs(offset)} min` : '';
+                return `${relay} at ${schedule.event}${offsetText}${days}`;
+            }
+            default:
+                return `${relay} at ${schedule.time}${days || ' daily'}`;
+        }
+    }
+
+    async addSchedule(deviceId, schedule) {
+        const scheduleRef = this.database.ref(`devices/${deviceId}/schedules`).push();
+        const next = this.getNextOccurrence({ ...schedule, enabled: true });
+
+        await scheduleRef.set({
+            ...schedule,
+            enabled: true,
+            next_run: next ? Math.floor(next / 1000) : null,
+            created_by: this.dashboard.auth.currentUser.uid,
+            created: this.dashboard.auth.backend.serverTimestamp()
+        });
+        return scheduleRef.key;
+    }
+
+    async deleteSchedule(deviceId, scheduleId) {
+        await this.database.ref(`devices/${deviceId}/schedules/${scheduleId}`).remove();
+    }
+
+    // Keep `next_run` current so the firmware only has to compare against its own clock. Viewers can't
+    // write schedules, so their devices are left to someone who can.
+    refreshNextRuns() {
+        const updates = {};
+        const now = Date.now();
+
+        for (const deviceId in this.dashboard.userDevices) {
+            if (!this.dashboard.sharing.canControl(this.dashboard.userDevices[deviceId])) continue;
+
+            const schedules = this.getSchedules(this.dashboard.userDevices[deviceId]);
+            for (const scheduleId in schedules) {
+                const schedule = schedules[scheduleId];
+                if (schedule.enabled === false) continue;
+                if (schedule.next_run && schedule.next_run * 1000 > now) continue;
+
+                const next = this.getNextOccurrence(schedule, now);
+                const nextRun = next ? Math.floor(next / 1000) : null;
+                if (nextRun !== (schedule.next_run || null)) {
+                    updates[`devices/${deviceId}/schedules/${scheduleId}/next_run`] = nextRun;
+                }
+            }
+        }
+
+        if (Object.keys(updates).length) {
+            this.database.ref().update(updates).catch(error => {
+                console.warn('Failed to refresh schedule run times:', error);
+            });
+        }
+    }
+
+    getRelayOptions(deviceId) {
+        const device = this.dashboard.userDevices[deviceId] || {};
+        const relays = this.dashboard.getRelayChannels(device.data || {});
+        const list = relays.length ? relays : [{ index: 0, name: 'Relay 1' }];
+        return list.map(relay => `<option value="${relay.index}">${this.dashboard.escapeHtml(relay.name)}</option>`).join('');
+    }
+
+    showDeviceSchedules(deviceId) {
+        const device = this.dashboard.userDevices[deviceId] || {};
+        const geo = this.getDeviceGeo(device);
+        this.activeDeviceId = deviceId;
+        let modal = document.getElementById('scheduleModal');
+        if (modal) modal.remove();
+
+        modal = document.createElement('div');
+        modal.id = 'scheduleModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content schedule-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>⏰ ${this.dashboard.escapeHtml(device.name || deviceId)} Schedules</h2>
+
+                    <div class="schedule-list rules-list"></div>
+
+                    <h3>➕ New Schedule</h3>
+                    <form class="schedule-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Relay:</label>
+                                <select name="channel">${this.getRelayOptions(deviceId)}</select>
+                            </div>
+                            <div class="form-group">
+                                <label>Action:</label>
+                                <select name="state">
+                                    <option value="on">Turn ON</option>
+                                    <option value="off">Turn OFF</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>When:</label>
+                                <select name="type">
+                                    <option value="daily">Every day</option>
+                                    <option value="weekly">Selected weekdays</option>
+                                    <option value="sunrise">Sunrise</option>
+                                    <option value="sunset">Sunset</option>
+                                    <option value="timer">In N minutes</option>
+                                    <option value="once">Once at</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="form-row" data-when="daily weekly">
+                            <div class="form-group">
+                                <label>Time:</label>
+                                <input type="time" name="time" value="18:00">
+                            </div>
+                        </div>
+
+                        <div class="form-row hidden" data-when="sunrise sunset">
+                            <div class="form-group">
+                                <label>Offset (minutes, ±):</label>
+                                <input type="number" name="offset" value="0">
+                            </div>
+                        </div>
+
+                        <div class="weekday-picker hidden" data-when="weekly sunrise sunset">
+                            ${this.dayNames.map((name, index) => `
+                                <label><input type="checkbox" name="days" value="${index}" checked> ${name}</label>
+                            `).join('')}
+                        </div>
+
+                        <div class="form-row hidden" data-when="timer">
+                            <div class="form-group">
+                                <label>Minutes from now:</label>
+                                <input type="number" name="minutes" min="1" value="30">
+                            </div>
+                        </div>
+
+                        <div class="form-row hidden" data-when="once">
+                            <div class="form-group">
+                                <label>Date &amp; time:</label>
+                                <input type="datetime-local" name="at">
+                            </div>
+                        </div>
+
+                        <div class="form-row hidden geo-settings" data-when="sunrise sunset">
+                            <div class="form-group">
+                                <label>Latitude:</label>
+                                <input type="number" name="lat" step="any" value="${geo ? geo.lat : ''}">
+                            </div>
+                            <div class="form-group">
+                                <label>Longitude:</label>
+                                <input type="number" name="lng" step="any" value="${geo ? geo.lng : ''}">
+                            </div>
+                            <div class="form-group">
+                                <label>&nbsp;</label>
+                                <button type="button" class="device-action-btn" data-action="locate">📍 Use my location</button>
+                            </div>
+                        </div>
+
+                        <div class="form-actions">
+                            <button type="submit" class="save-btn">💾 Save Schedule</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const form = modal.querySelector('.schedule-form');
+        const toggleSections = () => {
+            modal.querySelectorAll('[data-when]').forEach(el => {
+                el.classList.toggle('hidden', !el.dataset.when.split(' ').includes(form.type.value));
+            });
+        };
+        form.type.onchange = toggleSections;
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            this.handleScheduleSubmit(deviceId, form);
+        };
+        modal.querySelector('[data-action="locate"]').onclick = () => {
+            navigator.geolocation.getCurrentPosition(position => {
+                form.lat.value = position.coords.latitude.toFixed(4);
+                form.lng.value = position.coords.longitude.toFixed(4);
+            }, error => this.dashboard.showNotification(`Location unavailable: ${error.message}`, 'warning'));
+        };
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+
+        document.body.appendChild(modal);
+        this.renderDeviceScheduleList(deviceId);
+    }
+
+    renderDeviceScheduleList(deviceId) {
+        const list = document.querySelector('#scheduleModal .schedule-list');
+        if (!list) return;
+
+        const schedules = this.getSchedules(this.dashboard.userDevices[deviceId]);
+        const scheduleIds = Object.keys(schedules);
+
+        if (scheduleIds.length === 0) {
+            list.innerHTML = '<div class="history-empty">No schedules for this device yet.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        scheduleIds.forEach(scheduleId => {
+            const schedule = schedules[scheduleId];
+            const next = this.getNextOccurrence(schedule);
+            // Sun schedules from before locations were stored with them can't be worked out any more
+            const missingGeo = schedule.type === 'sun' && !this.hasGeo(schedule);
+            const row = document.createElement('div');
+            row.className = 'rule-item';
+            row.innerHTML = `
+                <div class="rule-summary">
+                    <strong class="rule-name"></strong>
+                    <div class="rule-meta">${missingGeo ? 'No location set; delete it and add it again' : (next ? `Next: ${new Date(next).toLocaleString()}` : 'No upcoming run')}</div>
+                </div>
+                <div class="rule-actions">
+                    <button class="device-action-btn" data-action="delete">🗑️</button>
+                </div>
+            `;
+            row.querySelector('.rule-name').textContent = this.describeSchedule(schedule);
+            row.querySelector('[data-action="delete"]').onclick = () => {
+                this.deleteSchedule(deviceId, scheduleId).catch(error => {
+                    this.dashboard.showNotification(`Failed to delete schedule: ${error.message}`, 'error');
+                });
+            };
+            list.appendChild(row);
+        });
+    }
+
+    async handleScheduleSubmit(deviceId, form) {
+        const type = form.type.value;
+        const days = [...form.querySelectorAll('input[name="days"]:checked')].map(input => Number(input.value));
+        const schedule = {
+            channel: Number(form.channel.value),
+            state: form.state.value === 'on'
+        };
+
+        try {
+            if (type === 'daily' || type === 'weekly') {
+                schedule.type = type;
+                schedule.time = form.time.value;
+                if (type === 'weekly') schedule.days = days;
+            } else if (type === 'sunrise' || type === 'sunset') {
+                const lat = parseFloat(form.lat.value);
+                const lng = parseFloat(form.lng.value);
+                this.validateGeo(lat, lng);
+                schedule.type = 'sun';
+                schedule.event = type;
+                schedule.lat = lat;
+                schedule.lng = lng;
+                schedule.offset = Number(form.offset.value) || 0;
+                if (days.length < 7) schedule.days = days;
+            } else if (type === 'timer') {
+                schedule.type = 'once';
+                schedule.at = Math.floor(Date.now() / 1000) + Math.max(1, Number(form.minutes.value)) * 60;
+            } else {
+                if (!form.at.value) throw new Error('Pick a date and time');
+                schedule.type = 'once';
+                schedule.at = Math.floor(new Date(form.at.value).getTime() / 1000);
+            }
+
+            if (schedule.days && schedule.days.length === 0) {
+                throw new Error('Select at least one day');
+            }
+
+            await this.addSchedule(deviceId, schedule);
+            this.dashboard.showNotification(`Schedule saved: ${this.describeSchedule(schedule)}`, 'success');
+        } catch (error) {
+            this.dashboard.showNotification(`Failed to save schedule: ${error.message}`, 'error');
+        }
+    }
+
+    showCalendar() {
+        let modal = document.getElementById('calendarModal');
+        if (modal) modal.remove();
+
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        const until = start.getTime() + this.overviewDays * 86400000;
+        const upcoming = this.getUpcoming(this.dashboard.userDevices, until);
+
+        const columns = [];
+        for (let i = 0; i < this.overviewDays; i++) {
+            const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+            const entries = upcoming.filter(item => new Date(item.at).toDateString() === day.toDateString());
+            columns.push(`
+                <div class="calendar-day">
+                    <div class="calendar-day-header">
+                        ${day.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                    </div>
+                    ${entries.length ? entries.map(item => {
+                        const device = this.dashboard.userDevices[item.deviceId] || {};
+                        return `
+                            <div class="calendar-entry ${item.schedule.state ? 'on' : 'off'}">
+                                <span class="calendar-time">${new Date(item.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                                <span>${this.dashboard.escapeHtml(device.name || item.deviceId)}</span>
+                                <span>Relay ${Number(item.schedule.channel) + 1} ${item.schedule.state ? 'ON' : 'OFF'}</span>
+                            </div>
+                        `;
+                    }).join('') : '<div class="calendar-empty">—</div>'}
+                </div>
+            `);
+        }
+
+        modal = document.createElement('div');
+        modal.id = 'calendarModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content calendar-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>📅 Upcoming Scheduled Actions</h2>
+                    <div class="calendar-grid">${columns.join('')}</div>
+                </div>
+            </div>
+        `;
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        document.body.appendChild(modal);
+    }
+}
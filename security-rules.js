@@ -0,0 +1,428 @@
+// security-rules.js - Firebase Realtime Database Security Rules
+// Generates database.rules.json from the same access model the dashboard enforces:
+//   node security-rules.js   (writes database.rules.json next to this file)
+class SecurityRulesGenerator {
+    constructor() {
+        this.isSignedIn = 'auth != null';
+        // Set by the mfa functions once this sign-in (identified by its auth_time) has passed the second factor
+        this.isMfaVerified = "root.child('mfa_sessions').child(auth.uid).child('' + auth.token.auth_time).exists()";
+        // Administrators always need a verified second factor, enrolled users too
+        this.isAdmin = `auth != null && root.child('admins').child(auth.uid).exists() && ${this.isMfaVerified}`;
+        this.isActive = `root.child('users').child(auth.uid).child('disabled').val() !== true && (root.child('users').child(auth.uid).child('mfa_enabled').val() !== true || ${this.isMfaVerified})`;
+        this.emailKey = "auth.token.email.toLowerCase().replace('.', ',')";
+        // Ownership by email needs proof the account holds that address; compared without case, as sharing.js does
+        this.hasVerifiedEmail = 'auth.token.email_verified === true';
+        this.probePaths = ['', 'devices', 'users', 'admins', 'invitations', 'rules', 'settings', 'audit', 'pairing', 'firmware', 'rollouts', 'fleet_views', 'history', 'energy_log', 'groups', 'scenes', 'energy', 'alerts', 'mfa', 'mfa_sessions'];
+        this.pairingLifetime = 15 * 60 * 1000; // Upper bound on pairing code lifetime, in milliseconds
+        this.auditRetention = 365 * 86400000; // Audit entries older than this may be removed, in milliseconds
+        this.relayIcons = ['💡', '🔌', '🌀', '🔥', '❄️', '🚰', '📺', '🚪', '🪴', '🔔'];
+    }
+
+    any(...conditions) {
+        return conditions.map(condition => `(${condition})`).join(' || ');
+    }
+
+    device(path = '') {
+        return `root.child('devices').child($deviceId)${path}`;
+    }
+
+    // Claimed devices are owned by uid; devices registered before claiming existed fall back to the email
+    isDeviceOwner() {
+        const ownerUid = this.device(".child('owner_uid')");
+        const ownerEmail = this.device(".child('owner_email')");
+        return `auth != null && ${this.isActive} && (${ownerUid}.val() === auth.uid || (!${ownerUid}.exists() && ${this.isOwnEmail(ownerEmail)}))`;
+    }
+
+    isOwnEmail(node) {
+        return `${this.hasVerifiedEmail} && ${node}.isString() && ${node}.val().toLowerCase() === auth.token.email.toLowerCase()`;
+    }
+
+    // The device's own (anonymous) account, recorded when it was claimed
+    isDeviceItself() {
+        return `auth != null && ${this.device(".child('device_uid').val()")} === auth.uid`;
+    }
+
+    // A claim must reference a pairing code created by the claimant that this device registered against
+    isPairingClaim() {
+        const pairing = "root.child('pairing').child(newData.child('pairing_code').val())";
+        return `auth != null && ${this.isActive} && !data.child('owner_uid').exists() && !data.child('owner_email').exists() && newData.child('owner_uid').val() === auth.uid && ${pairing}.child('uid').val() === auth.uid && ${pairing}.child('device').child('device_id').val() === $deviceId && ${pairing}.child('expires_at').val() > now`;
+    }
+
+    hasDeviceRole(roles) {
+        const entry = this.device(`.child('acl').child(${this.emailKey})`);
+        const roleCheck = roles.map(role => `${entry}.child('role').val() === '${role}'`).join(' || ');
+        return `auth != null && ${this.isActive} && ${entry}.child('status').val() === 'accepted' && (${roleCheck})`;
+    }
+
+    // Invitees may only accept or decline an invitation that is still pending, without changing its role
+    isInviteeResponse() {
+        return `auth != null && $emailKey === ${this.emailKey} && data.child('status').val() === 'pending' && newData.child('role').val() === data.child('role').val() && (newData.child('status').val() === 'accepted' || newData.child('status').val() === 'declined')`;
+    }
+
+    canViewDevice() {
+        return this.any(this.isAdmin, this.isDeviceOwner(), this.hasDeviceRole(['viewer', 'operator', 'owner']));
+    }
+
+    canControlDevice() {
+        return this.any(this.isAdmin, this.isDeviceOwner(), this.hasDeviceRole(['operator', 'owner']));
+    }
+
+    canManageDevice() {
+        return this.any(this.isAdmin, this.isDeviceOwner(), this.hasDeviceRole(['owner']));
+    }
+
+    // Ownership only changes through an admin or a pairing claim. The owner of record may fill in their own
+    // uid or email (older devices have only the email); co-owners from the ACL may change neither, nor
+    // delete the device, since deleting would let them register it again as their own.
+    canWriteDeviceRecord() {
+        const keeps = field => `newData.child('${field}').val() === data.child('${field}').val()`;
+        const ownerWrite = `${this.isDeviceOwner()} && (!newData.exists() || ((${keeps('owner_uid')} || newData.child('owner_uid').val() === auth.uid) && (${keeps('owner_email')} || newData.child('owner_email').val() === auth.token.email)))`;
+        const coOwnerWrite = `${this.hasDeviceRole(['owner'])} && ${keeps('owner_uid')} && ${keeps('owner_email')}`;
+        return this.any(this.isAdmin, ownerWrite, coOwnerWrite);
+    }
+
+    adminsRules() {
+        return {
+            '.read': this.isAdmin,
+            '$uid': {
+                '.read': 'auth != null && auth.uid === $uid',
+                '.write': this.isAdmin
+            }
+        };
+    }
+
+    usersRules() {
+        return {
+            '.read': this.isAdmin,
+            '$uid': {
+                '.read': this.any(this.isAdmin, 'auth != null && auth.uid === $uid'),
+                // Only admins may disable or delete accounts, and only the mfa functions enroll them. This is a
+                // write rule rather than a child .validate because validation doesn't run on deletes, which
+                // would let users drop the flag.
+                '.write': this.any(
+                    this.isAdmin,
+                    'auth != null && auth.uid === $uid && ' + ['disabled', 'deleted', 'mfa_enabled']
+                        .map(field => `newData.child('${field}').val() === data.child('${field}').val()`)
+                        .join(' && ')
+                ),
+                // Users may create their own record as 'user' but never promote themselves
+                'role': {
+                    '.validate': this.any(this.isAdmin, 'newData.val() === data.val()', "!data.exists() && newData.val() === 'user'")
+                },
+                // Only admins may rename accounts
+                'display_name': {
+                    '.validate': this.any(this.isAdmin, 'newData.val() === data.val()')
+                },
+                'sign_ins': {
+                    '$entryId': {
+                        '.validate': `newData.hasChildren(['timestamp', 'method', 'result']) && (${this.any(this.isAdmin, "newData.child('timestamp').val() === now")})`
+                    }
+                }
+            }
+        };
+    }
+
+    // Secrets under mfa/ are only touched by the functions (no client rule means no access); clients may
+    // read which of their own sign-ins are verified
+    mfaSessionsRules() {
+        return {
+            '$uid': {
+                '.read': 'auth != null && auth.uid === $uid'
+            }
+        };
+    }
+
+    devicesRules() {
+        return {
+            '.read': this.any(
+                this.isAdmin,
+                `auth != null && ${this.isActive} && query.orderByChild === 'owner_uid' && query.equalTo === auth.uid`,
+                `auth != null && ${this.isActive} && ${this.hasVerifiedEmail} && query.orderByChild === 'owner_email' && query.equalTo.toLowerCase() === auth.token.email.toLowerCase()`
+            ),
+            '.indexOn': ['owner_uid', 'owner_email'],
+            '$deviceId': {
+                '.read': this.any(this.canViewDevice(), this.isDeviceItself()),
+                '.write': this.any(
+                    this.canWriteDeviceRecord(),
+                    this.isPairingClaim(),
+                    "auth != null && !data.exists() && newData.child('owner_uid').val() === auth.uid",
+                    `auth != null && !data.exists() && ${this.isOwnEmail("newData.child('owner_email')")}`
+                ),
+                'owner_uid': {
+                    '.validate': 'newData.isString()'
+                },
+                'owner_email': {
+                    '.validate': 'newData.isString()'
+                },
+                'data': {
+                    '.write': this.isDeviceItself()
+                },
+                'acl': {
+                    '$emailKey': {
+                        '.write': this.isInviteeResponse(),
+                        'status': {
+                            '.validate': "newData.val() === 'pending' || newData.val() === 'accepted' || newData.val() === 'declined' || newData.val() === 'revoked'"
+                        }
+                    }
+                },
+                'commands': {
+                    '$commandId': {
+                        // The device removes commands once it has applied them
+                        '.write': this.any(this.canControlDevice(), `${this.isDeviceItself()} && !newData.exists()`),
+                        '.validate': "newData.hasChildren(['type', 'channel', 'value', 'issuedBy', 'timestamp']) && newData.child('issuedBy').val() === auth.uid"
+                    }
+                },
+                'schedules': {
+                    '.write': this.canControlDevice()
+                },
+                // Where firmware writes its samples; dashboards move them to history/ (see history.js)
+                'history': {
+                    '.write': this.any(this.canControlDevice(), this.isDeviceItself()),
+                    '.indexOn': ['timestamp'],
+                    '$entry': {
+                        '.validate': "newData.child('timestamp').isNumber()"
+                    }
+                },
+                'ota': this.otaRules(),
+                // Per-device thresholds are set by admins along with the report interval
+                'heartbeat': {
+                    ...this.heartbeatRules(),
+                    '.validate': `${this.heartbeatRules()['.validate']} && (${this.any(this.isAdmin, "newData.child('stale_after').val() === data.child('stale_after').val() && newData.child('offline_after').val() === data.child('offline_after').val()")})`
+                },
+                'config': this.deviceConfigRules(),
+                'config_applied': {
+                    '.write': this.isDeviceItself(),
+                    '.validate': "newData.hasChildren(['version']) && newData.child('version').isNumber()"
+                }
+            }
+        };
+    }
+
+    // Time series kept per device beside devices/, readable and writable as the device itself is
+    deviceSeriesRules(entryRule) {
+        return {
+            '$deviceId': {
+                '.read': this.any(this.canViewDevice(), this.isDeviceItself()),
+                '.write': this.any(this.canControlDevice(), this.isDeviceItself()),
+                '.indexOn': ['timestamp'],
+                '$entry': entryRule
+            }
+        };
+    }
+
+    // Only admins assign firmware; the device may report progress but never change what it installs
+    otaRules() {
+        const adminOnly = { '.validate': this.any(this.isAdmin, 'newData.val() === data.val()') };
+        return {
+            '.write': this.isDeviceItself(),
+            'version': adminOnly,
+            'url': adminOnly,
+            'sha256': adminOnly,
+            'rollout_id': adminOnly,
+            'status': {
+                '.validate': "newData.val() === 'pending' || newData.val() === 'downloading' || newData.val() === 'applied' || newData.val() === 'failed' || newData.val() === 'rolled_back'"
+            }
+        };
+    }
+
+    // Owners edit labels; calibration and reporting are admin-only. Every save bumps the version by one.
+    deviceConfigRules() {
+        const adminOnly = { '.validate': this.any(this.isAdmin, 'newData.val() === data.val()') };
+        return {
+            'version': {
+                // Admins may set any version so a restored backup keeps its counter
+                '.validate': `newData.isNumber() && (${this.any(this.isAdmin, 'newData.val() === (data.exists() ? data.val() + 1 : 1)')})`
+            },
+            'calibration': {
+                '$sensor': adminOnly
+            },
+            'relays': {
+                '$index': {
+                    // Same list as DeviceConfigManager.icons; the icon is shown next to the relay name
+                    'icon': {
+                        '.validate': `newData.isString() && (${['', ...this.relayIcons].map(icon => `newData.val() === '${icon}'`).join(' || ')})`
+                    },
+                    'watts': {
+                        '.validate': 'newData.isNumber() && newData.val() >= 0 && newData.val() <= 10000'
+                    }
+                }
+            },
+            'report_interval': adminOnly
+        };
+    }
+
+    firmwareRules() {
+        return {
+            '.read': this.isAdmin,
+            '.write': this.isAdmin
+        };
+    }
+
+    // Saved fleet views live under each admin's uid; any admin may read and write them so backups restore them all
+    fleetViewsRules() {
+        return {
+            '.read': this.isAdmin,
+            '.write': this.isAdmin,
+            '$uid': {
+                '$viewId': {
+                    '.validate': "newData.hasChildren(['name', 'view']) && newData.child('name').isString()"
+                }
+            }
+        };
+    }
+
+    invitationsRules() {
+        return {
+            '.read': this.isAdmin,
+            '$emailKey': {
+                '.read': this.any(this.isAdmin, `auth != null && $emailKey === ${this.emailKey}`),
+                // Admins clear every invitation of a deleted account at once
+                '.write': this.isAdmin,
+                '$deviceId': {
+                    '.write': this.any(
+                        this.canManageDevice(),
+                        this.isInviteeResponse()
+                    )
+                }
+            }
+        };
+    }
+
+    automationRules() {
+        const isSelf = `auth != null && auth.uid === $uid && ${this.isActive}`;
+        return {
+            '.read': this.isAdmin,
+            '$uid': {
+                '.read': this.any(this.isAdmin, isSelf),
+                '.write': this.any(this.isAdmin, isSelf)
+            }
+        };
+    }
+
+    pairingRules() {
+        return {
+            // Codes can't be listed; knowing one is what lets a device register against it
+            '$code': {
+                '.read': this.isSignedIn,
+                '.write': this.any(
+                    `auth != null && ${this.isActive} && !data.exists() && newData.child('uid').val() === auth.uid && newData.child('expires_at').val() <= now + ${this.pairingLifetime}`,
+                    "auth != null && data.child('uid').val() === auth.uid"
+                ),
+                '.validate': "!newData.exists() || newData.hasChildren(['uid', 'status', 'expires_at'])",
+                'status': {
+                    '.validate': "newData.val() === 'waiting' || newData.val() === 'claimed'"
+                },
+                'device': {
+                    '.write': "auth != null && !data.exists() && data.parent().child('status').val() === 'waiting' && data.parent().child('expires_at').val() > now",
+                    '.validate': "newData.hasChildren(['device_id', 'device_uid']) && newData.child('device_uid').val() === auth.uid && newData.child('device_id').isString()"
+                }
+            }
+        };
+    }
+
+    settingsRules() {
+        return {
+            '.read': this.isSignedIn,
+            '.write': this.isAdmin,
+            'heartbeat': this.heartbeatRules()
+        };
+    }
+
+    // Seconds without a report before a device shows as stale, then offline
+    heartbeatRules() {
+        return {
+            '.validate': "newData.hasChildren(['stale_after', 'offline_after']) && newData.child('offline_after').val() >= newData.child('stale_after').val()",
+            'stale_after': { '.validate': 'newData.isNumber() && newData.val() > 0' },
+            'offline_after': { '.validate': 'newData.isNumber() && newData.val() > 0' }
+        };
+    }
+
+    auditRules() {
+        return {
+            '.read': this.isAdmin,
+            '.indexOn': ['timestamp'],
+            '$entryId': {
+                // Append-only: entries can be created by their actor and never changed; admins may only remove
+                // entries past retention (see AuditLogger.prune)
+                '.write': this.any(
+                    'auth != null && !data.exists() && newData.exists()',
+                    `${this.isAdmin} && !newData.exists() && data.child('timestamp').val() < now - ${this.auditRetention}`
+                ),
+                '.validate': "newData.hasChildren(['actor_uid', 'actor_email', 'action', 'target', 'timestamp']) && newData.child('actor_uid').val() === auth.uid && newData.child('actor_email').val() === auth.token.email && newData.child('timestamp').val() === now"
+            }
+        };
+    }
+
+    generate() {
+        return {
+            rules: {
+                '.read': false,
+                '.write': false,
+                admins: this.adminsRules(),
+                users: this.usersRules(),
+                devices: this.devicesRules(),
+                history: this.deviceSeriesRules({
+                    '.validate': "newData.hasChildren(['timestamp']) && newData.child('timestamp').isNumber()"
+                }),
+                energy_log: this.deviceSeriesRules({
+                    '.validate': "newData.hasChildren(['timestamp', 'relays']) && newData.child('timestamp').isNumber()"
+                }),
+                invitations: this.invitationsRules(),
+                rules: this.automationRules(),
+                groups: this.automationRules(),
+                scenes: this.automationRules(),
+                energy: this.automationRules(),
+                alerts: this.automationRules(),
+                mfa_sessions: this.mfaSessionsRules(),
+                pairing: this.pairingRules(),
+                firmware: this.firmwareRules(),
+                rollouts: this.firmwareRules(),
+                fleet_views: this.fleetViewsRules(),
+                settings: this.settingsRules(),
+                audit: this.auditRules()
+            }
+        };
+    }
+
+    toJSON() {
+        return JSON.stringify(this.generate(), null, 2) + '\n';
+    }
+
+    // Probes the deployed database without credentials; any readable path means the rules are too open
+    async checkDeployment(databaseURL) {
+        const baseURL = databaseURL.replace(/\/+$/, '');
+        const findings = [];
+
+        for (const path of this.probePaths) {
+            const label = `/${path}`;
+            try {
+                const response = await fetch(`${baseURL}/${path ? path + '/' : ''}.json?shallow=true`);
+                if (response.ok) {
+                    findings.push({ path: label, level: 'error', message: `${label} is readable without signing in` });
+                } else if (response.status === 401 || response.status === 403) {
+                    findings.push({ path: label, level: 'success', message: `${label} rejects anonymous reads` });
+                } else {
+                    findings.push({ path: label, level: 'warning', message: `${label} returned HTTP ${response.status}` });
+                }
+            } catch (error) {
+                findings.push({ path: label, level: 'warning', message: `${label} could not be checked: ${error.message}` });
+            }
+        }
+
+        return findings;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SecurityRulesGenerator;
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+        const target = path.join(__dirname, 'database.rules.json');
+        fs.writeFileSync(target, new SecurityRulesGenerator().toJSON());
+        console.log(`✅ Wrote ${target}`);
+    }
+} else {
+    window.securityRules = new SecurityRulesGenerator();
+}
@@ -0,0 +1,327 @@
+// sharing.js - Device Sharing & Access Control Lists
+class SharingManager {
+    constructor(dashboardManager) {
+        this.dashboard = dashboardManager;
+        this.activeDeviceId = null;
+        this.invitations = {};
+        this.roles = {
+            viewer: { label: '👁️ Viewer', level: 1 },
+            operator: { label: '🎛️ Operator', level: 2 },
+            owner: { label: '🔑 Owner', level: 3 }
+        };
+        this.statusLabels = {
+            pending: '⏳ Pending',
+            accepted: '✅ Accepted',
+            declined: '🚫 Declined',
+            revoked: '⛔ Revoked'
+        };
+    }
+
+    get auth() {
+        return this.dashboard.auth;
+    }
+
+    get database() {
+        return this.dashboard.database;
+    }
+
+    // Firebase keys can't contain '.', so ACL entries are keyed by the email with dots swapped for commas
+    getEmailKey(email) {
+        return String(email || '').trim().toLowerCase().replace(/\./g, ',');
+    }
+
+    getAclEntry(device, email = this.auth.currentUser.email) {
+        return (device && device.acl && device.acl[this.getEmailKey(email)]) || null;
+    }
+
+    // Devices claimed with a pairing code are owned by uid; older ones still by email until migrated,
+    // which needs a verified address wherever the backend tracks verification (as the rules require)
+    isOwner(device, user = this.auth.currentUser) {
+        if (device.owner_uid) return device.owner_uid === user.uid;
+        return this.hasVerifiedEmail(user) && !!device.owner_email && device.owner_email.toLowerCase() === user.email.toLowerCase();
+    }
+
+    hasVerifiedEmail(user = this.auth.currentUser) {
+        return user.emailVerified !== false;
+    }
+
+    getRole(device) {
+        if (!device) return null;
+        if (this.auth.isAdmin) return 'owner';
+
+        const email = this.auth.currentUser.email;
+        if (this.isOwner(device)) {
+            return 'owner';
+        }
+
+        const entry = this.getAclEntry(device, email);
+        if (entry && entry.status === 'accepted' && this.roles[entry.role]) {
+            return entry.role;
+        }
+
+        return null;
+    }
+
+    hasRole(device, role) {
+        const current = this.getRole(device);
+        return !!current && this.roles[current].level >= this.roles[role].level;
+    }
+
+    canView(device) {
+        return this.hasRole(device, 'viewer');
+    }
+
+    canControl(device) {
+        return this.hasRole(device, 'operator');
+    }
+
+    canManage(device) {
+        return this.hasRole(device, 'owner');
+    }
+
+    // Invitations are mirrored under invitations/{emailKey} so invitees can find them
+    // without read access to the device itself
+    getPendingInvitations() {
+        return Object.keys(this.invitations)
+            .filter(deviceId => this.invitations[deviceId].status === 'pending')
+            .map(deviceId => ({
+                deviceId: deviceId,
+                device: { name: this.invitations[deviceId].device_name },
+                entry: this.invitations[deviceId]
+            }));
+    }
+
+    getAccessUpdates(deviceId, email, fields) {
+        const emailKey = this.getEmailKey(email);
+        const updates = {};
+        for (const field in fields) {
+            updates[`devices/${deviceId}/acl/${emailKey}/${field}`] = fields[field];
+            updates[`invitations/${emailKey}/${deviceId}/${field}`] = fields[field];
+        }
+        return updates;
+    }
+
+    async invite(deviceId, email, role) {
+        const device = this.dashboard.devicesData[deviceId];
+        if (!this.canManage(device)) {
+            throw new Error('Only device owners can share this device');
+        }
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            throw new Error('Invalid email address format');
+        }
+        if (!this.roles[role]) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        if (device.owner_email && device.owner_email.toLowerCase() === email.toLowerCase()) {
+            throw new Error('This user already owns the device');
+        }
+
+        const emailKey = this.getEmailKey(email);
+        const invitation = {
+            role: role,
+            status: 'pending',
+            invited_by: this.auth.currentUser.uid,
+            invited_by_email: this.auth.currentUser.email,
+            invited_at: this.auth.backend.serverTimestamp()
+        };
+
+        await this.database.ref().update({
+            [`devices/${deviceId}/acl/${emailKey}`]: { ...invitation, email: email.toLowerCase() },
+            [`invitations/${emailKey}/${deviceId}`]: { ...invitation, device_name: device.name || deviceId }
+        });
+
+        await this.auth.audit.record('device.share', deviceId, {
+            after: { email: email.toLowerCase(), role: role, status: 'pending' }
+        });
+    }
+
+    async updateRole(deviceId, email, role) {
+        if (!this.canManage(this.dashboard.devicesData[deviceId])) {
+            throw new Error('Only device owners can change access');
+        }
+        const entry = this.getAclEntry(this.dashboard.devicesData[deviceId], email) || {};
+        await this.database.ref().update(this.getAccessUpdates(deviceId, email, { role: role }));
+        await this.auth.audit.record('device.access_change', deviceId, {
+            before: { email: email, role: entry.role || null },
+            after: { email: email, role: role }
+        });
+    }
+
+    async revoke(deviceId, email) {
+        if (!this.canManage(this.dashboard.devicesData[deviceId])) {
+            throw new Error('Only device owners can revoke access');
+        }
+        await this.database.ref().update(this.getAccessUpdates(deviceId, email, {
+            status: 'revoked',
+            revoked_by: this.auth.currentUser.uid,
+            responded_at: this.auth.backend.serverTimestamp()
+        }));
+        await this.auth.audit.record('device.access_change', deviceId, {
+            before: { email: email, status: 'active' },
+            after: { email: email, status: 'revoked' }
+        });
+    }
+
+    async respond(deviceId, accept) {
+        await this.database.ref().update(this.getAccessUpdates(deviceId, this.auth.currentUser.email, {
+            status: accept ? 'accepted' : 'declined',
+            uid: this.auth.currentUser.uid,
+            responded_at: this.auth.backend.serverTimestamp()
+        }));
+    }
+
+    getInvitationsElement(invitations) {
+        const container = document.createElement('div');
+        container.className = 'invitations-panel';
+        container.innerHTML = `
+            <h3>📨 Device Invitations</h3>
+            ${invitations.map(({ deviceId, device, entry }) => `
+                <div class="invitation-item" data-device-id="${this.dashboard.escapeHtml(deviceId)}">
+                    <div>
+                        <strong>${this.dashboard.escapeHtml(device.name || deviceId)}</strong>
+                        <div class="rule-meta">
+                            ${this.dashboard.escapeHtml(entry.invited_by_email || 'Owner')} invited you as
+                            ${this.roles[entry.role] ? this.roles[entry.role].label : entry.role}
+                        </div>
+                    </div>
+                    <div class="invitation-actions">
+                        <button class="save-btn" data-response="accept">✅ Accept</button>
+                        <button class="device-action-btn" data-response="decline">Decline</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.invitation-item').forEach(item => {
+            item.querySelectorAll('[data-response]').forEach(button => {
+                button.onclick = async () => {
+                    const accept = button.dataset.response === 'accept';
+                    try {
+                        await this.respond(item.dataset.deviceId, accept);
+                        this.dashboard.showNotification(accept ? 'Invitation accepted' : 'Invitation declined', accept ? 'success' : 'info');
+                    } catch (error) {
+                        this.dashboard.showNotification(`Failed to respond to invitation: ${error.message}`, 'error');
+                    }
+                };
+            });
+        });
+
+        return container;
+    }
+
+    showShareModal(deviceId) {
+        let modal = document.getElementById('shareModal');
+        if (modal) modal.remove();
+
+        const device = this.dashboard.devicesData[deviceId] || {};
+        this.activeDeviceId = deviceId;
+
+        modal = document.createElement('div');
+        modal.id = 'shareModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content share-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>👥 Share ${this.dashboard.escapeHtml(device.name || deviceId)}</h2>
+                    <p class="rule-meta">Owner: ${this.dashboard.escapeHtml(device.owner_email || 'Unassigned')}</p>
+
+                    <div class="acl-list rules-list"></div>
+
+                    <h3>➕ Invite Someone</h3>
+                    <form class="share-form rule-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Email:</label>
+                                <input type="email" name="email" required placeholder="family@example.com">
+                            </div>
+                            <div class="form-group">
+                                <label>Access:</label>
+                                <select name="role">
+                                    ${Object.keys(this.roles).map(role => `
+                                        <option value="${role}" ${role === 'operator' ? 'selected' : ''}>${this.roles[role].label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="save-btn">📨 Send Invitation</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const form = modal.querySelector('.share-form');
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            try {
+                await this.invite(deviceId, form.email.value.trim(), form.role.value);
+                this.dashboard.showNotification(`Invitation sent to ${form.email.value.trim()}`, 'success');
+                form.reset();
+            } catch (error) {
+                this.dashboard.showNotification(`Failed to share device: ${error.message}`, 'error');
+            }
+        };
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+
+        document.body.appendChild(modal);
+        this.renderAclList(deviceId);
+    }
+
+    refresh() {
+        if (this.activeDeviceId && document.getElementById('shareModal')) {
+            this.renderAclList(this.activeDeviceId);
+        }
+    }
+
+    renderAclList(deviceId) {
+        const list = document.querySelector('#shareModal .acl-list');
+        if (!list) return;
+
+        const device = this.dashboard.devicesData[deviceId] || {};
+        const entries = Object.values(device.acl || {});
+
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="history-empty">This device is not shared with anyone yet.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const active = entry.status === 'pending' || entry.status === 'accepted';
+            const row = document.createElement('div');
+            row.className = `rule-item ${active ? '' : 'disabled'}`;
+            row.innerHTML = `
+                <div class="rule-summary">
+                    <strong class="rule-name"></strong>
+                    <div class="rule-meta">
+                        <span class="acl-status ${entry.status}">${this.statusLabels[entry.status] || entry.status}</span>
+                    </div>
+                </div>
+                <div class="rule-actions">
+                    ${active ? `
+                        <select class="acl-role">
+                            ${Object.keys(this.roles).map(role => `
+                                <option value="${role}" ${role === entry.role ? 'selected' : ''}>${this.roles[role].label}</option>
+                            `).join('')}
+                        </select>
+                        <button class="device-action-btn" data-action="revoke">⛔ Revoke</button>
+                    ` : `
+                        <button class="device-action-btn" data-action="reinvite">📨 Re-invite</button>
+                    `}
+                </div>
+            `;
+            row.querySelector('.rule-name').textContent = entry.email;
+
+            const notifyError = error => this.dashboard.showNotification(`Failed to update access: ${error.message}`, 'error');
+            if (active) {
+                row.querySelector('.acl-role').onchange = (e) => this.updateRole(deviceId, entry.email, e.target.value).catch(notifyError);
+                row.querySelector('[data-action="revoke"]').onclick = () => this.revoke(deviceId, entry.email).catch(notifyError);
+            } else {
+                row.querySelector('[data-action="reinvite"]').onclick = () => this.invite(deviceId, entry.email, entry.role).catch(notifyError);
+            }
+
+            list.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,252 @@
+// sites.js - Site Switcher & All-Sites Summary
+//
+// Each configured site gets one Backend for the page's lifetime, so every site keeps its own session.
+// The selected site drives the dashboard; the others are only watched for the header's all-sites
+// online/offline summary. For regular users the summary counts the devices they own (shared devices
+// only appear on that site's dashboard), and a site whose second factor hasn't been entered in this
+// tab isn't counted.
+class SiteManager {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.connections = {}; // siteId → { site, backend, ready, heartbeat, user, status, stopDevices, attempt }
+        this.offlineStores = {};
+        this.statuses = {
+            connecting: '⏳ Connecting',
+            'signed-out': '🔒 Signed out',
+            locked: '🔐 Second factor needed',
+            watching: '✅ Signed in',
+            error: '⚠️ Unavailable'
+        };
+    }
+
+    get sites() {
+        return this.configManager.sites;
+    }
+
+    // Resolves with the site's initialized backend, connecting it on first use
+    connect(site) {
+        if (!this.connections[site.id]) {
+            const connection = {
+                site: site,
+                backend: Backend.create(site.config, site.id),
+                heartbeat: new HeartbeatMonitor(),
+                user: null,
+                status: 'connecting',
+                stopDevices: null
+            };
+            connection.heartbeat.onTransition(() => this.renderSummary());
+            connection.ready = connection.backend.initialize()
+                .then(() => {
+                    connection.backend.onAuthStateChanged(user => this.watchSite(connection, user));
+                    return connection.backend;
+                })
+                .catch(error => {
+                    // Forget the failed attempt so switching to the site tries again
+                    delete this.connections[site.id];
+                    this.renderSummary();
+                    throw error;
+                });
+            this.connections[site.id] = connection;
+        }
+        return this.connections[site.id].ready;
+    }
+
+    // Connects the other sites in the background so the summary covers all of them
+    connectAll() {
+        this.sites.forEach(site => {
+            this.connect(site).catch(error => console.warn(`Failed to connect site ${site.id}:`, error));
+        });
+        this.renderSummary();
+    }
+
+    // Cached device state and queued commands are kept per site
+    getOfflineStore(site) {
+        if (!this.offlineStores[site.id]) {
+            this.offlineStores[site.id] = new OfflineStore(this.configManager.getSiteKey('smart_home_offline_v1', site.id));
+        }
+        return this.offlineStores[site.id];
+    }
+
+    // Re-reads access after the dashboard's own sign-in (for example once the second factor is entered)
+    refresh(siteId) {
+        const connection = this.connections[siteId];
+        if (connection) {
+            this.watchSite(connection, connection.user);
+        }
+    }
+
+    async watchSite(connection, user) {
+        if (connection.stopDevices) {
+            connection.stopDevices();
+            connection.stopDevices = null;
+        }
+        connection.heartbeat.detach();
+        connection.heartbeat.update({});
+        connection.user = user;
+        const attempt = connection.attempt = {};
+
+        if (!user) {
+            connection.status = 'signed-out';
+            this.renderSummary();
+            return;
+        }
+
+        try {
+            const access = await connection.backend.getUserAccess(user.uid);
+            // The session changed, or the site was refreshed, while access was loading
+            if (connection.attempt !== attempt) return;
+
+            const verified = access.profile.mfa_enabled || access.isAdmin ? await connection.backend.isMfaVerified() : true;
+            if (connection.attempt !== attempt) return;
+            if (access.profile.disabled || access.profile.deleted) {
+                connection.status = 'signed-out';
+            } else if (!verified) {
+                connection.status = 'locked';
+            } else {
+                connection.status = 'watching';
+                connection.heartbeat.attach(connection.backend.database);
+                connection.heartbeat.start();
+
+                const query = access.isAdmin ? {} : { ownerUid: user.uid };
+                connection.stopDevices = connection.backend.watchDevices(query, (devices) => {
+                    connection.heartbeat.update(devices || {});
+                    this.renderSummary();
+                }, (error) => {
+                    console.warn(`Failed to watch devices on site ${connection.site.id}:`, error);
+                    connection.status = 'error';
+                    this.renderSummary();
+                });
+            }
+        } catch (error) {
+            console.warn(`Failed to load access on site ${connection.site.id}:`, error);
+            connection.status = 'error';
+        }
+        this.renderSummary();
+    }
+
+    getSiteSummary(site) {
+        const connection = this.connections[site.id];
+        const status = connection ? connection.status : 'error';
+        const counts = status === 'watching'
+            ? connection.heartbeat.getCounts()
+            : { online: 0, stale: 0, offline: 0 };
+        return { site: site, status: status, counts: counts, user: connection && connection.user };
+    }
+
+    getSummary() {
+        const sites = this.sites.map(site => this.getSiteSummary(site));
+        const totals = { online: 0, stale: 0, offline: 0 };
+        sites.filter(summary => summary.status === 'watching').forEach(summary => {
+            totals.online += summary.counts.online;
+            totals.stale += summary.counts.stale;
+            totals.offline += summary.counts.offline;
+        });
+        return { sites: sites, totals: totals, watching: sites.filter(summary => summary.status === 'watching').length };
+    }
+
+    formatCounts(summary) {
+        if (summary.status !== 'watching') return this.statuses[summary.status];
+
+        const { online, stale, offline } = summary.counts;
+        return `${online}/${online + stale + offline} online`;
+    }
+
+    // Fills every .site-switcher (login card and dashboard header); hidden with a single site
+    renderSwitcher() {
+        const activeId = this.configManager.activeSiteId;
+        document.querySelectorAll('.site-switcher').forEach(select => {
+            // Options are relabelled in place so an open drop-down isn't closed by a device update
+            if (select.options.length !== this.sites.length) {
+                select.innerHTML = this.sites.map(site => `<option value="${escapeHtml(site.id)}"></option>`).join('');
+            }
+            this.sites.forEach((site, index) => {
+                select.options[index].textContent = `${site.name} · ${this.formatCounts(this.getSiteSummary(site))}`;
+            });
+            select.value = activeId;
+            select.classList.toggle('hidden', this.sites.length < 2);
+        });
+    }
+
+    renderSummary() {
+        this.renderSwitcher();
+
+        const element = document.getElementById('allSitesSummary');
+        if (!element) return;
+
+        element.classList.toggle('hidden', this.sites.length < 2);
+        if (this.sites.length < 2) return;
+
+        const summary = this.getSummary();
+        const { online, stale, offline } = summary.totals;
+        element.textContent = `🏘️ ${summary.watching}/${this.sites.length} sites · ${online} online`
+            + (stale ? ` · ${stale} stale` : '')
+            + ` · ${offline} offline`;
+        element.title = summary.sites
+            .map(siteSummary => `${siteSummary.site.name}: ${this.formatCounts(siteSummary)}`)
+            .join('\n');
+
+        if (document.getElementById('sitesModal')) {
+            this.renderSummaryTable();
+        }
+    }
+
+    showSummaryModal() {
+        let modal = document.getElementById('sitesModal');
+        if (modal) modal.remove();
+
+        modal = document.createElement('div');
+        modal.id = 'sitesModal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content sites-modal">
+                    <button class="close-btn">✖</button>
+                    <h2>🏘️ All Sites</h2>
+                    <p class="rule-meta">Signing in or out on one site leaves the others' sessions alone.</p>
+                    <div class="sites-summary"></div>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close-btn').onclick = () => modal.remove();
+        document.body.appendChild(modal);
+        this.renderSummaryTable();
+    }
+
+    renderSummaryTable() {
+        const container = document.querySelector('#sitesModal .sites-summary');
+        if (!container) return;
+
+        const activeId = this.configManager.activeSiteId;
+        const escape = value => escapeHtml(value === undefined || value === null ? '' : value);
+        container.innerHTML = `
+            <table class="users-table sites-table">
+                <thead>
+                    <tr><th>Site</th><th>Project</th><th>Account</th><th>Status</th><th>Online</th><th>Stale</th><th>Offline</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.getSummary().sites.map(summary => `
+                        <tr class="${summary.site.id === activeId ? 'active-site' : ''}">
+                            <td>${escape(summary.site.name)}</td>
+                            <td>${escape(this.configManager.getProjectLabel(summary.site.config))}</td>
+                            <td>${escape(summary.user ? summary.user.email : '—')}</td>
+                            <td>${this.statuses[summary.status]}</td>
+                            <td>${summary.status === 'watching' ? summary.counts.online : '—'}</td>
+                            <td>${summary.status === 'watching' ? summary.counts.stale : '—'}</td>
+                            <td>${summary.status === 'watching' ? summary.counts.offline : '—'}</td>
+                            <td>${summary.site.id === activeId
+                                ? '<span class="rule-meta">Current</span>'
+                                : `<button class="device-action-btn switch-site-btn" data-site="${escape(summary.site.id)}">Switch</button>`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.switch-site-btn').forEach(button => {
+            button.onclick = () => {
+                document.getElementById('sitesModal').remove();
+                window.app.switchSite(button.dataset.site);
+            };
+        });
+    }
+}
@@ -0,0 +1,130 @@
+// sw.js - Service Worker caching the app shell for offline use
+const CACHE_NAME = 'smart-home-shell-v17';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'html.js',
+    'config.js',
+    'csv.js',
+    'security-rules.js',
+    'audit.js',
+    'notifications.js',
+    'offline-store.js',
+    'memory-database.js',
+    'backend.js',
+    'backend-firebase.js',
+    'backend-mqtt.js',
+    'backend-mock.js',
+    'login-guard.js',
+    'totp.js',
+    'mfa.js',
+    'auth.js',
+    'sites.js',
+    'heartbeat.js',
+    'history.js',
+    'rules.js',
+    'schedules.js',
+    'sharing.js',
+    'offline.js',
+    'lan.js',
+    'pairing.js',
+    'device-config.js',
+    'rooms.js',
+    'scenes.js',
+    'energy.js',
+    'tab-leader.js',
+    'alerts.js',
+    'dashboard.js',
+    'user-import.js',
+    'backup.js',
+    'firmware.js',
+    'fleet.js',
+    'admin.js'
+];
+
+const FIREBASE_SDK = [
+    'https://www.gstatic.com/firebasejs/8.10.1/firebase-app.js',
+    'https://www.gstatic.com/firebasejs/8.10.1/firebase-auth.js',
+    'https://www.gstatic.com/firebasejs/8.10.1/firebase-database.js',
+    'https://www.gstatic.com/firebasejs/8.10.1/firebase-functions.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => Promise.all([
+            cache.addAll(APP_SHELL),
+            // Loaded by plain <script> tags, so cache them the same way (opaque cross-origin responses)
+            ...FIREBASE_SDK.map(url => fetch(new Request(url, { mode: 'no-cors' })).then(response => cache.put(url, response)))
+        ])).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function isShellRequest(url) {
+    return url.origin === self.location.origin || FIREBASE_SDK.includes(url.href);
+}
+
+// Stale-while-revalidate: answer from the cache immediately and refresh it in the background.
+// Firebase Auth and Realtime Database traffic goes to other origins and is never intercepted.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || !isShellRequest(url)) return;
+
+    // config.json and the page are network-first so a redeploy takes effect on the next load; the page
+    // pins config.json's checksum, so the two have to come from the same deploy. The cached copies are
+    // only for offline starts. config.json isn't in APP_SHELL because it may not be deployed.
+    const isPage = request.mode === 'navigate' || url.pathname.endsWith('/index.html');
+    if (url.origin === self.location.origin && (isPage || url.pathname.endsWith('/config.json'))) {
+        event.respondWith(
+            caches.open(CACHE_NAME).then(cache => fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        cache.put(isPage ? 'index.html' : request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(() => cache.match(isPage ? 'index.html' : request, { ignoreSearch: true }).then(cached => cached || Response.error())))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            // Query strings (e.g. ?admin_setup=true) still load the cached page
+            const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok || response.type === 'opaque') {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(() => cached || (request.mode === 'navigate' ? cache.match('index.html') : Response.error()));
+
+            return cached || network;
+        })
+    );
+});
+
+// Alert notifications bring an open dashboard to the front, or open one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const client = clients.find(c => new URL(c.url).origin === self.location.origin);
+            return client ? client.focus() : self.clients.openWindow('./');
+        })
+    );
+});
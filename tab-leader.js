@@ -0,0 +1,40 @@
+// tab-leader.js - One Tab per Browser for Background Work
+//
+// Alerts and automation rules are worked out in the dashboard itself, so every open tab would act on the
+// same event. Tabs queue for a per-user Web Lock; the holder keeps it until it closes or signs out, and
+// the next tab in the queue takes over. Other browsers still need their own claims (see rules.js and
+// alerts.js), since a lock only spans one browser.
+class TabLeader {
+    constructor(name) {
+        this.name = name;
+        this.isLeader = false;
+        this.request = null; // AbortController for a lock request that is still waiting
+        this.releaseLock = null;
+    }
+
+    acquire(uid) {
+        this.resign();
+        if (!navigator.locks) {
+            this.isLeader = true; // Every tab leads, as before the lock existed
+            return;
+        }
+
+        const request = new AbortController();
+        this.request = request;
+        navigator.locks.request(`${this.name}_${uid}`, { signal: request.signal }, () => new Promise(resolve => {
+            this.request = null;
+            this.isLeader = true;
+            this.releaseLock = resolve;
+        })).catch(error => {
+            if (error.name !== 'AbortError') console.warn(`Failed to request the ${this.name} lock:`, error);
+        });
+    }
+
+    resign() {
+        if (this.request) this.request.abort();
+        if (this.releaseLock) this.releaseLock();
+        this.request = null;
+        this.releaseLock = null;
+        this.isLeader = false;
+    }
+}
@@ -0,0 +1,349 @@
+// database-rules.test.js - database.rules.json against the Realtime Database emulator
+//
+//   npm run test:rules     (starts the emulator, which needs Java, and runs this file)
+// Regenerate the rules with `node security-rules.js` first; this tests the generated file.
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { ref, get, set, update, remove, push, query, orderByChild, equalTo } = require('firebase/database');
+
+const authTime = 1760000000; // Sign-in time of every test token, in seconds
+
+const accounts = {
+    owner: { uid: 'u-owner', email: 'owner@example.com' },
+    viewer: { uid: 'u-viewer', email: 'viewer@example.com' },
+    operator: { uid: 'u-operator', email: 'operator@example.com' },
+    coOwner: { uid: 'u-co-owner', email: 'co.owner@example.com' },
+    invitee: { uid: 'u-invitee', email: 'invitee@example.com' },
+    stranger: { uid: 'u-stranger', email: 'stranger@example.com' },
+    disabled: { uid: 'u-disabled', email: 'disabled@example.com' },
+    enrolled: { uid: 'u-enrolled', email: 'enrolled@example.com' },
+    admin: { uid: 'u-admin', email: 'admin@example.com' },
+    unverifiedAdmin: { uid: 'u-admin-2', email: 'admin2@example.com' }
+};
+
+function emailKey(email) {
+    return email.toLowerCase().replace(/\./g, ',');
+}
+
+function share(account, role, status = 'accepted') {
+    return { [emailKey(account.email)]: { email: account.email, role: role, status: status } };
+}
+
+function seed() {
+    const users = {};
+    Object.values(accounts).forEach(account => {
+        users[account.uid] = { email: account.email, role: 'user' };
+    });
+    users[accounts.admin.uid].role = 'admin';
+    users[accounts.unverifiedAdmin.uid].role = 'admin';
+    users[accounts.disabled.uid].disabled = true;
+    users[accounts.enrolled.uid].mfa_enabled = true;
+
+    return {
+        users: users,
+        admins: {
+            [accounts.admin.uid]: { email: accounts.admin.email, role: 'admin' },
+            [accounts.unverifiedAdmin.uid]: { email: accounts.unverifiedAdmin.email, role: 'admin' }
+        },
+        mfa: {
+            [accounts.enrolled.uid]: { secret: 'JBSWY3DPEHPK3PXP', enabled: true, last_counter: 1 }
+        },
+        // The admin passed the second factor for this sign-in; the other admin did not
+        mfa_sessions: {
+            [accounts.admin.uid]: { [authTime]: { verified_at: 1 } }
+        },
+        devices: {
+            'dev-1': {
+                name: 'Living Room',
+                owner_uid: accounts.owner.uid,
+                owner_email: accounts.owner.email,
+                acl: {
+                    ...share(accounts.viewer, 'viewer'),
+                    ...share(accounts.operator, 'operator'),
+                    ...share(accounts.coOwner, 'owner'),
+                    ...share(accounts.invitee, 'operator', 'pending')
+                },
+                data: { timestamp: 1, relays: [false, false] }
+            },
+            'dev-disabled': {
+                name: 'Garage',
+                owner_uid: accounts.disabled.uid,
+                owner_email: accounts.disabled.email
+            },
+            // Registered by email before devices were claimed, with the address typed in mixed case
+            'dev-legacy': {
+                name: 'Shed',
+                owner_email: 'Owner@Example.com'
+            },
+            'dev-enrolled': {
+                name: 'Office',
+                owner_uid: accounts.enrolled.uid,
+                owner_email: accounts.enrolled.email
+            }
+        }
+    };
+}
+
+function command(account) {
+    return { type: 'relay', channel: 0, value: true, issuedBy: account.uid, timestamp: Date.now() };
+}
+
+describe('database.rules.json', () => {
+    let testEnv;
+
+    const db = account => testEnv.authenticatedContext(account.uid, { email: account.email, auth_time: authTime }).database();
+
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-esp32-dashboard',
+            database: { rules: fs.readFileSync(path.join(__dirname, '..', '..', 'database.rules.json'), 'utf8') }
+        });
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearDatabase();
+        await testEnv.withSecurityRulesDisabled(context => set(ref(context.database()), seed()));
+    });
+
+    after(async () => {
+        if (testEnv) await testEnv.cleanup();
+    });
+
+    describe('owners', () => {
+        it('read their own device', async () => {
+            await assertSucceeds(get(ref(db(accounts.owner), 'devices/dev-1')));
+        });
+
+        it('list their devices with the owner_uid query', async () => {
+            const devices = query(ref(db(accounts.owner), 'devices'), orderByChild('owner_uid'), equalTo(accounts.owner.uid));
+            await assertSucceeds(get(devices));
+        });
+
+        it('cannot list devices with someone else\'s uid', async () => {
+            const devices = query(ref(db(accounts.owner), 'devices'), orderByChild('owner_uid'), equalTo(accounts.stranger.uid));
+            await assertFails(get(devices));
+        });
+
+        it('send commands in their own name only', async () => {
+            await assertSucceeds(push(ref(db(accounts.owner), 'devices/dev-1/commands'), command(accounts.owner)));
+            await assertFails(push(ref(db(accounts.owner), 'devices/dev-1/commands'), command(accounts.stranger)));
+        });
+
+        it('cannot hand the device to someone else', async () => {
+            await assertFails(update(ref(db(accounts.owner), 'devices/dev-1'), { owner_uid: accounts.stranger.uid }));
+        });
+
+        it('own devices registered by email only once the address is verified', async () => {
+            const token = emailVerified => testEnv.authenticatedContext(accounts.owner.uid, { email: accounts.owner.email, email_verified: emailVerified, auth_time: authTime }).database();
+            await assertSucceeds(get(ref(token(true), 'devices/dev-legacy')));
+            await assertSucceeds(get(query(ref(token(true), 'devices'), orderByChild('owner_email'), equalTo('Owner@Example.com'))));
+            await assertFails(get(ref(token(false), 'devices/dev-legacy')));
+            await assertFails(get(query(ref(token(false), 'devices'), orderByChild('owner_email'), equalTo(accounts.owner.email))));
+        });
+
+        it('can delete their device', async () => {
+            await assertSucceeds(remove(ref(db(accounts.owner), 'devices/dev-1')));
+        });
+    });
+
+    describe('strangers', () => {
+        it('cannot read other people\'s devices or the whole list', async () => {
+            await assertFails(get(ref(db(accounts.stranger), 'devices/dev-1')));
+            await assertFails(get(ref(db(accounts.stranger), 'devices')));
+        });
+
+        it('cannot send commands or delete the device', async () => {
+            await assertFails(push(ref(db(accounts.stranger), 'devices/dev-1/commands'), command(accounts.stranger)));
+            await assertFails(remove(ref(db(accounts.stranger), 'devices/dev-1')));
+        });
+
+        it('cannot read other users\' profiles', async () => {
+            await assertFails(get(ref(db(accounts.stranger), `users/${accounts.owner.uid}`)));
+            await assertFails(get(ref(db(accounts.stranger), 'users')));
+        });
+    });
+
+    describe('shared devices', () => {
+        it('viewers can read but not control', async () => {
+            await assertSucceeds(get(ref(db(accounts.viewer), 'devices/dev-1')));
+            await assertFails(push(ref(db(accounts.viewer), 'devices/dev-1/commands'), command(accounts.viewer)));
+        });
+
+        it('operators can send commands but not rename the device', async () => {
+            await assertSucceeds(push(ref(db(accounts.operator), 'devices/dev-1/commands'), command(accounts.operator)));
+            await assertFails(update(ref(db(accounts.operator), 'devices/dev-1'), { name: 'Renamed' }));
+        });
+
+        it('co-owners can rename the device', async () => {
+            await assertSucceeds(update(ref(db(accounts.coOwner), 'devices/dev-1'), { name: 'Renamed' }));
+        });
+
+        it('co-owners cannot take ownership or delete the device', async () => {
+            await assertFails(update(ref(db(accounts.coOwner), 'devices/dev-1'), { owner_uid: accounts.coOwner.uid, owner_email: accounts.coOwner.email }));
+            await assertFails(set(ref(db(accounts.coOwner), 'devices/dev-1/owner_uid'), null));
+            await assertFails(remove(ref(db(accounts.coOwner), 'devices/dev-1')));
+        });
+
+        it('pending invitees have no access until they accept', async () => {
+            const entry = `devices/dev-1/acl/${emailKey(accounts.invitee.email)}`;
+            await assertFails(get(ref(db(accounts.invitee), 'devices/dev-1')));
+            await assertSucceeds(update(ref(db(accounts.invitee), entry), { status: 'accepted' }));
+            await assertSucceeds(get(ref(db(accounts.invitee), 'devices/dev-1')));
+        });
+
+        it('invitees cannot raise their own role', async () => {
+            const entry = `devices/dev-1/acl/${emailKey(accounts.invitee.email)}`;
+            await assertFails(update(ref(db(accounts.invitee), entry), { status: 'accepted', role: 'owner' }));
+        });
+
+        it('viewers cannot delete the device', async () => {
+            await assertFails(remove(ref(db(accounts.viewer), 'devices/dev-1')));
+        });
+
+        it('history and energy logs follow the device\'s shares', async () => {
+            const reading = { timestamp: 2, temperature: 21.5 };
+            await assertSucceeds(set(ref(db(accounts.operator), 'history/dev-1/2'), reading));
+            await assertSucceeds(push(ref(db(accounts.operator), 'energy_log/dev-1'), { timestamp: 2, relays: [true, false] }));
+            await assertSucceeds(get(ref(db(accounts.viewer), 'history/dev-1')));
+            await assertFails(set(ref(db(accounts.viewer), 'history/dev-1/3'), { timestamp: 3 }));
+            await assertFails(get(ref(db(accounts.stranger), 'energy_log/dev-1')));
+        });
+
+        it('operators can move firmware history out of the device record', async () => {
+            await testEnv.withSecurityRulesDisabled(context => set(ref(context.database(), 'devices/dev-1/history/a'), { timestamp: 2, temperature: 20 }));
+            await assertFails(update(ref(db(accounts.viewer)), { 'history/dev-1/2': { timestamp: 2, temperature: 20 }, 'devices/dev-1/history/a': null }));
+            await assertSucceeds(update(ref(db(accounts.operator)), { 'history/dev-1/2': { timestamp: 2, temperature: 20 }, 'devices/dev-1/history/a': null }));
+        });
+    });
+
+    describe('admins', () => {
+        it('read every device and user', async () => {
+            await assertSucceeds(get(ref(db(accounts.admin), 'devices')));
+            await assertSucceeds(get(ref(db(accounts.admin), 'users')));
+        });
+
+        it('can disable and re-enable accounts', async () => {
+            await assertSucceeds(update(ref(db(accounts.admin), `users/${accounts.owner.uid}`), { disabled: true }));
+            await assertSucceeds(update(ref(db(accounts.admin), `users/${accounts.disabled.uid}`), { disabled: null }));
+        });
+
+        it('need a verified second factor for this sign-in', async () => {
+            await assertFails(get(ref(db(accounts.unverifiedAdmin), 'users')));
+            await assertFails(get(ref(db(accounts.unverifiedAdmin), 'devices')));
+            const later = testEnv.authenticatedContext(accounts.admin.uid, { email: accounts.admin.email, auth_time: authTime + 60 }).database();
+            await assertFails(get(ref(later, 'users')));
+        });
+
+        it('remove a deleted account\'s shares and invitations in one update', async () => {
+            const emailKeyOf = emailKey(accounts.viewer.email);
+            await testEnv.withSecurityRulesDisabled(context => set(ref(context.database(), `invitations/${emailKeyOf}/dev-1`), { role: 'viewer', status: 'accepted' }));
+            await assertSucceeds(update(ref(db(accounts.admin)), {
+                [`users/${accounts.viewer.uid}`]: { email: accounts.viewer.email, deleted: true, disabled: true },
+                [`invitations/${emailKeyOf}`]: null,
+                [`devices/dev-1/acl/${emailKeyOf}`]: null
+            }));
+            await assertFails(update(ref(db(accounts.owner)), { [`invitations/${emailKeyOf}`]: null }));
+        });
+
+        it('cannot read second-factor secrets', async () => {
+            await assertFails(get(ref(db(accounts.admin), `mfa/${accounts.enrolled.uid}`)));
+        });
+    });
+
+    describe('users', () => {
+        it('cannot promote themselves', async () => {
+            await assertFails(update(ref(db(accounts.owner), `users/${accounts.owner.uid}`), { role: 'admin' }));
+            await assertFails(set(ref(db(accounts.owner), `admins/${accounts.owner.uid}`), { role: 'admin' }));
+        });
+
+        it('cannot disable themselves or rename their account', async () => {
+            await assertFails(update(ref(db(accounts.owner), `users/${accounts.owner.uid}`), { disabled: true }));
+            await assertFails(update(ref(db(accounts.owner), `users/${accounts.owner.uid}`), { display_name: 'Boss' }));
+        });
+
+        it('cannot delete someone else\'s record', async () => {
+            await assertFails(remove(ref(db(accounts.owner), `users/${accounts.stranger.uid}`)));
+        });
+    });
+
+    describe('disabled accounts', () => {
+        it('lose access to their devices', async () => {
+            await assertFails(get(ref(db(accounts.disabled), 'devices/dev-disabled')));
+            const devices = query(ref(db(accounts.disabled), 'devices'), orderByChild('owner_uid'), equalTo(accounts.disabled.uid));
+            await assertFails(get(devices));
+            await assertFails(push(ref(db(accounts.disabled), 'devices/dev-disabled/commands'), command(accounts.disabled)));
+        });
+
+        it('cannot clear the flag', async () => {
+            await assertFails(update(ref(db(accounts.disabled), `users/${accounts.disabled.uid}`), { disabled: null }));
+            await assertFails(remove(ref(db(accounts.disabled), `users/${accounts.disabled.uid}/disabled`)));
+        });
+
+        it('cannot delete or replace their record to drop the flag', async () => {
+            await assertFails(remove(ref(db(accounts.disabled), `users/${accounts.disabled.uid}`)));
+            await assertFails(set(ref(db(accounts.disabled), `users/${accounts.disabled.uid}`), { email: accounts.disabled.email, role: 'user' }));
+        });
+
+        it('cannot drop a deleted flag either', async () => {
+            await testEnv.withSecurityRulesDisabled(context => update(ref(context.database(), `users/${accounts.stranger.uid}`), { deleted: true }));
+            await assertFails(remove(ref(db(accounts.stranger), `users/${accounts.stranger.uid}`)));
+        });
+    });
+
+    describe('audit log', () => {
+        const entry = (account, email = account.email) => ({
+            actor_uid: account.uid,
+            actor_email: email,
+            action: 'device.command',
+            target: 'dev-1',
+            timestamp: { '.sv': 'timestamp' }
+        });
+
+        it('accepts entries in the writer\'s own name', async () => {
+            await assertSucceeds(push(ref(db(accounts.owner), 'audit'), entry(accounts.owner)));
+        });
+
+        it('rejects entries with someone else\'s email', async () => {
+            await assertFails(push(ref(db(accounts.owner), 'audit'), entry(accounts.owner, accounts.admin.email)));
+        });
+
+        it('is only readable by admins', async () => {
+            await assertFails(get(ref(db(accounts.owner), 'audit')));
+            await assertSucceeds(get(ref(db(accounts.admin), 'audit')));
+        });
+
+        it('lets admins remove only entries past retention', async () => {
+            const day = 86400000;
+            await testEnv.withSecurityRulesDisabled(context => set(ref(context.database(), 'audit'), {
+                old: { ...entry(accounts.owner), timestamp: Date.now() - 400 * day },
+                recent: { ...entry(accounts.owner), timestamp: Date.now() - 30 * day }
+            }));
+
+            await assertFails(remove(ref(db(accounts.owner), 'audit/old')));
+            await assertFails(remove(ref(db(accounts.admin), 'audit/recent')));
+            await assertFails(set(ref(db(accounts.admin), 'audit/old/action'), 'user.delete'));
+            await assertSucceeds(remove(ref(db(accounts.admin), 'audit/old')));
+        });
+    });
+
+    describe('second factor', () => {
+        it('enrolled users have no device access until the sign-in is verified', async () => {
+            await assertFails(get(ref(db(accounts.enrolled), 'devices/dev-enrolled')));
+            await testEnv.withSecurityRulesDisabled(context => set(ref(context.database(), `mfa_sessions/${accounts.enrolled.uid}/${authTime}`), { verified_at: 1 }));
+            await assertSucceeds(get(ref(db(accounts.enrolled), 'devices/dev-enrolled')));
+        });
+
+        it('enrolled users cannot remove their enrollment or mark a sign-in verified', async () => {
+            await assertFails(remove(ref(db(accounts.enrolled), `users/${accounts.enrolled.uid}`)));
+            await assertFails(update(ref(db(accounts.enrolled), `users/${accounts.enrolled.uid}`), { mfa_enabled: null }));
+            await assertFails(set(ref(db(accounts.enrolled), `mfa_sessions/${accounts.enrolled.uid}/${authTime}`), { verified_at: 1 }));
+        });
+
+        it('users can read their own verified sign-ins but not their secret', async () => {
+            await assertSucceeds(get(ref(db(accounts.enrolled), `mfa_sessions/${accounts.enrolled.uid}`)));
+            await assertFails(get(ref(db(accounts.enrolled), `mfa/${accounts.enrolled.uid}`)));
+        });
+    });
+});
@@ -0,0 +1,36 @@
+// audit.test.js - AuditLogger retention
+//
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+['memory-database.js', 'audit.js'].forEach(file => {
+    const filename = path.join(__dirname, '..', '..', file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+});
+const MemoryDatabase = vm.runInThisContext('MemoryDatabase');
+const AuditLogger = vm.runInThisContext('AuditLogger');
+
+describe('AuditLogger', () => {
+    it('removes entries past retention, a page at a time, once per session', async () => {
+        const day = 86400000;
+        const now = Date.now();
+        const audit = {};
+        for (let i = 0; i < 5; i++) audit[`old-${i}`] = { action: 'device.command', timestamp: now - 400 * day - i };
+        audit.recent = { action: 'device.command', timestamp: now - 30 * day };
+        audit.edge = { action: 'device.command', timestamp: now - 365 * day + day }; // Inside retention
+
+        const database = new MemoryDatabase({ audit: audit });
+        const logger = new AuditLogger({ database: database });
+
+        await logger.prune(2);
+        assert.deepEqual(Object.keys((await database.ref('audit').once('value')).val()).sort(), ['edge', 'recent']);
+
+        await database.ref('audit/late').set({ action: 'device.command', timestamp: now - 400 * day });
+        await logger.prune(2);
+        assert.ok((await database.ref('audit/late').once('value')).exists());
+    });
+});
@@ -0,0 +1,136 @@
+// backend-mock.test.js - MockBackend driven the way the dashboard and tests use it
+//
+//   npm test
+// The browser files are loaded as plain scripts, in load order, the same way index.html does.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+['memory-database.js', 'backend.js', 'totp.js', 'backend-mock.js'].forEach(file => {
+    const filename = path.join(__dirname, '..', '..', file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+});
+const MockBackend = vm.runInThisContext('MockBackend');
+const Totp = vm.runInThisContext('Totp');
+
+const owner = { uid: 'u-owner', email: 'owner@example.com' };
+
+function createBackend(options = {}) {
+    const backend = new MockBackend({
+        backend: 'mock',
+        mock: {
+            accounts: { [owner.email]: { password: 'secret1', uid: owner.uid } },
+            data: { users: { [owner.uid]: { email: owner.email, role: 'user' } } },
+            ...options
+        }
+    }, 'default');
+    backend.acknowledgeDelay = 0;
+    return backend;
+}
+
+// Resolves with the first value the device watch reports that passes the check
+function waitForDevice(backend, deviceId, check) {
+    return new Promise(resolve => {
+        const stop = backend.watchDevices({ deviceId: deviceId }, device => {
+            if (device && check(device)) {
+                Promise.resolve().then(() => stop());
+                resolve(device);
+            }
+        });
+    });
+}
+
+describe('MockBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        backend = createBackend();
+    });
+
+    it('signs in configured accounts and rejects wrong passwords', async () => {
+        await assert.rejects(backend.signIn(owner.email, 'wrong'), { code: 'auth/invalid-credential' });
+
+        const states = [];
+        backend.onAuthStateChanged(user => states.push(user && user.uid));
+        const user = await backend.signIn(owner.email, 'secret1');
+        assert.deepEqual(user, owner);
+        await backend.signOut();
+        assert.deepEqual(states.slice(-2), [owner.uid, null]);
+    });
+
+    it('shows devices set up with setDevice() and readings from reportState()', async () => {
+        await backend.setDevice('dev-1', { name: 'Hall', owner_uid: owner.uid, data: { relays: [false] } });
+        await backend.reportState('dev-1', { temperature: 20.5 });
+
+        const devices = await new Promise(resolve => {
+            const stop = backend.watchDevices({ ownerUid: owner.uid }, value => {
+                Promise.resolve().then(() => stop());
+                resolve(value);
+            });
+        });
+        assert.equal(devices['dev-1'].name, 'Hall');
+        assert.equal(devices['dev-1'].data.temperature, 20.5);
+        assert.deepEqual(devices['dev-1'].data.relays, [false]);
+        assert.ok(Math.abs(devices['dev-1'].data.timestamp - Date.now() / 1000) < 5);
+    });
+
+    it('acknowledges commands by applying them and removing them from the queue', async () => {
+        await backend.signIn(owner.email, 'secret1');
+        await backend.setDevice('dev-1', { owner_uid: owner.uid, data: { relays: [false, false], pwm: [0] } });
+
+        const sent = await backend.sendCommand('dev-1', { type: 'relay', channel: 1, value: true, issuedBy: owner.uid });
+        assert.equal(backend.sentCommands.length, 1);
+        assert.equal(backend.sentCommands[0].id, sent.id);
+
+        const device = await waitForDevice(backend, 'dev-1', value => !value.commands && value.data.relays[1] === true);
+        assert.deepEqual(device.data.relays, [false, true]);
+    });
+
+    it('leaves commands queued until acknowledge() when autoAcknowledge is off', async () => {
+        backend = createBackend({ autoAcknowledge: false });
+        await backend.setDevice('dev-1', { owner_uid: owner.uid, data: { relays: [false], pwm: [10] } });
+
+        const sent = await backend.sendCommand('dev-1', { type: 'pwm', channel: 0, value: 75, issuedBy: owner.uid });
+        const queued = (await backend.database.ref(`devices/dev-1/commands/${sent.id}`).once('value')).val();
+        assert.equal(queued.value, 75);
+
+        backend.acknowledge('dev-1', sent.id);
+        const device = (await backend.database.ref('devices/dev-1').once('value')).val();
+        assert.equal(device.commands, undefined);
+        assert.deepEqual(device.data.pwm, [75]);
+    });
+
+    it('reports the connection state set with setConnected()', async () => {
+        const states = [];
+        backend.database.ref('.info/connected').on('value', snapshot => states.push(snapshot.val()));
+        backend.setConnected(false);
+        backend.setConnected(true);
+        assert.deepEqual(states.slice(-2), [false, true]);
+    });
+
+    it('names its deployment for backups', () => {
+        assert.equal(backend.getDeploymentId(), 'mock');
+    });
+
+    it('checks second-factor codes without storing the secret in the database', async () => {
+        const totp = new Totp();
+        await backend.signIn(owner.email, 'secret1');
+
+        const { secret } = await backend.startMfaEnrollment();
+        await assert.rejects(backend.confirmMfaEnrollment('000000'));
+        await backend.confirmMfaEnrollment(await totp.generateCode(secret, totp.getCounter()));
+        assert.equal(await backend.isMfaVerified(), true);
+        assert.equal(backend.database.get(['users', owner.uid, 'mfa_enabled']), true);
+        assert.ok(!JSON.stringify(backend.database.toJSON()).includes(secret));
+
+        // A new sign-in has to pass the second factor again, and a code can't be used twice
+        await backend.signOut();
+        await backend.signIn(owner.email, 'secret1');
+        assert.equal(await backend.isMfaVerified(), false);
+        const code = await totp.generateCode(secret, totp.getCounter() + 1);
+        assert.equal(await backend.verifyMfa(code), true);
+        assert.equal(await backend.verifyMfa(code), false);
+    });
+});
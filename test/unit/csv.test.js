@@ -0,0 +1,59 @@
+// csv.test.js - CsvCodec parsing, in particular the line numbers used in import error reports, and formula-safe writing
+//
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+globalThis.window = globalThis.window || {};
+const filename = path.join(__dirname, '..', '..', 'csv.js');
+vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+const CsvCodec = vm.runInThisContext('CsvCodec');
+
+describe('CsvCodec', () => {
+    const csv = new CsvCodec();
+
+    it('reads quoted fields with delimiters, quotes and line breaks', () => {
+        const rows = csv.parse('email,note\r\na@example.com,"one, ""two""\nthree"\r\n');
+        assert.deepEqual(rows, [{ email: 'a@example.com', note: 'one, "two"\nthree' }]);
+    });
+
+    it('reads back what it writes', () => {
+        const rows = [{ email: 'a@example.com', note: ' padded ' }, { email: 'b@example.com', note: 'x\r\ny' }];
+        assert.deepEqual(csv.parse(csv.stringify(rows)), rows);
+    });
+
+    it('writes text a spreadsheet would run as a formula as plain text', () => {
+        const rows = [
+            { name: '=HYPERLINK("http://example.com","x")', note: '+1' },
+            { name: '-2+3', note: '@SUM(A1)' },
+            { name: '\tcmd', note: '\rcmd' }
+        ];
+        assert.equal(csv.stringify(rows),
+            'name,note\r\n' +
+            '"\'=HYPERLINK(""http://example.com"",""x"")","\'+1"\r\n' +
+            '"\'-2+3","\'@SUM(A1)"\r\n' +
+            '"\'\tcmd","\'\rcmd"\r\n');
+    });
+
+    it('leaves numbers and other text as they are', () => {
+        assert.equal(csv.stringify([{ kwh: -1.5, name: 'Hall = lamp' }]), 'kwh,name\r\n-1.5,Hall = lamp\r\n');
+    });
+
+    it('reports the line each record starts on', () => {
+        const text = 'email,note\n' +
+            'a@example.com,"first\nsecond\r\nthird"\n' +
+            '\n' +
+            'b@example.com,plain\r' +
+            'c@example.com,"x\ry"\n' +
+            'd@example.com,last';
+        assert.deepEqual(csv.parseWithLines(text).map(entry => [entry.line, entry.row.email]), [
+            [2, 'a@example.com'],
+            [6, 'b@example.com'],
+            [7, 'c@example.com'],
+            [9, 'd@example.com']
+        ]);
+    });
+});
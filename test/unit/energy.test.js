@@ -0,0 +1,90 @@
+// energy.test.js - EnergyManager tariff bands, midnight splits and usage totals
+//
+//   npm test
+// Runs in UTC so local midnights and band edges fall on round Unix times.
+process.env.TZ = 'UTC';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const filename = path.join(__dirname, '..', '..', 'energy.js');
+vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+const EnergyManager = vm.runInThisContext('EnergyManager');
+
+const hour = 3600;
+const midnight = Date.UTC(2024, 0, 15) / 1000;
+
+function createEnergy(status) {
+    const energy = new EnergyManager({ heartbeat: { getStatus: () => status } });
+    energy.tariff = { currency: '$', base_rate: 0.2, bands: [{ name: 'Night', start: '22:00', end: '06:00', rate: 0.1 }] };
+    return energy;
+}
+
+describe('EnergyManager', () => {
+    describe('getBand', () => {
+        const energy = createEnergy('online');
+
+        it('matches bands that wrap past midnight on both sides', () => {
+            assert.equal(energy.getBand(23 * 60).name, 'Night');
+            assert.equal(energy.getBand(0).name, 'Night');
+            assert.equal(energy.getBand(6 * 60 - 1).name, 'Night');
+        });
+
+        it('uses the standard rate outside every band, including the band\'s end minute', () => {
+            assert.deepEqual(energy.getBand(6 * 60), { name: 'Standard', rate: 0.2 });
+            assert.equal(energy.getBand(22 * 60 - 1).name, 'Standard');
+        });
+    });
+
+    describe('splitByTariff', () => {
+        it('splits an evening run at the band edge and at midnight', () => {
+            const segments = [];
+            createEnergy('online').splitByTariff(midnight + 21 * hour, midnight + 25 * hour, (date, band, seconds) => {
+                segments.push([date, band.name, seconds / hour]);
+            });
+
+            assert.deepEqual(segments, [
+                ['2024-01-15', 'Standard', 1],
+                ['2024-01-15', 'Night', 2],
+                ['2024-01-16', 'Night', 1]
+            ]);
+        });
+
+        it('covers the whole interval without gaps', () => {
+            let total = 0;
+            createEnergy('online').splitByTariff(midnight + 100, midnight + 3 * 86400 - 7, (date, band, seconds) => {
+                total += seconds;
+            });
+            assert.equal(total, 3 * 86400 - 107);
+        });
+    });
+
+    describe('computeUsage', () => {
+        const device = { data: { timestamp: midnight + 23 * hour }, config: { relays: { 0: { watts: 1000 } } } };
+        const entries = [{ timestamp: midnight + 20 * hour, relays: [true] }];
+
+        it('prices each band on the day it was used', () => {
+            const rows = createEnergy('online').computeUsage('heater', device, entries, midnight, midnight + 26 * hour);
+            const byKey = Object.fromEntries(rows.map(row => [`${row.date} ${row.band}`, row]));
+
+            assert.equal(byKey['2024-01-15 Standard'].kwh, 2);
+            assert.equal(byKey['2024-01-15 Night'].kwh, 2);
+            assert.equal(byKey['2024-01-16 Night'].kwh, 2);
+            assert.ok(Math.abs(byKey['2024-01-15 Night'].cost - 0.2) < 1e-9);
+        });
+
+        it('ends the last logged state at the final report of a device that went offline', () => {
+            const rows = createEnergy('offline').computeUsage('heater', device, entries, midnight, midnight + 26 * hour);
+            assert.equal(rows.reduce((kwh, row) => kwh + row.kwh, 0), 3);
+        });
+
+        it('prefers measured power over the configured rating', () => {
+            const measured = [{ timestamp: midnight + 12 * hour, relays: [true], power: { 0: 500 } }];
+            const rows = createEnergy('online').computeUsage('heater', device, measured, midnight, midnight + 14 * hour);
+            assert.equal(rows[0].kwh, 1);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+// heartbeat.test.js - HeartbeatMonitor states, transitions and thresholds
+//
+//   npm test
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const filename = path.join(__dirname, '..', '..', 'heartbeat.js');
+vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+const HeartbeatMonitor = vm.runInThisContext('HeartbeatMonitor');
+
+const start = 1760000000;
+
+function reporting(timestamp, heartbeat) {
+    return { data: { timestamp: timestamp }, ...(heartbeat ? { heartbeat: heartbeat } : {}) };
+}
+
+describe('HeartbeatMonitor', () => {
+    let monitor;
+    let time;
+    let transitions;
+
+    beforeEach(() => {
+        monitor = new HeartbeatMonitor();
+        time = start;
+        monitor.now = () => time;
+        transitions = [];
+        monitor.onTransition(batch => transitions.push(...batch.map(({ deviceId, from, to }) => [deviceId, from, to])));
+    });
+
+    it('goes online, stale and offline as the last report ages', () => {
+        monitor.update({ hall: reporting(start) });
+        time = start + 119;
+        monitor.evaluateAll();
+        time = start + 120;
+        monitor.evaluateAll();
+        time = start + 299;
+        monitor.evaluateAll();
+        time = start + 300;
+        monitor.evaluateAll();
+
+        assert.deepEqual(transitions, [
+            ['hall', null, 'online'],
+            ['hall', 'online', 'stale'],
+            ['hall', 'stale', 'offline']
+        ]);
+    });
+
+    it('reports each change once and comes back online with a new report', () => {
+        monitor.update({ hall: reporting(start - 400) });
+        monitor.evaluateAll();
+        monitor.update({ hall: reporting(start) });
+
+        assert.deepEqual(transitions, [['hall', null, 'offline'], ['hall', 'offline', 'online']]);
+        assert.deepEqual(monitor.getCounts(), { online: 1, stale: 0, offline: 0 });
+    });
+
+    it('treats devices without a report, and removed devices, as offline', () => {
+        monitor.update({ hall: reporting(start), shed: {} });
+        assert.equal(monitor.getState('shed'), 'offline');
+
+        monitor.update({ shed: {} });
+        assert.equal(monitor.getState('hall'), 'offline');
+        assert.deepEqual(monitor.getCounts(['hall', 'shed']), { online: 0, stale: 0, offline: 2 });
+    });
+
+    it('counts a device clock running ahead as a fresh report', () => {
+        assert.equal(monitor.getAge(reporting(start + 50)), 0);
+        assert.equal(monitor.getStatus(reporting(start + 50)), 'online');
+    });
+
+    it('uses a device\'s own thresholds over the global ones', () => {
+        const device = reporting(start - 60, { stale_after: 30, offline_after: 50 });
+        assert.equal(monitor.getStatus(device), 'offline');
+        assert.equal(monitor.getStatus(reporting(start - 60)), 'online');
+    });
+
+    it('falls back to the global thresholds for missing or invalid values', () => {
+        assert.deepEqual(monitor.normalizeThresholds({ stale_after: 'x', offline_after: -1 }, monitor.globalThresholds), { staleAfter: 120, offlineAfter: 300 });
+        // offline_after is never allowed below stale_after
+        assert.deepEqual(monitor.normalizeThresholds({ stale_after: 600 }, monitor.globalThresholds), { staleAfter: 600, offlineAfter: 600 });
+        assert.deepEqual(monitor.normalizeThresholds({ staleAfter: 10, offlineAfter: 20 }, monitor.globalThresholds), { staleAfter: 10, offlineAfter: 20 });
+    });
+
+    it('validates thresholds an admin enters', () => {
+        assert.equal(monitor.validateThresholds({ staleAfter: 60, offlineAfter: 60 }), null);
+        assert.match(monitor.validateThresholds({ staleAfter: 60, offlineAfter: 30 }), /offline before it goes stale/);
+        assert.match(monitor.validateThresholds({ staleAfter: 1.5, offlineAfter: 30 }), /whole numbers/);
+        assert.match(monitor.validateThresholds({ staleAfter: 0, offlineAfter: 30 }), /whole numbers/);
+    });
+
+    it('re-evaluates every device when the global thresholds change', () => {
+        monitor.update({ hall: reporting(start - 200) });
+        monitor.setGlobalThresholds({ staleAfter: 300, offlineAfter: 600 });
+
+        assert.deepEqual(transitions, [['hall', null, 'stale'], ['hall', 'stale', 'online']]);
+    });
+});
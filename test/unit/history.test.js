@@ -0,0 +1,84 @@
+// history.test.js - HistoryManager downsampling and the firmware's devices/{id}/history samples
+//
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+['memory-database.js', 'history.js'].forEach(file => {
+    const filename = path.join(__dirname, '..', '..', file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+});
+const MemoryDatabase = vm.runInThisContext('MemoryDatabase');
+const HistoryManager = vm.runInThisContext('HistoryManager');
+
+describe('HistoryManager', () => {
+    describe('downsample', () => {
+        const history = new HistoryManager({});
+
+        it('leaves short series alone', () => {
+            const points = [{ t: 0, v: 1 }, { t: 10, v: 2 }];
+            assert.equal(history.downsample(points, 5), points);
+        });
+
+        it('averages points into equal-width time buckets', () => {
+            const points = Array.from({ length: 10 }, (_, i) => ({ t: i * 10, v: i }));
+            assert.deepEqual(history.downsample(points, 5), [
+                { t: 5, v: 0.5 },
+                { t: 25, v: 2.5 },
+                { t: 45, v: 4.5 },
+                { t: 65, v: 6.5 },
+                { t: 85, v: 8.5 }
+            ]);
+        });
+
+        it('never returns more points than asked for, and drops empty buckets', () => {
+            const points = [...Array.from({ length: 200 }, (_, i) => ({ t: i, v: 1 })), { t: 10000, v: 3 }];
+            const result = history.downsample(points, 50);
+
+            assert.ok(result.length <= 50);
+            assert.deepEqual(result[result.length - 1], { t: 10000, v: 3 });
+            assert.ok(result.every(point => point.v === 1 || point.v === 3));
+        });
+
+        it('copes with every point at the same time', () => {
+            const points = Array.from({ length: 4 }, (_, i) => ({ t: 7, v: i }));
+            assert.deepEqual(history.downsample(points, 2), [{ t: 7, v: 1.5 }]);
+        });
+    });
+
+    describe('firmware samples', () => {
+        const now = Math.floor(Date.now() / 1000);
+
+        it('charts samples from both paths once each', async () => {
+            const database = new MemoryDatabase({
+                history: { hall: { [now - 20]: { timestamp: now - 20, temperature: 20 } } },
+                devices: { hall: { history: {
+                    a: { timestamp: now - 20, temperature: 20 },
+                    b: { timestamp: now - 10, temperature: 21 },
+                    old: { timestamp: now - 7200, temperature: 18 }
+                } } }
+            });
+            const samples = await new HistoryManager({ database: database }).loadHistory('hall', '1h');
+
+            assert.deepEqual(samples.map(sample => sample.timestamp), [now - 20, now - 10]);
+        });
+
+        it('moves firmware samples beside devices in one update', async () => {
+            const database = new MemoryDatabase({ devices: { hall: { history: {
+                a: { timestamp: now - 20, temperature: 20 },
+                broken: { temperature: 19 }
+            } } } });
+            const history = new HistoryManager({ database: database });
+            const device = (await database.ref('devices/hall').once('value')).val();
+
+            await history.moveFirmwareHistory('hall', device);
+
+            assert.equal((await database.ref('devices/hall/history').once('value')).val(), null);
+            assert.deepEqual(Object.keys((await database.ref('history/hall').once('value')).val()), [String(now - 20)]);
+            assert.deepEqual(history.moving, {});
+        });
+    });
+});
@@ -0,0 +1,27 @@
+// html.test.js - escapeHtml, shared by every innerHTML template
+//
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const filename = path.join(__dirname, '..', '..', 'html.js');
+vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+const escapeHtml = vm.runInThisContext('escapeHtml');
+
+describe('escapeHtml', () => {
+    it('escapes markup and both quote characters', () => {
+        assert.equal(escapeHtml(`<img src=x onerror="alert('1')">&`), '&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt;&amp;');
+    });
+
+    it('escapes an ampersand once, before the entities it introduces', () => {
+        assert.equal(escapeHtml('&lt;'), '&amp;lt;');
+    });
+
+    it('turns other values into text', () => {
+        assert.equal(escapeHtml(42), '42');
+        assert.equal(escapeHtml(null), 'null');
+    });
+});
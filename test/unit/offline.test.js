@@ -0,0 +1,120 @@
+// offline.test.js - OfflineManager command queue and replay after reconnecting
+//
+//   npm test
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// An in-memory stand-in for offline-store.js, and a page without the offline banner
+globalThis.document = { getElementById: () => null };
+globalThis.window = globalThis.window || {};
+
+['memory-database.js', 'offline.js'].forEach(file => {
+    const filename = path.join(__dirname, '..', '..', file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+});
+const MemoryDatabase = vm.runInThisContext('MemoryDatabase');
+const OfflineManager = vm.runInThisContext('OfflineManager');
+
+function createStore() {
+    const stores = { commands: {}, snapshots: {} };
+    return {
+        stores: stores,
+        get: async (store, key) => stores[store][key],
+        getAll: async store => Object.values(stores[store]),
+        put: async (store, key, value) => { stores[store][key] = value; },
+        delete: async (store, key) => { delete stores[store][key]; }
+    };
+}
+
+// A dashboard with one two-relay device, recording the commands and notifications it is given
+function createDashboard(database, sent, notifications) {
+    const devices = { hall: { name: 'Hall', data: { relays: [false, false] } } };
+    return {
+        database: database,
+        auth: { currentUser: { uid: 'u-owner' } },
+        userDevices: devices,
+        devicesData: devices,
+        getCommandKey: (deviceId, type, channel) => `${deviceId}_${type}_${channel}`,
+        getReportedValue: (data, type, channel) => (data.relays || [])[channel],
+        sendCommand: async (deviceId, type, channel, value) => sent.push([deviceId, channel, value]),
+        renderDashboard: () => {},
+        updateTransportBadge: () => {},
+        showNotification: (message, type) => notifications.push(type)
+    };
+}
+
+// Progress logging on stdout can corrupt the test runner's own messages
+mock.method(console, 'log', () => {});
+
+describe('OfflineManager', () => {
+    let database;
+    let sent;
+    let notifications;
+    let offline;
+
+    beforeEach(() => {
+        window.offlineStore = createStore();
+        database = new MemoryDatabase({ devices: { hall: { data: { relays: [false, false] } } } });
+        sent = [];
+        notifications = [];
+        offline = new OfflineManager(createDashboard(database, sent, notifications));
+        offline.database = database;
+    });
+
+    it('keeps one command per channel and persists it', async () => {
+        await offline.enqueue('hall', 'relay', 0, true);
+        await offline.enqueue('hall', 'relay', 1, true);
+
+        assert.deepEqual(Object.keys(offline.queue), ['hall_relay_0', 'hall_relay_1']);
+        assert.equal(window.offlineStore.stores.commands.hall_relay_0.baseline, false);
+    });
+
+    it('cancels a queued command when toggled back to the reported state', async () => {
+        await offline.enqueue('hall', 'relay', 0, true);
+        await offline.enqueue('hall', 'relay', 0, false);
+
+        assert.deepEqual(offline.queue, {});
+        assert.deepEqual(window.offlineStore.stores.commands, {});
+    });
+
+    it('sends queued commands once reconnected and empties the queue', async () => {
+        await offline.enqueue('hall', 'relay', 0, true);
+        offline.handleConnectionChange(true);
+        while (offline.isReplaying) await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(sent, [['hall', 0, true]]);
+        assert.deepEqual(offline.queue, {});
+        assert.deepEqual(notifications, ['success']);
+    });
+
+    it('drops commands the device already satisfies or that someone else overrode', async () => {
+        await offline.enqueue('hall', 'relay', 0, true);
+        await offline.enqueue('hall', 'relay', 1, true);
+        // Meanwhile relay 0 was switched on elsewhere, and relay 1 was reported as something else entirely
+        await database.ref('devices/hall/data/relays').set([true, 'fault']);
+
+        await offline.replayQueue();
+
+        assert.deepEqual(sent, []);
+        assert.deepEqual(offline.queue, {});
+        assert.deepEqual(notifications, ['warning']);
+    });
+
+    it('keeps a command queued when replaying it fails', async () => {
+        offline.dashboard.sendCommand = async () => { throw new Error('PERMISSION_DENIED'); };
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            await offline.enqueue('hall', 'relay', 0, true);
+            await offline.replayQueue();
+        } finally {
+            console.warn = warn;
+        }
+
+        assert.deepEqual(Object.keys(offline.queue), ['hall_relay_0']);
+        assert.equal(offline.isReplaying, false);
+    });
+});
@@ -0,0 +1,117 @@
+// rules.test.js - RulesEngine triggers, hysteresis, cooldown and claimed firings
+//
+//   npm test
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+['memory-database.js', 'rules.js'].forEach(file => {
+    const filename = path.join(__dirname, '..', '..', file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+});
+const MemoryDatabase = vm.runInThisContext('MemoryDatabase');
+const RulesEngine = vm.runInThisContext('RulesEngine');
+
+// A dashboard with one device, recording the commands each engine sends
+function createDashboard(database, devices, sent) {
+    return {
+        database: database,
+        auth: { currentUser: { uid: 'u-owner' } },
+        leader: { isLeader: true },
+        userDevices: devices,
+        devicesData: devices,
+        getRelayChannels: data => (data.relays || []).map((state, index) => ({ index: index, state: state })),
+        sendCommand: async (deviceId, type, channel, value) => sent.push({ deviceId, type, channel, value }),
+        showNotification: () => {}
+    };
+}
+
+const fanRule = {
+    name: 'Fan',
+    enabled: true,
+    trigger: { type: 'sensor', deviceId: 'hall', field: 'temperature', operator: '>', value: 25, hysteresis: 2 },
+    action: { type: 'relay', deviceId: 'hall', channel: 0, state: true },
+    cooldown: 300
+};
+
+// Progress logging on stdout can corrupt the test runner's own messages
+mock.method(console, 'log', () => {});
+
+describe('RulesEngine', () => {
+    const engine = new RulesEngine(createDashboard(null, {}, []));
+
+    it('holds a triggered rule inside the hysteresis band', () => {
+        const trigger = { operator: '>', value: 25, hysteresis: 2 };
+        assert.equal(engine.checkSensorValue(trigger, 26), true);
+        assert.equal(engine.checkSensorValue(trigger, 25), null);
+        assert.equal(engine.checkSensorValue(trigger, 23.5), null);
+        assert.equal(engine.checkSensorValue(trigger, 22.9), false);
+    });
+
+    it('mirrors the band for falling thresholds', () => {
+        const trigger = { operator: '<=', value: 10, hysteresis: -1 };
+        assert.equal(engine.checkSensorValue(trigger, 10), true);
+        assert.equal(engine.checkSensorValue(trigger, 11), null);
+        assert.equal(engine.checkSensorValue(trigger, 11.5), false);
+    });
+
+    it('ignores missing readings and unknown operators', () => {
+        assert.equal(engine.checkSensorValue({ operator: '>', value: 1 }, undefined), null);
+        assert.equal(engine.checkSensorValue({ operator: '=', value: 1 }, 1), null);
+    });
+
+    it('fires once per crossing and re-arms only after the condition clears', () => {
+        const state = { armed: true, lastFired: 0 };
+        assert.equal(engine.step(state, true, 1000, 60), true);
+        assert.equal(engine.step(state, true, 2000, 60), false);
+        assert.equal(engine.step(state, null, 3000, 60), false);
+        assert.equal(engine.step(state, true, 3100, 60), false);
+        assert.equal(engine.step(state, false, 3200, 60), false);
+        assert.equal(engine.step(state, true, 3210, 60), true);
+    });
+
+    it('waits out the cooldown even after re-arming', () => {
+        const state = { armed: true, lastFired: 0 };
+        engine.step(state, true, 1000, 300);
+        engine.step(state, false, 1010, 300);
+        assert.equal(engine.step(state, true, 1100, 300), false);
+        assert.equal(engine.step(state, true, 1300, 300), true);
+    });
+
+    it('lets only one of several dashboards act on a crossing', async () => {
+        const database = new MemoryDatabase({ rules: { 'u-owner': { fan: fanRule } } });
+        const devices = { hall: { data: { temperature: 27, relays: [false] } } };
+        const sent = [];
+        const engines = [1, 2, 3].map(() => {
+            const other = new RulesEngine(createDashboard(database, devices, sent));
+            other.rulesRef = database.ref('rules/u-owner');
+            other.rules = { fan: fanRule };
+            return other;
+        });
+
+        const now = Math.floor(Date.now() / 1000);
+        await Promise.all(engines.map(other => other.fireRule('fan', fanRule, now, fanRule.cooldown)));
+        assert.equal(sent.length, 1);
+        assert.equal((await database.ref('rules/u-owner/fan/last_fired').once('value')).val(), now);
+
+        // A later crossing inside the cooldown is refused by the claim, not only by this tab's memory
+        await engines[1].fireRule('fan', fanRule, now + 60, fanRule.cooldown);
+        assert.equal(sent.length, 1);
+        await engines[2].fireRule('fan', fanRule, now + 300, fanRule.cooldown);
+        assert.equal(sent.length, 2);
+    });
+
+    it('leaves evaluation to the leading tab', () => {
+        const sent = [];
+        const dashboard = createDashboard(new MemoryDatabase(), { hall: { data: { temperature: 27, relays: [false] } } }, sent);
+        dashboard.leader.isLeader = false;
+        const follower = new RulesEngine(dashboard);
+        follower.rulesRef = dashboard.database.ref('rules/u-owner');
+        follower.rules = { fan: fanRule };
+
+        follower.evaluate();
+        assert.deepEqual(follower.runtime, {});
+    });
+});
@@ -0,0 +1,100 @@
+// schedules.test.js - ScheduleManager sun times and next runs, across DST changes and polar days
+//
+//   npm test
+// Runs in London time so the DST changes below fall where the tests expect them.
+process.env.TZ = 'Europe/London';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const filename = path.join(__dirname, '..', '..', 'schedules.js');
+vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+const ScheduleManager = vm.runInThisContext('ScheduleManager');
+
+const london = { lat: 51.5074, lng: -0.1278 };
+const tromso = { lat: 69.6492, lng: 18.9553 };
+
+// Asserts a time is within two minutes of an ISO timestamp
+function assertNear(actual, expected) {
+    const difference = Math.abs(new Date(actual).getTime() - new Date(expected).getTime());
+    assert.ok(difference < 120000, `${new Date(actual).toISOString()} is not close to ${expected}`);
+}
+
+describe('ScheduleManager', () => {
+    const schedules = new ScheduleManager({});
+
+    describe('getSunTimes', () => {
+        it('matches published London times in summer and winter', () => {
+            const summer = schedules.getSunTimes(new Date(2024, 5, 21), london.lat, london.lng);
+            assertNear(summer.sunrise, '2024-06-21T03:43Z');
+            assertNear(summer.sunset, '2024-06-21T20:21Z');
+
+            const winter = schedules.getSunTimes(new Date(2024, 11, 21), london.lat, london.lng);
+            assertNear(winter.sunrise, '2024-12-21T08:04Z');
+            assertNear(winter.sunset, '2024-12-21T15:53Z');
+        });
+
+        it('returns the same day\'s times whatever the hour asked about', () => {
+            const morning = schedules.getSunTimes(new Date(2024, 5, 21, 0, 5), london.lat, london.lng);
+            const night = schedules.getSunTimes(new Date(2024, 5, 21, 23, 55), london.lat, london.lng);
+            assert.equal(morning.sunrise.getTime(), night.sunrise.getTime());
+        });
+
+        it('has no sunrise or sunset during polar day and polar night', () => {
+            assert.deepEqual(schedules.getSunTimes(new Date(2024, 5, 21), tromso.lat, tromso.lng), { sunrise: null, sunset: null });
+            assert.deepEqual(schedules.getSunTimes(new Date(2024, 11, 21), tromso.lat, tromso.lng), { sunrise: null, sunset: null });
+        });
+    });
+
+    describe('getNextOccurrence', () => {
+        it('keeps daily times on local wall-clock time across the spring change', () => {
+            const schedule = { type: 'time', time: '07:00' };
+            const saturday = new Date(2024, 2, 30, 8, 0).getTime();
+
+            const sunday = schedules.getNextOccurrence(schedule, saturday);
+            assert.equal(new Date(sunday).toISOString(), '2024-03-31T06:00:00.000Z');
+            assert.equal(sunday - saturday, 22 * 3600000); // 23 hours of wall clock, one of them skipped
+        });
+
+        it('runs a time in the repeated autumn hour once', () => {
+            const schedule = { type: 'time', time: '01:30' };
+            const first = schedules.getNextOccurrence(schedule, new Date('2024-10-27T00:00:00Z').getTime());
+            assert.equal(new Date(first).toISOString(), '2024-10-27T00:30:00.000Z');
+
+            const next = schedules.getNextOccurrence(schedule, first);
+            assert.equal(new Date(next).toISOString(), '2024-10-28T01:30:00.000Z');
+        });
+
+        it('only runs on the chosen weekdays', () => {
+            const schedule = { type: 'time', time: '09:00', days: [1, 3] }; // Monday and Wednesday
+            const friday = new Date(2024, 5, 21, 12).getTime();
+            const runs = schedules.getUpcoming({ hall: { schedules: { s: schedule } } }, friday + 7 * 86400000, friday);
+            assert.deepEqual(runs.map(run => new Date(run.at).getDay()), [1, 3]);
+        });
+
+        it('applies the offset to sun schedules', () => {
+            const schedule = { type: 'sun', event: 'sunset', offset: -30, ...london };
+            const next = schedules.getNextOccurrence(schedule, new Date(2024, 5, 21, 12).getTime());
+            assertNear(next, '2024-06-21T19:51Z');
+        });
+
+        it('skips days without the sun event and gives up during polar day', () => {
+            const schedule = { type: 'sun', event: 'sunrise', offset: 0, ...tromso };
+            assert.equal(schedules.getNextOccurrence(schedule, new Date(2024, 5, 21).getTime()), null);
+
+            // Late in May the sun still sets briefly at first, so the next sunrise is found
+            assert.notEqual(schedules.getNextOccurrence(schedule, new Date(2024, 4, 10).getTime()), null);
+        });
+
+        it('never runs sun schedules without a location, disabled ones, or past one-off times', () => {
+            const from = new Date(2024, 5, 21).getTime();
+            assert.equal(schedules.getNextOccurrence({ type: 'sun', event: 'sunset' }, from), null);
+            assert.equal(schedules.getNextOccurrence({ type: 'time', time: '07:00', enabled: false }, from), null);
+            assert.equal(schedules.getNextOccurrence({ type: 'once', at: from / 1000 - 60 }, from), null);
+            assert.equal(schedules.getNextOccurrence({ type: 'once', at: from / 1000 + 60 }, from), from + 60000);
+        });
+    });
+});
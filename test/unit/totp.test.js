@@ -0,0 +1,42 @@
+// totp.test.js - Totp codes, and the copy the Cloud Functions deploy
+//
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..', '..');
+const Totp = require(path.join(root, 'totp.js'));
+
+describe('Totp', () => {
+    const totp = new Totp();
+    const secret = totp.base32Encode(new TextEncoder().encode('12345678901234567890'));
+
+    it('matches the RFC 6238 SHA-1 test vectors (last 6 digits)', async () => {
+        assert.equal(await totp.generateCode(secret, totp.getCounter(59 * 1000)), '287082');
+        assert.equal(await totp.generateCode(secret, totp.getCounter(1111111109 * 1000)), '081804');
+        assert.equal(await totp.generateCode(secret, totp.getCounter(2000000000 * 1000)), '279037');
+    });
+
+    it('accepts one step of drift and never the same step twice', async () => {
+        const time = 1111111109 * 1000;
+        const counter = totp.getCounter(time);
+        const previous = await totp.generateCode(secret, counter - 1);
+
+        assert.equal(await totp.verify(secret, previous, 0, time), counter - 1);
+        assert.equal(await totp.verify(secret, previous, counter - 1, time), null);
+        assert.equal(await totp.verify(secret, await totp.generateCode(secret, counter - 2), 0, time), null);
+        assert.equal(await totp.verify(secret, 'abc123', 0, time), null);
+    });
+
+    it('round-trips secrets through base32', () => {
+        const generated = totp.generateSecret();
+        assert.equal(totp.base32Encode(totp.base32Decode(generated)), generated);
+    });
+
+    it('is deployed unchanged with the Cloud Functions', () => {
+        // functions/ is uploaded on its own, so it carries a copy; update it with: cp totp.js functions/
+        assert.equal(fs.readFileSync(path.join(root, 'functions', 'totp.js'), 'utf8'), fs.readFileSync(path.join(root, 'totp.js'), 'utf8'));
+    });
+});
@@ -0,0 +1,211 @@
+// user-import.js - Bulk User Import from CSV/JSON
+class UserImporter {
+    constructor(adminManager) {
+        this.admin = adminManager;
+        this.rows = [];
+        this.results = [];
+        this.isImporting = false;
+        this.validRoles = ['user', 'admin'];
+        this.emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    }
+
+    get auth() {
+        return this.admin.auth;
+    }
+
+    get dashboard() {
+        return this.admin.dashboard;
+    }
+
+    async loadFile(file) {
+        const text = await file.text();
+        const records = file.name.toLowerCase().endsWith('.json') ? this.parseJSON(text) : window.csvCodec.parseWithLines(text);
+
+        this.rows = this.validate(records);
+        this.results = [];
+        this.renderPreview();
+    }
+
+    // JSON entries have no useful line numbers, so they are numbered from 1 in file order
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : Object.values(data.users || data);
+        return list.map((entry, index) => {
+            const row = {};
+            for (const key in entry) {
+                row[key.toLowerCase()] = entry[key] === null || entry[key] === undefined ? '' : String(entry[key]);
+            }
+            return { line: index + 1, row: row };
+        });
+    }
+
+    validate(records) {
+        const existing = new Set(Object.values(this.admin.users).map(user => (user.email || '').toLowerCase()));
+        const seen = new Set();
+
+        return records.map(({ line, row: record }) => {
+            const email = (record.email || '').trim().toLowerCase();
+            const role = (record.role || 'user').trim().toLowerCase();
+            const errors = [];
+
+            if (!email) {
+                errors.push('Missing email');
+            } else if (!this.emailPattern.test(email)) {
+                errors.push('Invalid email format');
+            } else if (seen.has(email)) {
+                errors.push('Duplicate in file');
+            } else if (existing.has(email)) {
+                errors.push('User already exists');
+            }
+
+            if (!this.validRoles.includes(role)) {
+                errors.push(`Invalid role "${record.role}"`);
+            }
+
+            if (record.password && record.password.length < 6) {
+                errors.push('Password shorter than 6 characters');
+            }
+
+            seen.add(email);
+
+            return {
+                line: line,
+                email: email,
+                role: role,
+                displayName: (record.display_name || '').trim(),
+                password: record.password || '',
+                errors: errors
+            };
+        });
+    }
+
+    // Accounts imported without a password get a random one plus a reset email
+    generatePassword() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789!@#$%';
+        const bytes = crypto.getRandomValues(new Uint8Array(20));
+        return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    }
+
+    async run(dryRun) {
+        if (this.isImporting) return;
+        this.isImporting = true;
+        this.results = [];
+
+        const total = this.rows.length;
+        let created = 0;
+
+        for (let i = 0; i < total; i++) {
+            const row = this.rows[i];
+            const result = { line: row.line, email: row.email, role: row.role, status: '', message: '' };
+
+            if (row.errors.length) {
+                result.status = 'skipped';
+                result.message = row.errors.join('; ');
+            } else if (dryRun) {
+                result.status = 'would_create';
+                result.message = row.password ? 'Would create with supplied password' : 'Would create and send password reset';
+            } else {
+                const password = row.password || this.generatePassword();
+                const response = await this.auth.createUser(row.email, password, row.role, {
+                    display_name: row.displayName || null
+                });
+
+                if (response.success) {
+                    created++;
+                    result.status = 'created';
+                    result.message = 'Created';
+                    if (!row.password) {
+                        try {
+                            await this.auth.sendPasswordReset(row.email);
+                            result.message = 'Created, password reset email sent';
+                        } catch (error) {
+                            result.message = `Created, but reset email failed: ${this.auth.getErrorMessage(error)}`;
+                        }
+                    }
+                } else {
+                    result.status = 'failed';
+                    result.message = response.error;
+                }
+            }
+
+            this.results.push(result);
+            this.renderProgress(i + 1, total);
+        }
+
+        this.isImporting = false;
+        this.renderPreview();
+
+        const failed = this.results.filter(r => r.status === 'failed' || r.status === 'skipped').length;
+        if (dryRun) {
+            this.dashboard.showNotification(`Dry run: ${total - failed} of ${total} rows would be imported`, 'info');
+        } else {
+            this.dashboard.showNotification(`Imported ${created} of ${total} users`, failed ? 'warning' : 'success');
+            await this.admin.loadSystemData();
+        }
+    }
+
+    downloadReport() {
+        const csv = window.csvCodec.stringify(this.results, ['line', 'email', 'role', 'status', 'message']);
+        this.admin.downloadFile(csv, `user-import-report-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+    }
+
+    renderProgress(done, total) {
+        const bar = document.getElementById('importProgress');
+        if (!bar) return;
+
+        bar.classList.remove('hidden');
+        bar.querySelector('.import-progress-fill').style.width = `${Math.round((done / total) * 100)}%`;
+        bar.querySelector('.import-progress-label').textContent = `${done} / ${total}`;
+    }
+
+    renderPreview() {
+        const container = document.getElementById('importPreview');
+        if (!container) return;
+
+        if (this.rows.length === 0) {
+            container.innerHTML = '<div class="history-empty">No rows found in the file.</div>';
+            return;
+        }
+
+        const escape = value => this.dashboard.escapeHtml(value || '');
+        const validCount = this.rows.filter(row => row.errors.length === 0).length;
+        const resultsByLine = {};
+        this.results.forEach(result => {
+            resultsByLine[result.line] = result;
+        });
+
+        container.innerHTML = `
+            <p class="rule-meta">${validCount} of ${this.rows.length} rows are valid.</p>
+            <div class="users-table-container">
+                <table class="users-table import-table">
+                    <thead>
+                        <tr>
+                            <th>Line</th>
+                            <th>Email</th>
+                            <th>Role</th>
+                            <th>Validation</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.rows.map(row => {
+                            const result = resultsByLine[row.line];
+                            return `
+                                <tr class="${row.errors.length ? 'import-invalid' : ''}">
+                                    <td>${row.line}</td>
+                                    <td>${escape(row.email)}</td>
+                                    <td>${escape(row.role)}</td>
+                                    <td>${row.errors.length ? `❌ ${escape(row.errors.join('; '))}` : '✅ OK'}</td>
+                                    <td>${result ? `<span class="import-status ${result.status}">${escape(result.message)}</span>` : ''}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        document.getElementById('importRunBtn').disabled = validCount === 0 || this.isImporting;
+        document.getElementById('importReportBtn').classList.toggle('hidden', this.results.length === 0);
+    }
+}
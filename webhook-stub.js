@@ -0,0 +1,65 @@
+// webhook-stub.js - Local HTTP stub for testing the dashboard's alert webhook
+//   node webhook-stub.js [port] [secret]     (defaults: 9090, no signature check)
+// Then set the alert webhook URL to http://localhost:<port>/ and press 🧪 Send test.
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2]) || 9090;
+const secret = process.argv[3] || null;
+
+// The dashboard posts JSON from the browser, so the stub has to answer the CORS preflight
+function sendCorsHeaders(response) {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Signature-256');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Private-Network', 'true');
+}
+
+function isValidSignature(body, header) {
+    if (!secret) return true;
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    return typeof header === 'string' && header.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+}
+
+const server = http.createServer((request, response) => {
+    sendCorsHeaders(response);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (request.method !== 'POST') {
+        response.writeHead(405, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ error: 'POST only' }));
+        return;
+    }
+
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+        if (!isValidSignature(body, request.headers['x-signature-256'])) {
+            console.log('❌ Rejected alert with a bad signature');
+            response.writeHead(401, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'bad signature' }));
+            return;
+        }
+
+        try {
+            const alert = JSON.parse(body);
+            console.log(`🚨 ${alert.event}: ${alert.message}`);
+            console.log(JSON.stringify(alert, null, 2));
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ ok: true }));
+        } catch (error) {
+            response.writeHead(400, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: error.message }));
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🌐 Webhook stub listening on http://localhost:${port}/${secret ? ' (checking signatures)' : ''}`);
+});